@@ -1,11 +1,68 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { StyleSheet, Platform } from 'react-native';
 import * as ScreenOrientation from 'expo-screen-orientation';
 import * as NavigationBar from 'expo-navigation-bar';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import GameBoard from './components/GameBoard';
+import ResumeGamePrompt from './components/ResumeGamePrompt';
+import JoinGameModal from './components/JoinGameModal';
+import { createMatch, recordDeal, getDealOptions, getComputerPlayers, MATCH_TARGETS, RULESETS, BOT_DIFFICULTIES, resolveRuleset, CLOCK_MODES, TIMEOUT_POLICIES } from './game-logic/index.js';
+import { loadGame, clearSavedGame, saveMatch, loadMatch, clearSavedMatch } from './utils/gameStorage';
+import { connectToGame, toHostUrl } from './utils/gameClient';
+import { getErrorInfo } from './utils/errorMapping';
+
+// Table setups that can be chosen from the menu
+const PLAYER_SETUPS = [
+  { label: '2', playerCount: 2, partnerships: false },
+  { label: '3', playerCount: 3, partnerships: false },
+  { label: '4', playerCount: 4, partnerships: false },
+  { label: '2 vs 2', playerCount: 4, partnerships: true },
+];
+
+// Clocks that can be chosen from the menu
+const CLOCK_SETUPS = [
+  { label: 'Off', clock: null },
+  { label: '30s per Turn', clock: { mode: CLOCK_MODES.PER_TURN, limitMs: 30 * 1000 } },
+  { label: '60s per Turn', clock: { mode: CLOCK_MODES.PER_TURN, limitMs: 60 * 1000 } },
+  { label: '10 min Each', clock: { mode: CLOCK_MODES.TOTAL, limitMs: 10 * 60 * 1000 } },
+];
+
+// What happens to a player whose time runs out
+const TIMEOUT_POLICY_SETUPS = [
+  { label: 'Trail Lowest Card', policy: TIMEOUT_POLICIES.AUTO_TRAIL },
+  { label: 'Lose Turn', policy: TIMEOUT_POLICIES.FORFEIT_TURN },
+  { label: 'Lose Game', policy: TIMEOUT_POLICIES.LOSE_GAME },
+];
+
+// A hosted game's seats are all people on their own devices
+const NO_COMPUTER_PLAYERS = [];
 
 export default function App() {
   const [key, setKey] = useState(0);
+  // Practice games allow undo/redo; changing the setting starts a new game
+  const [practiceMode, setPracticeMode] = useState(false);
+  // Pass-and-play: hide each player's hand until the next player takes the device
+  const [handOffScreen, setHandOffScreen] = useState(false);
+  // Games can be played against the clock; changing either setting starts a new game
+  const [clockSetupIndex, setClockSetupIndex] = useState(0);
+  const [timeoutPolicyIndex, setTimeoutPolicyIndex] = useState(0);
+  const { clock } = CLOCK_SETUPS[clockSetupIndex];
+  // Deals are played as part of a match to a target score
+  const [match, setMatch] = useState(() => createMatch());
+  const playerSetupIndex = PLAYER_SETUPS.findIndex(
+    setup => setup.playerCount === match.playerCount && setup.partnerships === match.partnerships
+  );
+  // The same array between renders, so the computer's move timer isn't restarted
+  const computerPlayers = useMemo(() => getComputerPlayers(match), [match.vsComputer, match.playerCount]);
+  // A saved in-progress game and match found on launch, offered to the player before the board starts
+  const [savedGame, setSavedGame] = useState(null);
+  const [savedMatch, setSavedMatch] = useState(null);
+  const [resumeState, setResumeState] = useState(null);
+  const [storageChecked, setStorageChecked] = useState(false);
+  // A game hosted on another device: the connection to it, and the join dialog while it is open
+  const [transport, setTransport] = useState(null);
+  const [joinDialog, setJoinDialog] = useState(null);
+  const pendingConnection = useRef(null);
 
   // Force landscape orientation and hide system UI on app start
   useEffect(() => {
@@ -22,11 +79,262 @@ export default function App() {
     setupImmersiveMode();
   }, []);
 
+  // Look for a saved game and match from a previous session
+  useEffect(() => {
+    Promise.all([loadGame(AsyncStorage), loadMatch(AsyncStorage)])
+      .then(([game, savedMatchState]) => {
+        setSavedGame(game);
+        // A match with no finished deals has nothing to resume on its own
+        setSavedMatch(savedMatchState && (game || savedMatchState.deals.length > 0) ? savedMatchState : null);
+      })
+      .catch(error => console.warn('Failed to load saved game:', error))
+      .finally(() => setStorageChecked(true));
+  }, []);
+
+  const hasSavedProgress = savedGame !== null || savedMatch !== null;
+
+  // Keep the match scoreboard saved between deals; finished matches have nothing to resume
+  useEffect(() => {
+    if (!storageChecked || hasSavedProgress) return;
+
+    const persist = match.matchOver ? clearSavedMatch(AsyncStorage) : saveMatch(AsyncStorage, match);
+    persist.catch(error => console.warn('Failed to save match:', error));
+  }, [match, storageChecked, hasSavedProgress]);
+
+  const handleResume = () => {
+    if (savedMatch) {
+      setMatch(savedMatch);
+    }
+    if (savedGame) {
+      setPracticeMode(savedGame.practiceMode);
+    }
+    setResumeState(savedGame);
+    setSavedGame(null);
+    setSavedMatch(null);
+    setKey((prev) => prev + 1);
+  };
+
+  const handleNewGame = () => {
+    setSavedGame(null);
+    setSavedMatch(null);
+    Promise.all([clearSavedGame(AsyncStorage), clearSavedMatch(AsyncStorage)])
+      .catch(error => console.warn('Failed to clear saved game:', error));
+  };
+
+  // Restarting abandons the current match and starts a new one with the same settings
+  const startNewMatch = ({
+    targetScore = match.targetScore,
+    playerCount = match.playerCount,
+    partnerships = match.partnerships,
+    ruleset = match.ruleset,
+    vsComputer = match.vsComputer,
+    computerDifficulty = match.computerDifficulty
+  } = {}) => {
+    if (transport) {
+      transport.close();
+      setTransport(null);
+    }
+    setMatch(createMatch({ targetScore, playerCount, partnerships, ruleset, vsComputer, computerDifficulty }));
+    setResumeState(null);
+    setKey((prev) => prev + 1);
+  };
+
   const handleRestart = () => {
+    startNewMatch();
+  };
+
+  const handleDealComplete = useCallback((finishedGame) => {
+    const result = recordDeal(match, finishedGame);
+    if (!result.ok) {
+      console.warn('The deal was not added to the match:', result.error.code);
+      return;
+    }
+    setMatch(result.state);
+  }, [match]);
+
+  const handleNextDeal = () => {
+    setResumeState(null);
     setKey((prev) => prev + 1);
   };
 
-  return <GameBoard key={key} onRestart={handleRestart} />;
+  const handleChangeMatchTarget = () => {
+    const nextIndex = (MATCH_TARGETS.indexOf(match.targetScore) + 1) % MATCH_TARGETS.length;
+    startNewMatch({ targetScore: MATCH_TARGETS[nextIndex] });
+  };
+
+  const handleChangeRuleset = () => {
+    const rulesetIds = Object.keys(RULESETS);
+    const nextIndex = (rulesetIds.indexOf(match.ruleset) + 1) % rulesetIds.length;
+    startNewMatch({ ruleset: rulesetIds[nextIndex] });
+  };
+
+  const handleChangePlayerSetup = () => {
+    const { playerCount, partnerships } = PLAYER_SETUPS[(playerSetupIndex + 1) % PLAYER_SETUPS.length];
+    startNewMatch({ playerCount, partnerships });
+  };
+
+  const handleToggleComputerOpponent = () => {
+    startNewMatch({ vsComputer: !match.vsComputer });
+  };
+
+  const handleChangeComputerDifficulty = () => {
+    const nextIndex = (BOT_DIFFICULTIES.indexOf(match.computerDifficulty) + 1) % BOT_DIFFICULTIES.length;
+    startNewMatch({ computerDifficulty: BOT_DIFFICULTIES[nextIndex] });
+  };
+
+  const handleToggleHandOffScreen = () => {
+    setHandOffScreen((prev) => !prev);
+  };
+
+  // A game continued from a code brings its own table and rules; it is played between people
+  const handleLoadGame = (gameState) => {
+    setPracticeMode(gameState.practiceMode);
+    setMatch(createMatch({
+      targetScore: match.targetScore,
+      playerCount: gameState.playerHands.length,
+      partnerships: gameState.partnerships,
+      ruleset: RULESETS[gameState.ruleset.id] ? gameState.ruleset.id : match.ruleset,
+      vsComputer: false,
+      computerDifficulty: match.computerDifficulty,
+    }));
+    setResumeState(gameState);
+    setKey((prev) => prev + 1);
+  };
+
+  const handleJoinGame = () => {
+    setJoinDialog({ role: 'player', connecting: false, error: null });
+  };
+
+  // Spectators are shown the hosted game read-only
+  const handleWatchGame = () => {
+    setJoinDialog({ role: 'spectator', connecting: false, error: null });
+  };
+
+  // The board switches to the hosted game once the host sends its first state; until then
+  // the game on the board is kept, so a wrong address costs nothing
+  const handleConnect = (address) => {
+    const { role } = joinDialog;
+    const unreachable = "Couldn't reach a game at that address. Check it, and that the host is running.";
+    let connection;
+    try {
+      connection = connectToGame(toHostUrl(address), { role });
+    } catch (error) {
+      setJoinDialog({ role, connecting: false, error: unreachable });
+      return;
+    }
+    const previousTransport = transport;
+    pendingConnection.current = connection;
+    setJoinDialog({ role, connecting: true, error: null });
+
+    const stopListening = connection.subscribe((message) => {
+      // The dialog was closed while connecting
+      if (pendingConnection.current !== connection) {
+        stopListening();
+        return;
+      }
+      if (message.type === 'state') {
+        stopListening();
+        pendingConnection.current = null;
+        if (previousTransport) previousTransport.close();
+        setTransport(connection);
+        setJoinDialog(null);
+        setResumeState(null);
+        setKey((prev) => prev + 1);
+      } else if (message.type === 'error' || message.type === 'closed') {
+        stopListening();
+        pendingConnection.current = null;
+        connection.close();
+        setJoinDialog({
+          role,
+          connecting: false,
+          error: message.type === 'error' ? getErrorInfo(message.error).message : unreachable,
+        });
+      }
+    });
+  };
+
+  const handleCloseJoinDialog = () => {
+    if (pendingConnection.current) {
+      pendingConnection.current.close();
+      pendingConnection.current = null;
+    }
+    setJoinDialog(null);
+  };
+
+  const handleChangeClock = () => {
+    setClockSetupIndex((prev) => (prev + 1) % CLOCK_SETUPS.length);
+    startNewMatch();
+  };
+
+  const handleChangeTimeoutPolicy = () => {
+    setTimeoutPolicyIndex((prev) => (prev + 1) % TIMEOUT_POLICY_SETUPS.length);
+    startNewMatch();
+  };
+
+  const handleTogglePracticeMode = () => {
+    setPracticeMode((prev) => !prev);
+    startNewMatch();
+  };
+
+  // Wait for the saved game check so a fresh game doesn't overwrite the save first
+  if (!storageChecked) {
+    return null;
+  }
+
+  return (
+    <>
+      <GameBoard
+        key={key}
+        onRestart={handleRestart}
+        practiceMode={practiceMode}
+        onTogglePracticeMode={handleTogglePracticeMode}
+        gameOptions={getDealOptions(match, {
+          practiceMode,
+          clock: clock && { ...clock, policy: TIMEOUT_POLICY_SETUPS[timeoutPolicyIndex].policy },
+        })}
+        match={transport ? null : match}
+        onDealComplete={transport ? undefined : handleDealComplete}
+        onNextDeal={handleNextDeal}
+        onChangeMatchTarget={handleChangeMatchTarget}
+        playerSetupLabel={PLAYER_SETUPS[playerSetupIndex].label}
+        onChangePlayerSetup={handleChangePlayerSetup}
+        rulesetName={resolveRuleset(match.ruleset).name}
+        onChangeRuleset={handleChangeRuleset}
+        vsComputer={!transport && match.vsComputer}
+        computerPlayers={transport ? NO_COMPUTER_PLAYERS : computerPlayers}
+        onToggleComputerOpponent={handleToggleComputerOpponent}
+        computerDifficulty={match.computerDifficulty}
+        onChangeComputerDifficulty={handleChangeComputerDifficulty}
+        handOffScreen={handOffScreen}
+        onToggleHandOffScreen={handleToggleHandOffScreen}
+        clockLabel={CLOCK_SETUPS[clockSetupIndex].label}
+        onChangeClock={handleChangeClock}
+        timeoutPolicyLabel={clock ? TIMEOUT_POLICY_SETUPS[timeoutPolicyIndex].label : null}
+        onChangeTimeoutPolicy={handleChangeTimeoutPolicy}
+        onLoadGame={handleLoadGame}
+        onJoinGame={handleJoinGame}
+        onWatchGame={handleWatchGame}
+        transport={transport}
+        initialState={resumeState}
+        storage={hasSavedProgress || transport ? null : AsyncStorage}
+      />
+      <ResumeGamePrompt
+        visible={hasSavedProgress}
+        savedGame={savedGame}
+        savedMatch={savedMatch}
+        onResume={handleResume}
+        onNewGame={handleNewGame}
+      />
+      <JoinGameModal
+        visible={joinDialog !== null}
+        role={joinDialog ? joinDialog.role : 'player'}
+        connecting={joinDialog !== null && joinDialog.connecting}
+        error={joinDialog && joinDialog.error}
+        onConnect={handleConnect}
+        onClose={handleCloseJoinDialog}
+      />
+    </>
+  );
 }
 
 const styles = StyleSheet.create({
@@ -0,0 +1,270 @@
+/**
+ * Casino CLI
+ * Plays the game engine at a terminal, without a phone or emulator. Moves are typed in the
+ * notation of game-logic/notation.js, and deals are seeded, so a rules bug can be reproduced
+ * from its seed and move list: `history` prints the command that rebuilds the current game.
+ *
+ * Usage: node cli/casino.js [--seed S] [--players N] [--partnerships] [--ruleset house|classic|classic52]
+ *                           [--first-player N] [--computer 2,3] [--difficulty easy|medium|hard]
+ *                           [--moves "T 7s; C 8h 5c+3h"] [--code casino1...]
+ */
+
+import readline from 'node:readline';
+import { parseArgs } from 'node:util';
+import {
+  initializeGame,
+  performMove,
+  getLegalMoves,
+  chooseBotMove,
+  describeMove,
+  canUndo,
+  undoTurn,
+  isSystemMove,
+  setGameLogging,
+  formatMove,
+  formatMoves,
+  parseMove,
+  parseMoves,
+  exportGameCode,
+  importGameCode,
+  MOVE_TYPES,
+  RULESETS
+} from '../game-logic/index.js';
+import { getErrorInfo } from '../utils/errorMapping.js';
+import { renderGame } from './render.js';
+
+const HELP = `Commands:
+  <move>    play a move in notation, e.g. "T 7s" (trail) or "C 8h 5c+3h" (capture)
+  <number>  play a move from the list shown by "moves"
+  moves     list the legal moves
+  hint      suggest a move
+  undo      take back the last turn
+  board     show the table again
+  history   print the command that replays this game
+  code      print a game code to continue this game in the app or with --code
+  help      show this help
+  quit      leave`;
+
+const OPTIONS = {
+  seed: { type: 'string' },
+  players: { type: 'string', default: '2' },
+  partnerships: { type: 'boolean', default: false },
+  ruleset: { type: 'string', default: 'house' },
+  'first-player': { type: 'string', default: '1' },
+  computer: { type: 'string', default: '' },
+  difficulty: { type: 'string', default: 'medium' },
+  moves: { type: 'string', default: '' },
+  code: { type: 'string' },
+  help: { type: 'boolean', default: false },
+};
+
+/**
+ * Reads the command line into game options.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {object} The game options, the computer seats (0-based) and the moves to play first.
+ */
+const readOptions = (args) => {
+  const { values } = parseArgs({ args, options: OPTIONS });
+  if (!RULESETS[values.ruleset]) {
+    throw new Error(`Unknown ruleset "${values.ruleset}". Choose one of: ${Object.keys(RULESETS).join(', ')}.`);
+  }
+  const moves = parseMoves(values.moves);
+  if (!moves) throw new Error(`Could not read the moves "${values.moves}".`);
+
+  return {
+    gameOptions: {
+      ...(values.seed !== undefined && { seed: values.seed }),
+      playerCount: Number(values.players),
+      partnerships: values.partnerships,
+      ruleset: values.ruleset,
+      firstPlayer: Number(values['first-player']) - 1,
+      practiceMode: true,
+    },
+    computerPlayers: values.computer.split(',').filter(Boolean).map(seat => Number(seat) - 1),
+    difficulty: values.difficulty,
+    moves,
+    code: values.code !== undefined ? values.code : null,
+    help: values.help,
+  };
+};
+
+// The command that rebuilds a game: its options and every move played
+const describeReplay = (gameState) => {
+  const moves = gameState.history.filter(entry => !isSystemMove(entry.move)).map(entry => entry.move);
+  return [
+    'node cli/casino.js',
+    `--seed ${JSON.stringify(String(gameState.seed))}`,
+    `--players ${gameState.playerHands.length}`,
+    ...(gameState.partnerships ? ['--partnerships'] : []),
+    `--ruleset ${gameState.ruleset.id}`,
+    `--first-player ${gameState.firstPlayer + 1}`,
+    ...(moves.length > 0 ? [`--moves ${JSON.stringify(formatMoves(moves))}`] : []),
+  ].join(' ');
+};
+
+/**
+ * Deals the next round or scores the game once every hand is empty, as the app does.
+ * @param {object} gameState - The game state after a move.
+ * @param {function(string): void} print - Where to report what happened.
+ * @returns {object} The game state with a player to move, or the finished game.
+ */
+const advanceDeal = (gameState, print) => {
+  if (gameState.gameOver || gameState.playerHands.some(hand => hand.length > 0)) return gameState;
+  if (gameState.deck.length > 0) {
+    print(`Round ${gameState.round} over. Dealing round ${gameState.round + 1}.`);
+    return performMove(gameState, { type: MOVE_TYPES.START_NEXT_ROUND }).state;
+  }
+  return performMove(gameState, { type: MOVE_TYPES.END_GAME }).state;
+};
+
+/**
+ * Plays one move for the current player and reports it, or why it was refused.
+ * @param {object} gameState - The current game state.
+ * @param {object} move - The move.
+ * @param {function(string): void} print - Where to report what happened.
+ * @returns {object} The new game state.
+ */
+const playMove = (gameState, move, print) => {
+  const result = performMove(gameState, move);
+  if (!result.ok) {
+    const { title, message } = getErrorInfo(result.error);
+    print(`${title}: ${message} [${result.error.code}]`);
+    return gameState;
+  }
+  print(`P${gameState.currentPlayer + 1}: ${formatMove(move)} - ${describeMove(gameState, move)}`);
+  return advanceDeal(result.state, print);
+};
+
+// Lets computer seats play until it is a human's turn or the game is over
+const playComputerTurns = (gameState, { computerPlayers, difficulty }, print) => {
+  let state = gameState;
+  while (!state.gameOver && computerPlayers.includes(state.currentPlayer)) {
+    const move = chooseBotMove(state, { difficulty });
+    if (!move) break;
+    state = playMove(state, move, print);
+  }
+  return state;
+};
+
+/**
+ * Runs one command typed at the prompt.
+ * @param {object} session - The game state and the options it was started with.
+ * @param {string} input - The line typed.
+ * @param {function(string): void} print - Where to write output.
+ * @returns {object|null} The updated session, or null to quit.
+ */
+export const runCommand = (session, input, print) => {
+  const { gameState, options } = session;
+  const command = input.trim();
+  const legalMoves = gameState.gameOver ? [] : getLegalMoves(gameState);
+
+  if (command === '') return session;
+  if (command === 'quit' || command === 'exit') return null;
+  if (command === 'help') {
+    print(HELP);
+    return session;
+  }
+  if (command === 'board') {
+    print(renderGame(gameState));
+    return session;
+  }
+  if (command === 'history') {
+    print(describeReplay(gameState));
+    return session;
+  }
+  if (command === 'code') {
+    print(exportGameCode(gameState));
+    return session;
+  }
+  if (command === 'moves') {
+    print(legalMoves.length > 0
+      ? legalMoves.map((move, index) => `${String(index + 1).padStart(3)}. ${formatMove(move).padEnd(18)} ${describeMove(gameState, move)}`).join('\n')
+      : 'No moves to play.');
+    return session;
+  }
+  if (command === 'hint') {
+    const move = chooseBotMove(gameState);
+    print(move ? `${formatMove(move)} - ${describeMove(gameState, move)}` : 'No moves to play.');
+    return session;
+  }
+  if (command === 'undo') {
+    if (!canUndo(gameState)) {
+      print('Nothing to undo.');
+      return session;
+    }
+    // Take back the computer's replies too, back to the human's last turn
+    let state = undoTurn(gameState);
+    while (canUndo(state) && options.computerPlayers.includes(state.currentPlayer)) state = undoTurn(state);
+    print(renderGame(state));
+    return { ...session, gameState: state };
+  }
+
+  const move = /^\d+$/.test(command) ? legalMoves[Number(command) - 1] : parseMove(command);
+  if (!move) {
+    print(`Could not read "${command}". Type "help" for the notation, or "moves" for a numbered list.`);
+    return session;
+  }
+
+  let state = playMove(gameState, move, print);
+  if (state !== gameState) {
+    state = playComputerTurns(state, options, print);
+    print(renderGame(state));
+  }
+  return { ...session, gameState: state };
+};
+
+/**
+ * Starts a game from the command line arguments and reads commands until quit or end of input.
+ * @param {Array<string>} [args=process.argv.slice(2)] - The command line arguments.
+ */
+export const main = (args = process.argv.slice(2)) => {
+  const print = (text) => console.log(text);
+  let options;
+  try {
+    options = readOptions(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.help) {
+    print(HELP);
+    return;
+  }
+
+  // The engine's own move log would drown out the board
+  setGameLogging(false);
+
+  // A game code replaces the deal options: it carries its own
+  let gameState = initializeGame(options.gameOptions);
+  if (options.code !== null) {
+    const imported = importGameCode(options.code);
+    if (!imported.ok) {
+      const { title, message } = getErrorInfo(imported.error);
+      console.error(`${title}: ${message}`);
+      process.exitCode = 1;
+      return;
+    }
+    gameState = imported.state;
+  }
+
+  let session = { gameState, options };
+  options.moves.forEach(move => {
+    session = { ...session, gameState: playMove(session.gameState, move, print) };
+  });
+  session = { ...session, gameState: playComputerTurns(session.gameState, options, print) };
+  print(renderGame(session.gameState));
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+  rl.prompt();
+  rl.on('line', (line) => {
+    session = session && runCommand(session, line, print);
+    if (!session) {
+      rl.close();
+      return;
+    }
+    rl.prompt();
+  });
+};
+
+main();
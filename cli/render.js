@@ -0,0 +1,100 @@
+/**
+ * Text rendering for the command-line game
+ * Draws the table, hands and capture piles as plain text. Table items are labelled
+ * with their move notation id, so they can be typed straight into a move.
+ */
+
+import {
+  getRuleset,
+  getTeamIndex,
+  getCardId,
+  formatId,
+  projectStateForPlayer,
+  getHandCount,
+  getDeckCount
+} from '../game-logic/index.js';
+
+// 7♠, 10♦
+export const renderCard = (card) => `${card.rank}${card.suit}`;
+
+const renderCards = (cards) => cards.map(renderCard).join(' ');
+
+/**
+ * Draws one table item: a loose card, a build or a temporary stack, with its id.
+ * @param {object} item - The table item.
+ * @returns {string} e.g. "5♣ (5c)" or "build 8 of P2: 5♣ 3♥ (b:5c)".
+ */
+export const renderTableItem = (item) => {
+  if (item.type === 'build') {
+    return `build ${item.value} of P${item.owner + 1}: ${renderCards(item.cards)} (${formatId(item.buildId)})`;
+  }
+  if (item.type === 'temporary_stack') {
+    return `stack of P${item.owner + 1}: ${renderCards(item.cards)} (${formatId(item.stackId)})`;
+  }
+  return `${renderCard(item)} (${formatId(getCardId(item))})`;
+};
+
+// Cards captured, the top card (the one opponents can use) and sweeps
+const renderCaptures = (gameState, player) => {
+  const groups = gameState.playerCaptures[player];
+  const cards = groups.flat();
+  const topGroup = groups[groups.length - 1] || [];
+  const topCard = topGroup[topGroup.length - 1];
+  const sweeps = gameState.sweeps ? gameState.sweeps[player] : 0;
+  return [
+    `${cards.length} captured`,
+    ...(topCard ? [`top ${renderCard(topCard)}`] : []),
+    ...(sweeps > 0 ? [`${sweeps} sweep${sweeps === 1 ? '' : 's'}`] : []),
+  ].join(', ');
+};
+
+// Final scores for each side, once the game is over
+const renderScores = (gameState) => {
+  const { scores, winner, teams } = gameState;
+  const sideName = (side) => teams.length === gameState.playerHands.length
+    ? `P${side + 1}`
+    : teams[side].map(player => `P${player + 1}`).join('+');
+  const lines = scores.map((score, side) => `  ${sideName(side)}: ${score} points`);
+  const result = winner === null ? 'Tie game' : `${sideName(winner)} wins`;
+  return ['Game over.', ...lines, result];
+};
+
+/**
+ * Draws the whole game as text.
+ * @param {object} gameState - The game state.
+ * @param {object} [options] - Rendering options.
+ * @param {number|null} [options.viewer=null] - Only show this player's hand; null shows every hand.
+ * @returns {string} The game, several lines long.
+ */
+export const renderGame = (fullState, { viewer = null } = {}) => {
+  const gameState = viewer === null ? fullState : projectStateForPlayer(fullState, viewer);
+  const { round, tableCards, playerHands, currentPlayer, gameOver } = gameState;
+  const ruleset = getRuleset(gameState);
+
+  const header = [
+    `Round ${round}`,
+    `deck ${getDeckCount(gameState)}`,
+    `${ruleset.id} rules`,
+    ...(gameState.seed !== null ? [`seed ${gameState.seed}`] : []),
+    ...(gameOver ? [] : [`P${currentPlayer + 1} to play`]),
+  ].join(' · ');
+
+  const table = tableCards.length > 0
+    ? tableCards.map(item => `  ${renderTableItem(item)}`)
+    : ['  (empty)'];
+
+  const players = playerHands.map((hand, player) => {
+    const marker = !gameOver && player === currentPlayer ? '>' : ' ';
+    const team = gameState.teams.length < playerHands.length ? ` [team ${getTeamIndex(gameState, player) + 1}]` : '';
+    const cards = viewer === null || viewer === player ? renderCards(hand) || '(empty)' : `${getHandCount(gameState, player)} cards`;
+    return `${marker} P${player + 1}${team}: ${cards}   | ${renderCaptures(gameState, player)}`;
+  });
+
+  return [
+    header,
+    'Table:',
+    ...table,
+    ...players,
+    ...(gameOver ? renderScores(gameState) : []),
+  ].join('\n');
+};
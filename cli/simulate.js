@@ -0,0 +1,83 @@
+/**
+ * Casino self-play simulation
+ * Plays many seeded games between computer policies and prints the statistics as JSON or CSV.
+ * Rules can be changed one at a time on top of a preset to see what they do to the game,
+ * e.g. whether trailing while owning a build in round 1 changes the first player's chances.
+ *
+ * Usage: node cli/simulate.js [--games N] [--seed S] [--policies medium,easy] [--partnerships]
+ *                             [--ruleset house|classic|classic52] [--rule trailWhileOwningBuild=always]
+ *                             [--time-budget MS] [--format json|csv]
+ */
+
+import { parseArgs } from 'node:util';
+import { simulateGames, formatReportCsv, resolveRuleset, RULESETS } from '../game-logic/index.js';
+
+const OPTIONS = {
+  games: { type: 'string', default: '1000' },
+  seed: { type: 'string', default: 'simulation' },
+  policies: { type: 'string', default: 'medium,medium' },
+  partnerships: { type: 'boolean', default: false },
+  ruleset: { type: 'string', default: 'house' },
+  rule: { type: 'string', multiple: true, default: [] },
+  'time-budget': { type: 'string' },
+  format: { type: 'string', default: 'json' },
+};
+
+// Reads "name=value" into a rule, with numbers, booleans and null read as such
+const parseRule = (text) => {
+  const [name, value] = text.split('=');
+  if (!name || value === undefined) throw new Error(`Rules are written name=value, not "${text}".`);
+  if (value === 'true' || value === 'false') return [name, value === 'true'];
+  if (value === 'null') return [name, null];
+  return [name, /^\d+$/.test(value) ? Number(value) : value];
+};
+
+/**
+ * Reads the command line into simulation options.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {object} The options for simulateGames and the output format.
+ */
+const readOptions = (args) => {
+  const { values } = parseArgs({ args, options: OPTIONS });
+  if (!RULESETS[values.ruleset]) {
+    throw new Error(`Unknown ruleset "${values.ruleset}". Choose one of: ${Object.keys(RULESETS).join(', ')}.`);
+  }
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}". Choose json or csv.`);
+  }
+
+  const overrides = Object.fromEntries(values.rule.map(parseRule));
+  return {
+    simulation: {
+      games: Number(values.games),
+      seed: values.seed,
+      policies: values.policies.split(','),
+      partnerships: values.partnerships,
+      ruleset: { ...resolveRuleset(values.ruleset), ...overrides },
+      ...(values['time-budget'] !== undefined && { timeBudgetMs: Number(values['time-budget']) }),
+    },
+    format: values.format,
+  };
+};
+
+/**
+ * Runs the simulation described by the command line arguments and prints its report.
+ * @param {Array<string>} [args=process.argv.slice(2)] - The command line arguments.
+ */
+export const main = (args = process.argv.slice(2)) => {
+  try {
+    const { simulation, format } = readOptions(args);
+    // Progress goes to stderr, so the report can be redirected to a file
+    const onProgress = (played, total) => {
+      if (played % 100 === 0 || played === total) process.stderr.write(`\r${played}/${total} games`);
+    };
+    const report = simulateGames({ ...simulation, onProgress });
+    process.stderr.write('\n');
+    console.log(format === 'csv' ? formatReportCsv(report) : JSON.stringify(report, null, 2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -7,7 +7,36 @@ import {
   StyleSheet 
 } from 'react-native';
 
-const BurgerMenu = ({ onRestart, onEndGame }) => {
+const BurgerMenu = ({
+  onRestart,
+  onEndGame,
+  practiceMode = false,
+  onTogglePracticeMode,
+  matchTarget = null,
+  onChangeMatchTarget,
+  playerSetupLabel = null,
+  onChangePlayerSetup,
+  rulesetName = null,
+  onChangeRuleset,
+  vsComputer = false,
+  handOffScreen = false,
+  onToggleHandOffScreen,
+  clockLabel = null,
+  onChangeClock,
+  timeoutPolicyLabel = null,
+  onChangeTimeoutPolicy,
+  onToggleComputerOpponent,
+  computerDifficulty = null,
+  onChangeComputerDifficulty,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  onShareGameCode,
+  onEnterGameCode,
+  onJoinGame,
+  onWatchGame
+}) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
   const handleRestart = () => {
@@ -20,6 +49,89 @@ const BurgerMenu = ({ onRestart, onEndGame }) => {
     onEndGame();
   };
 
+  // Switching practice mode starts a new game so undo can't be enabled mid-match
+  const handleTogglePracticeMode = () => {
+    setIsMenuOpen(false);
+    onTogglePracticeMode();
+  };
+
+  // Changing the target score starts a new match
+  const handleChangeMatchTarget = () => {
+    setIsMenuOpen(false);
+    onChangeMatchTarget();
+  };
+
+  // Changing the table setup starts a new match as well
+  const handleChangePlayerSetup = () => {
+    setIsMenuOpen(false);
+    onChangePlayerSetup();
+  };
+
+  const handleChangeRuleset = () => {
+    setIsMenuOpen(false);
+    onChangeRuleset();
+  };
+
+  // Playing against the computer, or switching back, starts a new match
+  const handleToggleComputerOpponent = () => {
+    setIsMenuOpen(false);
+    onToggleComputerOpponent();
+  };
+
+  // The hand-off screen can be switched on or off without restarting
+  const handleToggleHandOffScreen = () => {
+    setIsMenuOpen(false);
+    onToggleHandOffScreen();
+  };
+
+  // Changing the clock or what a timeout does starts a new game
+  const handleChangeClock = () => {
+    setIsMenuOpen(false);
+    onChangeClock();
+  };
+
+  const handleChangeTimeoutPolicy = () => {
+    setIsMenuOpen(false);
+    onChangeTimeoutPolicy();
+  };
+
+  const handleChangeComputerDifficulty = () => {
+    setIsMenuOpen(false);
+    onChangeComputerDifficulty();
+  };
+
+  const handleUndo = () => {
+    setIsMenuOpen(false);
+    onUndo();
+  };
+
+  const handleRedo = () => {
+    setIsMenuOpen(false);
+    onRedo();
+  };
+
+  const handleShareGameCode = () => {
+    setIsMenuOpen(false);
+    onShareGameCode();
+  };
+
+  // Continuing a game from a code replaces the one on the board
+  const handleEnterGameCode = () => {
+    setIsMenuOpen(false);
+    onEnterGameCode();
+  };
+
+  // Joining a hosted game replaces the one on the board once the host answers
+  const handleJoinGame = () => {
+    setIsMenuOpen(false);
+    onJoinGame();
+  };
+
+  const handleWatchGame = () => {
+    setIsMenuOpen(false);
+    onWatchGame();
+  };
+
   const toggleMenu = () => {
     setIsMenuOpen(!isMenuOpen);
   };
@@ -56,7 +168,7 @@ const BurgerMenu = ({ onRestart, onEndGame }) => {
               onPress={handleRestart}
               activeOpacity={0.8}
             >
-              <Text style={styles.menuItemText}>🔄 Restart Game</Text>
+              <Text style={styles.menuItemText}>🔄 New Match</Text>
             </TouchableOpacity>
             
             <View style={styles.menuDivider} />
@@ -68,6 +180,180 @@ const BurgerMenu = ({ onRestart, onEndGame }) => {
             >
               <Text style={styles.menuItemText}>🚪 End Game</Text>
             </TouchableOpacity>
+
+            {practiceMode && (
+              <>
+                <View style={styles.menuDivider} />
+
+                <TouchableOpacity 
+                  style={styles.menuItem}
+                  onPress={handleUndo}
+                  activeOpacity={0.8}
+                  disabled={!canUndo}
+                >
+                  <Text style={[styles.menuItemText, !canUndo && styles.menuItemTextDisabled]}>↩️ Undo Turn</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity 
+                  style={styles.menuItem}
+                  onPress={handleRedo}
+                  activeOpacity={0.8}
+                  disabled={!canRedo}
+                >
+                  <Text style={[styles.menuItemText, !canRedo && styles.menuItemTextDisabled]}>↪️ Redo Turn</Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            {onTogglePracticeMode && (
+              <>
+                <View style={styles.menuDivider} />
+
+                <TouchableOpacity 
+                  style={styles.menuItem}
+                  onPress={handleTogglePracticeMode}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.menuItemText}>
+                    🎓 Practice Mode: {practiceMode ? 'On' : 'Off'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            {onChangeMatchTarget && matchTarget !== null && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleChangeMatchTarget}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>🏁 Match To: {matchTarget} Points</Text>
+              </TouchableOpacity>
+            )}
+
+            {onChangePlayerSetup && playerSetupLabel !== null && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleChangePlayerSetup}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>👥 Players: {playerSetupLabel}</Text>
+              </TouchableOpacity>
+            )}
+
+            {onChangeRuleset && rulesetName !== null && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleChangeRuleset}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>📜 Rules: {rulesetName}</Text>
+              </TouchableOpacity>
+            )}
+
+            {onToggleComputerOpponent && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleToggleComputerOpponent}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>🤖 vs Computer: {vsComputer ? 'On' : 'Off'}</Text>
+              </TouchableOpacity>
+            )}
+
+            {!vsComputer && onToggleHandOffScreen && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleToggleHandOffScreen}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>🙈 Pass-and-Play Screen: {handOffScreen ? 'On' : 'Off'}</Text>
+              </TouchableOpacity>
+            )}
+
+            {onChangeClock && clockLabel !== null && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleChangeClock}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>⏱️ Clock: {clockLabel}</Text>
+              </TouchableOpacity>
+            )}
+
+            {onChangeTimeoutPolicy && timeoutPolicyLabel !== null && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleChangeTimeoutPolicy}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>⌛ On Timeout: {timeoutPolicyLabel}</Text>
+              </TouchableOpacity>
+            )}
+
+            {vsComputer && onChangeComputerDifficulty && computerDifficulty !== null && (
+              <TouchableOpacity 
+                style={styles.menuItem}
+                onPress={handleChangeComputerDifficulty}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.menuItemText}>
+                  🎚️ Difficulty: {computerDifficulty.charAt(0).toUpperCase() + computerDifficulty.slice(1)}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            {(onShareGameCode || onEnterGameCode) && (
+              <>
+                <View style={styles.menuDivider} />
+
+                {onShareGameCode && (
+                  <TouchableOpacity 
+                    style={styles.menuItem}
+                    onPress={handleShareGameCode}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.menuItemText}>📤 Share Game Code</Text>
+                  </TouchableOpacity>
+                )}
+
+                {onEnterGameCode && (
+                  <TouchableOpacity 
+                    style={styles.menuItem}
+                    onPress={handleEnterGameCode}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.menuItemText}>📥 Continue from Code</Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
+
+            {(onJoinGame || onWatchGame) && (
+              <>
+                <View style={styles.menuDivider} />
+
+                {onJoinGame && (
+                  <TouchableOpacity 
+                    style={styles.menuItem}
+                    onPress={handleJoinGame}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.menuItemText}>📡 Join a Game</Text>
+                  </TouchableOpacity>
+                )}
+
+                {onWatchGame && (
+                  <TouchableOpacity 
+                    style={styles.menuItem}
+                    onPress={handleWatchGame}
+                    activeOpacity={0.8}
+                  >
+                    <Text style={styles.menuItemText}>👀 Watch a Game</Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
           </View>
         </View>
       </Modal>
@@ -147,6 +433,9 @@ const styles = StyleSheet.create({
     textShadowOffset: { width: 1, height: 1 },
     textShadowRadius: 2,
   },
+  menuItemTextDisabled: {
+    opacity: 0.4,
+  },
   menuDivider: {
     height: 1,
     backgroundColor: '#ffd700',
@@ -12,7 +12,8 @@ const DraggableCard = ({
   draggable = true,
   currentPlayer = 0,
   source = 'hand',
-  stackId = null
+  stackId = null,
+  highlighted = false
 }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [hasStartedDrag, setHasStartedDrag] = useState(false);
@@ -157,7 +158,7 @@ const DraggableCard = ({
   });
 
   if (!draggable) {
-    return <Card card={card} size={size} disabled={disabled} />;
+    return <Card card={card} size={size} disabled={disabled} selected={highlighted} />;
   }
 
   return (
@@ -171,7 +172,7 @@ const DraggableCard = ({
         }
       ]}
     >
-      <Card card={card} size={size} disabled={disabled} />
+      <Card card={card} size={size} disabled={disabled} selected={highlighted} />
     </Animated.View>
   );
 };
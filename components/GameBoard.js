@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -15,20 +15,78 @@ import CapturedCards from './CapturedCards';
 import ActionModal from './ActionModal';
 import ErrorModal from './ErrorModal';
 import BurgerMenu from './BurgerMenu';
+import HandOffScreen from './HandOffScreen';
+import GameCodeModal from './GameCodeModal';
 
 // Import the original game logic hook
 import { useGameActions } from './useGameActions';
+import { createTeams, getOpponents, getHint, projectStateForPlayer, projectStateForSpectator, getHandCount, exportGameCode, importGameCode, getDealer, CLOCK_MODES } from '../game-logic/index.js';
+import { getErrorInfo } from '../utils/errorMapping';
+
+// Seat colours for up to four players
+const PLAYER_COLORS = ['#FF5722', '#2196F3', '#9C27B0', '#FFC107'];
+
+// Names a scoring side: a single player, or a team of partners
+const getSideLabel = (teams, side) => (
+  teams[side].length > 1
+    ? `Team ${side + 1} (${teams[side].map(player => `P${player + 1}`).join(' & ')})`
+    : `Player ${teams[side][0] + 1}`
+);
+
+// Short side names for the status bar and scoreboard
+const getSideShortLabel = (teams, side) => (
+  teams[side].length > 1 ? `T${side + 1}` : `P${teams[side][0] + 1}`
+);
+
+const getMatchTeams = (match) => createTeams(match.playerCount, match.partnerships);
 
 // Status Section Component - exactly like web version
-const StatusSection = React.memo(({ round }) => (
+const StatusSection = React.memo(({ round, dealer, match }) => (
   <View style={styles.statusSection}>
-    <Text style={styles.statusText}>Round: {round}</Text>
+    <Text style={styles.statusText}>
+      Round: {round}   Dealer: P{dealer + 1}
+      {match && `   Match to ${match.targetScore}: ${match.scores
+        .map((score, side) => `${getSideShortLabel(getMatchTeams(match), side)} ${score}`)
+        .join(' – ')}`}
+    </Text>
+  </View>
+));
+
+// Shows clock time as m:ss, rounding up so a clock only reads 0:00 once it has run out
+const formatClockTime = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Clock Section - The time left on the turn, or on every player's clock for a chess-style clock
+const ClockSection = React.memo(({ mode, remainingMs, currentPlayer, running }) => (
+  <View style={styles.clockSection}>
+    <Text style={styles.clockText}>
+      {running ? '⏱️' : '⏸️'}{' '}
+      {mode === CLOCK_MODES.TOTAL
+        ? remainingMs.map((ms, player) => `P${player + 1} ${formatClockTime(ms)}`).join('   ')
+        : `P${currentPlayer + 1} ${formatClockTime(remainingMs[currentPlayer])}`}
+    </Text>
   </View>
 ));
 
-// Opponent Captured Cards Section - Only opponent, minimal styling
-const OpponentCapturedSection = React.memo(({ playerCaptures, currentPlayer, onCardPress = () => {}, onDragStart, onDragEnd, onDragMove }) => {
-  const opponentIndex = 1 - currentPlayer;
+// Hint Section - Asks for a suggested move and explains it in one line
+const HintSection = React.memo(({ hint, onRequestHint, disabled = false }) => (
+  <View style={styles.hintSection}>
+    <TouchableOpacity
+      style={[styles.hintButton, disabled && styles.hintButtonDisabled]}
+      onPress={onRequestHint}
+      disabled={disabled}
+      activeOpacity={0.8}
+    >
+      <Text style={styles.hintButtonText}>💡 Hint</Text>
+    </TouchableOpacity>
+    {hint && <Text style={styles.hintText} numberOfLines={1}>{hint.explanation}</Text>}
+  </View>
+));
+
+// Opponent Captured Cards Section - One opponent's pile, minimal styling
+const OpponentCapturedSection = React.memo(({ playerCaptures, opponentIndex, currentPlayer, onCardPress = () => {}, onDragStart, onDragEnd, onDragMove }) => {
   const capturedGroups = playerCaptures[opponentIndex] || [];
   const allCapturedCards = capturedGroups.flat();
   const hasCards = allCapturedCards.length > 0;
@@ -84,11 +142,13 @@ const TableCardsSection = React.memo(({
   onDragStart,
   onDragEnd,
   onDragMove,
-  isDragging = false
+  isDragging = false,
+  highlightedIds
 }) => (
   <View style={styles.tableCardsSection}>
     <TableCards 
       cards={tableCards} 
+      highlightedIds={highlightedIds}
       onDropOnCard={onDropOnCard} 
       currentPlayer={currentPlayer} 
       onCancelStack={onCancelStack} 
@@ -103,13 +163,19 @@ const TableCardsSection = React.memo(({
 ));
 
 // Player Hands Section - Show active player hand with their captures on the right
-const PlayerHandsSection = React.memo(({ playerHands, currentPlayer, onDragStart, onDragEnd, onDragMove, playerCaptures, onCardPress = () => {} }) => (
+// (against the computer, always the human's hand; hidden while the device is being passed on)
+const PlayerHandsSection = React.memo(({ playerHands, currentPlayer, viewingPlayer = currentPlayer, hidden = false, onDragStart, onDragEnd, onDragMove, playerCaptures, onCardPress = () => {}, highlightedCardId = null }) => (hidden ? (
+  <View style={styles.playerHandsSection}>
+    <Text style={styles.hiddenHandText}>Player {viewingPlayer + 1}'s hand is hidden</Text>
+  </View>
+) : (
   <View style={styles.playerHandsSection}>
     <View style={styles.playerHandArea}>
       <PlayerHand
-        player={currentPlayer}
-        cards={playerHands[currentPlayer]}
-        isCurrent={true}
+        player={viewingPlayer}
+        cards={playerHands[viewingPlayer]}
+        isCurrent={viewingPlayer === currentPlayer}
+        highlightedCardId={highlightedCardId}
         onDragStart={onDragStart}
         onDragEnd={onDragEnd}
         onDragMove={onDragMove}
@@ -118,14 +184,50 @@ const PlayerHandsSection = React.memo(({ playerHands, currentPlayer, onDragStart
     </View>
     <PlayerCapturedSection 
       playerCaptures={playerCaptures}
-      currentPlayer={currentPlayer}
+      currentPlayer={viewingPlayer}
       onCardPress={onCardPress}
     />
   </View>
+)));
+
+// Spectator Hands Section - Every player's hand, face down unless the host has revealed it
+const SpectatorHandsSection = React.memo(({ playerHands, handCounts, currentPlayer }) => (
+  <View style={styles.spectatorHandsSection}>
+    {playerHands.map((hand, player) => (
+      <View key={player} style={styles.spectatorHand}>
+        <Text style={[styles.spectatorHandLabel, { color: PLAYER_COLORS[player] }]}>P{player + 1}</Text>
+        {hand.length > 0 ? (
+          <PlayerHand player={player} cards={hand} isCurrent={false} currentPlayer={currentPlayer} />
+        ) : (
+          <Text style={styles.hiddenHandText}>{handCounts[player]} cards</Text>
+        )}
+      </View>
+    ))}
+  </View>
 ));
 
+// Match Scoreboard - running totals of every deal played in the match
+const MatchScoreboard = React.memo(({ match }) => {
+  const teams = getMatchTeams(match);
+  const formatScores = (scores) => scores
+    .map((score, side) => `${getSideShortLabel(teams, side)} ${score}`)
+    .join(' – ');
+
+  return (
+    <View style={styles.matchScoreboard}>
+      <Text style={styles.matchScoreboardTitle}>Match to {match.targetScore}</Text>
+      {match.deals.map((deal, index) => (
+        <Text key={index} style={styles.matchScoreRow}>
+          Deal {index + 1} (P{deal.dealer + 1} dealt): {formatScores(deal.scores)}
+        </Text>
+      ))}
+      <Text style={styles.matchScoreTotal}>Total: {formatScores(match.scores)}</Text>
+    </View>
+  );
+});
+
 // Game Over Section - exactly like web version
-const GameOverSection = React.memo(({ winner, scoreDetails, onRestart }) => {
+const GameOverSection = React.memo(({ winner, scoreDetails, teams, forfeitedBy = null, match, onNextDeal, onRestart }) => {
   if (!scoreDetails) {
     return (
       <View style={styles.gameOverSection}>
@@ -135,11 +237,11 @@ const GameOverSection = React.memo(({ winner, scoreDetails, onRestart }) => {
     );
   }
 
-  const renderPlayerScores = (playerIndex) => {
-    const details = scoreDetails[playerIndex];
+  const renderPlayerScores = (side) => {
+    const details = scoreDetails[side];
     return (
-      <View key={playerIndex} style={styles.playerScoreColumn}>
-        <Text style={styles.playerScoreTitle}>Player {playerIndex + 1}</Text>
+      <View key={side} style={styles.playerScoreColumn}>
+        <Text style={styles.playerScoreTitle}>{getSideLabel(teams, side)}</Text>
         <View style={styles.pointsTally}>
           <Text style={styles.pointsLabel}>Points</Text>
           <Text style={styles.totalScore}>{details.total}</Text>
@@ -150,6 +252,7 @@ const GameOverSection = React.memo(({ winner, scoreDetails, onRestart }) => {
           <Text style={styles.scoreItem}>Aces: {details.aces} pts</Text>
           {details.bigCasino > 0 && <Text style={styles.scoreItem}>Big Casino (10♦): {details.bigCasino} pts</Text>}
           {details.littleCasino > 0 && <Text style={styles.scoreItem}>Little Casino (2♠): {details.littleCasino} pts</Text>}
+          {details.sweeps > 0 && <Text style={styles.scoreItem}>Sweeps: {details.sweeps} pts</Text>}
         </View>
       </View>
     );
@@ -159,23 +262,66 @@ const GameOverSection = React.memo(({ winner, scoreDetails, onRestart }) => {
     <View style={styles.gameOverSection}>
       <Text style={styles.gameOverTitle}>Game Over</Text>
       <View style={styles.finalScoresContainer}>
-        {renderPlayerScores(0)}
-        {renderPlayerScores(1)}
+        {scoreDetails.map((details, side) => renderPlayerScores(side))}
       </View>
       <Text style={styles.winnerDeclaration}>
-        {winner !== null ? `Winner: Player ${winner + 1}` : "It's a Tie!"}
+        {winner !== null ? `Deal Winner: ${getSideLabel(teams, winner)}` : "This Deal is a Tie!"}
       </Text>
+      {forfeitedBy !== null && <Text style={styles.gameOverText}>Player {forfeitedBy + 1} ran out of time.</Text>}
+      {match && <MatchScoreboard match={match} />}
+      {match && match.matchOver && (
+        <Text style={styles.winnerDeclaration}>{getSideLabel(teams, match.winner)} wins the match!</Text>
+      )}
       <TouchableOpacity
         style={styles.playAgainButton}
-        onPress={onRestart}
+        onPress={match && !match.matchOver ? onNextDeal : onRestart}
       >
-        <Text style={styles.playAgainButtonText}>Play Again</Text>
+        <Text style={styles.playAgainButtonText}>
+          {match && !match.matchOver ? 'Next Deal' : 'New Match'}
+        </Text>
       </TouchableOpacity>
     </View>
   );
 });
 
-function GameBoard({ onRestart }) {
+function GameBoard({
+  onRestart,
+  practiceMode = false,
+  onTogglePracticeMode,
+  gameOptions = {},
+  match = null,
+  onDealComplete = () => {},
+  onNextDeal,
+  onChangeMatchTarget,
+  onChangePlayerSetup,
+  playerSetupLabel = null,
+  onChangeRuleset,
+  rulesetName = null,
+  initialState = null,
+  storage = null,
+  computerPlayers,
+  vsComputer = false,
+  onToggleComputerOpponent,
+  computerDifficulty,
+  onChangeComputerDifficulty,
+  handOffScreen = false,
+  onToggleHandOffScreen,
+  clockLabel = null,
+  onChangeClock,
+  timeoutPolicyLabel = null,
+  onChangeTimeoutPolicy,
+  transport = null,
+  onLoadGame,
+  onJoinGame,
+  onWatchGame
+}) {
+  // Pass-and-play: after each turn the next player's hand stays hidden until they take the device
+  const isPassAndPlay = handOffScreen && !transport && !(computerPlayers && computerPlayers.length > 0);
+  const [handOffPlayer, setHandOffPlayer] = useState(null);
+
+  // State for round transition animation
+  const [showRoundTransition, setShowRoundTransition] = React.useState(false);
+
   const {
     gameState,
     modalInfo,
@@ -187,8 +333,82 @@ function GameBoard({ onRestart }) {
     handleStageOpponentCardAction,
     handleCancelStagingStackAction,
     handleConfirmStagingStackAction,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    clockRemainingMs,
+    isClockRunning,
     closeErrorModal,
-  } = useGameActions();
+  } = useGameActions({
+    gameOptions,
+    initialState,
+    storage,
+    computerPlayers,
+    computerDifficulty,
+    transport,
+    // Nobody can play while the next hand waits to be taken or the new round is announced
+    clockPaused: showRoundTransition || (isPassAndPlay && handOffPlayer !== null),
+  });
+
+  // Spectators watch a hosted game: they see no seat's hand of their own and cannot play
+  const isSpectator = Boolean(transport && transport.role === 'spectator');
+
+  // Against the computer the board always shows the human's seat, even during the computer's turn;
+  // in a hosted game, the seat the host gave this device
+  let viewingPlayer = gameState.currentPlayer;
+  if (isSpectator) {
+    viewingPlayer = null;
+  } else if (transport && transport.player !== null) {
+    viewingPlayer = transport.player;
+  } else if (computerPlayers && computerPlayers.length > 0) {
+    viewingPlayer = gameState.playerHands.findIndex((hand, player) => !computerPlayers.includes(player));
+  }
+
+  // The board is drawn only from what the viewing player may see
+  const visibleState = useMemo(
+    () => (isSpectator ? projectStateForSpectator(gameState) : projectStateForPlayer(gameState, viewingPlayer)),
+    [gameState, viewingPlayer, isSpectator]
+  );
+
+  // The suggested move, shown until the position changes
+  const [hint, setHint] = useState(null);
+  useEffect(() => {
+    setHint(null);
+  }, [gameState]);
+
+  // Show the next hand only once its player has taken the device
+  const previousPlayer = React.useRef(gameState.currentPlayer);
+  useEffect(() => {
+    if (gameState.currentPlayer === previousPlayer.current) return;
+    previousPlayer.current = gameState.currentPlayer;
+    setHandOffPlayer(isPassAndPlay && !gameState.gameOver ? gameState.currentPlayer : null);
+  }, [gameState.currentPlayer]);
+  const isHandHidden = isPassAndPlay && handOffPlayer !== null && !gameState.gameOver;
+
+  const canAskForHint = !gameState.gameOver && !isHandHidden && !isSpectator && viewingPlayer === gameState.currentPlayer;
+  const handleRequestHint = useCallback(() => {
+    setHint(getHint(gameState));
+  }, [gameState]);
+
+  // Correspondence play: the game as a code for another device, or a code received from one.
+  // Hosted games have no code, since this device only has its own view of them.
+  const [gameCode, setGameCode] = useState({ mode: null, error: null });
+  const handleShareGameCode = useCallback(() => {
+    setGameCode({ mode: 'export', error: null });
+  }, []);
+  const handleEnterGameCode = useCallback(() => {
+    setGameCode({ mode: 'import', error: null });
+  }, []);
+  const handleImportGameCode = useCallback((code) => {
+    const result = importGameCode(code);
+    if (!result.ok) {
+      setGameCode({ mode: 'import', error: getErrorInfo(result.error).message });
+      return;
+    }
+    setGameCode({ mode: null, error: null });
+    onLoadGame(result.state);
+  }, [onLoadGame]);
 
   // Mobile-specific state for drag interactions
   const [draggedCard, setDraggedCard] = useState(null);
@@ -197,12 +417,9 @@ function GameBoard({ onRestart }) {
   // Track dragging state for UI optimization
   const isDragging = !!draggedCard;
 
-  // State for round transition animation
-  const [showRoundTransition, setShowRoundTransition] = React.useState(false);
-
-  // Effect to show round transition animation when round changes to 2
+  // Effect to show round transition animation when a new round is dealt
   React.useEffect(() => {
-    if (gameState.round === 2 && !showRoundTransition) {
+    if (gameState.round > 1 && !showRoundTransition) {
       setShowRoundTransition(true);
       const timer = setTimeout(() => {
         setShowRoundTransition(false);
@@ -211,6 +428,13 @@ function GameBoard({ onRestart }) {
     }
   }, [gameState.round]);
 
+  // Add each finished deal to the match scoreboard
+  useEffect(() => {
+    if (gameState.gameOver && gameState.scoreDetails) {
+      onDealComplete(gameState);
+    }
+  }, [gameState.gameOver, gameState.scoreDetails]);
+
   // Keyboard navigation handler (adapted for mobile)
   const handleKeyDown = useCallback((event) => {
     if (event.key === 'Escape' && modalInfo) {
@@ -249,8 +473,8 @@ function GameBoard({ onRestart }) {
   const handleEndGame = useCallback(() => {
     // Use the modal system to trigger end game action
     const endGameAction = {
-      type: 'end_game',
-      payload: {} // No payload needed for end game
+      type: 'endGame',
+      payload: { type: 'endGame' } // Sweeps the table to the last capturer, then scores
     };
     handleModalAction(endGameAction);
   }, [handleModalAction]);
@@ -260,14 +484,52 @@ function GameBoard({ onRestart }) {
       <StatusBar hidden />
       
       {/* Burger Menu */}
-      <BurgerMenu onRestart={onRestart} onEndGame={handleEndGame} />
+      <BurgerMenu
+        onRestart={onRestart}
+        onEndGame={handleEndGame}
+        practiceMode={practiceMode}
+        onTogglePracticeMode={onTogglePracticeMode}
+        matchTarget={match ? match.targetScore : null}
+        onChangeMatchTarget={onChangeMatchTarget}
+        playerSetupLabel={playerSetupLabel}
+        onChangePlayerSetup={onChangePlayerSetup}
+        rulesetName={rulesetName}
+        onChangeRuleset={onChangeRuleset}
+        vsComputer={vsComputer}
+        handOffScreen={handOffScreen}
+        onToggleHandOffScreen={onToggleHandOffScreen}
+        clockLabel={transport ? null : clockLabel}
+        onChangeClock={onChangeClock}
+        timeoutPolicyLabel={transport ? null : timeoutPolicyLabel}
+        onChangeTimeoutPolicy={onChangeTimeoutPolicy}
+        onToggleComputerOpponent={onToggleComputerOpponent}
+        computerDifficulty={computerDifficulty}
+        onChangeComputerDifficulty={onChangeComputerDifficulty}
+        onUndo={undo}
+        onRedo={redo}
+        canUndo={canUndo}
+        canRedo={canRedo}
+        onShareGameCode={transport ? undefined : handleShareGameCode}
+        onEnterGameCode={transport || !onLoadGame ? undefined : handleEnterGameCode}
+        onJoinGame={onJoinGame}
+        onWatchGame={onWatchGame}
+      />
       
       <View style={styles.gameContainer}>
-        <StatusSection round={gameState.round} />
+        <StatusSection round={gameState.round} dealer={getDealer(gameState)} match={match} />
+        {clockRemainingMs && (
+          <ClockSection
+            mode={gameState.clock.mode}
+            remainingMs={clockRemainingMs}
+            currentPlayer={gameState.currentPlayer}
+            running={isClockRunning}
+          />
+        )}
+        <HintSection hint={hint} onRequestHint={handleRequestHint} disabled={!canAskForHint} />
         
-        <View style={styles.mainGameArea}>
+        <View style={styles.mainGameArea} pointerEvents={isSpectator ? 'none' : 'auto'}>
           <TableCardsSection
-            tableCards={gameState.tableCards}
+            tableCards={visibleState.tableCards}
             onDropOnCard={handleDropOnCard}
             currentPlayer={gameState.currentPlayer}
             onCancelStack={handleCancelStagingStackAction}
@@ -276,32 +538,50 @@ function GameBoard({ onRestart }) {
             onDragEnd={handleDragEnd}
             onDragMove={handleDragMove}
             isDragging={isDragging}
+            highlightedIds={hint ? hint.targetIds : undefined}
           />
           
-          <OpponentCapturedSection 
-            playerCaptures={gameState.playerCaptures} 
-            currentPlayer={gameState.currentPlayer}
-            onDragStart={handleDragStart}
-            onDragEnd={handleDragEnd}
-            onDragMove={handleDragMove}
-          />
+          <View style={styles.opponentCapturedColumn}>
+            {(isSpectator ? gameState.playerHands.map((hand, player) => player) : getOpponents(gameState, viewingPlayer)).map(opponentIndex => (
+              <OpponentCapturedSection
+                key={opponentIndex}
+                playerCaptures={visibleState.playerCaptures}
+                opponentIndex={opponentIndex}
+                currentPlayer={gameState.currentPlayer}
+                onDragStart={handleDragStart}
+                onDragEnd={handleDragEnd}
+                onDragMove={handleDragMove}
+              />
+            ))}
+          </View>
         </View>
         
         {/* Active Player Indicator */}
-        <View style={[styles.activePlayerIndicator, { backgroundColor: gameState.currentPlayer === 0 ? '#FF5722' : '#2196F3' }]}>
+        <View style={[styles.activePlayerIndicator, { backgroundColor: PLAYER_COLORS[gameState.currentPlayer] }]}>
           <Text style={styles.activePlayerText}>
             P{gameState.currentPlayer + 1}
           </Text>
         </View>
         
-        <PlayerHandsSection
-          playerHands={gameState.playerHands}
-          currentPlayer={gameState.currentPlayer}
-          onDragStart={handleDragStart}
-          onDragEnd={handleDragEnd}
-          onDragMove={handleDragMove}
-          playerCaptures={gameState.playerCaptures}
-        />
+        {isSpectator ? (
+          <SpectatorHandsSection
+            playerHands={visibleState.playerHands}
+            handCounts={visibleState.playerHands.map((hand, player) => getHandCount(visibleState, player))}
+            currentPlayer={gameState.currentPlayer}
+          />
+        ) : (
+          <PlayerHandsSection
+            playerHands={visibleState.playerHands}
+            currentPlayer={gameState.currentPlayer}
+            viewingPlayer={viewingPlayer}
+            hidden={isHandHidden}
+            highlightedCardId={hint ? hint.handCardId : null}
+            onDragStart={handleDragStart}
+            onDragEnd={handleDragEnd}
+            onDragMove={handleDragMove}
+            playerCaptures={visibleState.playerCaptures}
+          />
+        )}
 
         {/* Drag indicator */}
 
@@ -315,8 +595,8 @@ function GameBoard({ onRestart }) {
 
         {showRoundTransition && (
           <View style={styles.roundTransition}>
-            <Text style={styles.roundTransitionTitle}>Round 2</Text>
-            <Text style={styles.roundTransitionText}>Table cards carried over from Round 1</Text>
+            <Text style={styles.roundTransitionTitle}>Round {gameState.round}</Text>
+            <Text style={styles.roundTransitionText}>Table cards carried over from Round {gameState.round - 1}</Text>
           </View>
         )}
 
@@ -324,10 +604,29 @@ function GameBoard({ onRestart }) {
           <GameOverSection
             winner={gameState.winner}
             scoreDetails={gameState.scoreDetails}
+            teams={gameState.teams}
+            forfeitedBy={gameState.forfeitedBy ?? null}
+            match={match}
+            onNextDeal={onNextDeal}
             onRestart={onRestart}
           />
         )}
 
+        <HandOffScreen
+          visible={isHandHidden}
+          player={gameState.currentPlayer}
+          color={PLAYER_COLORS[gameState.currentPlayer]}
+          onReady={() => setHandOffPlayer(null)}
+        />
+
+        <GameCodeModal
+          visible={gameCode.mode !== null}
+          code={gameCode.mode === 'export' ? exportGameCode(gameState) : null}
+          error={gameCode.error}
+          onImport={handleImportGameCode}
+          onClose={() => setGameCode({ mode: null, error: null })}
+        />
+
         <ErrorModal
           visible={errorModal.visible}
           title={errorModal.title}
@@ -359,6 +658,17 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#FFFFFF',
   },
+  clockSection: {
+    paddingVertical: 4,
+    alignItems: 'center',
+    backgroundColor: '#1B5E20',
+  },
+  clockText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#FFD700',
+    fontVariant: ['tabular-nums'],
+  },
   mainGameArea: {
     flex: 1,
     flexDirection: 'row',
@@ -369,6 +679,9 @@ const styles = StyleSheet.create({
     flex: 3,
     paddingRight: 8,
   },
+  opponentCapturedColumn: {
+    justifyContent: 'center',
+  },
   opponentCapturedList: {
     flex: 1,
     alignItems: 'center',
@@ -376,6 +689,34 @@ const styles = StyleSheet.create({
     maxWidth: 80,
     padding: 4,
   },
+  hintSection: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  hintButton: {
+    backgroundColor: '#FFC107',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  hintButtonDisabled: {
+    opacity: 0.5,
+  },
+  hintButtonText: {
+    color: '#000000',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  hintText: {
+    flexShrink: 1,
+    marginLeft: 8,
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontStyle: 'italic',
+  },
   activePlayerIndicator: {
     borderRadius: 12,
     paddingHorizontal: 8,
@@ -396,6 +737,30 @@ const styles = StyleSheet.create({
   playerHandArea: {
     flex: 1,
   },
+  hiddenHandText: {
+    flex: 1,
+    color: '#C8E6C9',
+    fontSize: 14,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  spectatorHandsSection: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    paddingVertical: 2,
+  },
+  spectatorHand: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+  },
+  spectatorHandLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginRight: 4,
+  },
   playerCapturedArea: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -519,6 +884,27 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     textAlign: 'center',
   },
+  matchScoreboard: {
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  matchScoreboardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    marginBottom: 5,
+  },
+  matchScoreRow: {
+    fontSize: 12,
+    color: '#FFFFFF',
+    marginBottom: 2,
+  },
+  matchScoreTotal: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+    marginTop: 5,
+  },
   playAgainButton: {
     backgroundColor: '#4CAF50',
     paddingHorizontal: 30,
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, Share, StyleSheet } from 'react-native';
+
+// Shows the current game's code to send to another device, or takes a code that was received.
+// With a code, the modal shares it; without one, it asks for a code and passes it to onImport.
+const GameCodeModal = ({ visible, code = null, error = null, onImport, onClose }) => {
+  const [input, setInput] = useState('');
+
+  // Start with an empty box each time the modal opens
+  useEffect(() => {
+    if (visible) setInput('');
+  }, [visible]);
+
+  const handleShare = () => {
+    Share.share({ message: code }).catch(shareError => console.warn('Failed to share game code:', shareError));
+  };
+
+  const isExport = code !== null;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.modalContainer}>
+          <Text style={styles.title}>{isExport ? 'Game Code' : 'Continue a Game'}</Text>
+          <Text style={styles.message}>
+            {isExport
+              ? 'Send this code to the next player. Pasting it in their app continues the game.'
+              : 'Paste the game code you were sent.'}
+          </Text>
+          <TextInput
+            style={styles.codeInput}
+            value={isExport ? code : input}
+            onChangeText={isExport ? undefined : setInput}
+            editable={!isExport}
+            selectTextOnFocus={true}
+            multiline={true}
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder="casino1..."
+            placeholderTextColor="#9fbfa5"
+          />
+          {error && <Text style={styles.error}>{error}</Text>}
+          <TouchableOpacity
+            style={styles.button}
+            onPress={isExport ? handleShare : () => onImport(input)}
+            activeOpacity={0.8}
+            disabled={!isExport && input.trim() === ''}
+          >
+            <Text style={styles.buttonText}>{isExport ? 'Share' : 'Continue Game'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={onClose}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.buttonText, styles.secondaryButtonText]}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#2d5736', // Casino green background
+    borderRadius: 15,
+    borderWidth: 2,
+    borderColor: '#ffd700', // Gold border
+    padding: 20,
+    minWidth: 280,
+    maxWidth: 420,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.3,
+    shadowRadius: 5,
+    elevation: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#ffd700', // Gold text
+    textAlign: 'center',
+    marginBottom: 12,
+    textShadowColor: '#000',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  message: {
+    fontSize: 14,
+    color: '#ffffff',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  codeInput: {
+    backgroundColor: '#1e3d25',
+    borderRadius: 8,
+    color: '#ffffff',
+    fontFamily: 'monospace',
+    fontSize: 12,
+    maxHeight: 90,
+    padding: 8,
+    marginBottom: 12,
+  },
+  error: {
+    fontSize: 14,
+    color: '#ff8a80',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  button: {
+    backgroundColor: '#ffd700', // Gold button
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    alignSelf: 'stretch',
+    marginBottom: 10,
+  },
+  secondaryButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#ffd700',
+    marginBottom: 0,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2d5736', // Dark green text
+    textAlign: 'center',
+  },
+  secondaryButtonText: {
+    color: '#ffd700',
+  },
+});
+
+export default GameCodeModal;
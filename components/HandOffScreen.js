@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet } from 'react-native';
+
+// Shown between turns in pass-and-play, while the board keeps the new player's hand hidden
+const HandOffScreen = ({ visible, player, color = '#ffd700', onReady }) => (
+  <Modal
+    visible={visible}
+    transparent={true}
+    animationType="fade"
+    onRequestClose={onReady}
+  >
+    <TouchableOpacity style={styles.overlay} onPress={onReady} activeOpacity={1}>
+      <View style={[styles.modalContainer, { borderColor: color }]}>
+        <Text style={styles.title}>Pass to Player {player + 1}</Text>
+        <Text style={styles.message}>Tap when ready</Text>
+      </View>
+    </TouchableOpacity>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#2d5736', // Casino green background
+    borderRadius: 15,
+    borderWidth: 2,
+    paddingVertical: 24,
+    paddingHorizontal: 32,
+    minWidth: 280,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.3,
+    shadowRadius: 5,
+    elevation: 8,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#ffd700', // Gold text
+    textAlign: 'center',
+    marginBottom: 8,
+    textShadowColor: '#000',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  message: {
+    fontSize: 16,
+    color: '#ffffff',
+    textAlign: 'center',
+  },
+});
+
+export default HandOffScreen;
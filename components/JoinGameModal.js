@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, StyleSheet } from 'react-native';
+
+// Asks for the address of a device hosting a game (server/start.js prints it) and passes it to
+// onConnect. The address is kept between openings, since players usually rejoin the same host.
+// With the role 'spectator' the game is only watched.
+const JoinGameModal = ({ visible, role = 'player', connecting = false, error = null, onConnect, onClose }) => {
+  const [address, setAddress] = useState('');
+  const isSpectator = role === 'spectator';
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.modalContainer}>
+          <Text style={styles.title}>{isSpectator ? 'Watch a Game' : 'Join a Game'}</Text>
+          <Text style={styles.message}>Enter the address the host shows. Both devices must be on the same network.</Text>
+          <TextInput
+            style={styles.addressInput}
+            value={address}
+            onChangeText={setAddress}
+            editable={!connecting}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            placeholder="192.168.1.20:8787"
+            placeholderTextColor="#9fbfa5"
+          />
+          {error && <Text style={styles.error}>{error}</Text>}
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => onConnect(address)}
+            activeOpacity={0.8}
+            disabled={connecting || address.trim() === ''}
+          >
+            <Text style={styles.buttonText}>{connecting ? 'Connecting...' : isSpectator ? 'Watch' : 'Join Game'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={onClose}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.buttonText, styles.secondaryButtonText]}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#2d5736', // Casino green background
+    borderRadius: 15,
+    borderWidth: 2,
+    borderColor: '#ffd700', // Gold border
+    padding: 20,
+    minWidth: 280,
+    maxWidth: 420,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.3,
+    shadowRadius: 5,
+    elevation: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#ffd700', // Gold text
+    textAlign: 'center',
+    marginBottom: 12,
+    textShadowColor: '#000',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  message: {
+    fontSize: 14,
+    color: '#ffffff',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  addressInput: {
+    backgroundColor: '#1e3d25',
+    borderRadius: 8,
+    color: '#ffffff',
+    fontFamily: 'monospace',
+    fontSize: 16,
+    padding: 8,
+    marginBottom: 12,
+  },
+  error: {
+    fontSize: 14,
+    color: '#ff8a80',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  button: {
+    backgroundColor: '#ffd700', // Gold button
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    alignSelf: 'stretch',
+    marginBottom: 10,
+  },
+  secondaryButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#ffd700',
+    marginBottom: 0,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2d5736', // Dark green text
+    textAlign: 'center',
+  },
+  secondaryButtonText: {
+    color: '#ffd700',
+  },
+});
+
+export default JoinGameModal;
@@ -9,7 +9,8 @@ const PlayerHand = memo(({
   onDragStart,
   onDragEnd,
   onDragMove,
-  currentPlayer
+  currentPlayer,
+  highlightedCardId = null
 }) => {
   return (
     <View style={styles.playerHand}>
@@ -25,6 +26,7 @@ const PlayerHand = memo(({
             draggable={isCurrent}
             size="normal"
             currentPlayer={currentPlayer}
+            highlighted={`${card.rank}-${card.suit}` === highlightedCardId}
           />
         );
       })}
@@ -0,0 +1,110 @@
+import React from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet } from 'react-native';
+
+const ResumeGamePrompt = ({ visible, savedGame, savedMatch, onResume, onNewGame }) => {
+  const gameDetails = savedGame
+    ? `Round ${savedGame.round} · Player ${savedGame.currentPlayer + 1} to play${savedGame.practiceMode ? ' · Practice' : ''}`
+    : 'Between deals';
+  const matchDetails = savedMatch
+    ? `\nMatch to ${savedMatch.targetScore}: ${savedMatch.scores.join(' – ')}`
+    : '';
+  const details = `${gameDetails}${matchDetails}`;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onNewGame}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.modalContainer}>
+          <Text style={styles.title}>{savedGame ? 'Game in Progress' : 'Match in Progress'}</Text>
+          <Text style={styles.message}>{details}</Text>
+          <TouchableOpacity
+            style={styles.button}
+            onPress={onResume}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.buttonText}>Resume Game</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={onNewGame}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.buttonText, styles.secondaryButtonText]}>New Game</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    backgroundColor: '#2d5736', // Casino green background
+    borderRadius: 15,
+    borderWidth: 2,
+    borderColor: '#ffd700', // Gold border
+    padding: 20,
+    minWidth: 280,
+    maxWidth: 350,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.3,
+    shadowRadius: 5,
+    elevation: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#ffd700', // Gold text
+    textAlign: 'center',
+    marginBottom: 12,
+    textShadowColor: '#000',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  message: {
+    fontSize: 16,
+    color: '#ffffff',
+    textAlign: 'center',
+    marginBottom: 20,
+    lineHeight: 22,
+  },
+  button: {
+    backgroundColor: '#ffd700', // Gold button
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    alignSelf: 'stretch',
+    marginBottom: 10,
+  },
+  secondaryButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#ffd700',
+    marginBottom: 0,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2d5736', // Dark green text
+    textAlign: 'center',
+  },
+  secondaryButtonText: {
+    color: '#ffd700',
+  },
+});
+
+export default ResumeGamePrompt;
@@ -4,14 +4,14 @@ import Card from './Card';
 import CardStack from './CardStack';
 import { calculateCardSum, rankValue } from '../game-logic/card-operations.js';
 
-const BuildStack = memo(({ build, onDropStack, onCardPress = () => {} }) => {
+const BuildStack = memo(({ build, onDropStack, onCardPress = () => {}, highlighted = false }) => {
   const memoizedOnDropStack = useCallback(
     (draggedItem) => onDropStack(draggedItem, { type: 'build', buildId: build.buildId }),
     [onDropStack, build.buildId]
   );
 
   return (
-    <View style={styles.build}>
+    <View style={[styles.build, highlighted && styles.highlighted]}>
       <CardStack
         stackId={build.buildId}
         cards={build.cards}
@@ -35,7 +35,8 @@ const TempStack = memo(({
   onCardPress = () => {},
   onDragStart,
   onDragEnd,
-  onDragMove
+  onDragMove,
+  highlighted = false
 }) => {
   const memoizedOnDropStack = (draggedItem) => 
     onDropOnCard(draggedItem, { type: 'temporary_stack', stackId: stack.stackId });
@@ -49,7 +50,7 @@ const TempStack = memo(({
     : calculateCardSum(stack.cards); // SUM MODE: show sum (9 for [3,6])
 
   return (
-    <View style={styles.build}>
+    <View style={[styles.build, highlighted && styles.highlighted]}>
       <TouchableOpacity 
         style={styles.cancelStackButton} 
         onPress={() => onCancelStack(stack)}
@@ -82,9 +83,9 @@ const TempStack = memo(({
   );
 });
 
-const LooseCard = ({ card, onDropOnCard, currentPlayer, onCardPress = () => {}, onDragStart, onDragEnd, onDragMove }) => {
+const LooseCard = ({ card, onDropOnCard, currentPlayer, onCardPress = () => {}, onDragStart, onDragEnd, onDragMove, highlighted = false }) => {
   return (
-    <View style={styles.looseCardContainer}>
+    <View style={[styles.looseCardContainer, highlighted && styles.highlighted]}>
       <CardStack
         stackId={`loose-stack-${card.rank}-${card.suit}`}
         cards={[card]}
@@ -112,7 +113,9 @@ const TableCards = ({
   onDragStart,
   onDragEnd,
   onDragMove,
-  isDragging = false
+  isDragging = false,
+  // Ids of the items a hint points at
+  highlightedIds = []
 }) => {
   const memoizedOnDropOnCard = useCallback(onDropOnCard, [onDropOnCard]);
 
@@ -133,6 +136,7 @@ const TableCards = ({
                   build={item} 
                   onDropStack={memoizedOnDropOnCard}
                   onCardPress={onCardPress}
+                  highlighted={highlightedIds.includes(item.buildId)}
                 />
               );
             }
@@ -149,6 +153,7 @@ const TableCards = ({
                   onDragStart={onDragStart}
                   onDragEnd={onDragEnd}
                   onDragMove={onDragMove}
+                  highlighted={highlightedIds.includes(item.stackId)}
                 />
               );
             }
@@ -163,6 +168,7 @@ const TableCards = ({
                 onDragStart={onDragStart}
                 onDragEnd={onDragEnd}
                 onDragMove={onDragMove}
+                highlighted={highlightedIds.includes(`${item.rank}-${item.suit}`)}
               />
             );
           })
@@ -269,6 +275,11 @@ const styles = StyleSheet.create({
   looseCardContainer: {
     margin: 4,
   },
+  highlighted: {
+    borderRadius: 10,
+    borderWidth: 3,
+    borderColor: '#FFC107',
+  },
 });
 
 export default memo(TableCards);
\ No newline at end of file
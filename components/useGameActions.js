@@ -1,33 +1,28 @@
-import { useState, useCallback, useEffect } from 'react';
-import { getErrorInfo } from '../utils/errorMapping';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import { getErrorInfo, DEFAULT_LOCALE } from '../utils/errorMapping';
 import { hasAnyContact } from '../utils/simpleContactDetection';
+import { saveGame, clearSavedGame } from '../utils/gameStorage';
 import {
   initializeGame,
-  updateGameState,
-  handleBuild,
-  handleCapture,
-  handleTrail,
-  handleBaseBuild,
-  handleAddToOpponentBuild,
-  startNextRound,
-  handleSweep,
-  calculateScores,
-  endGame,
-  handleAddToOwnBuild,
-  handleCreateBuildFromStack,
-  handleCreateStagingStack,
-  handleReinforceBuildWithStack,
-  handleAddToStagingStack,
-  handleDisbandStagingStack,
-  handleCancelStagingStack,
-  handleMergeIntoOwnBuild,
-  handleStageOpponentCard,
-  handleExtendToMerge,
-  handleReinforceOpponentBuildWithStack,
-  handleFinalizeStagingStack,
-  handleCreateBuildWithValue,
-  handleStageSingleCardFromHand,
-  handleFinalizeTrail
+  applyMove,
+  performMove,
+  MOVE_TYPES,
+  ERROR_CODES,
+  getStateVersion,
+  getRemainingTime,
+  chargeClock,
+  findCurrentTurnStart,
+  canUndo,
+  canRedo,
+  undoTurn,
+  redoTurn,
+  getOpponentPileIndex,
+  getRuleset,
+  getDealer,
+  canOwnAnotherBuild,
+  chooseBotMove,
+  DEFAULT_TIME_BUDGET_MS
 } from '../game-logic/index.js';
 
 import { 
@@ -55,9 +50,10 @@ import {
 import { analyzeCardStack, validateNewCardAddition, getCandidateTargetValues, validateComboSorting } from '../game-logic/combo-analyzer';
 
 // Mobile notification functions using custom ErrorModal
-const useNotifications = (setErrorModal) => ({
-  showError: (message) => {
-    const errorInfo = getErrorInfo(message);
+// Errors are shown from their code, in the player's locale
+const useNotifications = (setErrorModal, locale) => ({
+  showError: (code, params) => {
+    const errorInfo = getErrorInfo({ code, params }, locale);
     setErrorModal({
       visible: true,
       title: errorInfo.title,
@@ -80,81 +76,240 @@ const useNotifications = (setErrorModal) => ({
   },
 });
 
-export const useGameActions = () => {
-  const [gameState, setGameState] = useState(initializeGame());
+// Pause before the computer plays so the human can follow its move
+const COMPUTER_MOVE_DELAY = 1200;
+const NO_COMPUTER_PLAYERS = [];
+
+// How often a running clock is brought up to date
+const CLOCK_TICK_MS = 1000;
+
+// A transport (utils/gameClient.js) plays the game hosted on another device: moves are checked
+// here for quick feedback, then sent to the host, whose states replace the local one; a move
+// the host refuses is taken back
+export const useGameActions = ({ gameOptions = {}, initialState = null, storage = null, computerPlayers = NO_COMPUTER_PLAYERS, computerDifficulty = 'medium', locale = DEFAULT_LOCALE, transport = null, clockPaused = false } = {}) => {
+  const [gameState, setGameState] = useState(() => initialState || (transport && transport.getState()) || initializeGame(gameOptions));
   const [modalInfo, setModalInfo] = useState(null);
   const [errorModal, setErrorModal] = useState({ visible: false, title: '', message: '' });
-  const { showError, showWarning, showInfo } = useNotifications(setErrorModal);
+  const { showError, showWarning, showInfo } = useNotifications(setErrorModal, locale);
+
+  const isComputerTurn = useCallback(
+    (state) => computerPlayers.includes(state.currentPlayer),
+    [computerPlayers]
+  );
+
+  // The version of the last state that came from the host or that a move was sent from;
+  // moves committed after it still have to be sent
+  const sentVersionRef = useRef(getStateVersion(gameState));
+
+  // Follow the host's states and show the moves it refuses. The transport has already
+  // dropped any state older than the last one, and catches up after reconnecting.
+  useEffect(() => {
+    if (!transport) return;
+
+    const stopListening = transport.subscribe(message => {
+      if (message.type === 'state' || message.type === 'moves') {
+        sentVersionRef.current = getStateVersion(message.state);
+        setGameState(message.state);
+      }
+      if (message.type === 'error') {
+        showError(message.error.code, message.error.params);
+        // The refused move was already shown here: go back to the last state the host sent
+        const hostState = transport.getState();
+        if (hostState) {
+          sentVersionRef.current = getStateVersion(hostState);
+          setGameState(hostState);
+        }
+      }
+    });
+    // A locked phone loses its connection; rejoin when the app is back in front
+    const appState = AppState.addEventListener('change', next => {
+      if (next === 'active') transport.reconnect();
+    });
+    return () => {
+      stopListening();
+      appState.remove();
+    };
+  }, [transport]);
+
+  // Persist the game after every committed move so it can be resumed after a restart.
+  // Finished games are cleared so there is nothing to resume; the host keeps networked games.
+  useEffect(() => {
+    if (!storage || transport) return;
+
+    const persist = gameState.gameOver ? clearSavedGame(storage) : saveGame(storage, gameState);
+    persist.catch(error => console.warn('Failed to save game:', error));
+  }, [gameState, storage]);
 
   // Effect to handle end of round and end of game
   useEffect(() => {
     const { playerHands, deck, gameOver, round } = gameState;
 
-    // Don't run if game is already over
-    if (gameOver) return;
+    // Don't run if game is already over, or if the host deals the rounds
+    if (gameOver || transport) return;
 
-    // Condition for end of a round: both hands are empty
-    if (playerHands[0].length === 0 && playerHands[1].length === 0) {
+    // Condition for end of a round: every hand is empty
+    if (playerHands.every(hand => hand.length === 0)) {
       // Use a timeout to allow players to see the final board state
       const timer = setTimeout(() => {
         setGameState(currentState => {
           // Re-check to prevent race conditions
-          if (currentState.gameOver || (currentState.playerHands[0].length !== 0 || currentState.playerHands[1].length !== 0)) {
+          if (currentState.gameOver || currentState.playerHands.some(hand => hand.length !== 0)) {
             return currentState;
           }
 
-          // After round 1, start round 2
-          if (currentState.round === 1) {
-            showInfo("Round 1 over. Starting Round 2!");
-            return startNextRound(currentState);
+          // While cards are left in the deck, deal the next round
+          if (currentState.deck.length > 0) {
+            showInfo(`Round ${currentState.round} over. Starting Round ${currentState.round + 1}!`);
+            return applyMove(currentState, { type: MOVE_TYPES.START_NEXT_ROUND });
           }
-          // After round 2, end the game
-          else if (currentState.round === 2) {
-            let finalState = { ...currentState };
-            // Sweep remaining cards if any
-            if (finalState.tableCards.length > 0 && finalState.lastCapturer !== null) {
-              showInfo(`Player ${finalState.lastCapturer + 1} sweeps the table.`);
-              finalState = handleSweep(finalState);
+          // After the last round, end the game (remaining cards are swept to the last capturer, or the dealer)
+          else {
+            if (currentState.tableCards.length > 0) {
+              const receiver = currentState.lastCapturer ?? getDealer(currentState);
+              showInfo(`Player ${receiver + 1} sweeps the table.`);
             }
             showInfo("Game over! Tallying points...");
-            return endGame(finalState);
+            return applyMove(currentState, { type: MOVE_TYPES.END_GAME });
           }
         });
       }, 2000); // 2-second delay
 
       return () => clearTimeout(timer); // Cleanup timer on unmount or re-render
     }
-  }, [gameState, showInfo]);
+  }, [gameState, showInfo, transport]);
+
+  // Effect to let the computer play its turn, through the same moves as a human
+  useEffect(() => {
+    const { gameOver, playerHands, currentPlayer } = gameState;
+    if (gameOver || !isComputerTurn(gameState) || playerHands[currentPlayer].length === 0) return;
+
+    // A hard bot spends part of the delay thinking
+    const delay = computerDifficulty === 'hard' ? Math.max(0, COMPUTER_MOVE_DELAY - DEFAULT_TIME_BUDGET_MS) : COMPUTER_MOVE_DELAY;
+    const timer = setTimeout(() => {
+      // The search runs outside the state updater, which React may call more than once
+      const move = chooseBotMove(gameState, { difficulty: computerDifficulty });
+      if (!move) return;
+
+      // Only play the move if nothing changed while the bot was thinking
+      setGameState(currentState => (currentState === gameState ? applyMove(currentState, move) : currentState));
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [gameState, isComputerTurn, computerDifficulty]);
+
+  // Turn clock. The time used in the turn in progress is kept here rather than in the game state,
+  // so the ticking neither saves the game nor restarts the computer's move every second; it is
+  // charged to the player once the turn passes. Networked games are played without the clock.
+  const hasClock = Boolean(gameState.clock) && !transport;
+  const isRoundTransition = gameState.playerHands.every(hand => hand.length === 0);
+  const isClockRunning = hasClock && !gameState.gameOver && !clockPaused && !modalInfo && !errorModal.visible && !isRoundTransition;
+  // A turn is told apart by where it starts in the history, which staging a card or taking it back
+  // leaves alone; it moves on once the turn passes, even if the same player moves next
+  const turnKey = `${gameState.currentPlayer}/${findCurrentTurnStart(gameState)}`;
+  const [turnElapsedMs, setTurnElapsedMs] = useState(0);
+  const turnElapsedRef = useRef(0);
+  const clockTurnRef = useRef({ key: turnKey, player: gameState.currentPlayer });
+
+  // The turn passed: charge the time used to the player who had it and start the next turn
+  useEffect(() => {
+    const { key, player } = clockTurnRef.current;
+    if (key === turnKey) return;
+    clockTurnRef.current = { key: turnKey, player: gameState.currentPlayer };
+    const used = turnElapsedRef.current;
+    turnElapsedRef.current = 0;
+    setTurnElapsedMs(0);
+    if (hasClock && used > 0) setGameState(currentState => chargeClock(currentState, player, used));
+  }, [turnKey]);
+
+  // Count the time while the clock runs; a pause keeps the time counted up to it
+  useEffect(() => {
+    if (!isClockRunning) return;
+
+    let lastTick = Date.now();
+    const tick = () => {
+      const now = Date.now();
+      turnElapsedRef.current += now - lastTick;
+      lastTick = now;
+      setTurnElapsedMs(turnElapsedRef.current);
+    };
+    const timer = setInterval(tick, CLOCK_TICK_MS);
+    return () => {
+      clearInterval(timer);
+      tick();
+    };
+  }, [isClockRunning, turnKey]);
+
+  // Out of time: the clock's policy plays the turn
+  const isOutOfTime = hasClock && getRemainingTime(gameState, gameState.currentPlayer, turnElapsedMs) === 0;
+  useEffect(() => {
+    if (!isClockRunning || !isOutOfTime) return;
+
+    const player = gameState.currentPlayer;
+    const elapsedMs = turnElapsedRef.current;
+    showInfo(`Player ${player + 1} ran out of time.`);
+    setGameState(currentState => (
+      currentState.currentPlayer === player && !currentState.gameOver
+        ? applyMove(currentState, { type: MOVE_TYPES.TIMEOUT, elapsedMs })
+        : currentState
+    ));
+  }, [isClockRunning, isOutOfTime, turnKey]);
+
+  // Applies a player's move, explaining why if the engine refuses it.
+  // In a hosted game the move is then sent to the host, which has the final say.
+  const commitMove = useCallback((currentGameState, move) => {
+    if (transport && transport.role === 'spectator') {
+      showError(ERROR_CODES.SPECTATORS_CANNOT_PLAY);
+      return currentGameState;
+    }
+    if (transport && transport.player !== currentGameState.currentPlayer) {
+      showError(ERROR_CODES.NOT_YOUR_TURN);
+      return currentGameState;
+    }
+    const result = performMove(currentGameState, move);
+    if (!result.ok) showError(result.error.code, result.error.params);
+    return result.state;
+  }, [showError, transport]);
+
+  // Send the moves this player committed to the host. This runs once the state has changed,
+  // not in the state updaters, which React may call more than once for the same move.
+  useEffect(() => {
+    if (!transport || transport.role === 'spectator') return;
+
+    (gameState.history || [])
+      .filter(entry => entry.version > sentVersionRef.current && entry.player === transport.player)
+      .forEach(entry => transport.sendMove(entry.move, entry.version - 1));
+    sentVersionRef.current = Math.max(sentVersionRef.current, getStateVersion(gameState));
+  }, [gameState, transport]);
 
   const handleTrailCard = useCallback((card, player, dropPosition = null) => {
     setGameState(currentGameState => {
-      if (player !== currentGameState.currentPlayer) {
-        showError("It's not your turn!");
+      if (player !== currentGameState.currentPlayer || isComputerTurn(currentGameState)) {
+        showError(ERROR_CODES.NOT_YOUR_TURN);
         return currentGameState;
       }
 
       const { tableCards, round, currentPlayer, playerHands } = currentGameState;
 
-      // In Round 2, trailing a card creates a temporary stack instead.
-      if (round === 2) {
+      // After the first round, trailing a card creates a temporary stack instead.
+      if (round > 1) {
         const playerAlreadyHasTempStack = tableCards.some(
           s => s.type === 'temporary_stack' && s.owner === currentPlayer
         );
         if (playerAlreadyHasTempStack) {
-          showError("You can only have one staging stack at a time.");
+          showError(ERROR_CODES.ONE_STAGING_STACK);
           return currentGameState;
         }
-        return handleStageSingleCardFromHand(currentGameState, card);
+        return commitMove(currentGameState, { type: MOVE_TYPES.STAGE_SINGLE_CARD, cardId: getCardId(card) });
       }
 
       // Contact detection is now handled by the drop zone system in DraggableCard/CardStack
       // No need for manual contact detection here
 
       // No contact - proceed with trail validation
-      const validation = validateTrail(tableCards, card, player, round);
+      const validation = validateTrail(tableCards, card, player, round, getRuleset(currentGameState), playerHands[player]);
 
       if (!validation.valid) {
-        showError(validation.message);
+        showError(validation.code, validation.params);
         return currentGameState;
       }
 
@@ -169,7 +324,7 @@ export const useGameActions = () => {
           {
             type: 'confirm_trail',
             label: 'Yes, Trail Card',
-            payload: { card, currentPlayer }
+            payload: { type: MOVE_TYPES.TRAIL, cardId: getCardId(card) }
           },
           {
             type: 'cancel_trail', 
@@ -182,13 +337,13 @@ export const useGameActions = () => {
       setModalInfo(confirmationModalInfo);
       return currentGameState; // Don't trail yet, wait for confirmation
     });
-  }, [showError]);
+  }, [showError, commitMove]);
 
-  // Helper function to create action options for modal
-  const createActionOption = (type, label, payload) => ({
-    type,
+  // Helper function to create action options for modal. The payload is the move to apply.
+  const createActionOption = (label, move) => ({
+    type: move.type,
     label,
-    payload
+    payload: move
   });
 
   // Helper function to check if player can create a build
@@ -200,61 +355,13 @@ export const useGameActions = () => {
   };
 
   // Centralized helper to execute actions and update state.
+  // Every action carries a serializable move as its payload; actions without one
+  // (e.g. cancel_trail) just close the modal.
   // Wrapped in useCallback to be stable and prevent re-renders of dependent hooks.
   const executeAction = useCallback((currentGameState, action) => {
-    if (!action) return currentGameState;
-    // Special case for end_game which doesn't need payload
-    if (action.type === 'end_game') {
-      // Handle end game immediately without payload requirements
-      console.log('Manual game end triggered');
-      let finalState = { ...currentGameState };
-      
-      // If there are cards on the table and someone captured last, sweep them first
-      if (finalState.tableCards.length > 0 && finalState.lastCapturer !== null) {
-        console.log(`Sweeping remaining ${finalState.tableCards.length} table cards to player ${finalState.lastCapturer + 1}`);
-        finalState = handleSweep(finalState);
-      }
-      
-      return endGame(finalState);
-    }
-    
-    if (!action.payload) return currentGameState;
-    const { draggedItem } = action.payload;
-
-    switch (action.type) {
-      case 'capture':
-        return handleCapture(currentGameState, draggedItem, [action.payload.targetCard]);
-      case 'build':
-        return handleBuild(
-          currentGameState,
-          draggedItem,
-          [action.payload.targetCard],
-          action.payload.buildValue,
-          action.payload.biggerCard,
-          action.payload.smallerCard
-        );
-      case 'baseBuild':
-        return handleBaseBuild(currentGameState, draggedItem, action.payload.baseCard, action.payload.otherCardsInBuild);
-      case 'addToOpponentBuild':
-        return handleAddToOpponentBuild(currentGameState, draggedItem, action.payload.buildToAddTo);
-      case 'addToOwnBuild':
-        return handleAddToOwnBuild(currentGameState, draggedItem, action.payload.buildToAddTo);
-      case 'createBuildFromStack':
-        return handleCreateBuildFromStack(currentGameState, draggedItem, action.payload.stackToBuildFrom);
-      case 'extendToMerge':
-        return handleExtendToMerge(currentGameState, draggedItem.card, action.payload.opponentBuild, action.payload.ownBuild);
-      case 'createBuildWithValue':
-        return handleCreateBuildWithValue(currentGameState, action.payload.stack, action.payload.buildValue);
-      case 'confirm_trail':
-        // Execute the trail action after confirmation
-        return handleTrail(currentGameState, action.payload.card);
-      case 'cancel_trail':
-        // Do nothing, just close modal
-        return currentGameState;
-      default:
-        return currentGameState;
-    }
-  }, []);
+    if (!action || !action.payload) return currentGameState;
+    return commitMove(currentGameState, action.payload);
+  }, [commitMove]);
 
   const handleModalAction = useCallback((action) => {
     setGameState(currentGameState => executeAction(currentGameState, action));
@@ -262,24 +369,22 @@ export const useGameActions = () => {
   }, [executeAction]);
 
   // Helper function to generate possible actions for loose card drops
-  const generatePossibleActions = (draggedItem, looseCard, playerHand, tableCards, playerCaptures, currentPlayer) => {
+  const generatePossibleActions = (draggedItem, looseCard, playerHand, tableCards, currentPlayer, ruleset) => {
     const actions = [];
     const { card: draggedCard } = draggedItem;
+    const cardId = getCardId(draggedCard);
+    const targetCardId = getCardId(looseCard);
     const remainingHand = playerHand.filter(c =>
       c.rank !== draggedCard.rank || c.suit !== draggedCard.suit
     );
 
-    const opponentIndex = 1 - currentPlayer;
-    const opponentCaptures = playerCaptures[opponentIndex] || [];
-
-    const canPlayerCreateBuild = !tableCards.some(c => c.type === 'build' && c.owner === currentPlayer);
+    const canPlayerCreateBuild = canOwnAnotherBuild(tableCards, currentPlayer, ruleset);
 
     // --- Possibility 1: Capture ---
     if (rankValue(draggedCard.rank) === rankValue(looseCard.rank)) {
       actions.push(createActionOption(
-        'capture',
         `Capture ${looseCard.rank}`,
-        { draggedItem, targetCard: looseCard }
+        { type: MOVE_TYPES.CAPTURE, cardId, targetIds: [targetCardId] }
       ));
     }
 
@@ -289,9 +394,8 @@ export const useGameActions = () => {
       const canCaptureBuild = remainingHand.some(c => rankValue(c.rank) === rankValue(draggedCard.rank));
       if (canCaptureBuild) {
         actions.push(createActionOption(
-          'build',
           `Build ${rankValue(draggedCard.rank)}`,
-          { draggedItem, targetCard: looseCard, buildValue: rankValue(draggedCard.rank) }
+          { type: MOVE_TYPES.BUILD, cardId, targetCardId, buildValue: rankValue(draggedCard.rank) }
         ));
       }
     }
@@ -299,22 +403,13 @@ export const useGameActions = () => {
     // --- Possibility 3: Sum Build ---
     if (canPlayerCreateBuild) {
       const sumBuildValue = rankValue(draggedCard.rank) + rankValue(looseCard.rank);
-      if (sumBuildValue <= 10) {
+      if (sumBuildValue <= ruleset.maxBuildValue) {
         // To create a sum build, you must have a card in hand matching the sum.
         const canCaptureSumBuild = remainingHand.some(c => rankValue(c.rank) === sumBuildValue);
         if (canCaptureSumBuild) {
-          const biggerCard = rankValue(draggedCard.rank) > rankValue(looseCard.rank) ? draggedCard : looseCard;
-          const smallerCard = rankValue(draggedCard.rank) > rankValue(looseCard.rank) ? looseCard : draggedCard;
           actions.push(createActionOption(
-            'build',
             `Build ${sumBuildValue}`,
-            {
-              draggedItem,
-              targetCard: looseCard,
-              buildValue: sumBuildValue,
-              biggerCard,
-              smallerCard
-            }
+            { type: MOVE_TYPES.BUILD, cardId, targetCardId, buildValue: sumBuildValue }
           ));
         }
       }
@@ -325,9 +420,8 @@ export const useGameActions = () => {
       const baseBuildCombinations = findBaseBuilds(draggedCard, looseCard, tableCards);
       baseBuildCombinations.forEach(combination => {
         actions.push(createActionOption(
-          'baseBuild',
           `Build ${rankValue(draggedCard.rank)} on ${looseCard.rank} with ${combination.map(c => c.rank).join('+')}`,
-          { draggedItem, baseCard: looseCard, otherCardsInBuild: combination }
+          { type: MOVE_TYPES.BASE_BUILD, cardId, baseCardId: targetCardId, otherCardIds: combination.map(getCardId) }
         ));
       });
     }
@@ -348,15 +442,15 @@ export const useGameActions = () => {
 
     // Get fresh game state for turn validation
     setGameState(currentGameState => {
-      const { currentPlayer, playerHands, tableCards, playerCaptures } = currentGameState;
+      const { currentPlayer, playerHands, tableCards } = currentGameState;
       // Handle different payload structures: regular cards vs temporary stacks
       const draggedCard = draggedItem.card; // May be undefined for temporary stacks
       const draggedSource = draggedItem.source;
 
 
-      if (draggedItem.player !== currentPlayer) {
+      if (draggedItem.player !== currentPlayer || isComputerTurn(currentGameState)) {
         console.error(`Drop turn validation failed - dragged player: ${draggedItem.player}, current player: ${currentPlayer}`);
-        showError("It's not your turn!");
+        showError(ERROR_CODES.NOT_YOUR_TURN);
         return currentGameState;
       }
 
@@ -365,202 +459,72 @@ export const useGameActions = () => {
       // Case A: A card is being used to create/add to a temporary stack
       // This can be a card from the table OR the opponent's capture pile.
       if (draggedSource === 'table' || draggedSource === 'opponentCapture' || draggedSource === 'captured') {
-        let newTableCards = tableCards;
-        let newPlayerCaptures = playerCaptures;
-        let cardRemoved = false;
-        let pendingOpponentCardRemoval = null;
+        const cardId = getCardId(draggedCard);
 
-        // Step 1: Remove the dragged card from its source
-        // FIXED: For opponent capture cards, defer removal until after successful temp stack creation
+        // Step 1: Check the dragged card is still at its source
         if (draggedSource === 'table') {
-          const originalLength = tableCards.length;
-          newTableCards = tableCards.filter(c => getCardId(c) !== getCardId(draggedCard));
-          cardRemoved = newTableCards.length < originalLength;
-          
-          if (!cardRemoved) {
-            showError("Could not find the dragged card's source to move it.");
+          if (!tableCards.some(c => !c.type && getCardId(c) === cardId)) {
+            showError(ERROR_CODES.CARD_NOT_FOUND, { cardId });
             return currentGameState;
           }
-        } else if (draggedSource === 'opponentCapture' || draggedSource === 'captured') {
-          // FIXED: Don't immediately remove - just validate and prepare for later removal
-          const opponentIndex = 1 - currentPlayer;
-          const opponentCaps = [...playerCaptures[opponentIndex]];
-          if (opponentCaps.length > 0) {
-            const lastGroup = [...opponentCaps[opponentCaps.length - 1]];
-            if (lastGroup.length > 0) {
-              // Store removal info for later, but don't modify captures yet
-              pendingOpponentCardRemoval = { opponentIndex, lastGroup, opponentCaps };
-              cardRemoved = true; // Mark as validated
-            }
-          }
-          if (!cardRemoved) {
-            showError("Could not find the dragged card in opponent's capture pile.");
+        } else {
+          if (getOpponentPileIndex(currentGameState, draggedCard) === -1) {
+            showError(ERROR_CODES.CARD_NOT_ON_OPPONENT_PILE, { cardId });
             return currentGameState;
           }
-        } else {
-          showError("Unknown card source for temp stack operation.");
-          return currentGameState;
         }
 
         // Step 2: Add the card to the target on the table
         // A.1: Dropped on a loose card to create a new stack
         if (targetInfo.type === 'loose') {
           const targetCard = tableCards.find(c => !c.type && getCardId(c) === targetInfo.cardId);
-          if (!targetCard) { showError("Target card for stack not found."); return currentGameState; }
-          if (getCardId(draggedCard) === getCardId(targetCard)) return currentGameState; // Prevent self-drop
+          if (!targetCard) { showError(ERROR_CODES.TARGET_NOT_FOUND); return currentGameState; }
+          if (cardId === getCardId(targetCard)) return currentGameState; // Prevent self-drop
 
           // CASINO RULE: Players can only have one temp build active at a time
-          const playerAlreadyHasTempStack = newTableCards.some(
+          const playerAlreadyHasTempStack = tableCards.some(
             s => s.type === 'temporary_stack' && s.owner === currentPlayer
           );
           if (playerAlreadyHasTempStack) {
-            showError("You can only have one staging stack at a time.");
+            showError(ERROR_CODES.ONE_STAGING_STACK);
             return currentGameState;
           }
 
-          // Find original index of the target card to preserve position
-          const targetIndex = tableCards.findIndex(c => getCardId(c) === getCardId(targetCard));
-
-          // Annotate cards with their source and preserve drag order
-          const annotatedTarget = { ...targetCard, source: 'table' };
-          const annotatedDragged = { ...draggedCard, source: draggedSource };
-
-          // SMART COMBO DETECTION for first drop
-          const initialCards = [annotatedTarget, annotatedDragged];
-          const initialAnalysis = analyzeCardStack(initialCards);
-          
           // Keep cards in original order - no auto-sorting
           // Player must arrange combos correctly (big→small within each combo)
-          const orderedCards = [annotatedTarget, annotatedDragged];
-          
+          const initialAnalysis = analyzeCardStack([targetCard, draggedCard]);
           if (initialAnalysis.completeCombos.length > 0) {
             console.log(`🎯 Combo detected: ${initialAnalysis.completeCombos[0].cards.map(c => c.rank).join('+')} = ${initialAnalysis.completeCombos[0].value}`);
           }
 
-          const newStack = {
-            stackId: `temp-${Date.now()}`,
-            type: 'temporary_stack',
-            cards: orderedCards,
-            owner: currentPlayer,
-          };
-
-          // FIXED: Apply opponent card removal now that temp stack creation was successful
-          if (pendingOpponentCardRemoval) {
-            const { opponentIndex, lastGroup, opponentCaps } = pendingOpponentCardRemoval;
-            const modifiedLastGroup = [...lastGroup];
-            modifiedLastGroup.pop(); // Remove the top card
-            if (modifiedLastGroup.length > 0) {
-              opponentCaps[opponentCaps.length - 1] = modifiedLastGroup;
-            } else {
-              opponentCaps.pop(); // Remove empty group
-            }
-            const updatedCaptures = [...playerCaptures];
-            updatedCaptures[opponentIndex] = opponentCaps;
-            newPlayerCaptures = updatedCaptures;
-          }
-
-          // Replace the target card with the new stack in the array that already had the dragged card removed.
-          const finalTableCards = [...newTableCards];
-          const insertionIndex = finalTableCards.findIndex(c => getCardId(c) === getCardId(targetCard));
-          if (insertionIndex !== -1) {
-            finalTableCards.splice(insertionIndex, 1, newStack);
-          } else {
-            finalTableCards.push(newStack); // Fallback
-          }
-          return { ...currentGameState, tableCards: finalTableCards, playerCaptures: newPlayerCaptures };
+          return commitMove(currentGameState, {
+            type: MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD,
+            cardId,
+            source: draggedSource,
+            targetCardId: targetInfo.cardId
+          });
         }
         // A.2: Dropped on an existing temporary stack to add to it
         if (targetInfo.type === 'temporary_stack') {
           const targetStack = tableCards.find(s => s.type === 'temporary_stack' && s.stackId === targetInfo.stackId);
-          if (!targetStack) { showError("Target stack not found."); return currentGameState; }
-          if (targetStack.owner !== currentPlayer) { showError("You cannot add to another player's temporary stack."); return currentGameState; }
-
-          // Handle if dragging another temporary stack onto this one
-          if (draggedSource === 'temporary_stack') {
-            const draggedStack = tableCards.find(s => s.type === 'temporary_stack' && s.stackId === draggedItem.stackId);
-            if (!draggedStack) { showError("Dragged stack not found."); return currentGameState; }
-
-            // Simple stack merging - no real-time validation
-            // Players can experiment freely, validation happens at tick button
-            const proposedCombined = [...targetStack.cards, ...draggedStack.cards];
-
-            // Combine the two temporary stacks without auto-sorting
-            // Player must ensure combos are correctly arranged
-            const combinedCards = proposedCombined;
-            const finalAnalysis = analyzeCardStack(combinedCards);
-            
-            if (finalAnalysis.completeCombos.length > 0) {
-              console.log(`🎯 Stack merge - Combo detected: ${finalAnalysis.completeCombos[0].cards.map(c => c.rank).join('+')} = ${finalAnalysis.completeCombos[0].value}`);
-            }
-            
-            const newCombinedStack = {
-              stackId: `temp-${Date.now()}`,
-              type: 'temporary_stack',
-              cards: combinedCards,
-              owner: currentPlayer,
-            };
-
-            // Remove both original stacks and add the combined stack
-            const finalTableCards = tableCards
-              .filter(c => c.stackId !== targetStack.stackId && c.stackId !== draggedStack.stackId)
-              .concat([newCombinedStack]);
-
-            return updateGameState(currentGameState, { tableCards: finalTableCards });
+          if (!targetStack) { showError(ERROR_CODES.STACK_NOT_FOUND); return currentGameState; }
+          if (targetStack.owner !== currentPlayer) { showError(ERROR_CODES.NOT_YOUR_STACK); return currentGameState; }
+
+          // Add card to stack without real-time validation
+          // Players can experiment freely, validation happens at tick button
+          const analysis = analyzeCardStack([...targetStack.cards, draggedCard]);
+          if (analysis.completeCombos.length > 0) {
+            console.log(`🎯 Combo detected: ${analysis.completeCombos[0].cards.map(c => c.rank).join('+')} = ${analysis.completeCombos[0].value}`);
           }
 
-          const stackIndex = newTableCards.findIndex(s => s.stackId === targetStack.stackId);
-          
-          // Check if the new card is equal-value to the stack sum (opponent capture rule)
-          const stackSum = calculateCardSum(targetStack.cards);
-          const draggedValue = rankValue(draggedCard.rank);
-          const isEqualValueCapture = draggedValue === stackSum && (draggedSource === 'captured' || draggedSource === 'opponentCapture');
-          
-          // SMART COMBO VALIDATION: Real-time analysis with combo detection
-          const currentStackAnalysis = analyzeCardStack(targetStack.cards);
-          const newCardToAdd = { ...draggedCard, source: draggedSource };
-          
-          if (isEqualValueCapture) {
-            // CASINO RULE: Equal-value captured cards go on TOP (player's choice)
-            // No validation needed for captures - just append
-            var newCards = [...targetStack.cards, newCardToAdd];
-          } else {
-            // Add card to stack without real-time validation
-            // Players can experiment freely, validation happens at tick button
-            var newCards = [...targetStack.cards, newCardToAdd];
-            
-            // Optional logging for combo detection (no validation)
-            const analysis = analyzeCardStack(newCards);
-            if (analysis.completeCombos.length > 0) {
-              console.log(`🎯 Combo detected: ${analysis.completeCombos[0].cards.map(c => c.rank).join('+')} = ${analysis.completeCombos[0].value}`);
-            }
-          }
-          
-          // FIXED: Apply opponent card removal now that stack addition was successful
-          if (pendingOpponentCardRemoval) {
-            const { opponentIndex, lastGroup, opponentCaps } = pendingOpponentCardRemoval;
-            const modifiedLastGroup = [...lastGroup];
-            modifiedLastGroup.pop(); // Remove the top card
-            if (modifiedLastGroup.length > 0) {
-              opponentCaps[opponentCaps.length - 1] = modifiedLastGroup;
-            } else {
-              opponentCaps.pop(); // Remove empty group
-            }
-            const updatedCaptures = [...playerCaptures];
-            updatedCaptures[opponentIndex] = opponentCaps;
-            newPlayerCaptures = updatedCaptures;
-          }
-
-          const newStack = { ...targetStack, cards: newCards };
-          const finalTableCards = [...newTableCards];
-          if (stackIndex !== -1) {
-            finalTableCards[stackIndex] = newStack;
-          } else {
-            // Fallback
-            finalTableCards.push(newStack);
-          }
-          return { ...currentGameState, tableCards: finalTableCards, playerCaptures: newPlayerCaptures };
+          return commitMove(currentGameState, {
+            type: MOVE_TYPES.ADD_TO_STAGING_STACK,
+            cardId,
+            source: draggedSource,
+            stackId: targetStack.stackId
+          });
         }
-        showError("Invalid move: Cards can only be stacked on loose cards or other temporary stacks.");
+        showError(ERROR_CODES.INVALID_STACK_TARGET);
         return currentGameState;
       }
 
@@ -569,11 +533,12 @@ export const useGameActions = () => {
         // B.1: Dropped on a temporary stack
         if (targetInfo.type === 'temporary_stack') {
           const stack = tableCards.find(s => s.type === 'temporary_stack' && s.stackId === targetInfo.stackId);
-          if (!stack) { showError("Stack not found."); return currentGameState; }
-          if (stack.owner !== currentPlayer) { showError("You can only interact with your own temporary stacks."); return currentGameState; }
+          if (!stack) { showError(ERROR_CODES.STACK_NOT_FOUND); return currentGameState; }
+          if (stack.owner !== currentPlayer) { showError(ERROR_CODES.NOT_YOUR_STACK); return currentGameState; }
 
           const actions = [];
           const playerHand = playerHands[currentPlayer];
+          const cardId = getCardId(draggedCard);
 
           // --- Possibility 1: Direct Capture from Temporary Stack ---
           // DYNAMIC CAPTURE: Detect SET MODE vs SUM MODE
@@ -590,18 +555,18 @@ export const useGameActions = () => {
           if (captureValue === stackValue) {
             // Immediately execute capture without going through action selection
             console.log(`Direct capture: ${draggedCard.rank} captures temp stack (${isSetMode ? 'set' : 'sum'}=${stackValue})`);
-            return handleCapture(currentGameState, draggedItem, [stack]);
+            return commitMove(currentGameState, { type: MOVE_TYPES.CAPTURE, cardId, targetIds: [stack.stackId] });
           } 
           
           // Complex capture: if hand card can partition the stack (only for SUM MODE)
           if (!isSetMode && stackValue % captureValue === 0 && canPartitionIntoSums(stack.cards, captureValue)) {
-            actions.push(createActionOption('capture', `Capture for ${captureValue}`, { draggedItem, targetCard: stack }));
+            actions.push(createActionOption(`Capture for ${captureValue}`, { type: MOVE_TYPES.CAPTURE, cardId, targetIds: [stack.stackId] }));
           }
 
           // --- Possibility 2: Create a permanent build ---
-          const buildValidation = validateTemporaryStackBuild(stack, draggedCard, playerHand, tableCards, currentPlayer);
+          const buildValidation = validateTemporaryStackBuild(stack, draggedCard, playerHand, tableCards, currentPlayer, getRuleset(currentGameState));
           if (buildValidation.valid) {
-            actions.push(createActionOption('createBuildFromStack', `Build ${buildValidation.newValue}`, { draggedItem, stackToBuildFrom: stack }));
+            actions.push(createActionOption(`Build ${buildValidation.newValue}`, { type: MOVE_TYPES.CREATE_BUILD_FROM_STACK, cardId, stackId: stack.stackId }));
           }
 
           // --- Decision Logic ---
@@ -611,7 +576,7 @@ export const useGameActions = () => {
             // Allow adding cards to temp stack without validation during creation
             // Validation will happen at finalization when player clicks tick
 
-            return handleAddToStagingStack(currentGameState, draggedCard, stack);
+            return commitMove(currentGameState, { type: MOVE_TYPES.ADD_TO_STAGING_STACK, cardId, source: 'hand', stackId: stack.stackId });
           } else if (actions.length === 1) {
             return executeAction(currentGameState, actions[0]);
           } else {
@@ -639,7 +604,7 @@ export const useGameActions = () => {
         }
 
         if (!targetCard) {
-          showError("Target card not found on table.");
+          showError(ERROR_CODES.TARGET_NOT_FOUND);
           return currentGameState;
         }
 
@@ -652,33 +617,23 @@ export const useGameActions = () => {
           );
           
           if (!stagingStack) {
-            showError("Staging stack not found on table.");
+            showError(ERROR_CODES.STACK_NOT_FOUND);
             return currentGameState;
           }
 
-          // Create a new temporary stack by combining the existing stack with the loose card
+          // Combine the existing stack with the loose card
           // The loose card goes to the bottom (beginning of cards array) as the base
-          const combinedCards = [{ ...targetCard, source: 'table' }, ...stagingStack.cards];
-          
-          const newStack = {
-            stackId: `temp-${Date.now()}`,
-            type: 'temporary_stack',
-            cards: combinedCards,
-            owner: currentPlayer,
-          };
-
-          // Remove the original stack and loose card, add the new combined stack
-          const newTableCards = tableCards
-            .filter(c => c.stackId !== stagingStack.stackId && getCardId(c) !== getCardId(targetCard))
-            .concat([newStack]);
-
-          return updateGameState(currentGameState, { tableCards: newTableCards });
+          return commitMove(currentGameState, {
+            type: MOVE_TYPES.ADD_LOOSE_CARD_TO_STAGING_STACK,
+            stackId: stagingStack.stackId,
+            targetCardId: getCardId(targetCard)
+          });
         }
 
         const { card: draggedCard } = draggedItem;
         
         // Generate possible actions to help user choose
-        const actions = generatePossibleActions(draggedItem, targetCard, playerHands[currentPlayer], tableCards, playerCaptures, currentPlayer);
+        const actions = generatePossibleActions(draggedItem, targetCard, playerHands[currentPlayer], tableCards, currentPlayer, getRuleset(currentGameState));
         
         // --- ACTION DECISION LOGIC ---
         if (actions.length === 0) {
@@ -688,11 +643,15 @@ export const useGameActions = () => {
             s => s.type === 'temporary_stack' && s.owner === currentPlayer
           );
           if (playerAlreadyHasTempStack) {
-            showError("You can only have one staging stack at a time.");
+            showError(ERROR_CODES.ONE_STAGING_STACK);
             return currentGameState;
           }
           
-          return handleCreateStagingStack(currentGameState, draggedCard, targetCard);
+          return commitMove(currentGameState, {
+            type: MOVE_TYPES.CREATE_STAGING_STACK,
+            cardId: getCardId(draggedCard),
+            targetCardId: getCardId(targetCard)
+          });
         } else if (actions.length === 1) {
           // Single valid action - execute immediately  
           return executeAction(currentGameState, actions[0]);
@@ -711,7 +670,7 @@ export const useGameActions = () => {
       const handleBuildDrop = () => {
         const buildToDropOn = tableCards.find(b => b.type === 'build' && b.buildId === targetInfo.buildId);
         if (!buildToDropOn) {
-          showError("Target build not found on table. The build may have already been captured.");
+          showError(ERROR_CODES.BUILD_NOT_FOUND);
           return currentGameState;
         }
 
@@ -724,7 +683,7 @@ export const useGameActions = () => {
           );
           
           if (!stagingStack) {
-            showError("Staging stack not found on table.");
+            showError(ERROR_CODES.STACK_NOT_FOUND);
             return currentGameState;
           }
           
@@ -734,41 +693,54 @@ export const useGameActions = () => {
             // This is a "Reinforce" action that uses a hand card and ends the turn.
             const validation = validateReinforceBuildWithStack(stagingStack, buildToDropOn);
             if (!validation.valid) {
-              showError(validation.message);
-              return handleDisbandStagingStack(currentGameState, stagingStack);
+              showError(validation.code, validation.params);
+              return commitMove(currentGameState, { type: MOVE_TYPES.DISBAND_STAGING_STACK, stackId: stagingStack.stackId });
             }
-            return handleReinforceBuildWithStack(currentGameState, stagingStack, buildToDropOn);
+            return commitMove(currentGameState, {
+              type: MOVE_TYPES.REINFORCE_BUILD_WITH_STACK,
+              stackId: stagingStack.stackId,
+              buildId: buildToDropOn.buildId
+            });
           } else {
           // No hand cards in stack, so this is a staging move.
           if (buildToDropOn.owner === currentPlayer) {
             // This is a "Merge" action with only table cards that does NOT end the turn.
             const validation = validateMergeIntoOwnBuild(stagingStack, buildToDropOn, currentPlayer);
             if (!validation.valid) {
-              showError(validation.message);
+              showError(validation.code, validation.params);
               return currentGameState; // Snap back on invalid merge
             }
-            return handleMergeIntoOwnBuild(currentGameState, stagingStack, buildToDropOn);
+            return commitMove(currentGameState, {
+              type: MOVE_TYPES.MERGE_INTO_OWN_BUILD,
+              stackId: stagingStack.stackId,
+              buildId: buildToDropOn.buildId
+            });
           } else {
             // This is the new "Reinforce Opponent's Build" action that does NOT end the turn.
             const validation = validateReinforceOpponentBuildWithStack(stagingStack, buildToDropOn, currentPlayer);
             if (!validation.valid) {
-              showError(validation.message);
+              showError(validation.code, validation.params);
               return currentGameState; // Snap back
             }
-            return handleReinforceOpponentBuildWithStack(currentGameState, stagingStack, buildToDropOn);
+            return commitMove(currentGameState, {
+              type: MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK,
+              stackId: stagingStack.stackId,
+              buildId: buildToDropOn.buildId
+            });
             }
           }
         }
 
         const { card: draggedCard } = draggedItem;
+        const cardId = getCardId(draggedCard);
         const playerHand = playerHands[currentPlayer];
         const actions = [];
 
         // Possibility 1: Capture the build
         if (rankValue(draggedCard.rank) === buildToDropOn.value) {
           actions.push(createActionOption(
-            'capture', `Capture Build (${buildToDropOn.value})`,
-            { draggedItem, targetCard: buildToDropOn }
+            `Capture Build (${buildToDropOn.value})`,
+            { type: MOVE_TYPES.CAPTURE, cardId, targetIds: [buildToDropOn.buildId] }
           ));
         }
 
@@ -781,17 +753,16 @@ export const useGameActions = () => {
             const validation = validateExtendToMerge(playerOwnsBuild, buildToDropOn, draggedCard);
             if (validation.valid) {
               actions.push(createActionOption(
-                'extendToMerge',
                 `Merge into your build of ${playerOwnsBuild.value}`,
-                { draggedItem, opponentBuild: buildToDropOn, ownBuild: playerOwnsBuild }
+                { type: MOVE_TYPES.EXTEND_TO_MERGE, cardId, opponentBuildId: buildToDropOn.buildId, ownBuildId: playerOwnsBuild.buildId }
               ));
             }
           } else {
             // Standard "Add to Opponent Build"
-            const validation = validateAddToOpponentBuild(buildToDropOn, draggedCard, playerHand, tableCards, currentPlayer);
+            const validation = validateAddToOpponentBuild(buildToDropOn, draggedCard, playerHand, tableCards, currentPlayer, getRuleset(currentGameState));
             if (validation.valid) {
               const newBuildValue = buildToDropOn.value + rankValue(draggedCard.rank);
-              actions.push(createActionOption('addToOpponentBuild', `Extend to ${newBuildValue}`, { draggedItem, buildToAddTo: buildToDropOn }));
+              actions.push(createActionOption(`Extend to ${newBuildValue}`, { type: MOVE_TYPES.ADD_TO_OPPONENT_BUILD, cardId, buildId: buildToDropOn.buildId }));
             }
           }
         }
@@ -801,8 +772,8 @@ export const useGameActions = () => {
           const validation = validateAddToOwnBuild(buildToDropOn, draggedCard, playerHand);
           if (validation.valid) {
             actions.push(createActionOption(
-              'addToOwnBuild', `Add to Build (${validation.newValue})`,
-              { draggedItem, buildToAddTo: buildToDropOn }
+              `Add to Build (${validation.newValue})`,
+              { type: MOVE_TYPES.ADD_TO_OWN_BUILD, cardId, buildId: buildToDropOn.buildId }
             ));
           }
         }
@@ -812,10 +783,12 @@ export const useGameActions = () => {
           if (buildToDropOn.owner === currentPlayer) {
             // Try to get a more specific error from validation
             const validation = validateAddToOwnBuild(buildToDropOn, draggedCard, playerHand);
-            showError(validation.message || "You cannot add this card to your own build.");
+            if (validation.valid) showError(ERROR_CODES.INVALID_BUILD_MOVE, { value: buildToDropOn.value });
+            else showError(validation.code, validation.params);
           } else {
-            const validation = validateAddToOpponentBuild(buildToDropOn, draggedCard, playerHand, tableCards, currentPlayer);
-            showError(validation.message || `Invalid move on build of ${buildToDropOn.value}.`);
+            const validation = validateAddToOpponentBuild(buildToDropOn, draggedCard, playerHand, tableCards, currentPlayer, getRuleset(currentGameState));
+            if (validation.valid) showError(ERROR_CODES.INVALID_BUILD_MOVE, { value: buildToDropOn.value });
+            else showError(validation.code, validation.params);
           }
           return currentGameState;
         } else if (actions.length === 1) {
@@ -842,47 +815,37 @@ export const useGameActions = () => {
           const targetStack = tableCards.find(s => s.type === 'temporary_stack' && s.stackId === targetInfo.stackId);
           
           if (!draggedStack || !targetStack) {
-            showError("Cannot find stack to combine.");
+            showError(ERROR_CODES.STACK_NOT_FOUND);
             return currentGameState;
           }
 
           if (targetStack.owner !== currentPlayer) {
-            showError("You cannot add to another player's temporary stack.");
+            showError(ERROR_CODES.NOT_YOUR_STACK);
             return currentGameState;
           }
 
           // Combine the two stacks
-          const combinedCards = [...targetStack.cards, ...draggedStack.cards];
-          
-          const newCombinedStack = {
-            stackId: `temp-${Date.now()}`,
-            type: 'temporary_stack',
-            cards: combinedCards,
-            owner: currentPlayer,
-          };
-
-          // Remove both stacks and add combined stack
-          const finalTableCards = tableCards
-            .filter(c => c.stackId !== targetStack.stackId && c.stackId !== draggedStack.stackId)
-            .concat([newCombinedStack]);
-
-          return updateGameState(currentGameState, { tableCards: finalTableCards });
+          return commitMove(currentGameState, {
+            type: MOVE_TYPES.MERGE_STAGING_STACKS,
+            stackId: draggedStack.stackId,
+            targetStackId: targetStack.stackId
+          });
         }
         
         // Handle hand cards dropped on temporary stacks (already processed above in Case B.1)
-        showError("Temporary stack drop not handled properly. This should not occur.");
+        showError(ERROR_CODES.INVALID_MOVE);
         return currentGameState;
       } else {
-        showError("Unknown drop target type.");
+        showError(ERROR_CODES.INVALID_MOVE);
         return currentGameState;
       }
     });
-  }, [showError, setModalInfo, executeAction]);
+  }, [showError, setModalInfo, commitMove, executeAction]);
 
   const handleStageOpponentCardAction = useCallback((item) => {
     setGameState(currentGameState => {
-      if (currentGameState.currentPlayer !== item.player) {
-        showError("It's not your turn!");
+      if (currentGameState.currentPlayer !== item.player || isComputerTurn(currentGameState)) {
+        showError(ERROR_CODES.NOT_YOUR_TURN);
         return currentGameState;
       }
 
@@ -892,25 +855,25 @@ export const useGameActions = () => {
         s => s.type === 'temporary_stack' && s.owner === currentPlayer
       );
       if (playerAlreadyHasTempStack) {
-        showError("You can only have one staging stack at a time.");
+        showError(ERROR_CODES.ONE_STAGING_STACK);
         return currentGameState;
       }
-      return handleStageOpponentCard(currentGameState, item.card);
+      return commitMove(currentGameState, { type: MOVE_TYPES.STAGE_OPPONENT_CARD, cardId: getCardId(item.card) });
     });
-  }, [showError]);
+  }, [showError, commitMove]);
 
   const handleCancelStagingStackAction = useCallback((stack) => {
     setGameState(currentGameState => {
-      return handleCancelStagingStack(currentGameState, stack);
+      return commitMove(currentGameState, { type: MOVE_TYPES.CANCEL_STAGING_STACK, stackId: stack.stackId });
     });
-  }, []);
+  }, [commitMove]);
 
   const handleConfirmStagingStackAction = useCallback((stack) => {
     setGameState(currentGameState => {
       // --- Handle single-card trail confirmation ---
       if (stack.cards.length === 1 && stack.cards[0].source === 'hand') {
         // This is a confirmation of a trail action in round 2.
-        return handleFinalizeTrail(currentGameState, stack);
+        return commitMove(currentGameState, { type: MOVE_TYPES.FINALIZE_TRAIL, stackId: stack.stackId });
       }
 
       const { playerHands, tableCards, currentPlayer } = currentGameState;
@@ -920,8 +883,8 @@ export const useGameActions = () => {
       // --- Validation: A final stack must have exactly one hand card ---
       const handCardsInStack = stack.cards.filter(c => c.source === 'hand');
       if (handCardsInStack.length !== 1) {
-        showError("A final move must be made with exactly one card from your hand.");
-        return handleDisbandStagingStack(currentGameState, stack);
+        showError(ERROR_CODES.ONE_HAND_CARD_REQUIRED);
+        return commitMove(currentGameState, { type: MOVE_TYPES.DISBAND_STAGING_STACK, stackId: stack.stackId });
       }
       const handCard = handCardsInStack[0];
       const tableCardsInStack = stack.cards.filter(c => c.source !== 'hand');
@@ -929,9 +892,7 @@ export const useGameActions = () => {
       // --- NEW VALIDATION: Check if combos are sorted correctly ---
       const sortingValidation = validateComboSorting(stack.cards);
       if (!sortingValidation.isValid) {
-        const errorMessage = sortingValidation.error + 
-          (sortingValidation.suggestion ? `\n\n${sortingValidation.suggestion}` : '');
-        showError(errorMessage);
+        showError(sortingValidation.code, sortingValidation.params);
         return currentGameState; // Don't disband, let player fix the sorting
       }
 
@@ -941,27 +902,28 @@ export const useGameActions = () => {
 
       if (tableCardsInStack.length > 0 && sumOfTableCards % captureValue === 0) {
         if (sumOfTableCards === captureValue || canPartitionIntoSums(tableCardsInStack, captureValue)) {
-          actions.push(createActionOption('capture', `Capture for ${captureValue}`, {
-            draggedItem: { card: handCard, source: 'hand' },
-            targetCard: stack // The whole stack is the target
+          actions.push(createActionOption(`Capture for ${captureValue}`, {
+            type: MOVE_TYPES.CAPTURE,
+            cardId: getCardId(handCard),
+            targetIds: [stack.stackId] // The whole stack is the target
           }));
         }
       }
 
       // --- Possibility 2: Build ---
-      const possibleBuilds = findPossibleBuildsFromStack(stack, playerHand, tableCards, currentPlayer);
+      const possibleBuilds = findPossibleBuildsFromStack(stack, playerHand, tableCards, currentPlayer, getRuleset(currentGameState));
       possibleBuilds.forEach(value => {
-        actions.push(createActionOption('createBuildWithValue', `Create a Build of ${value}`, {
-          stack: stack,
-          buildValue: value,
-          draggedItem: { card: handCard, source: 'hand' }
+        actions.push(createActionOption(`Create a Build of ${value}`, {
+          type: MOVE_TYPES.CREATE_BUILD_WITH_VALUE,
+          stackId: stack.stackId,
+          buildValue: value
         }));
       });
 
       // --- Decision Logic ---
       if (actions.length === 0) {
-        showError("This combination is not a valid capture or build.");
-        return handleDisbandStagingStack(currentGameState, stack);
+        showError(ERROR_CODES.NOT_A_CAPTURE_OR_BUILD);
+        return commitMove(currentGameState, { type: MOVE_TYPES.DISBAND_STAGING_STACK, stackId: stack.stackId });
       }
 
       if (actions.length === 1) {
@@ -976,7 +938,32 @@ export const useGameActions = () => {
       });
       return currentGameState;
     });
-  }, [showError, setModalInfo, createActionOption, executeAction]);
+  }, [showError, setModalInfo, createActionOption, commitMove, executeAction]);
+
+  // Practice-mode undo/redo. Each step takes back or replays a whole turn,
+  // including staging moves that did not end it. The computer's turns are skipped
+  // over, so undo always returns to a turn the human can play.
+  const undo = useCallback(() => {
+    setModalInfo(null);
+    setGameState(currentGameState => {
+      let state = undoTurn(currentGameState);
+      while (isComputerTurn(state) && canUndo(state)) {
+        state = undoTurn(state);
+      }
+      return state;
+    });
+  }, [isComputerTurn]);
+
+  const redo = useCallback(() => {
+    setModalInfo(null);
+    setGameState(currentGameState => {
+      let state = redoTurn(currentGameState);
+      while (isComputerTurn(state) && canRedo(state)) {
+        state = redoTurn(state);
+      }
+      return state;
+    });
+  }, [isComputerTurn]);
 
   return { 
     gameState, 
@@ -990,6 +977,15 @@ export const useGameActions = () => {
     handleCancelStagingStackAction, 
     handleStageOpponentCardAction, 
     handleConfirmStagingStackAction,
+    undo,
+    redo,
+    canUndo: canUndo(gameState),
+    canRedo: canRedo(gameState),
+    // Time left for each player, counting the turn in progress; null without a clock
+    clockRemainingMs: hasClock
+      ? gameState.playerHands.map((_, player) => getRemainingTime(gameState, player, player === gameState.currentPlayer ? turnElapsedMs : 0))
+      : null,
+    isClockRunning,
     closeErrorModal: () => setErrorModal({ visible: false, title: '', message: '' })
   };
 };
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * Bot Module
+ * A computer player that picks one of the legal moves for the current player.
+ * Moves are judged with the game's own scoring, so the bot values cards exactly as calculateScores does.
+ * - easy: often plays a random legal move
+ * - medium: plays the move that leaves the best position right now
+ * - hard: a Monte Carlo tree search over guesses of the cards it cannot see
+ */
+
+import { applyMove, setInvariantChecks, MOVE_TYPES } from './moves.js';
+import { getLegalMoves } from './legal-moves.js';
+import { calculateScores } from './game-actions.js';
+import { setGameLogging } from './game-state.js';
+import { getTeamIndex, getOpponents } from './players.js';
+import { getRuleset } from './rulesets.js';
+
+export const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Thinking time for a move, short enough to keep a phone responsive
+export const DEFAULT_TIME_BUDGET_MS = 800;
+
+// How much the cards left within an opponent's reach count against the move
+const EXPOSURE_WEIGHT = 0.3;
+
+// How often an easy bot plays the medium bot's move instead of a random one
+const EASY_BEST_MOVE_CHANCE = 0.4;
+
+// Balances trying new moves against replaying good ones in the search (UCB1)
+const EXPLORATION = 0.7;
+
+// How often a simulated player takes a capture when one is available
+const PLAYOUT_CAPTURE_CHANCE = 0.8;
+
+/**
+ * Scores a set of capture piles from one player's point of view: their side's points
+ * minus the best opposing side's, with card and spade counts breaking ties between
+ * moves that score the same.
+ * @param {object} gameState - The game state the piles belong to.
+ * @param {Array<Array<Array<object>>>} playerCaptures - The capture piles to score.
+ * @param {number} player - The player index.
+ * @returns {number} The score difference.
+ */
+const scoreCaptures = (gameState, playerCaptures, player) => {
+  const sweeps = getRuleset(gameState).sweepPoints ? gameState.sweeps : null;
+  const { scores, details } = calculateScores(playerCaptures, gameState.teams, sweeps);
+  const side = getTeamIndex(gameState, player);
+  const opposingSides = scores.map((_, index) => index).filter(index => index !== side);
+  const best = (values) => Math.max(...opposingSides.map(index => values[index]));
+
+  return (scores[side] - best(scores)) +
+    0.01 * (details[side].cardCount - best(details.map(d => d.cardCount))) +
+    0.02 * (details[side].spadeCount - best(details.map(d => d.spadeCount)));
+};
+
+/**
+ * Evaluates a game state for a player. Cards in the player's own builds are counted as
+ * theirs, and everything else left on the table is weighed as if the next opponent took it.
+ * @param {object} gameState - The game state to evaluate.
+ * @param {number} player - The player index.
+ * @returns {number} Higher is better for the player.
+ */
+export const evaluateState = (gameState, player) => {
+  const { tableCards, playerCaptures } = gameState;
+  const side = getTeamIndex(gameState, player);
+  const ownsItem = (item) => item.type === 'build' && getTeamIndex(gameState, item.owner) === side;
+
+  const ownBuildCards = tableCards.filter(ownsItem).flatMap(item => item.cards);
+  const exposedCards = tableCards.filter(item => !ownsItem(item)).flatMap(item => item.cards || [item]);
+
+  const projected = playerCaptures.map((groups, index) =>
+    index === player && ownBuildCards.length > 0 ? [...groups, ownBuildCards] : groups
+  );
+  const nextOpponent = getOpponents(gameState, player)[0];
+  const exposed = projected.map((groups, index) =>
+    index === nextOpponent && exposedCards.length > 0 ? [...groups, exposedCards] : groups
+  );
+
+  return (1 - EXPOSURE_WEIGHT) * scoreCaptures(gameState, projected, player) +
+    EXPOSURE_WEIGHT * scoreCaptures(gameState, exposed, player);
+};
+
+// Picks a random element of a non-empty list.
+const pickRandom = (items, random) => items[Math.floor(random() * items.length)];
+
+// How many cards a move takes, a rough guess at how good it is
+const countCardsTaken = (move) =>
+  move.type === MOVE_TYPES.CAPTURE ? move.targetIds.length + (move.opponentCardId ? 1 : 0) : 0;
+
+/**
+ * Tries every legal move and keeps the one that leaves the best position.
+ * Moves that take the most cards are tried first, so if the deadline passes before every move
+ * has been tried the likeliest ones have been. Ties go to the move listed first.
+ * @param {object} gameState - The current game state.
+ * @param {Array<object>} moves - The legal moves.
+ * @param {number} [deadline=Infinity] - When to stop trying moves, as a Date.now() timestamp.
+ * @returns {object} The best move.
+ */
+const findBestMove = (gameState, moves, deadline = Infinity) => {
+  const player = gameState.currentPlayer;
+  const order = moves
+    .map((move, index) => ({ move, index, taken: countCardsTaken(move) }))
+    .sort((a, b) => b.taken - a.taken || a.index - b.index);
+
+  let best = null;
+  let bestValue = -Infinity;
+  for (const candidate of order) {
+    if (best && Date.now() >= deadline) break;
+    const value = evaluateState(applyMove(gameState, candidate.move), player);
+    if (value > bestValue || (value === bestValue && candidate.index < best.index)) {
+      best = candidate;
+      bestValue = value;
+    }
+  }
+  return best.move;
+};
+
+/**
+ * Guesses the cards the player cannot see: the deck and the other players' hands are
+ * shuffled together and dealt back out in the same sizes.
+ * @param {object} gameState - The current game state.
+ * @param {number} player - The player doing the guessing.
+ * @param {function(): number} random - Random number source.
+ * @returns {object} A game state with the unseen cards redistributed.
+ */
+const determinize = (gameState, player, random) => {
+  const { deck, playerHands } = gameState;
+  const unseen = [...deck, ...playerHands.filter((hand, index) => index !== player).flat()];
+  for (let i = unseen.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [unseen[i], unseen[j]] = [unseen[j], unseen[i]];
+  }
+
+  let dealt = 0;
+  const take = (count) => unseen.slice(dealt, (dealt += count));
+  return {
+    ...gameState,
+    playerHands: playerHands.map((hand, index) => (index === player ? hand : take(hand.length))),
+    deck: take(deck.length),
+  };
+};
+
+/**
+ * Deals the next round or scores the deal once every hand is empty.
+ * @param {object} gameState - A game state.
+ * @returns {object} The game state with a player to move, or the finished deal.
+ */
+const advanceDeal = (gameState) => {
+  if (gameState.gameOver || gameState.playerHands.some(hand => hand.length > 0)) return gameState;
+  return applyMove(gameState, { type: gameState.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME });
+};
+
+/**
+ * Plays a deal out quickly: captures are usually taken, otherwise moves are random.
+ * The play-out stops where it is once the deadline passes, and that position is judged instead.
+ * @param {object} gameState - A game state with the unseen cards already guessed.
+ * @param {function(): number} random - Random number source.
+ * @param {number} deadline - When to stop, as a Date.now() timestamp.
+ * @returns {object} The finished deal, or the position reached by the deadline.
+ */
+const playOut = (gameState, random, deadline) => {
+  let state = advanceDeal(gameState);
+  while (!state.gameOver && Date.now() < deadline) {
+    const moves = getLegalMoves(state);
+    if (moves.length === 0) return state;
+
+    const captures = moves.filter(move => move.type === MOVE_TYPES.CAPTURE);
+    const move = captures.length > 0 && random() < PLAYOUT_CAPTURE_CHANCE
+      ? pickRandom(captures, random)
+      : pickRandom(moves, random);
+    state = advanceDeal(applyMove(state, move));
+  }
+  return state;
+};
+
+/**
+ * Creates a search tree node. Each node is the position after its move, and its value is
+ * the total reward of that move for the player who made it.
+ */
+const createNode = (move = null, player = null) => ({
+  move,
+  player,
+  children: new Map(),
+  visits: 0,
+  value: 0,
+  // How many times the move was legal when its parent was visited
+  availability: 0,
+});
+
+/**
+ * Picks a move with a determinized Monte Carlo tree search. Each iteration guesses the
+ * unseen cards, walks the tree through the moves legal in that guess, adds one new move,
+ * plays the deal out and credits every move on the way with its player's result.
+ * The deadline is checked between moves within an iteration too, so a long play-out can't
+ * run past the budget.
+ * Moves are keyed by their serialized form, so the same move is shared between guesses.
+ * @param {object} gameState - The current game state.
+ * @param {Array<object>} moves - The legal moves at the root.
+ * @param {number} timeBudgetMs - How long to search for.
+ * @param {function(): number} random - Random number source.
+ * @returns {object} The most visited move.
+ */
+const searchBestMove = (gameState, moves, timeBudgetMs, random) => {
+  const player = gameState.currentPlayer;
+  const root = createNode();
+  const deadline = Date.now() + timeBudgetMs;
+
+  do {
+    let state = determinize(gameState, player, random);
+    let node = root;
+    const path = [root];
+
+    // Walk down the tree until a move is found that this node hasn't tried yet. Past the
+    // deadline the walk stops where it is, except at the root, which needs a move to answer with
+    while (!state.gameOver && (node === root || Date.now() < deadline)) {
+      const legalMoves = node === root ? moves : getLegalMoves(state);
+      if (legalMoves.length === 0) break;
+
+      const keyedMoves = legalMoves.map(move => [JSON.stringify(move), move]);
+      keyedMoves.forEach(([key]) => {
+        const child = node.children.get(key);
+        if (child) child.availability++;
+      });
+
+      const untried = keyedMoves.filter(([key]) => !node.children.has(key));
+      if (untried.length > 0) {
+        const [key, move] = pickRandom(untried, random);
+        const child = createNode(move, state.currentPlayer);
+        child.availability = 1;
+        node.children.set(key, child);
+        state = advanceDeal(applyMove(state, move));
+        path.push(child);
+        break;
+      }
+
+      const ucb = (child) => child.value / child.visits +
+        EXPLORATION * Math.sqrt(Math.log(child.availability) / child.visits);
+      node = keyedMoves
+        .map(([key]) => node.children.get(key))
+        .reduce((best, child) => (ucb(child) > ucb(best) ? child : best));
+      state = advanceDeal(applyMove(state, node.move));
+      path.push(node);
+    }
+
+    const finalState = playOut(state, random, deadline);
+    // Rewards between 0 and 1, from a deal's point difference
+    const rewards = new Map();
+    const rewardFor = (mover) => {
+      if (!rewards.has(mover)) {
+        rewards.set(mover, 1 / (1 + Math.exp(-evaluateState(finalState, mover) / 2)));
+      }
+      return rewards.get(mover);
+    };
+    path.forEach(pathNode => {
+      pathNode.visits++;
+      if (pathNode.player !== null) pathNode.value += rewardFor(pathNode.player);
+    });
+  } while (Date.now() < deadline);
+
+  const best = [...root.children.values()].reduce((most, child) => (child.visits > most.visits ? child : most));
+  return best.move;
+};
+
+/**
+ * Picks a move for the current player.
+ * @param {object} gameState - The current game state.
+ * @param {object} [options] - Bot options.
+ * @param {string} [options.difficulty='medium'] - One of BOT_DIFFICULTIES.
+ * @param {number} [options.timeBudgetMs=DEFAULT_TIME_BUDGET_MS] - How long a medium or hard bot may think.
+ * @param {function(): number} [options.random=Math.random] - Random number source, seeded in tests.
+ * @returns {object|null} A serializable move for applyMove, or null if there is nothing to play.
+ */
+export const chooseBotMove = (gameState, {
+  difficulty = 'medium',
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  random = Math.random
+} = {}) => {
+  const moves = getLegalMoves(gameState);
+  if (moves.length === 0) return null;
+  if (moves.length === 1) return moves[0];
+
+  if (!BOT_DIFFICULTIES.includes(difficulty)) {
+    console.warn(`Unknown bot difficulty "${difficulty}". Playing at medium.`);
+  }
+
+  // Moves tried while thinking are neither logged nor checked; only the chosen move is played for real
+  const previousLogging = setGameLogging(false);
+  const previousChecks = setInvariantChecks(false);
+  try {
+    if (difficulty === 'easy' && random() >= EASY_BEST_MOVE_CHANCE) {
+      return pickRandom(moves, random);
+    }
+    if (difficulty === 'hard') {
+      return searchBestMove(gameState, moves, timeBudgetMs, random);
+    }
+    return findBestMove(gameState, moves, Date.now() + timeBudgetMs);
+  } finally {
+    setGameLogging(previousLogging);
+    setInvariantChecks(previousChecks);
+  }
+};
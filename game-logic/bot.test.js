@@ -0,0 +1,159 @@
+/**
+ * Test suite for the computer opponent
+ * Verifies that the bot prefers valuable captures, always answers with a legal move at every difficulty,
+ * and that the hard search stays within its time budget, even in the middle of a play-out
+ */
+
+import { chooseBotMove, evaluateState, BOT_DIFFICULTIES } from './bot.js';
+import { applyMove, MOVE_TYPES } from './moves.js';
+import { getLegalMoves } from './legal-moves.js';
+import { initializeGame, setGameLogging } from './game-state.js';
+import { rankValue } from './card-operations.js';
+import { createSeededRandom } from './random.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that the bot picks the most valuable capture
+export const testPrefersValuableCaptures = () => {
+  console.log('\n=== Testing Valuable Captures ===');
+
+  const state = {
+    ...initializeGame({ seed: 'bot-test', firstPlayer: 1 }),
+    deck: [],
+    playerHands: [
+      [card('7', '♥'), card('4', '♣')],
+      [card('10', '♠'), card('9', '♣')],
+    ],
+    tableCards: [card('10', '♦'), card('9', '♥'), card('6', '♥')],
+  };
+
+  const move = chooseBotMove(state);
+  testLog('Takes Big Casino', {
+    move,
+    expected: { type: MOVE_TYPES.CAPTURE, cardId: '10-♠', targetIds: ['10-♦'] },
+  });
+
+  testLog('Capturing scores above trailing', {
+    capture: evaluateState(applyMove(state, move), 1) > evaluateState(applyMove(state, { type: MOVE_TYPES.TRAIL, cardId: '9-♣' }), 1),
+    expected: true,
+  });
+};
+
+// Test that the search plays out the end of a deal, and answers within its budget
+export const testHardSearch = () => {
+  console.log('\n=== Testing Hard Search ===');
+
+  const state = {
+    ...initializeGame({ seed: 'bot-hard-test', firstPlayer: 1 }),
+    deck: [],
+    playerHands: [
+      [card('10', '♥'), card('4', '♣')],
+      [card('10', '♠'), card('9', '♣')],
+    ],
+    tableCards: [card('10', '♦'), card('6', '♥')],
+  };
+
+  const startedAt = Date.now();
+  const move = chooseBotMove(state, { difficulty: 'hard', timeBudgetMs: 200, random: createSeededRandom('search') });
+  const elapsed = Date.now() - startedAt;
+
+  // Taking Big Casino now lets the opponent's 10 take it back off the pile; holding the 10 wins it at the end
+  testLog('Hard sees past the greedy capture', {
+    move,
+    greedy: chooseBotMove(state),
+    expected: { type: MOVE_TYPES.TRAIL, cardId: '9-♣' },
+  });
+  testLog('Search keeps to its budget', { withinBudget: elapsed < 400, expected: true });
+  testLog('Search leaves the real hands alone', {
+    opponentHand: state.playerHands[0].map(c => `${c.rank}${c.suit}`),
+    expected: ['10♥', '4♣'],
+  });
+};
+
+// Test that a search with a whole game left to play out still answers on time
+export const testBudgetWithinPlayOut = () => {
+  console.log('\n=== Testing Budget Within Play-Out ===');
+
+  // Playing a whole game out takes far longer than the budget, so the play-out has to stop early
+  const state = initializeGame({ seed: 'bot-budget-test', ruleset: 'classic52' });
+  const startedAt = Date.now();
+  const move = chooseBotMove(state, { difficulty: 'hard', timeBudgetMs: 1, random: createSeededRandom('budget') });
+  const elapsed = Date.now() - startedAt;
+
+  testLog('Play-out stops at the deadline', {
+    withinBudget: elapsed < 15,
+    legal: getLegalMoves(state).some(legal => JSON.stringify(legal) === JSON.stringify(move)),
+    expected: { withinBudget: true, legal: true },
+  });
+};
+
+// Test that every difficulty answers with a legal move
+export const testDifficulties = () => {
+  console.log('\n=== Testing Difficulties ===');
+
+  const state = initializeGame({ seed: 'bot-difficulties' });
+  const legalMoves = getLegalMoves(state).map(move => JSON.stringify(move));
+
+  BOT_DIFFICULTIES.forEach(difficulty => {
+    const move = chooseBotMove(state, { difficulty, timeBudgetMs: 100, random: createSeededRandom(difficulty) });
+    testLog(`${difficulty} plays a legal move`, { legal: legalMoves.includes(JSON.stringify(move)), expected: true });
+  });
+};
+
+// Test that a computer-only game plays to the end with legal moves
+export const testPlaysWholeGame = () => {
+  console.log('\n=== Testing Whole Game ===');
+
+  const previousLogging = setGameLogging(false);
+  try {
+    let state = initializeGame({ seed: 'bot-whole-game' });
+    let turns = 0;
+
+    while (!state.gameOver) {
+      if (state.playerHands.every(hand => hand.length === 0)) {
+        state = applyMove(state, { type: state.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME });
+        continue;
+      }
+
+      const move = chooseBotMove(state);
+      const nextState = move && applyMove(state, move);
+      if (!nextState || nextState === state) break;
+      state = nextState;
+      turns++;
+    }
+
+    testLog('Game finished', {
+      gameOver: state.gameOver,
+      capturedCards: state.playerCaptures.flat(2).length,
+      turns,
+      expected: { gameOver: true, capturedCards: 40 },
+    });
+  } finally {
+    setGameLogging(previousLogging);
+  }
+};
+
+// Run all tests
+export const runBotTests = () => {
+  console.log('🧪 Starting Bot Tests...');
+
+  try {
+    testPrefersValuableCaptures();
+    testHardSearch();
+    testBudgetWithinPlayOut();
+    testDifficulties();
+    testPlaysWholeGame();
+
+    console.log('\n✅ All bot tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runBotTests();
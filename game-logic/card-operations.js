@@ -3,16 +3,29 @@
  * Contains all card manipulation and utility functions
  */
 
+import { DEFAULT_RULESET } from './rulesets.js';
+
+// Jacks, queens and kings of the 52-card deck, valued above any build so they can only pair-capture
+const FACE_CARD_VALUES = { J: 11, Q: 12, K: 13 };
+
 /**
  * Converts a card's rank to its numeric value.
- * @param {string} rank - The rank of the card (A, 2-10).
+ * @param {string} rank - The rank of the card (A, 2-10, J, Q, K).
  * @returns {number} The numeric value of the rank.
  */
 export const rankValue = (rank) => {
   if (rank === 'A') return 1;
+  if (FACE_CARD_VALUES[rank]) return FACE_CARD_VALUES[rank];
   return parseInt(rank, 10);
 };
 
+/**
+ * Checks whether a card is a jack, queen or king.
+ * @param {object} card - The card object.
+ * @returns {boolean} True for face cards.
+ */
+export const isFaceCard = (card) => Boolean(FACE_CARD_VALUES[card.rank]);
+
 /**
  * Creates a unique identifier for a card based on rank and suit.
  * @param {object} card - The card object.
@@ -87,24 +100,37 @@ export const calculateCardSum = (cards) => {
 };
 
 /**
- * Creates a unique build ID.
- * @returns {string} A unique build identifier.
+ * Creates a build ID from the build's bottom card.
+ * A card can only be in one place at a time, so the ID is unique on the table
+ * and the same sequence of moves always produces the same IDs.
+ * @param {Array} cards - The cards in the build.
+ * @returns {string} A deterministic build identifier.
+ */
+export const generateBuildId = (cards) => {
+  return `build-${getCardId(cards[0])}`;
+};
+
+/**
+ * Creates a temporary stack ID from the stack's bottom card.
+ * @param {Array} cards - The cards in the stack.
+ * @returns {string} A deterministic stack identifier.
  */
-export const generateBuildId = () => {
-  return `build-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+export const generateStackId = (cards) => {
+  return `temp-${getCardId(cards[0])}`;
 };
 
 /**
  * Validates if a card combination forms a valid build type.
  * @param {Array} cards - The cards in the build.
  * @param {number} targetValue - The target build value.
+ * @param {number} [maxBuildValue] - The highest build value allowed by the ruleset.
  * @returns {boolean} True if the build is valid.
  */
-export const isValidBuildType = (cards, targetValue) => {
+export const isValidBuildType = (cards, targetValue, maxBuildValue = DEFAULT_RULESET.maxBuildValue) => {
   const sum = calculateCardSum(cards);
   const isSumBuild = sum === targetValue;
   const isSetBuild = cards.every(c => rankValue(c.rank) === targetValue);
-  return (isSumBuild || isSetBuild) && targetValue <= 10;
+  return (isSumBuild || isSetBuild) && targetValue <= maxBuildValue;
 };
 
 /**
@@ -0,0 +1,88 @@
+/**
+ * Clock Module
+ * Optional time limits for a game. The state keeps the clock's settings and, for a total clock,
+ * the time each player has left; the app measures the time a turn takes and charges it with
+ * chargeClock once the turn passes. When a player runs out, the app plays a timeout move
+ * (MOVE_TYPES.TIMEOUT) with the time the turn took, which is refused while time is left,
+ * and the clock's policy decides what it does.
+ */
+
+export const CLOCK_MODES = {
+  // Every turn gets the full limit
+  PER_TURN: 'perTurn',
+  // Chess-style: each player has the limit for the whole game
+  TOTAL: 'total',
+};
+
+export const TIMEOUT_POLICIES = {
+  // Trail the lowest card that may be trailed; if none may, the turn is forfeited
+  AUTO_TRAIL: 'autoTrail',
+  // Pass the turn without playing a card
+  FORFEIT_TURN: 'forfeitTurn',
+  // End the game with the player's side losing
+  LOSE_GAME: 'loseGame',
+};
+
+/**
+ * Creates a clock for a new game.
+ * @param {object} options - Clock settings.
+ * @param {string} [options.mode=CLOCK_MODES.PER_TURN] - One of CLOCK_MODES.
+ * @param {number} options.limitMs - The time per turn, or per player for the whole game.
+ * @param {string} [options.policy=TIMEOUT_POLICIES.AUTO_TRAIL] - One of TIMEOUT_POLICIES.
+ * @param {number} playerCount - Number of players.
+ * @returns {object} The clock: mode, limitMs, policy and remainingMs for each player.
+ */
+export const createClock = ({ mode = CLOCK_MODES.PER_TURN, limitMs, policy = TIMEOUT_POLICIES.AUTO_TRAIL }, playerCount) => ({
+  mode,
+  limitMs,
+  policy,
+  remainingMs: Array.from({ length: playerCount }, () => limitMs),
+});
+
+/**
+ * Checks clock settings from outside the app, such as a game code, before a clock is made from them.
+ * @param {object} options - Clock settings, as for createClock.
+ * @returns {boolean} True if the mode and policy are known ones and the limit is a positive whole number of milliseconds.
+ */
+export const isValidClockOptions = (options) =>
+  typeof options === 'object' && options !== null &&
+  (options.mode === undefined || Object.values(CLOCK_MODES).includes(options.mode)) &&
+  (options.policy === undefined || Object.values(TIMEOUT_POLICIES).includes(options.policy)) &&
+  Number.isInteger(options.limitMs) && options.limitMs > 0;
+
+/**
+ * Returns the settings a clock was created with, for recreating the game.
+ * @param {object|null} clock - The game's clock.
+ * @returns {object|null} The createClock options, or null for a game without a clock.
+ */
+export const getClockOptions = (clock) => (clock ? { mode: clock.mode, limitMs: clock.limitMs, policy: clock.policy } : null);
+
+/**
+ * Works out how long a player has left.
+ * @param {object} gameState - The current game state.
+ * @param {number} player - The player.
+ * @param {number} [elapsedMs=0] - Time used in the turn in progress and not yet charged.
+ * @returns {number|null} The time left in milliseconds, or null for a game without a clock.
+ */
+export const getRemainingTime = (gameState, player, elapsedMs = 0) => {
+  const { clock } = gameState;
+  if (!clock) return null;
+  const available = clock.mode === CLOCK_MODES.TOTAL ? clock.remainingMs[player] : clock.limitMs;
+  return Math.max(0, available - elapsedMs);
+};
+
+/**
+ * Charges the time a player used in a turn to their clock. Only a total clock keeps the
+ * time used; a per-turn clock starts every turn full.
+ * @param {object} gameState - The current game state.
+ * @param {number} player - The player who used the time.
+ * @param {number} elapsedMs - The time used.
+ * @returns {object} The game state with the player's time left updated.
+ */
+export const chargeClock = (gameState, player, elapsedMs) => {
+  const { clock } = gameState;
+  if (!clock || clock.mode !== CLOCK_MODES.TOTAL) return gameState;
+  const remainingMs = [...clock.remainingMs];
+  remainingMs[player] = Math.max(0, remainingMs[player] - elapsedMs);
+  return { ...gameState, clock: { ...clock, remainingMs } };
+};
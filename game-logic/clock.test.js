@@ -0,0 +1,175 @@
+/**
+ * Test suite for game clocks
+ * Verifies how time is kept and charged, that a timeout needs the time to have run out, what each
+ * timeout policy does to the game, and where the turn being timed starts
+ */
+
+import { createClock, getRemainingTime, chargeClock, CLOCK_MODES, TIMEOUT_POLICIES } from './clock.js';
+import { initializeGame, getGameOptions } from './game-state.js';
+import { applyMove, performMove, MOVE_TYPES } from './moves.js';
+import { findCurrentTurnStart } from './history.js';
+import { ERROR_CODES } from './results.js';
+import { rankValue } from './card-operations.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// A timeout once the whole 30 seconds have been used
+const TIMED_OUT = { type: MOVE_TYPES.TIMEOUT, elapsedMs: 30000 };
+
+// Two players, player 1 to move, with a clock using the given policy
+const createMockState = (policy, mode = CLOCK_MODES.PER_TURN) => ({
+  ...initializeGame({ seed: 'clock-test', clock: { mode, limitMs: 30000, policy } }),
+  deck: [],
+  playerHands: [
+    [card('9', '♣'), card('3', '♠'), card('8', '♥')],
+    [card('2', '♠'), card('7', '♥'), card('K', '♦')],
+  ],
+  tableCards: [card('5', '♣'), card('3', '♥'), card('6', '♦')],
+});
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test keeping and charging time
+export const testKeepingTime = () => {
+  console.log('\n=== Testing Keeping Time ===');
+
+  const perTurn = createMockState(TIMEOUT_POLICIES.AUTO_TRAIL);
+  testLog('Per-turn clock', {
+    left: getRemainingTime(perTurn, 0, 12000),
+    charged: getRemainingTime(chargeClock(perTurn, 0, 12000), 0),
+    expected: { left: 18000, charged: 30000 },
+  });
+
+  const total = createMockState(TIMEOUT_POLICIES.AUTO_TRAIL, CLOCK_MODES.TOTAL);
+  const charged = chargeClock(total, 0, 12000);
+  testLog('Total clock', {
+    left: [getRemainingTime(charged, 0), getRemainingTime(charged, 1)],
+    never: getRemainingTime(chargeClock(charged, 0, 60000), 0, 5000),
+    expected: { left: [18000, 30000], never: 0 },
+  });
+
+  testLog('No clock', {
+    left: getRemainingTime(initializeGame({ seed: 'clock-test' }), 0),
+    options: getGameOptions(total).clock,
+    expected: { left: null, options: { mode: CLOCK_MODES.TOTAL, limitMs: 30000, policy: TIMEOUT_POLICIES.AUTO_TRAIL } },
+  });
+  testLog('Created clock', { clock: createClock({ limitMs: 1000 }, 3).remainingMs, expected: [1000, 1000, 1000] });
+};
+
+// Test what a timeout does under each policy
+export const testTimeoutPolicies = () => {
+  console.log('\n=== Testing Timeout Policies ===');
+
+  // The 3♠ may not be trailed onto the 3♥, so the 8♥ is the lowest legal trail
+  const trailed = applyMove(createMockState(TIMEOUT_POLICIES.AUTO_TRAIL), TIMED_OUT);
+  testLog('Auto-trail the lowest legal card', {
+    hand: trailed.playerHands[0].length,
+    trailed: trailed.tableCards.some(item => item.rank === '8' && item.suit === '♥'),
+    currentPlayer: trailed.currentPlayer,
+    expected: { hand: 2, trailed: true, currentPlayer: 1 },
+  });
+
+  // Owning a build in the first round, the player may not trail at all
+  const built = applyMove(createMockState(TIMEOUT_POLICIES.AUTO_TRAIL), { type: MOVE_TYPES.BUILD, cardId: '3-♠', targetCardId: '5-♣', buildValue: 8 });
+  const cannotTrail = applyMove({ ...built, currentPlayer: 0 }, TIMED_OUT);
+  testLog('Nothing to trail', { hand: cannotTrail.playerHands[0].length, currentPlayer: cannotTrail.currentPlayer, expected: { hand: 2, currentPlayer: 1 } });
+
+  const forfeited = applyMove(createMockState(TIMEOUT_POLICIES.FORFEIT_TURN), TIMED_OUT);
+  testLog('Forfeit the turn', {
+    hand: forfeited.playerHands[0].length,
+    table: forfeited.tableCards.length,
+    currentPlayer: forfeited.currentPlayer,
+    recorded: forfeited.history.map(entry => entry.player),
+    expected: { hand: 3, table: 3, currentPlayer: 1, recorded: [0] },
+  });
+
+  const lost = applyMove(createMockState(TIMEOUT_POLICIES.LOSE_GAME), TIMED_OUT);
+  testLog('Lose the game', { gameOver: lost.gameOver, winner: lost.winner, forfeitedBy: lost.forfeitedBy, expected: { gameOver: true, winner: 1, forfeitedBy: 0 } });
+
+  const noClock = performMove(initializeGame({ seed: 'clock-test' }), TIMED_OUT);
+  testLog('Game without a clock', { code: noClock.error.code, expected: ERROR_CODES.NO_CLOCK });
+};
+
+// Test that a timeout is only accepted once the time has really run out
+export const testTimeoutChecked = () => {
+  console.log('\n=== Testing Timeout Checked ===');
+
+  const early = performMove(createMockState(TIMEOUT_POLICIES.LOSE_GAME), { type: MOVE_TYPES.TIMEOUT, elapsedMs: 12000 });
+  testLog('Time left', { code: early.error.code, params: early.error.params, expected: { code: ERROR_CODES.TIME_NOT_UP, params: { left: 18 } } });
+
+  const unsaid = performMove(createMockState(TIMEOUT_POLICIES.LOSE_GAME), { type: MOVE_TYPES.TIMEOUT });
+  testLog('Time used not given', { code: unsaid.error.code, expected: ERROR_CODES.TIME_NOT_UP });
+
+  // A total clock already charged down to nothing has run out without any time from this turn
+  const spent = chargeClock(createMockState(TIMEOUT_POLICIES.LOSE_GAME, CLOCK_MODES.TOTAL), 0, 30000);
+  testLog('Total clock spent', { ok: performMove(spent, { type: MOVE_TYPES.TIMEOUT }).ok, expected: true });
+};
+
+// Test the staging a player leaves behind, and hands of different sizes after a forfeit
+export const testAfterTimeout = () => {
+  console.log('\n=== Testing After a Timeout ===');
+
+  const staged = applyMove(createMockState(TIMEOUT_POLICIES.FORFEIT_TURN), {
+    type: MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD, cardId: '6-♦', source: 'table', targetCardId: '3-♥',
+  });
+  const timedOut = applyMove(staged, TIMED_OUT);
+  testLog('Staging taken back', {
+    stacks: timedOut.tableCards.filter(item => item.type === 'temporary_stack').length,
+    table: timedOut.tableCards.length,
+    expected: { stacks: 0, table: 3 },
+  });
+
+  // Player 2 has played out while player 1 still holds a card: player 1 keeps the turn
+  const uneven = {
+    ...createMockState(TIMEOUT_POLICIES.FORFEIT_TURN),
+    playerHands: [[card('9', '♣'), card('8', '♥')], []],
+  };
+  const played = applyMove(uneven, { type: MOVE_TYPES.TRAIL, cardId: '9-♣' });
+  testLog('Played-out player skipped', { currentPlayer: played.currentPlayer, expected: 0 });
+  const last = applyMove(played, { type: MOVE_TYPES.TRAIL, cardId: '8-♥' });
+  testLog('Round over', { currentPlayer: last.currentPlayer, hands: last.playerHands.map(hand => hand.length), expected: { currentPlayer: 1, hands: [0, 0] } });
+};
+
+// Test where a turn starts, which the app times the turn from
+export const testTurnStart = () => {
+  console.log('\n=== Testing Turn Start ===');
+
+  const state = createMockState(TIMEOUT_POLICIES.AUTO_TRAIL);
+  const staged = applyMove(state, { type: MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD, cardId: '6-♦', source: 'table', targetCardId: '3-♥' });
+  const cancelled = applyMove(staged, { type: MOVE_TYPES.CANCEL_STAGING_STACK, stackId: 'temp-3-♥' });
+  testLog('Staging keeps the turn', {
+    starts: [state, staged, cancelled].map(findCurrentTurnStart),
+    expected: [0, 0, 0],
+  });
+
+  const trailed = applyMove(cancelled, { type: MOVE_TYPES.TRAIL, cardId: '8-♥' });
+  testLog('Next turn', { start: findCurrentTurnStart(trailed), expected: 3 });
+
+  // Player 2 has played out, so player 1 moves again in a turn of their own
+  const uneven = { ...state, playerHands: [[card('9', '♣'), card('8', '♥')], []] };
+  const again = applyMove(uneven, { type: MOVE_TYPES.TRAIL, cardId: '9-♣' });
+  testLog('Same player, new turn', { currentPlayer: again.currentPlayer, start: findCurrentTurnStart(again), expected: { currentPlayer: 0, start: 1 } });
+};
+
+// Run all tests
+export const runClockTests = () => {
+  console.log('🧪 Starting Clock Tests...');
+
+  try {
+    testKeepingTime();
+    testTimeoutPolicies();
+    testTimeoutChecked();
+    testAfterTimeout();
+    testTurnStart();
+
+    console.log('\n✅ All clock tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runClockTests();
@@ -1,4 +1,5 @@
 import { rankValue } from './index.js';
+import { ERROR_CODES } from './results.js';
 
 /**
  * Advanced real-time combo analysis for casino card game builds
@@ -282,11 +283,11 @@ export const getCandidateTargetValues = (cards) => {
 /**
  * Validates if combos in a stack are correctly sorted (big→small within each combo)
  * @param {Array} cards - Cards in the temp build
- * @returns {Object} { isValid, error, suggestion }
+ * @returns {Object} { isValid, code, params }, with an error code and params when invalid
  */
 export const validateComboSorting = (cards) => {
   if (!cards || cards.length === 0) {
-    return { isValid: true, error: null, suggestion: null };
+    return { isValid: true };
   }
 
   // Get all candidate target values 
@@ -330,20 +331,20 @@ export const validateComboSorting = (cards) => {
               
             return {
               isValid: false,
-              error: `Combo [${comboStr}] is not sorted correctly`,
-              suggestion: `Should be: [${correctOrder}] (big cards first)`
+              code: ERROR_CODES.COMBO_NOT_SORTED,
+              params: { combo: comboStr, sortedCombo: correctOrder }
             };
           }
         }
       }
       
       // All combos are correctly sorted
-      return { isValid: true, error: null, suggestion: null };
+      return { isValid: true };
     }
   }
   
   // No valid partition found - this will be caught by existing validation
-  return { isValid: false, error: "No valid combo arrangement found", suggestion: null };
+  return { isValid: false, code: ERROR_CODES.NO_COMBO_ARRANGEMENT };
 };
 
 /**
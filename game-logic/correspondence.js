@@ -0,0 +1,138 @@
+/**
+ * Correspondence Module
+ * Game codes for playing a move a day on different devices. A code holds the game's options
+ * (including the seed) and every committed move in notation, so whoever imports it deals the
+ * same cards and replays the same moves. The checksum catches codes that were edited or cut
+ * short, but anyone can write a new checksum, so the options are checked before the deal and
+ * every move is checked as it is replayed.
+ *
+ * A code looks like casino1.<payload>.<checksum>: the payload is the options and move list as
+ * JSON in base64url, and the checksum is the FNV-1a hash of the payload in hex.
+ */
+
+import { initializeGame, getGameOptions, setGameLogging } from './game-state.js';
+import { performMove, isSystemMove, MOVE_TYPES } from './moves.js';
+import { isRoundOver } from './game-actions.js';
+import { isLegalMove } from './legal-moves.js';
+import { formatMoves, parseMoves } from './notation.js';
+import { isValidPlayerSetup } from './players.js';
+import { RULESETS, DEFAULT_RULESET, validateRuleset } from './rulesets.js';
+import { isValidClockOptions } from './clock.js';
+import { hashString } from './random.js';
+import { success, failure, ERROR_CODES } from './results.js';
+
+const GAME_CODE_PREFIX = 'casino1';
+
+// Escapes every character outside ASCII, which btoa cannot encode; the JSON still parses the same
+const escapeNonAscii = (json) =>
+  json.replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+const toBase64Url = (text) => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+const checksumOf = (payload) => hashString(payload).toString(16).padStart(8, '0');
+
+// A preset ruleset is written as its id; custom rules are written out in full
+const compactRuleset = (ruleset) =>
+  (JSON.stringify(ruleset) === JSON.stringify(RULESETS[ruleset.id]) ? ruleset.id : ruleset);
+
+/**
+ * Reads the game options from a code's data. Only the options a code is written with are read,
+ * and only if the game can be dealt from them: a known or playable ruleset, a valid clock and a
+ * dealer at the table (codes written before the dealer was recorded have none).
+ * @param {object} data - The code's data.
+ * @returns {object|null} The initializeGame options, or null if the code's options cannot be played.
+ */
+const readCodeOptions = ({ seed, practiceMode = false, dealer, playerCount, partnerships = false, ruleset, clock = null }) => {
+  const validSeed = typeof seed === 'string' || Number.isFinite(seed);
+  const validRuleset = ruleset === undefined || (typeof ruleset === 'string'
+    ? Object.prototype.hasOwnProperty.call(RULESETS, ruleset)
+    : typeof ruleset === 'object' && ruleset !== null && validateRuleset({ ...DEFAULT_RULESET, ...ruleset }).valid);
+  if (!validSeed || typeof practiceMode !== 'boolean' || !isValidPlayerSetup(playerCount, partnerships) ||
+      (dealer !== undefined && !(Number.isInteger(dealer) && dealer >= 0 && dealer < playerCount)) ||
+      !validRuleset || (clock !== null && !isValidClockOptions(clock))) {
+    return null;
+  }
+  return { seed, practiceMode, dealer, playerCount, partnerships, ruleset, clock };
+};
+
+/**
+ * Checks a move from a code that the engine has accepted. Dealing, sweeping and scoring only
+ * come once the hands are played out, timeouts are refused since a code holds no clock times to
+ * check them against, and a player's move must be one of the legal moves.
+ * @param {object} gameState - The game state before the move.
+ * @param {object} move - The move.
+ * @returns {string|null} The error code saying why the move is refused, or null if it is allowed.
+ */
+const checkCodeMove = (gameState, move) => {
+  if (move.type === MOVE_TYPES.TIMEOUT) return ERROR_CODES.NOT_A_PLAYER_MOVE;
+  if (isSystemMove(move)) return isRoundOver(gameState) ? null : ERROR_CODES.ROUND_NOT_OVER;
+  return isLegalMove(gameState, move) ? null : ERROR_CODES.MOVE_NOT_ALLOWED;
+};
+
+/**
+ * Writes a game as a code that can be pasted into another device to continue it.
+ * @param {object} gameState - The full game state; a projection has no seed to write.
+ * @returns {string} The game code.
+ */
+export const exportGameCode = (gameState) => {
+  if (gameState.seed === null || gameState.seed === undefined) {
+    throw new Error('Only a full game state can be exported; this one has no seed.');
+  }
+  const options = getGameOptions(gameState);
+  const payload = toBase64Url(escapeNonAscii(JSON.stringify({
+    ...options,
+    ruleset: compactRuleset(options.ruleset),
+    moves: formatMoves(gameState.history.map(entry => entry.move)),
+  })));
+  return `${GAME_CODE_PREFIX}.${payload}.${checksumOf(payload)}`;
+};
+
+/**
+ * Reads a game code and rebuilds the game by replaying its moves from the deal.
+ * Whitespace is ignored, so codes broken over lines by a messaging app still import.
+ * @param {string} code - The game code.
+ * @returns {object} The result: the game state, or UNREADABLE_GAME_CODE (also for options the game
+ *   cannot be dealt with),
+ *   GAME_CODE_CHECKSUM_MISMATCH or GAME_CODE_ILLEGAL_MOVE (params: number, reason).
+ */
+export const importGameCode = (code) => {
+  const parts = String(code).replace(/\s+/g, '').split('.');
+  const [prefix, payload, checksum] = parts;
+  if (parts.length !== 3 || prefix !== GAME_CODE_PREFIX || !payload) {
+    return failure(null, ERROR_CODES.UNREADABLE_GAME_CODE);
+  }
+  if (checksumOf(payload) !== checksum) {
+    return failure(null, ERROR_CODES.GAME_CODE_CHECKSUM_MISMATCH);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(payload));
+  } catch (error) {
+    return failure(null, ERROR_CODES.UNREADABLE_GAME_CODE);
+  }
+  const isObject = typeof data === 'object' && data !== null;
+  const moves = isObject && typeof data.moves === 'string' ? parseMoves(data.moves) : null;
+  const options = isObject ? readCodeOptions(data) : null;
+  if (!moves || !options) {
+    return failure(null, ERROR_CODES.UNREADABLE_GAME_CODE);
+  }
+
+  const wasLogging = setGameLogging(false);
+  try {
+    let gameState = initializeGame(options);
+    for (let i = 0; i < moves.length; i++) {
+      const result = performMove(gameState, moves[i]);
+      const reason = result.ok ? checkCodeMove(gameState, moves[i]) : result.error.code;
+      if (reason) {
+        return failure(null, ERROR_CODES.GAME_CODE_ILLEGAL_MOVE, { number: i + 1, reason });
+      }
+      gameState = result.state;
+    }
+    return success(gameState);
+  } finally {
+    setGameLogging(wasLogging);
+  }
+};
@@ -0,0 +1,146 @@
+/**
+ * Test suite for game codes
+ * Verifies that a game survives export and import, and that edited codes and codes with
+ * unplayable options or illegal or out-of-place moves are refused, even with a correct checksum
+ */
+
+import { exportGameCode, importGameCode } from './correspondence.js';
+import { initializeGame, setGameLogging } from './game-state.js';
+import { applyMove, MOVE_TYPES } from './moves.js';
+import { getLegalMoves } from './legal-moves.js';
+import { formatMoves } from './notation.js';
+import { hashString } from './random.js';
+import { ERROR_CODES } from './results.js';
+
+// Plays the first legal move a number of times
+const playMoves = (gameState, count) => {
+  let state = gameState;
+  for (let i = 0; i < count; i++) state = applyMove(state, getLegalMoves(state)[0]);
+  return state;
+};
+
+// Builds a code around any payload, with a correct checksum
+const signPayload = (data) => {
+  const payload = btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `casino1.${payload}.${hashString(payload).toString(16).padStart(8, '0')}`;
+};
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that an imported game is the game that was exported
+export const testRoundTrip = () => {
+  console.log('\n=== Testing Round Trip ===');
+
+  const wasLogging = setGameLogging(false);
+  try {
+    const game = playMoves(initializeGame({ seed: 'mañana', playerCount: 3, ruleset: 'classic' }), 15);
+    const code = exportGameCode(game);
+    const imported = importGameCode(code);
+    testLog('Same game', {
+      ok: imported.ok,
+      same: JSON.stringify(imported.state) === JSON.stringify(game),
+      expected: { ok: true, same: true },
+    });
+    testLog('Line breaks ignored', { ok: importGameCode(`${code.slice(0, 40)}\n${code.slice(40)}`).ok, expected: true });
+
+    const custom = initializeGame({ seed: 7, ruleset: { id: 'custom', sweepPoints: true } });
+    testLog('Custom ruleset', {
+      sweepPoints: importGameCode(exportGameCode(custom)).state.ruleset.sweepPoints,
+      expected: true,
+    });
+
+    const fresh = importGameCode(exportGameCode(initializeGame({ seed: 'fresh' })));
+    testLog('New game', { ok: fresh.ok, moves: fresh.state.history.length, expected: { ok: true, moves: 0 } });
+  } finally {
+    setGameLogging(wasLogging);
+  }
+};
+
+// Test that codes which were changed or hold illegal moves are refused
+export const testRefusedCodes = () => {
+  console.log('\n=== Testing Refused Codes ===');
+
+  const wasLogging = setGameLogging(false);
+  try {
+    const game = playMoves(initializeGame({ seed: 'refused' }), 6);
+    const code = exportGameCode(game);
+    const [prefix, payload, checksum] = code.split('.');
+    const edited = `${prefix}.${payload.slice(0, 10)}${payload[10] === 'A' ? 'B' : 'A'}${payload.slice(11)}.${checksum}`;
+
+    testLog('Not a code', { code: importGameCode('hello').error.code, expected: ERROR_CODES.UNREADABLE_GAME_CODE });
+    testLog('Edited code', { code: importGameCode(edited).error.code, expected: ERROR_CODES.GAME_CODE_CHECKSUM_MISMATCH });
+    testLog('Cut short', {
+      code: importGameCode(`${prefix}.${payload.slice(0, -20)}.${checksum}`).error.code,
+      expected: ERROR_CODES.GAME_CODE_CHECKSUM_MISMATCH,
+    });
+
+    // A well-formed code whose second move trails a card the player does not hold
+    const moves = game.history.map(entry => entry.move);
+    const illegal = [moves[0], { type: MOVE_TYPES.TRAIL, cardId: moves[0].cardId || 'K-♠' }];
+    const forged = importGameCode(signPayload({ seed: 'refused', playerCount: 2, partnerships: false, moves: formatMoves(illegal) }));
+    testLog('Illegal move', {
+      code: forged.error.code,
+      number: forged.error.params.number,
+      expected: { code: ERROR_CODES.GAME_CODE_ILLEGAL_MOVE, number: 2 },
+    });
+
+    // Moves only the game makes, out of place: dealing mid-round, ending the game at the start,
+    // and a timeout the code has no clock times to back up
+    const outOfPlace = [
+      { moves: [moves[0], { type: MOVE_TYPES.START_NEXT_ROUND }] },
+      { moves: [{ type: MOVE_TYPES.END_GAME }] },
+      { moves: [{ type: MOVE_TYPES.TIMEOUT, elapsedMs: 60000 }], clock: { limitMs: 30000 } },
+    ].map(({ moves: forgedMoves, clock = null }) => importGameCode(signPayload({
+      seed: 'refused', playerCount: 2, partnerships: false, clock, moves: formatMoves(forgedMoves),
+    })).error);
+    testLog('Game moves out of place', {
+      refused: outOfPlace.map(error => [error.code, error.params.number, error.params.reason]),
+      expected: [
+        [ERROR_CODES.GAME_CODE_ILLEGAL_MOVE, 2, ERROR_CODES.ROUND_NOT_OVER],
+        [ERROR_CODES.GAME_CODE_ILLEGAL_MOVE, 1, ERROR_CODES.ROUND_NOT_OVER],
+        [ERROR_CODES.GAME_CODE_ILLEGAL_MOVE, 1, ERROR_CODES.NOT_A_PLAYER_MOVE],
+      ],
+    });
+
+    const badSetup = importGameCode(signPayload({ seed: 'refused', playerCount: 9, moves: '' }));
+    testLog('Impossible table', { code: badSetup.error.code, expected: ERROR_CODES.UNREADABLE_GAME_CODE });
+
+    // Options that could never be dealt, or that would deal a different game, are refused before dealing
+    const badOptions = [
+      { ruleset: { dealPacketSize: 0 } },
+      { ruleset: { cardsPerDeal: 0 } },
+      { ruleset: { deckSize: 7 } },
+      { ruleset: 'tournament' },
+      { clock: { limitMs: -1 } },
+      { clock: { limitMs: 30000, policy: 'pause' } },
+      { dealer: 5 },
+    ].map(options => importGameCode(signPayload({ seed: 'refused', playerCount: 2, moves: '', ...options })).error.code);
+    testLog('Unplayable options', { codes: badOptions, expected: Array(7).fill(ERROR_CODES.UNREADABLE_GAME_CODE) });
+
+    // Anything a code is not written with is left out of the deal
+    const extra = importGameCode(signPayload({ seed: 'refused', playerCount: 2, moves: '', createRandom: 'not a function' }));
+    testLog('Unknown options ignored', { ok: extra.ok, expected: true });
+  } finally {
+    setGameLogging(wasLogging);
+  }
+};
+
+// Run all tests
+export const runCorrespondenceTests = () => {
+  console.log('🧪 Starting Correspondence Tests...');
+
+  try {
+    testRoundTrip();
+    testRefusedCodes();
+
+    console.log('\n✅ All correspondence tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runCorrespondenceTests();
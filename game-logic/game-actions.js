@@ -1,8 +1,17 @@
-import { updateGameState, nextPlayer } from './game-state.js';
-import { rankValue, removeCardFromHand, removeCardsFromTable, sortCardsByRank, calculateCardSum, generateBuildId, findOpponentMatchingCards, createCaptureStack } from './card-operations.js';
+/**
+ * Game Actions Module
+ * The handlers behind every move. Each returns a result from results.js: the new state,
+ * or the unchanged state and an error code saying why the action was refused.
+ */
+
+import { updateGameState, nextPlayer, dealCards } from './game-state.js';
+import { rankValue, removeCardFromHand, removeCardsFromTable, sortCardsByRank, calculateCardSum, generateBuildId, generateStackId, getCardId, findOpponentMatchingCards, createCaptureStack } from './card-operations.js';
 import { canPartitionIntoSums } from './algorithms.js';
 import { validateBuild, findPossibleBuildsFromStack } from './validation.js';
 import { logGameState } from './game-state.js';
+import { getHandSize, getPlayerCount, getDealer, getOpponents, getOpponentPileIndex, getTeamIndex } from './players.js';
+import { getRuleset } from './rulesets.js';
+import { ERROR_CODES, success, failure } from './results.js';
 
 export const handleTrail = (gameState, card) => {
   const { playerHands, tableCards, currentPlayer } = gameState;
@@ -10,7 +19,7 @@ export const handleTrail = (gameState, card) => {
   // Remove card from hand
   const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, card);
   if (!newPlayerHands) {
-    return gameState; // Card not found
+    return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(card) });
   }
 
   // Create new state
@@ -20,7 +29,7 @@ export const handleTrail = (gameState, card) => {
   });
 
   logGameState(`Player ${currentPlayer + 1} trailed a ${card.rank}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleBuild = (gameState, draggedItem, tableCardsInBuild, buildValue, biggerCard, smallerCard) => {
@@ -29,10 +38,9 @@ export const handleBuild = (gameState, draggedItem, tableCardsInBuild, buildValu
   const playerHand = playerHands[currentPlayer];
 
   // 1. Validate the build
-  const validation = validateBuild(playerHand, playerCard, buildValue, tableCards, currentPlayer);
+  const validation = validateBuild(playerHand, playerCard, buildValue, tableCards, currentPlayer, getRuleset(gameState));
   if (!validation.valid) {
-    console.warn(validation.message);
-    return gameState;
+    return failure(gameState, validation.code, validation.params);
   }
 
   // 2. Remove the played card from its source (hand or table)
@@ -42,7 +50,7 @@ export const handleBuild = (gameState, draggedItem, tableCardsInBuild, buildValu
     tempTableCards = removeCardsFromTable(tableCards, [playerCard]);
   } else { // Default to hand for builds
     newPlayerHands = removeCardFromHand(playerHands, currentPlayer, playerCard);
-    if (!newPlayerHands) return gameState;
+    if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(playerCard) });
   }
 
   // 3. Determine the cards that make up the initial build action
@@ -80,7 +88,7 @@ export const handleBuild = (gameState, draggedItem, tableCardsInBuild, buildValu
     const itemsToRemoveFromTable = [...tableCardsInBuild, ...matchingItemsOnTable];
 
     newBuild = {
-      buildId: generateBuildId(),
+      buildId: generateBuildId(allConsolidatedCards),
       type: 'build',
       cards: allConsolidatedCards, // Use the new custom order
       value: buildValue,
@@ -91,7 +99,7 @@ export const handleBuild = (gameState, draggedItem, tableCardsInBuild, buildValu
     finalTableCards.push(newBuild);
   } else {
     // Standard build path (no auto-grouping)
-    newBuild = { buildId: generateBuildId(), type: 'build', cards: initialBuildCards, value: buildValue, owner: currentPlayer, isExtendable: true };
+    newBuild = { buildId: generateBuildId(initialBuildCards), type: 'build', cards: initialBuildCards, value: buildValue, owner: currentPlayer, isExtendable: true };
     finalTableCards = removeCardsFromTable(tempTableCards, tableCardsInBuild);
     finalTableCards.push(newBuild);
   }
@@ -103,7 +111,7 @@ export const handleBuild = (gameState, draggedItem, tableCardsInBuild, buildValu
   });
 
   logGameState(`Player ${currentPlayer + 1} built a ${buildValue}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleReinforceBuildWithStack = (gameState, stack, targetBuild) => {
@@ -114,7 +122,7 @@ export const handleReinforceBuildWithStack = (gameState, stack, targetBuild) =>
   // --- EXECUTION ---
   // The card from hand was already removed when the staging stack was created.
   const newPlayerHands = playerHands;
-  const cardsForPartition = stack.cards.map(({ source, ...card }) => card); // Strip source for validation
+  const cardsForPartition = stack.cards.map(({ source, sourcePlayer, ...card }) => card); // Strip source for validation
 
   // NOTE: Opponent capture cards are now removed during temp stack creation 
   // to avoid double-removal bug. No need to remove them again here.
@@ -125,7 +133,7 @@ export const handleReinforceBuildWithStack = (gameState, stack, targetBuild) =>
   const allNewBuildCards = [...targetBuild.cards, ...cardsForPartition];
 
   const newBuild = {
-    buildId: generateBuildId(),
+    buildId: generateBuildId(allNewBuildCards),
     type: 'build',
     cards: allNewBuildCards,
     value: targetBuild.value, // The value of the build does not change
@@ -145,7 +153,7 @@ export const handleReinforceBuildWithStack = (gameState, stack, targetBuild) =>
   });
 
   logGameState(`Player ${currentPlayer + 1} reinforced a build of ${targetBuild.value}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleBaseBuild = (gameState, draggedItem, baseCard, otherCardsInBuild) => {
@@ -161,7 +169,7 @@ export const handleBaseBuild = (gameState, draggedItem, baseCard, otherCardsInBu
     newTableCards = removeCardsFromTable(tableCards, [playerCard]);
   } else { // Default to hand
     newPlayerHands = removeCardFromHand(playerHands, currentPlayer, playerCard);
-    if (!newPlayerHands) return gameState;
+    if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(playerCard) });
   }
 
 
@@ -169,22 +177,15 @@ export const handleBaseBuild = (gameState, draggedItem, baseCard, otherCardsInBu
   const cardsToRemoveFromTable = [baseCard, ...otherCardsInBuild];
   const finalTableCards = removeCardsFromTable(newTableCards, cardsToRemoveFromTable);
 
-  // Construct the new build's cards array with proper combination grouping
-  // otherCardsInBuild is an array of combinations, each combination is an array of cards
-  let buildCards = [baseCard]; // Start with base card
-
-  // Process each combination: sort within combination (bigger to smaller) and add to build
-  otherCardsInBuild.forEach(combination => {
-    // Sort each combination by rank (bigger to smaller for proper stacking)
-    const sortedCombination = [...combination].sort((a, b) => rankValue(b.rank) - rankValue(a.rank));
-    buildCards = [...buildCards, ...sortedCombination];
-  });
+  // Construct the new build's cards array: base card at the bottom, then the
+  // combination that completes it (one result of findBaseBuilds), bigger to smaller
+  const sortedCombination = [...otherCardsInBuild].sort((a, b) => rankValue(b.rank) - rankValue(a.rank));
 
   // Add player's card on top
-  buildCards = [...buildCards, playerCard];
+  const buildCards = [baseCard, ...sortedCombination, playerCard];
 
   const newBuild = {
-    buildId: generateBuildId(),
+    buildId: generateBuildId(buildCards),
     type: 'build',
     cards: buildCards,
     value: playerCard.value,
@@ -201,7 +202,7 @@ export const handleBaseBuild = (gameState, draggedItem, baseCard, otherCardsInBu
   });
 
   logGameState(`Player ${currentPlayer + 1} created a base build with a ${playerCard.rank}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleCreateBuildFromStack = (gameState, draggedItem, stack) => {
@@ -222,8 +223,7 @@ export const handleCreateBuildFromStack = (gameState, draggedItem, stack) => {
   );
   
   if (existingEqualValueCards.length > 0) {
-    console.error(`Build finalization blocked: Must include existing ${rankValue(existingEqualValueCards[0].rank)} when creating build of value ${newBuildValue}`);
-    return gameState; // Block the build creation
+    return failure(gameState, ERROR_CODES.MUST_INCLUDE_EQUAL_CARD, { value: newBuildValue });
   }
 
   // Maintain consistent ordering with temp builds - bigger cards at index 0 (bottom of pile)
@@ -231,7 +231,7 @@ export const handleCreateBuildFromStack = (gameState, draggedItem, stack) => {
 
   // 2. Create the new build object
   const newBuild = {
-    buildId: generateBuildId(),
+    buildId: generateBuildId(allCardsInBuild),
     type: 'build',
     cards: allCardsInBuild,
     value: newBuildValue,
@@ -243,8 +243,7 @@ export const handleCreateBuildFromStack = (gameState, draggedItem, stack) => {
   // Remove hand card
   const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, handCard);
   if (!newPlayerHands) {
-    console.error("Card for build not found in hand.");
-    return gameState;
+    return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(handCard) });
   }
 
   // Remove temporary stack from table and add new build (consistent with reinforcement approach)
@@ -253,7 +252,7 @@ export const handleCreateBuildFromStack = (gameState, draggedItem, stack) => {
 
   const newState = updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards });
   logGameState(`Player ${currentPlayer + 1} created a build of ${newBuildValue} from a stack`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleAddToOpponentBuild = (gameState, draggedItem, buildToAddTo) => {
@@ -268,7 +267,7 @@ export const handleAddToOpponentBuild = (gameState, draggedItem, buildToAddTo) =
   const sortedCards = newBuildCards.sort((a, b) => rankValue(b.rank) - rankValue(a.rank));
 
   const newBuild = {
-    buildId: generateBuildId(),
+    buildId: generateBuildId(sortedCards),
     type: 'build',
     cards: sortedCards,
     value: newBuildValue,
@@ -285,7 +284,7 @@ export const handleAddToOpponentBuild = (gameState, draggedItem, buildToAddTo) =
     newTableCards = removeCardsFromTable(tableCards, [playerCard]);
   } else { // Default to hand
     newPlayerHands = removeCardFromHand(playerHands, currentPlayer, playerCard);
-    if (!newPlayerHands) return gameState;
+    if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(playerCard) });
   }
 
   // Remove old build from table and add the new one
@@ -299,7 +298,7 @@ export const handleAddToOpponentBuild = (gameState, draggedItem, buildToAddTo) =
   });
 
   logGameState(`Player ${currentPlayer + 1} extended opponent's build to ${newBuild.value}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleAddToOwnBuild = (gameState, draggedItem, buildToAddTo) => {
@@ -331,8 +330,7 @@ export const handleAddToOwnBuild = (gameState, draggedItem, buildToAddTo) => {
   // Update player hand
   const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, playerCard);
   if (!newPlayerHands) {
-      console.error("Card for 'add to own build' not found in hand.");
-      return gameState; // Should not happen if validation is correct
+    return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(playerCard) });
   }
 
   const newState = updateGameState(gameState, {
@@ -341,7 +339,7 @@ export const handleAddToOwnBuild = (gameState, draggedItem, buildToAddTo) => {
   });
 
   logGameState(`Player ${currentPlayer + 1} added to their build, creating a new build of ${newBuildValue}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 export const handleCapture = (gameState, draggedItem, selectedTableCards, opponentCard = null) => {
@@ -363,12 +361,12 @@ export const handleCapture = (gameState, draggedItem, selectedTableCards, oppone
     if (canPartitionIntoSums(potentialStackCards, playerOwnBuild.value)) {
       // This is an "add to build" action, not a capture.
       const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, selectedCard);
-      if (!newPlayerHands) return gameState;
+      if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(selectedCard) });
 
       const allNewBuildCards = [...playerOwnBuild.cards, ...potentialStackCards];
 
       const newBuild = {
-        buildId: generateBuildId(),
+        buildId: generateBuildId(allNewBuildCards),
         type: 'build',
         cards: allNewBuildCards,
         value: playerOwnBuild.value,
@@ -386,7 +384,7 @@ export const handleCapture = (gameState, draggedItem, selectedTableCards, oppone
       });
 
       logGameState(`Player ${currentPlayer + 1} reinforced their build of ${playerOwnBuild.value}`, nextPlayer(newState));
-      return nextPlayer(newState);
+      return success(nextPlayer(newState));
     }
   }
 
@@ -394,7 +392,11 @@ export const handleCapture = (gameState, draggedItem, selectedTableCards, oppone
   let newTableCards = tableCards;
   let newPlayerCaptures = playerCaptures;
 
-  const isFinalizingStack = selectedTableCards.some(item => item.type === 'temporary_stack');
+  // A stack is being finalized when the capturing card was staged into it from the hand.
+  const isFinalizingStack = selectedTableCards.some(item =>
+    item.type === 'temporary_stack' &&
+    item.cards.some(c => c.source === 'hand' && c.rank === selectedCard.rank && c.suit === selectedCard.suit)
+  );
 
   // Update game state
   if (source === 'table') {
@@ -403,7 +405,7 @@ export const handleCapture = (gameState, draggedItem, selectedTableCards, oppone
     // If we are finalizing a stack, the hand card has already been removed.
     if (!isFinalizingStack) {
       newPlayerHands = removeCardFromHand(playerHands, currentPlayer, selectedCard);
-      if (!newPlayerHands) return gameState;
+      if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(selectedCard) });
     }
   }
 
@@ -427,7 +429,10 @@ export const handleCapture = (gameState, draggedItem, selectedTableCards, oppone
   // Handle opponent's card removal if involved
   let finalPlayerCaptures = [...newPlayerCaptures];
   if (opponentCard) {
-    const opponentIndex = 1 - currentPlayer; // Get opponent's index
+    const opponentIndex = getOpponentPileIndex(gameState, opponentCard);
+    if (opponentIndex === -1) {
+      return failure(gameState, ERROR_CODES.CARD_NOT_ON_OPPONENT_PILE, { cardId: getCardId(opponentCard) });
+    }
     finalPlayerCaptures[opponentIndex] = newPlayerCaptures[opponentIndex].map(group =>
       group.filter(card =>
         !(card.rank === opponentCard.rank && card.suit === opponentCard.suit)
@@ -452,145 +457,174 @@ export const handleCapture = (gameState, draggedItem, selectedTableCards, oppone
   // Add captured cards to player's captures
   finalPlayerCaptures[currentPlayer] = [...finalPlayerCaptures[currentPlayer], capturedGroup];
 
+  // A capture that clears the table is a sweep
+  const isSweep = finalTableCards.length === 0;
+  const sweeps = [...(gameState.sweeps || playerHands.map(() => 0))];
+  if (isSweep) sweeps[currentPlayer] += 1;
+
   const newState = updateGameState(gameState, {
     playerHands: newPlayerHands,
     tableCards: finalTableCards,
     playerCaptures: finalPlayerCaptures,
     lastCapturer: currentPlayer,
+    sweeps,
   });
 
   const captureDescription = opponentCard
     ? `Player ${currentPlayer + 1} captured with a ${selectedCard.rank} (using opponent's ${opponentCard.rank})`
-    : `Player ${currentPlayer + 1} captured with a ${selectedCard.rank}`;
+    : `Player ${currentPlayer + 1} captured with a ${selectedCard.rank}${isSweep ? ' and swept the table' : ''}`;
 
   logGameState(captureDescription, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
+/**
+ * Checks whether the round has been played out.
+ * @param {object} gameState - The current game state.
+ * @returns {boolean} True once every hand is empty.
+ */
+export const isRoundOver = (gameState) => gameState.playerHands.every(hand => hand.length === 0);
+
 /**
  * Transitions the game to the next round, dealing new cards and carrying over table cards.
  * @param {object} gameState - The current game state.
- * @returns {object} The updated game state for the new round.
+ * @returns {object} The result, with the game state for the new round.
  */
 export const startNextRound = (gameState) => {
-  let { deck, playerHands, tableCards } = gameState;
+  let { deck, playerHands, tableCards, round } = gameState;
+  const playerCount = getPlayerCount(gameState);
+  const handSize = getHandSize(playerCount, getRuleset(gameState));
 
-  // Per the rules, 20 cards should be left for round 2.
-  if (deck.length < 20) {
-    console.error("Not enough cards in the deck to start round 2.", deck.length);
-    // This might indicate an end-of-game condition if the deck is empty.
-    return gameState;
+  if (!isRoundOver(gameState)) {
+    return failure(gameState, ERROR_CODES.ROUND_NOT_OVER);
   }
 
-  const newPlayerHands = [[...playerHands[0]], [...playerHands[1]]];
-
-  // Create a copy of the deck to avoid mutating the original
-  let workingDeck = [...deck];
-
-  // Deal 10 cards to each player for round 2
-  for (let i = 0; i < 10; i++) {
-    if (workingDeck.length > 0) newPlayerHands[0].push(workingDeck.pop());
-    if (workingDeck.length > 0) newPlayerHands[1].push(workingDeck.pop());
+  // Per the rules, a full hand for every player should be left for the next round.
+  if (deck.length < handSize * playerCount) {
+    // This might indicate an end-of-game condition if the deck is empty.
+    return failure(gameState, ERROR_CODES.NOT_ENOUGH_CARDS_TO_DEAL, { needed: handSize * playerCount, left: deck.length });
   }
 
-  return updateGameState(gameState, {
-    deck: workingDeck,
-    playerHands: newPlayerHands,
-    round: 2,
-    // Keep the same table cards from round 1
-    tableCards: [...tableCards],
+  // The same dealer deals every round, so the player after them is dealt to first again
+  const dealt = dealCards(deck, playerHands, {
+    dealer: getDealer(gameState),
+    handSize,
+    packetSize: getRuleset(gameState).dealPacketSize,
   });
+
+  return success(updateGameState(gameState, {
+    deck: dealt.deck,
+    playerHands: dealt.playerHands,
+    round: round + 1,
+    // Keep the same table cards from the previous round
+    tableCards: [...tableCards],
+  }));
 };
 
 /**
- * Sweeps the remaining table cards and gives them to the last player who captured.
+ * Sweeps the remaining table cards and gives them to the last player who captured,
+ * or to the dealer if nobody captured anything all game.
  * @param {object} gameState - The current game state.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleSweep = (gameState) => {
-  const { tableCards, playerCaptures, lastCapturer } = gameState;
+  const { tableCards, playerCaptures } = gameState;
 
-  if (tableCards.length === 0 || lastCapturer === null) {
-    return gameState; // Nothing to sweep or no one to give it to
+  if (tableCards.length === 0) {
+    return failure(gameState, ERROR_CODES.NOTHING_TO_SWEEP);
   }
 
+  const receiver = gameState.lastCapturer ?? getDealer(gameState);
+
   const flattenedTableCards = tableCards.flatMap(item =>
     item.type === 'build' ? item.cards : [item]
   );
 
   const newPlayerCaptures = [...playerCaptures];
   // Create a new capture group for the swept cards. The order is immaterial.
-  newPlayerCaptures[lastCapturer] = [...newPlayerCaptures[lastCapturer], flattenedTableCards];
+  newPlayerCaptures[receiver] = [...newPlayerCaptures[receiver], flattenedTableCards];
 
   const newState = updateGameState(gameState, {
     tableCards: [], // Clear the table
     playerCaptures: newPlayerCaptures,
   });
 
-  logGameState(`Player ${lastCapturer + 1} swept the remaining cards`, newState);
-  return newState;
+  logGameState(`Player ${receiver + 1} swept the remaining cards`, newState);
+  return success(newState);
 };
 
 /**
- * Calculates the final scores for each player based on the rules in GEMINI.md.
- * @param {Array<Array<Array<Card>>>} playerCaptures - The captured cards for both players.
- * @returns {Array<number>} The final scores for player 1 and player 2.
+ * Awards a "most" category: 2 pts to a clear leader, 1 pt each to players tied for the lead.
+ * @param {Array<object>} details - The score details of each side.
+ * @param {string} countKey - The tallied count to compare, e.g. 'cardCount'.
+ * @param {string} pointsKey - The category to award, e.g. 'mostCards'.
  */
-export const calculateScores = (playerCaptures) => {
-  const details = [
-    { mostCards: 0, mostSpades: 0, bigCasino: 0, littleCasino: 0, aces: 0, total: 0, cardCount: 0, spadeCount: 0 },
-    { mostCards: 0, mostSpades: 0, bigCasino: 0, littleCasino: 0, aces: 0, total: 0, cardCount: 0, spadeCount: 0 }
-  ];
+const awardMostPoints = (details, countKey, pointsKey) => {
+  const best = Math.max(...details.map(d => d[countKey]));
+  if (best === 0) return;
 
-  const allPlayerCards = playerCaptures.map(captures => captures.flat());
+  const leaders = details.filter(d => d[countKey] === best);
+  leaders.forEach(d => {
+    d[pointsKey] = leaders.length === 1 ? 2 : 1;
+  });
+};
+
+/**
+ * Calculates the final scores for each side based on the rules in GEMINI.md.
+ * In partnership games the captures of both partners are pooled and scored together.
+ * @param {Array<Array<Array<Card>>>} playerCaptures - The captured cards of every player.
+ * @param {Array<Array<number>>} [teams] - The players on each side. Defaults to every player on their own.
+ * @param {Array<number>|null} [sweeps=null] - Sweeps made by each player, scoring a point each; null when sweeps don't score.
+ * @returns {object} The scores, score details and winner (or null for a tie), indexed by side.
+ */
+export const calculateScores = (playerCaptures, teams = playerCaptures.map((_, player) => [player]), sweeps = null) => {
+  const details = teams.map(() => (
+    { mostCards: 0, mostSpades: 0, bigCasino: 0, littleCasino: 0, aces: 0, sweeps: 0, total: 0, cardCount: 0, spadeCount: 0 }
+  ));
+
+  const allSideCards = teams.map(team => team.flatMap(player => playerCaptures[player].flat()));
 
   // Tally card counts and spade counts
-  details[0].cardCount = allPlayerCards[0].length;
-  details[1].cardCount = allPlayerCards[1].length;
-  details[0].spadeCount = allPlayerCards[0].filter(c => c.suit === '♠').length;
-  details[1].spadeCount = allPlayerCards[1].filter(c => c.suit === '♠').length;
-
-  // Award points for Most Cards (2 pts for most, 1 pt each for a tie)
-  if (details[0].cardCount > details[1].cardCount) {
-    details[0].mostCards = 2;
-  } else if (details[1].cardCount > details[0].cardCount) {
-    details[1].mostCards = 2;
-  } else if (details[0].cardCount > 0 && details[0].cardCount === details[1].cardCount) {
-    details[0].mostCards = 1;
-    details[1].mostCards = 1;
-  }
+  allSideCards.forEach((cards, sideIndex) => {
+    details[sideIndex].cardCount = cards.length;
+    details[sideIndex].spadeCount = cards.filter(c => c.suit === '♠').length;
+  });
 
-  // Award points for Most Spades (2 pts for most, 1 pt each for a tie)
-  if (details[0].spadeCount > details[1].spadeCount) {
-    details[0].mostSpades = 2;
-  } else if (details[1].spadeCount > details[0].spadeCount) {
-    details[1].mostSpades = 2;
-  } else if (details[0].spadeCount > 0 && details[0].spadeCount === details[1].spadeCount) {
-    details[0].mostSpades = 1;
-    details[1].mostSpades = 1;
-  }
+  // Award points for Most Cards and Most Spades (2 pts for most, 1 pt each for a tie)
+  awardMostPoints(details, 'cardCount', 'mostCards');
+  awardMostPoints(details, 'spadeCount', 'mostSpades');
 
   // Award points for specific cards
-  allPlayerCards.forEach((cards, playerIndex) => {
+  allSideCards.forEach((cards, sideIndex) => {
     cards.forEach(card => {
-      if (card.rank === 'A') details[playerIndex].aces += 1;
-      if (card.rank === '10' && card.suit === '♦') details[playerIndex].bigCasino = 2;
-      if (card.rank === '2' && card.suit === '♠') details[playerIndex].littleCasino = 1;
+      if (card.rank === 'A') details[sideIndex].aces += 1;
+      if (card.rank === '10' && card.suit === '♦') details[sideIndex].bigCasino = 2;
+      if (card.rank === '2' && card.suit === '♠') details[sideIndex].littleCasino = 1;
     });
   });
 
+  // Award a point for every sweep made by the side's players
+  if (sweeps) {
+    teams.forEach((team, sideIndex) => {
+      details[sideIndex].sweeps = team.reduce((sum, player) => sum + (sweeps[player] || 0), 0);
+    });
+  }
+
   // Calculate total scores
-  details.forEach((playerDetails) => {
-    playerDetails.total =
-      playerDetails.mostCards +
-      playerDetails.mostSpades +
-      playerDetails.bigCasino +
-      playerDetails.littleCasino +
-      playerDetails.aces;
+  details.forEach((sideDetails) => {
+    sideDetails.total =
+      sideDetails.mostCards +
+      sideDetails.mostSpades +
+      sideDetails.bigCasino +
+      sideDetails.littleCasino +
+      sideDetails.aces +
+      sideDetails.sweeps;
   });
 
   const finalScores = details.map(d => d.total);
-  const winner = finalScores[0] > finalScores[1] ? 0 : (finalScores[1] > finalScores[0] ? 1 : null);
+  const bestScore = Math.max(...finalScores);
+  const leaders = finalScores.filter(score => score === bestScore);
+  const winner = leaders.length === 1 ? finalScores.indexOf(bestScore) : null;
 
   return { scores: finalScores, details, winner };
 };
@@ -598,11 +632,33 @@ export const calculateScores = (playerCaptures) => {
 /**
  * Ends the game, calculates scores, and determines the winner.
  * @param {object} gameState - The current game state.
- * @returns {object} The final game state with scores and winner.
+ * @returns {object} The result, with the final game state with scores and winner.
  */
 export const endGame = (gameState) => {
-  const { scores, details, winner } = calculateScores(gameState.playerCaptures);
-  return updateGameState(gameState, { scores, winner, scoreDetails: details, gameOver: true });
+  const sweeps = getRuleset(gameState).sweepPoints ? gameState.sweeps : null;
+  const { scores, details, winner } = calculateScores(gameState.playerCaptures, gameState.teams, sweeps);
+  return success(updateGameState(gameState, { scores, winner, scoreDetails: details, gameOver: true }));
+};
+
+/**
+ * Ends the game because a player ran out of time. The cards captured so far are scored as
+ * usual, but the player's side cannot win: the best of the other sides does.
+ * @param {object} gameState - The current game state.
+ * @param {number} player - The player who ran out of time.
+ * @returns {object} The result, with the finished game and forfeitedBy set to the player.
+ */
+export const forfeitGame = (gameState, player) => {
+  const finalState = endGame(gameState).state;
+  const losingSide = getTeamIndex(gameState, player);
+  const contenders = finalState.scores
+    .map((score, side) => ({ score, side }))
+    .filter(({ side }) => side !== losingSide);
+  const bestScore = Math.max(...contenders.map(({ score }) => score));
+  const leaders = contenders.filter(({ score }) => score === bestScore);
+  return success(updateGameState(finalState, {
+    winner: leaders.length === 1 ? leaders[0].side : null,
+    forfeitedBy: player,
+  }));
 };
 
 /**
@@ -611,7 +667,7 @@ export const endGame = (gameState) => {
  * @param {object} gameState - The current game state.
  * @param {object} handCard - The card from the player's hand.
  * @param {object} tableCard - The loose card on the table to stack on.
- * @returns {object} The updated game state with the new staging stack.
+ * @returns {object} The result, with the new staging stack on the table.
  */
 export const handleCreateStagingStack = (gameState, handCard, tableCard) => {
   const { playerHands, tableCards, currentPlayer } = gameState;
@@ -621,14 +677,12 @@ export const handleCreateStagingStack = (gameState, handCard, tableCard) => {
     s => s.type === 'temporary_stack' && s.owner === currentPlayer
   );
   if (playerAlreadyHasTempStack) {
-    console.error("You can only have one staging stack at a time.");
-    return gameState;
+    return failure(gameState, ERROR_CODES.ONE_STAGING_STACK);
   }
 
   const targetIndex = tableCards.findIndex(c => !c.type && c.rank === tableCard.rank && c.suit === tableCard.suit);
   if (targetIndex === -1) {
-    console.error("Target card for staging stack not found on table.");
-    return gameState;
+    return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND, { id: getCardId(tableCard) });
   }
 
   // CASINO RULE: Build combinations - smaller cards on top
@@ -640,53 +694,226 @@ export const handleCreateStagingStack = (gameState, handCard, tableCard) => {
     : [{ ...handCard, source: 'hand' }, { ...tableCard, source: 'table' }];  // Smaller table card on top
 
   const newStack = {
-    stackId: `temp-${Date.now()}`,
+    stackId: generateStackId(orderedCards),
     type: 'temporary_stack',
     cards: orderedCards,
     owner: currentPlayer,
   };
 
   const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, handCard);
-  if (!newPlayerHands) return gameState;
+  if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(handCard) });
 
   const finalTableCards = [...tableCards];
   finalTableCards.splice(targetIndex, 1, newStack); // Replace the target card with the new stack
 
-  return updateGameState(gameState, { playerHands: newPlayerHands, tableCards: finalTableCards });
+  return success(updateGameState(gameState, { playerHands: newPlayerHands, tableCards: finalTableCards }));
 };
 
 /**
- * Adds a card from the player's hand to an existing temporary staging stack.
+ * Removes a card from the place it is being staged from.
+ * Cards taken from an opponent's capture pile must be the top card of their last capture group.
+ * @param {object} gameState - The current game state.
+ * @param {object} card - The card being moved.
+ * @param {string} source - 'hand', 'table' or 'opponentCapture'.
+ * @returns {object|null} The updated hands, table and captures, or null if the card was not found.
+ */
+const removeCardFromSource = (gameState, card, source) => {
+  const { playerHands, tableCards, playerCaptures, currentPlayer } = gameState;
+
+  if (source === 'hand') {
+    const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, card);
+    return newPlayerHands ? { playerHands: newPlayerHands, tableCards, playerCaptures } : null;
+  }
+
+  if (source === 'table') {
+    const newTableCards = tableCards.filter(c => c.type || getCardId(c) !== getCardId(card));
+    return newTableCards.length < tableCards.length ? { playerHands, tableCards: newTableCards, playerCaptures } : null;
+  }
+
+  if (source === 'opponentCapture') {
+    const opponentIndex = getOpponentPileIndex(gameState, card);
+    if (opponentIndex === -1) return null;
+    const opponentCaps = [...(playerCaptures[opponentIndex] || [])];
+    const lastGroup = opponentCaps[opponentCaps.length - 1] || [];
+    const topCard = lastGroup[lastGroup.length - 1];
+    if (!topCard || getCardId(topCard) !== getCardId(card)) return null;
+
+    if (lastGroup.length > 1) {
+      opponentCaps[opponentCaps.length - 1] = lastGroup.slice(0, -1);
+    } else {
+      opponentCaps.pop(); // Remove empty group
+    }
+    const newPlayerCaptures = [...playerCaptures];
+    newPlayerCaptures[opponentIndex] = opponentCaps;
+    return { playerHands, tableCards, playerCaptures: newPlayerCaptures };
+  }
+
+  return null;
+};
+
+/**
+ * Tags a card with where it is being staged from, so it can be returned there if the stack is cancelled.
+ * Cards from a capture pile also record whose pile it was.
+ * @param {object} gameState - The game state before the card is moved.
+ * @param {object} card - The card being staged.
+ * @param {string} source - 'hand', 'table' or 'opponentCapture'.
+ * @returns {object} The tagged card.
+ */
+const tagStagedCard = (gameState, card, source) =>
+  source === 'opponentCapture'
+    ? { ...card, source, sourcePlayer: getOpponentPileIndex(gameState, card) }
+    : { ...card, source };
+
+/**
+ * Adds a card to an existing temporary staging stack.
+ * The card normally comes from the player's hand, but table cards and the top card
+ * of an opponent's capture pile can be staged as well.
  * This does not end the player's turn.
  * @param {object} gameState - The current game state.
- * @param {object} handCard - The card from the player's hand to add.
+ * @param {object} card - The card to add.
  * @param {object} targetStack - The temporary stack to add the card to.
- * @returns {object} The updated game state.
+ * @param {string} [source='hand'] - Where the card comes from: 'hand', 'table' or 'opponentCapture'.
+ * @returns {object} The result, with the updated game state.
  */
-export const handleAddToStagingStack = (gameState, handCard, targetStack) => {
-  const { playerHands, tableCards, currentPlayer } = gameState;
+export const handleAddToStagingStack = (gameState, card, targetStack, source = 'hand') => {
+  const { currentPlayer } = gameState;
+  const cardSource = source === 'captured' ? 'opponentCapture' : source;
 
-  // 1. Remove card from hand
-  const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, handCard);
-  if (!newPlayerHands) return gameState;
+  if (targetStack.owner !== currentPlayer) {
+    return failure(gameState, ERROR_CODES.NOT_YOUR_STACK);
+  }
+
+  // 1. Remove card from its source
+  const removal = removeCardFromSource(gameState, card, cardSource);
+  if (!removal) {
+    return failure(gameState, ERROR_CODES.CARD_NOT_FOUND, { cardId: getCardId(card) });
+  }
 
   // 2. Create the updated stack by adding the new card
-  const newStack = { ...targetStack, cards: [...targetStack.cards, { ...handCard, source: 'hand' }] };
+  const newStack = { ...targetStack, cards: [...targetStack.cards, tagStagedCard(gameState, card, cardSource)] };
 
   // 3. Update the table by replacing the old stack with the new one
-  const stackIndex = tableCards.findIndex(s => s.stackId === targetStack.stackId);
-  const newTableCards = [...tableCards];
+  const stackIndex = removal.tableCards.findIndex(s => s.stackId === targetStack.stackId);
+  const newTableCards = [...removal.tableCards];
   if (stackIndex !== -1) {
     newTableCards[stackIndex] = newStack;
   } else {
     // Fallback if something went wrong
-    const filteredTable = tableCards.filter(s => s.stackId !== targetStack.stackId);
-    filteredTable.push(newStack);
-    newTableCards = filteredTable;
+    newTableCards.push(newStack);
   }
 
   // 4. Return the new state (turn does not end)
-  return updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards });
+  return success(updateGameState(gameState, { ...removal, tableCards: newTableCards }));
+};
+
+/**
+ * Stages a card from the table or an opponent's capture pile onto a loose table card,
+ * creating a new temporary stack in the loose card's position.
+ * Cards keep the order they were dropped in; the player arranges combos themselves.
+ * This does not end the player's turn.
+ * @param {object} gameState - The current game state.
+ * @param {object} card - The card being staged.
+ * @param {string} source - Where the card comes from: 'table' or 'opponentCapture'.
+ * @param {object} targetCard - The loose card on the table to stack on.
+ * @returns {object} The result, with the new staging stack on the table.
+ */
+export const handleStageCardOnLooseCard = (gameState, card, source, targetCard) => {
+  const { tableCards, currentPlayer } = gameState;
+  const cardSource = source === 'captured' ? 'opponentCapture' : source;
+
+  if (getCardId(card) === getCardId(targetCard)) {
+    return failure(gameState, ERROR_CODES.CANNOT_STAGE_ON_ITSELF);
+  }
+
+  // CASINO RULE: Players can only have one temp build active at a time
+  const playerAlreadyHasTempStack = tableCards.some(
+    s => s.type === 'temporary_stack' && s.owner === currentPlayer
+  );
+  if (playerAlreadyHasTempStack) {
+    return failure(gameState, ERROR_CODES.ONE_STAGING_STACK);
+  }
+
+  const removal = removeCardFromSource(gameState, card, cardSource);
+  if (!removal) {
+    return failure(gameState, ERROR_CODES.CARD_NOT_FOUND, { cardId: getCardId(card) });
+  }
+
+  const targetIndex = removal.tableCards.findIndex(c => !c.type && getCardId(c) === getCardId(targetCard));
+  if (targetIndex === -1) {
+    return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND, { id: getCardId(targetCard) });
+  }
+
+  const stackCards = [{ ...targetCard, source: 'table' }, tagStagedCard(gameState, card, cardSource)];
+  const newStack = {
+    stackId: generateStackId(stackCards),
+    type: 'temporary_stack',
+    cards: stackCards,
+    owner: currentPlayer,
+  };
+
+  // Replace the target card with the new stack
+  const finalTableCards = [...removal.tableCards];
+  finalTableCards.splice(targetIndex, 1, newStack);
+
+  return success(updateGameState(gameState, { ...removal, tableCards: finalTableCards }));
+};
+
+/**
+ * Combines two of the player's temporary stacks into one. The dragged stack's cards go on top.
+ * This does not end the player's turn.
+ * @param {object} gameState - The current game state.
+ * @param {object} draggedStack - The temporary stack being moved.
+ * @param {object} targetStack - The temporary stack it was dropped on.
+ * @returns {object} The result, with the updated game state.
+ */
+export const handleMergeStagingStacks = (gameState, draggedStack, targetStack) => {
+  const { tableCards, currentPlayer } = gameState;
+
+  if (targetStack.owner !== currentPlayer) {
+    return failure(gameState, ERROR_CODES.NOT_YOUR_STACK);
+  }
+
+  const combinedCards = [...targetStack.cards, ...draggedStack.cards];
+  const newCombinedStack = {
+    stackId: generateStackId(combinedCards),
+    type: 'temporary_stack',
+    cards: combinedCards,
+    owner: currentPlayer,
+  };
+
+  // Remove both original stacks and add the combined stack
+  const finalTableCards = tableCards
+    .filter(c => c.stackId !== targetStack.stackId && c.stackId !== draggedStack.stackId)
+    .concat([newCombinedStack]);
+
+  return success(updateGameState(gameState, { tableCards: finalTableCards }));
+};
+
+/**
+ * Drops a temporary stack onto a loose table card. The loose card becomes the base
+ * (bottom) of a new combined stack. This does not end the player's turn.
+ * @param {object} gameState - The current game state.
+ * @param {object} stack - The temporary stack being moved.
+ * @param {object} looseCard - The loose card on the table.
+ * @returns {object} The result, with the updated game state.
+ */
+export const handleAddLooseCardToStagingStack = (gameState, stack, looseCard) => {
+  const { tableCards, currentPlayer } = gameState;
+
+  const combinedCards = [{ ...looseCard, source: 'table' }, ...stack.cards];
+  const newStack = {
+    stackId: generateStackId(combinedCards),
+    type: 'temporary_stack',
+    cards: combinedCards,
+    owner: currentPlayer,
+  };
+
+  // Remove the original stack and loose card, add the new combined stack
+  const newTableCards = tableCards
+    .filter(c => c.stackId !== stack.stackId && (c.type || getCardId(c) !== getCardId(looseCard)))
+    .concat([newStack]);
+
+  return success(updateGameState(gameState, { tableCards: newTableCards }));
 };
 
 /**
@@ -694,7 +921,7 @@ export const handleAddToStagingStack = (gameState, handCard, targetStack) => {
  * Returns its cards to the table as loose cards and ends the player's turn.
  * @param {object} gameState - The current game state.
  * @param {object} stackToDisband - The temporary stack to disband.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleDisbandStagingStack = (gameState, stackToDisband) => {
   let { playerHands, tableCards, playerCaptures, currentPlayer } = gameState;
@@ -718,19 +945,21 @@ export const handleDisbandStagingStack = (gameState, stackToDisband) => {
   const newPlayerHands = [...playerHands];
   newPlayerHands[currentPlayer] = currentHand;
 
-  // 3. Update opponent's capture pile (if applicable)
+  // 3. Update the capture piles the opponent cards came from (if applicable)
   if (opponentCards.length > 0) {
-    const opponentIndex = 1 - currentPlayer;
-    let opponentCaps = [...(playerCaptures[opponentIndex] || [])];
-    if (opponentCaps.length > 0) {
-      // Add cards back to the last capture group
-      opponentCaps[opponentCaps.length - 1].push(...opponentCards);
-    } else {
-      // If opponent had no captures, create a new group
-      opponentCaps.push(opponentCards);
-    }
     const newPlayerCaptures = [...playerCaptures];
-    newPlayerCaptures[opponentIndex] = opponentCaps;
+    for (const { sourcePlayer, ...cardData } of opponentCards) {
+      const opponentIndex = sourcePlayer ?? getOpponents(gameState)[0];
+      let opponentCaps = [...(newPlayerCaptures[opponentIndex] || [])];
+      if (opponentCaps.length > 0) {
+        // Add the card back to a copy of the last capture group; the group is shared with earlier states
+        opponentCaps[opponentCaps.length - 1] = [...opponentCaps[opponentCaps.length - 1], cardData];
+      } else {
+        // If the opponent had no captures, create a new group
+        opponentCaps.push([cardData]);
+      }
+      newPlayerCaptures[opponentIndex] = opponentCaps;
+    }
     playerCaptures = newPlayerCaptures;
   }
 
@@ -741,7 +970,7 @@ export const handleDisbandStagingStack = (gameState, stackToDisband) => {
   // 5. Return the new state and end the player's turn.
   const newState = updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards, playerCaptures });
   logGameState(`Player ${currentPlayer + 1}'s temporary stack was invalid and disbanded.`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 /**
@@ -749,7 +978,7 @@ export const handleDisbandStagingStack = (gameState, stackToDisband) => {
  * This does not end the player's turn.
  * @param {object} gameState - The current game state.
  * @param {object} stackToCancel - The temporary stack to cancel.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleCancelStagingStack = (gameState, stackToCancel) => {
   let { playerHands, tableCards, playerCaptures, currentPlayer } = gameState;
@@ -773,19 +1002,22 @@ export const handleCancelStagingStack = (gameState, stackToCancel) => {
   playerHands = [...playerHands];
   playerHands[currentPlayer] = currentHand;
 
-  // 3. Update opponent's capture pile (if applicable)
+  // 3. Update the capture piles the opponent cards came from (if applicable)
   if (opponentCards.length > 0) {
-    const opponentIndex = 1 - currentPlayer;
-    let opponentCaps = [...(playerCaptures[opponentIndex] || [])];
-    if (opponentCaps.length > 0) {
-      // Add cards back to the last capture group
-      opponentCaps[opponentCaps.length - 1].push(...opponentCards);
-    } else {
-      // If opponent had no captures, create a new group
-      opponentCaps.push(opponentCards);
+    const newPlayerCaptures = [...playerCaptures];
+    for (const { sourcePlayer, ...cardData } of opponentCards) {
+      const opponentIndex = sourcePlayer ?? getOpponents(gameState)[0];
+      let opponentCaps = [...(newPlayerCaptures[opponentIndex] || [])];
+      if (opponentCaps.length > 0) {
+        // Add the card back to a copy of the last capture group; the group is shared with earlier states
+        opponentCaps[opponentCaps.length - 1] = [...opponentCaps[opponentCaps.length - 1], cardData];
+      } else {
+        // If the opponent had no captures, create a new group
+        opponentCaps.push([cardData]);
+      }
+      newPlayerCaptures[opponentIndex] = opponentCaps;
     }
-    playerCaptures = [...playerCaptures];
-    playerCaptures[opponentIndex] = opponentCaps;
+    playerCaptures = newPlayerCaptures;
   }
 
   // 4. Update table cards by removing the stack and adding back any loose cards
@@ -793,7 +1025,7 @@ export const handleCancelStagingStack = (gameState, stackToCancel) => {
   newTableCards.push(...newLooseCards);
 
   // 5. Return the new state (turn does not end)
-  return updateGameState(gameState, { playerHands, tableCards: newTableCards, playerCaptures });
+  return success(updateGameState(gameState, { playerHands, tableCards: newTableCards, playerCaptures }));
 };
 
 /**
@@ -802,13 +1034,13 @@ export const handleCancelStagingStack = (gameState, stackToCancel) => {
  * @param {object} gameState - The current game state.
  * @param {object} stack - The temporary stack to merge.
  * @param {object} targetBuild - The player's build to merge into.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleMergeIntoOwnBuild = (gameState, stack, targetBuild) => {
   const { tableCards } = gameState;
 
   // 1. Get the cards from the stack, stripping the 'source' property.
-  const cardsFromStack = stack.cards.map(({ source, ...card }) => card);
+  const cardsFromStack = stack.cards.map(({ source, sourcePlayer, ...card }) => card);
 
   // 2. Combine the cards. The new cards go on top.
   const newBuildCards = [...targetBuild.cards, ...cardsFromStack];
@@ -821,17 +1053,18 @@ export const handleMergeIntoOwnBuild = (gameState, stack, targetBuild) => {
   newTableCards.push(newBuild);
 
   // 5. Return the new state, but DO NOT end the player's turn.
-  return updateGameState(gameState, { tableCards: newTableCards });
+  return success(updateGameState(gameState, { tableCards: newTableCards }));
 };
 
 /**
- * Stages a card from the opponent's capture pile onto the table as a new temporary stack.
+ * Stages a card from an opponent's capture pile onto the table as a new temporary stack.
  * This action does not end the player's turn.
  * @param {object} gameState - The current game state.
- * @param {object} opponentCard - The card from the opponent's capture pile.
- * @returns {object} The updated game state.
+ * @param {object} opponentCard - The top card of the opponent's capture pile.
+ * @param {number} [opponentIndex] - Whose pile the card is taken from. Defaults to the pile the card is on top of.
+ * @returns {object} The result, with the updated game state.
  */
-export const handleStageOpponentCard = (gameState, opponentCard) => {
+export const handleStageOpponentCard = (gameState, opponentCard, opponentIndex = getOpponentPileIndex(gameState, opponentCard)) => {
   let { playerCaptures, tableCards, currentPlayer } = gameState;
 
   // CASINO RULE: Players can only have one temp build active at a time
@@ -839,12 +1072,14 @@ export const handleStageOpponentCard = (gameState, opponentCard) => {
     s => s.type === 'temporary_stack' && s.owner === currentPlayer
   );
   if (playerAlreadyHasTempStack) {
-    console.error("You can only have one staging stack at a time.");
-    return gameState;
+    return failure(gameState, ERROR_CODES.ONE_STAGING_STACK);
+  }
+
+  if (opponentIndex === -1 || !getOpponents(gameState).includes(opponentIndex)) {
+    return failure(gameState, ERROR_CODES.CARD_NOT_ON_OPPONENT_PILE, { cardId: getCardId(opponentCard) });
   }
 
   // 1. Remove the card from the opponent's capture pile
-  const opponentIndex = 1 - currentPlayer;
   const opponentCaps = playerCaptures[opponentIndex] || [];
 
   const newOpponentCaps = opponentCaps.map((group, index) =>
@@ -855,15 +1090,16 @@ export const handleStageOpponentCard = (gameState, opponentCard) => {
   newPlayerCaptures[opponentIndex] = newOpponentCaps;
 
   // 2. Create a new temporary stack on the table
+  const stackCards = [{ ...opponentCard, source: 'opponentCapture', sourcePlayer: opponentIndex }]; // Tag the card with its origin
   const newStack = {
-    stackId: `temp-${Date.now()}`,
+    stackId: generateStackId(stackCards),
     type: 'temporary_stack',
-    cards: [{ ...opponentCard, source: 'opponentCapture' }], // Tag the card with its origin
+    cards: stackCards,
     owner: currentPlayer,
   };
 
   // 3. Return the new state without ending the turn
-  return updateGameState(gameState, { playerCaptures: newPlayerCaptures, tableCards: [...tableCards, newStack] });
+  return success(updateGameState(gameState, { playerCaptures: newPlayerCaptures, tableCards: [...tableCards, newStack] }));
 };
 
 /**
@@ -873,14 +1109,14 @@ export const handleStageOpponentCard = (gameState, opponentCard) => {
  * @param {object} handCard - The card from the player's hand.
  * @param {object} opponentBuild - The opponent's build to extend and absorb.
  * @param {object} ownBuild - The player's own build to merge into.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleExtendToMerge = (gameState, handCard, opponentBuild, ownBuild) => {
   const { playerHands, tableCards, currentPlayer } = gameState;
 
   // 1. Remove the card from the player's hand.
   const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, handCard);
-  if (!newPlayerHands) return gameState;
+  if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(handCard) });
 
   // 2. Combine all cards: own build cards + opponent build cards + hand card.
   // Sort the combined cards to ensure bigger cards are at the bottom of the stack.
@@ -894,46 +1130,42 @@ export const handleExtendToMerge = (gameState, handCard, opponentBuild, ownBuild
   newTableCards.push(newMergedBuild);
 
   // 5. Return the new state without ending the turn.
-  return updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards });
+  return success(updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards }));
 };
 
 /**
  * Finalizes a temporary staging stack. This can result in three outcomes:
- * 1. A single valid build is created, and the new game state is returned.
- * 2. Multiple valid builds are possible, and an 'options' object is returned for UI handling.
- * 3. No valid build is possible, and an 'error' object is returned.
+ * 1. A single valid build is created.
+ * 2. Multiple valid builds are possible: BUILD_VALUE_AMBIGUOUS, with the values in params.options.
+ * 3. No valid build is possible: NO_BUILD_FROM_STACK.
  * @param {object} gameState - The current game state.
  * @param {object} stack - The temporary stack to finalize.
- * @returns {object} The new gameState, or an object with 'options' or 'error'.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleFinalizeStagingStack = (gameState, stack) => {
   const { playerHands, tableCards, currentPlayer } = gameState;
   const playerHand = playerHands[currentPlayer];
 
   // Find all possible valid builds from this stack
-  const possibleBuilds = findPossibleBuildsFromStack(stack, playerHand, tableCards, currentPlayer);
+  const possibleBuilds = findPossibleBuildsFromStack(stack, playerHand, tableCards, currentPlayer, getRuleset(gameState));
 
   if (possibleBuilds.length === 0) {
-    return { error: true, message: "This stack does not form a valid build with any card in your hand." };
+    return failure(gameState, ERROR_CODES.NO_BUILD_FROM_STACK);
   }
 
   if (possibleBuilds.length > 1) {
-    // Return options for the UI to handle
-    const handCardUsed = stack.cards.find(c => c.source === 'hand');
-    return {
-      options: possibleBuilds,
-      stack,
-      draggedItem: { card: handCardUsed, source: 'hand' }
-    };
+    // The player has to pick one, with a createBuildWithValue move
+    return failure(gameState, ERROR_CODES.BUILD_VALUE_AMBIGUOUS, { options: possibleBuilds });
   }
 
   // Only one possible build, so create it.
   const buildValue = possibleBuilds[0];
 
+  const buildCards = stack.cards.map(({ source, sourcePlayer, ...card }) => card).sort((a, b) => rankValue(b.rank) - rankValue(a.rank));
   const newBuild = {
-    buildId: generateBuildId(),
+    buildId: generateBuildId(buildCards),
     type: 'build',
-    cards: stack.cards.map(({ source, ...card }) => card).sort((a, b) => rankValue(b.rank) - rankValue(a.rank)),
+    cards: buildCards,
     value: buildValue,
     owner: currentPlayer,
     isExtendable: true,
@@ -947,7 +1179,7 @@ export const handleFinalizeStagingStack = (gameState, stack) => {
     tableCards: newTableCards,
   });
   logGameState(`Player ${currentPlayer + 1} finalized a build of ${newBuild.value}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 /**
@@ -955,13 +1187,13 @@ export const handleFinalizeStagingStack = (gameState, stack) => {
  * @param {object} gameState - The current game state.
  * @param {object} stack - The temporary stack to build from.
  * @param {number} buildValue - The specific value chosen by the user.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleCreateBuildWithValue = (gameState, stack, buildValue) => {
   const { tableCards, currentPlayer } = gameState;
 
   // 1. Get the cards that make up the build from the stack
-  const initialBuildCards = stack.cards.map(({ source, ...card }) => card);
+  const initialBuildCards = stack.cards.map(({ source, sourcePlayer, ...card }) => card);
 
   // 2. Find other matching items on the table to auto-group
   const matchingItemsOnTable = tableCards.filter(item => {
@@ -992,7 +1224,7 @@ export const handleCreateBuildWithValue = (gameState, stack, buildValue) => {
     finalBuildCards = [...initialBuildCards].sort((a, b) => rankValue(b.rank) - rankValue(a.rank));
   }
 
-  const newBuild = { buildId: generateBuildId(), type: 'build', cards: finalBuildCards, value: buildValue, owner: currentPlayer, isExtendable: isExtendable };
+  const newBuild = { buildId: generateBuildId(finalBuildCards), type: 'build', cards: finalBuildCards, value: buildValue, owner: currentPlayer, isExtendable: isExtendable };
 
   // Remove the staging stack and any auto-grouped items from the table
   const newTableCards = removeCardsFromTable(tableCards, itemsToRemoveFromTable);
@@ -1000,7 +1232,7 @@ export const handleCreateBuildWithValue = (gameState, stack, buildValue) => {
 
   const newState = updateGameState(gameState, { tableCards: newTableCards });
   logGameState(`Player ${currentPlayer + 1} created a build of ${buildValue}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 /**
@@ -1008,7 +1240,7 @@ export const handleCreateBuildWithValue = (gameState, stack, buildValue) => {
  * This is used in Round 2 when a player trails a card. This action does not end the turn.
  * @param {object} gameState - The current game state.
  * @param {object} card - The card from the player's hand.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleStageSingleCardFromHand = (gameState, card) => {
   const { playerHands, tableCards, currentPlayer } = gameState;
@@ -1018,23 +1250,23 @@ export const handleStageSingleCardFromHand = (gameState, card) => {
     s => s.type === 'temporary_stack' && s.owner === currentPlayer
   );
   if (playerAlreadyHasTempStack) {
-    console.error("You can only have one staging stack at a time.");
-    return gameState;
+    return failure(gameState, ERROR_CODES.ONE_STAGING_STACK);
   }
 
   const newPlayerHands = removeCardFromHand(playerHands, currentPlayer, card);
-  if (!newPlayerHands) return gameState;
+  if (!newPlayerHands) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: getCardId(card) });
 
+  const stackCards = [{ ...card, source: 'hand' }]; // The single card, tagged with its source
   const newStack = {
-    stackId: `temp-${Date.now()}`,
+    stackId: generateStackId(stackCards),
     type: 'temporary_stack',
-    cards: [{ ...card, source: 'hand' }], // The single card, tagged with its source
+    cards: stackCards,
     owner: currentPlayer,
   };
 
   const newTableCards = [...tableCards, newStack];
 
-  return updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards });
+  return success(updateGameState(gameState, { playerHands: newPlayerHands, tableCards: newTableCards }));
 };
 
 /**
@@ -1042,20 +1274,21 @@ export const handleStageSingleCardFromHand = (gameState, card) => {
  * This action ends the player's turn.
  * @param {object} gameState - The current game state.
  * @param {object} stack - The single-card temporary stack to finalize.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleFinalizeTrail = (gameState, stack) => {
   const { tableCards, currentPlayer } = gameState;
 
   const cardToTrail = { ...stack.cards[0] };
   delete cardToTrail.source;
+  delete cardToTrail.sourcePlayer;
 
   const newTableCards = tableCards.filter(s => s.stackId !== stack.stackId);
   newTableCards.push(cardToTrail);
 
   const newState = updateGameState(gameState, { tableCards: newTableCards });
   logGameState(`Player ${currentPlayer + 1} trailed a ${cardToTrail.rank}`, nextPlayer(newState));
-  return nextPlayer(newState);
+  return success(nextPlayer(newState));
 };
 
 /**
@@ -1064,13 +1297,13 @@ export const handleFinalizeTrail = (gameState, stack) => {
  * @param {object} gameState - The current game state.
  * @param {object} stack - The temporary stack to merge.
  * @param {object} opponentBuild - The opponent's build to reinforce.
- * @returns {object} The updated game state.
+ * @returns {object} The result, with the updated game state.
  */
 export const handleReinforceOpponentBuildWithStack = (gameState, stack, opponentBuild) => {
   const { tableCards } = gameState;
 
   // 1. Get the cards from the stack, stripping the 'source' property.
-  const cardsFromStack = stack.cards.map(({ source, ...card }) => card);
+  const cardsFromStack = stack.cards.map(({ source, sourcePlayer, ...card }) => card);
 
   // 2. Combine the cards. The new cards go on top.
   const newBuildCards = [...opponentBuild.cards, ...cardsFromStack];
@@ -1087,5 +1320,5 @@ export const handleReinforceOpponentBuildWithStack = (gameState, stack, opponent
   newTableCards.push(newBuild);
 
   // 5. Return the new state, but DO NOT end the player's turn.
-  return updateGameState(gameState, { tableCards: newTableCards });
+  return success(updateGameState(gameState, { tableCards: newTableCards }));
 };
\ No newline at end of file
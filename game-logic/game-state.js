@@ -4,28 +4,115 @@
  */
 
 import { rankValue } from './card-operations.js';
+import { createSeededRandom, generateSeed } from './random.js';
+import { isValidPlayerSetup, createTeams, getHandSize, getRoundCount, getNextPlayerIndex, getDealer } from './players.js';
+import { DEFAULT_RULESET, resolveRuleset } from './rulesets.js';
+import { createClock, getClockOptions } from './clock.js';
+
+// Move logging can be switched off while replaying or simulating many moves.
+let gameLoggingEnabled = true;
+
+/**
+ * Enables or disables logGameState output.
+ * @param {boolean} enabled - Whether moves should be logged.
+ * @returns {boolean} The previous setting, so callers can restore it.
+ */
+export const setGameLogging = (enabled) => {
+  const previous = gameLoggingEnabled;
+  gameLoggingEnabled = enabled;
+  return previous;
+};
 
 /**
  * Shuffles the deck of cards using Fisher-Yates algorithm.
  * @param {Array} deck - The deck to shuffle.
+ * @param {function(): number} [random=Math.random] - Source of floats in [0, 1).
  * @returns {Array} The shuffled deck.
  */
-export const shuffleDeck = (deck) => {
+export const shuffleDeck = (deck, random = Math.random) => {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 };
 
+/**
+ * Deals a hand to every player in packets. Each pass round the table starts with the player
+ * after the dealer and ends with the dealer; while the table is owed cards, it gets a packet
+ * just before the dealer's.
+ * @param {Array} deck - The deck to deal from, the top card last.
+ * @param {Array<Array>} playerHands - The players' hands, in seat order.
+ * @param {object} options - Dealing options.
+ * @param {number} options.dealer - The player who deals.
+ * @param {number} options.handSize - Cards dealt to each player.
+ * @param {number} [options.packetSize=1] - Cards dealt to a player (or the table) at a time.
+ * @param {number} [options.tableCount=0] - Cards dealt face up to the table.
+ * @returns {object} The deck left over, the new hands and the cards dealt to the table.
+ */
+export const dealCards = (deck, playerHands, { dealer, handSize, packetSize = 1, tableCount = 0 }) => {
+  const workingDeck = [...deck];
+  const hands = playerHands.map(hand => [...hand]);
+  const tableCards = [];
+  const playerCount = hands.length;
+  const dealPacket = (target, count) => {
+    for (let i = 0; i < count && workingDeck.length > 0; i++) target.push(workingDeck.pop());
+  };
+
+  for (let dealt = 0; dealt < handSize; dealt += packetSize) {
+    const count = Math.min(packetSize, handSize - dealt);
+    for (let offset = 1; offset <= playerCount; offset++) {
+      const player = (dealer + offset) % playerCount;
+      if (player === dealer) dealPacket(tableCards, Math.min(packetSize, tableCount - tableCards.length));
+      dealPacket(hands[player], count);
+    }
+  }
+  // Any table cards still owed once the hands are full
+  dealPacket(tableCards, tableCount - tableCards.length);
+
+  return { deck: workingDeck, playerHands: hands, tableCards };
+};
+
 /**
  * Initializes the game state, including shuffling the deck and dealing cards.
+ * The same seed always produces the same deal, so a game can be rebuilt from its seed.
+ * @param {object} [options] - Game options.
+ * @param {number|string} [options.seed] - Seed for the shuffle. A random seed is generated if omitted.
+ * @param {boolean} [options.practiceMode=false] - Practice games allow moves to be undone.
+ * @param {number} [options.dealer] - The player who deals. Defaults to the seat before firstPlayer.
+ * @param {number} [options.firstPlayer=0] - The player who is dealt to first and leads. Ignored when a
+ *   dealer is given, since the player after the dealer always leads.
+ * @param {number} [options.playerCount=2] - Number of players, from 2 to 4.
+ * @param {boolean} [options.partnerships=false] - Four players play 2v2, partners sitting opposite.
+ * @param {string|object} [options.ruleset='house'] - A ruleset preset id or ruleset object.
+ * @param {object|null} [options.clock=null] - Clock settings (see createClock), or null to play without one.
  * @returns {object} The initial game state.
  */
-export const initializeGame = () => {
+export const initializeGame = ({
+  seed = generateSeed(),
+  practiceMode = false,
+  dealer = null,
+  firstPlayer = 0,
+  playerCount = 2,
+  partnerships = false,
+  ruleset = DEFAULT_RULESET.id,
+  clock = null
+} = {}) => {
+  if (!isValidPlayerSetup(playerCount, partnerships)) {
+    console.error(`Unsupported table of ${playerCount} players${partnerships ? ' in partnerships' : ''}. Starting a two-player game.`);
+    playerCount = 2;
+    partnerships = false;
+    dealer = null;
+    firstPlayer = 0;
+  }
+  if (dealer === null) dealer = (firstPlayer + playerCount - 1) % playerCount;
+  firstPlayer = (dealer + 1) % playerCount;
+
+  const rules = resolveRuleset(ruleset);
   const suits = ['♠', '♥', '♦', '♣'];
   const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+  if (rules.deckSize === 52) ranks.push('J', 'Q', 'K');
   let deck = [];
 
   // Create deck
@@ -39,30 +126,64 @@ export const initializeGame = () => {
     }
   }
 
-  // Shuffle and deal
-  deck = shuffleDeck(deck);
-  const playerHands = [[], []];
+  // Shuffle and deal, starting with the player after the dealer and going round the table
+  const handSize = getHandSize(playerCount, rules);
+  const dealt = dealCards(shuffleDeck(deck, createSeededRandom(seed)), Array.from({ length: playerCount }, () => []), {
+    dealer,
+    handSize,
+    packetSize: rules.dealPacketSize,
+    tableCount: rules.tableCardsAtStart,
+  });
+  const { playerHands, tableCards } = dealt;
+  deck = dealt.deck;
 
-  for (let i = 0; i < 10; i++) {
-    playerHands[0].push(deck.pop());
-    playerHands[1].push(deck.pop());
+  // Cards that can't be shared out evenly over the rounds also start face up on the table
+  while (deck.length > handSize * playerCount * (getRoundCount(playerCount, rules) - 1)) {
+    tableCards.push(deck.pop());
   }
 
   return {
+    seed,
     deck,
     playerHands,
-    tableCards: [],
-    playerCaptures: [[], []],
-    currentPlayer: 0,
+    tableCards,
+    playerCaptures: Array.from({ length: playerCount }, () => []),
+    currentPlayer: firstPlayer,
+    dealer,
+    firstPlayer,
+    partnerships,
+    teams: createTeams(playerCount, partnerships),
     round: 1,
-    scores: [0, 0],
+    scores: Array.from({ length: partnerships ? 2 : playerCount }, () => 0),
     gameOver: false,
     winner: null,
     lastCapturer: null,
+    sweeps: Array.from({ length: playerCount }, () => 0),
     scoreDetails: null,
+    practiceMode,
+    ruleset: rules,
+    clock: clock ? createClock(clock, playerCount) : null,
+    history: [],
+    redoStack: [],
+    version: 0,
   };
 };
 
+/**
+ * Returns the options needed to recreate a game's initial state with initializeGame.
+ * @param {object} gameState - Any state of the game.
+ * @returns {object} The initializeGame options.
+ */
+export const getGameOptions = (gameState) => ({
+  seed: gameState.seed,
+  practiceMode: gameState.practiceMode,
+  dealer: getDealer(gameState),
+  playerCount: gameState.playerHands.length,
+  partnerships: gameState.partnerships,
+  ruleset: gameState.ruleset,
+  clock: getClockOptions(gameState.clock),
+});
+
 /**
  * Creates an immutable copy of the game state with updated properties.
  * @param {object} gameState - The current game state.
@@ -83,7 +204,7 @@ export const updateGameState = (gameState, updates) => {
  */
 export const nextPlayer = (gameState) => {
   return updateGameState(gameState, {
-    currentPlayer: (gameState.currentPlayer + 1) % 2
+    currentPlayer: getNextPlayerIndex(gameState, gameState.currentPlayer)
   });
 };
 
@@ -95,6 +216,8 @@ export const nextPlayer = (gameState) => {
  * @param {object} gameState - The game state to log.
  */
 export const logGameState = (moveDescription, gameState) => {
+  if (!gameLoggingEnabled) return;
+
   // Using console.group for better readability
   console.group(`%cMove: ${moveDescription}`, 'color: blue; font-weight: bold;');
 
@@ -102,12 +225,15 @@ export const logGameState = (moveDescription, gameState) => {
     c.type === 'build' ? `Build(${c.value})` : `${c.rank}${c.suit}`
   ));
 
-  console.log('Player 1 Hand:', gameState.playerHands[0].map(c => `${c.rank}${c.suit}`));
-  console.log('Player 2 Hand:', gameState.playerHands[1].map(c => `${c.rank}${c.suit}`));
+  gameState.playerHands.forEach((hand, player) => {
+    console.log(`Player ${player + 1} Hand:`, hand.map(c => `${c.rank}${c.suit}`));
+  });
 
-  console.log('Player 1 Captures:', gameState.playerCaptures[0].length);
-  console.log('Player 2 Captures:', gameState.playerCaptures[1].length);
+  gameState.playerCaptures.forEach((captures, player) => {
+    console.log(`Player ${player + 1} Captures:`, captures.length);
+  });
 
   console.log(`Next turn: Player ${gameState.currentPlayer + 1}`);
+  console.log('Seed:', gameState.seed);
   console.groupEnd();
 };
\ No newline at end of file
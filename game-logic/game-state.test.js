@@ -0,0 +1,120 @@
+/**
+ * Test suite for dealing
+ * Verifies who deals and leads, the order packets are dealt in, and the cards dealt face up
+ * to the table
+ */
+
+import { initializeGame, dealCards, getGameOptions } from './game-state.js';
+import { startNextRound } from './game-actions.js';
+import { getDealer } from './players.js';
+import { RULESETS } from './rulesets.js';
+
+// A deck of numbered cards, so the order they were dealt in can be read back; the top card is last
+const numberedDeck = (size) => Array.from({ length: size }, (_, index) => ({ rank: String(size - index) }));
+const ranks = (cards) => cards.map(card => Number(card.rank));
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that the dealer is recorded and the player after them leads
+export const testDealer = () => {
+  console.log('\n=== Testing Dealer ===');
+
+  const game = initializeGame({ seed: 'dealer-test', playerCount: 3, dealer: 1 });
+  testLog('Non-dealer leads', {
+    dealer: game.dealer,
+    currentPlayer: game.currentPlayer,
+    firstPlayer: game.firstPlayer,
+    expected: { dealer: 1, currentPlayer: 2, firstPlayer: 2 },
+  });
+
+  const byLeader = initializeGame({ seed: 'dealer-test', firstPlayer: 1 });
+  testLog('Dealer from the leader', { dealer: byLeader.dealer, expected: 0 });
+  testLog('Recreated with the same dealer', { dealer: initializeGame(getGameOptions(game)).dealer, expected: 1 });
+
+  // Games saved before the dealer was recorded
+  const { dealer, ...older } = initializeGame({ seed: 'dealer-test', playerCount: 4, firstPlayer: 0 });
+  testLog('Dealer of an older game', { dealer: getDealer(older), expected: 3 });
+};
+
+// Test the order cards are dealt in
+export const testPackets = () => {
+  console.log('\n=== Testing Packets ===');
+
+  const single = dealCards(numberedDeck(6), [[], []], { dealer: 1, handSize: 3 });
+  testLog('One at a time', {
+    hands: single.playerHands.map(ranks),
+    left: single.deck.length,
+    expected: { hands: [[1, 3, 5], [2, 4, 6]], left: 0 },
+  });
+
+  const pairs = dealCards(numberedDeck(12), [[], []], { dealer: 0, handSize: 4, packetSize: 2, tableCount: 4 });
+  testLog('Two at a time with table cards', {
+    hands: pairs.playerHands.map(ranks),
+    table: ranks(pairs.tableCards),
+    expected: { hands: [[5, 6, 11, 12], [1, 2, 7, 8]], table: [3, 4, 9, 10] },
+  });
+
+  const uneven = dealCards(numberedDeck(10), [[], []], { dealer: 1, handSize: 5, packetSize: 4 });
+  testLog('Short last packet', { hands: uneven.playerHands.map(ranks), expected: [[1, 2, 3, 4, 9], [5, 6, 7, 8, 10]] });
+};
+
+// Test the deals of whole games
+export const testGameDeals = () => {
+  console.log('\n=== Testing Game Deals ===');
+
+  const classic52 = initializeGame({ seed: 'deal-test', ruleset: 'classic52', dealer: 0 });
+  testLog('Table dealt face up', {
+    table: classic52.tableCards.length,
+    hands: classic52.playerHands.map(hand => hand.length),
+    deck: classic52.deck.length,
+    expected: { table: 4, hands: [4, 4], deck: 40 },
+  });
+
+  const inPairs = initializeGame({ seed: 'deal-test', ruleset: { ...RULESETS.classic52, dealPacketSize: 2 }, dealer: 0 });
+  const emptied = { ...inPairs, playerHands: [[], []] };
+  const nextRound = startNextRound(emptied).state;
+  testLog('Same dealer next round', {
+    firstCards: nextRound.playerHands[1].slice(0, 2),
+    expected: inPairs.deck.slice(-2).reverse(),
+  });
+
+  const house = initializeGame({ seed: 'deal-test' });
+  testLog('House deal', {
+    table: house.tableCards.length,
+    hands: house.playerHands.map(hand => hand.length),
+    expected: { table: 0, hands: [10, 10] },
+  });
+
+  // Classic seeds must deal as they did before packets were configurable
+  const classic = initializeGame({ seed: 'deal-test', ruleset: 'classic' });
+  testLog('Classic deals one card at a time', {
+    sameAsHouse: JSON.stringify(classic.playerHands) === JSON.stringify(house.playerHands),
+    expected: true,
+  });
+
+  // Rules that could never be dealt fall back to the house rules instead of hanging or dealing nothing
+  const unplayable = [{ dealPacketSize: 0 }, { dealPacketSize: 1.5 }, { cardsPerDeal: 0 }, { deckSize: 7 }]
+    .map(ruleset => initializeGame({ seed: 'deal-test', ruleset }).playerHands.map(hand => hand.length));
+  testLog('Unplayable rules', { hands: unplayable, expected: Array(4).fill([10, 10]) });
+};
+
+// Run all tests
+export const runGameStateTests = () => {
+  console.log('🧪 Starting Game State Tests...');
+
+  try {
+    testDealer();
+    testPackets();
+    testGameDeals();
+
+    console.log('\n✅ All game state tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runGameStateTests();
@@ -0,0 +1,199 @@
+/**
+ * Hints Module
+ * Suggests the best legal move for the current player and explains it in one line.
+ * The suggestion comes from evaluating the legal moves the same way the medium computer player does,
+ * within a short time budget so the hint button answers at once even on a crowded table.
+ */
+
+import { getCardId, rankValue } from './card-operations.js';
+import { applyMove, MOVE_TYPES } from './moves.js';
+import { chooseBotMove } from './bot.js';
+import { setGameLogging } from './game-state.js';
+
+// How long a hint may take to work out
+export const HINT_TIME_BUDGET_MS = 300;
+
+// Cards worth pointing out when a move takes them
+const isBigCasino = (card) => card.rank === '10' && card.suit === '♦';
+const isLittleCasino = (card) => card.rank === '2' && card.suit === '♠';
+
+// Finds a table item by the id moves use for it
+const findTableItem = (tableCards, id) =>
+  tableCards.find(item => item.buildId === id || item.stackId === id || (!item.type && getCardId(item) === id));
+
+// Finds a card in the current player's hand, or staged from it
+const findHandCard = (gameState, cardId) => {
+  const { playerHands, tableCards, currentPlayer } = gameState;
+  const stagedCards = tableCards
+    .filter(item => item.type === 'temporary_stack' && item.owner === currentPlayer)
+    .flatMap(stack => stack.cards);
+  return [...playerHands[currentPlayer], ...stagedCards].find(card => getCardId(card) === cardId);
+};
+
+// "your" for the current player, "P2's" for anyone else
+const describeOwner = (gameState, owner) => (owner === gameState.currentPlayer ? 'your' : `P${owner + 1}'s`);
+
+// "the 5", "3+5", "P2's build of 8" or "your staged 3+5"
+const describeTableItem = (gameState, item) => {
+  if (item.type === 'build') return `${describeOwner(gameState, item.owner)} build of ${item.value}`;
+  if (item.type === 'temporary_stack') return `your staged ${item.cards.map(card => card.rank).join('+')}`;
+  return item.rank;
+};
+
+// Lists the valuable cards among those taken: "Big Casino, Little Casino and 2 aces"
+const describeValuableCards = (cards) => {
+  const aces = cards.filter(card => card.rank === 'A').length;
+  const valuables = [
+    ...(cards.some(isBigCasino) ? ['Big Casino'] : []),
+    ...(cards.some(isLittleCasino) ? ['Little Casino'] : []),
+    ...(aces === 1 ? ['an ace'] : []),
+    ...(aces > 1 ? [`${aces} aces`] : []),
+  ];
+  if (valuables.length <= 1) return valuables.join('');
+  return `${valuables.slice(0, -1).join(', ')} and ${valuables[valuables.length - 1]}`;
+};
+
+/**
+ * Describes a capture, e.g. "Capture 3+5 with your 8 (takes Little Casino)".
+ * @param {object} gameState - The game state before the move.
+ * @param {object} move - A capture move.
+ * @returns {string} The explanation.
+ */
+const describeCapture = (gameState, move) => {
+  const { tableCards, playerCaptures } = gameState;
+  const captureCard = findHandCard(gameState, move.cardId);
+  const targets = move.targetIds.map(id => findTableItem(tableCards, id));
+  const looseCards = targets.filter(item => !item.type);
+  const otherItems = targets.filter(item => item.type);
+
+  const opponentPile = move.opponentCardId
+    ? playerCaptures.findIndex(groups => groups.flat().some(card => getCardId(card) === move.opponentCardId))
+    : -1;
+  const opponentCard = opponentPile >= 0
+    ? playerCaptures[opponentPile].flat().find(card => getCardId(card) === move.opponentCardId)
+    : null;
+
+  const parts = [
+    ...(looseCards.length > 0 ? [looseCards.map(card => card.rank).join('+')] : []),
+    ...otherItems.map(item => describeTableItem(gameState, item)),
+    ...(opponentCard ? [`P${opponentPile + 1}'s ${opponentCard.rank}`] : []),
+  ];
+
+  const takenCards = [
+    ...targets.flatMap(item => item.cards || [item]),
+    ...(opponentCard ? [opponentCard] : []),
+  ].filter(card => getCardId(card) !== move.cardId);
+  const valuables = describeValuableCards(takenCards);
+  const sweeps = applyMove(gameState, move).tableCards.length === 0;
+  const notes = [
+    ...(valuables ? [`takes ${valuables}`] : []),
+    ...(sweeps ? ['sweeps the table'] : []),
+  ];
+
+  return `Capture ${parts.join(' and ')} with your ${captureCard.rank}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+};
+
+// The value of the build that ends up holding a card after a move
+const findBuildValueAfter = (gameState, move, cardId) => {
+  const build = applyMove(gameState, move).tableCards
+    .find(item => item.type === 'build' && item.cards.some(card => getCardId(card) === cardId));
+  return build ? build.value : null;
+};
+
+// The explanation for each kind of move
+const explainMove = (gameState, move) => {
+  const { tableCards } = gameState;
+  const handCard = move.cardId ? findHandCard(gameState, move.cardId) : null;
+  const item = (id) => findTableItem(tableCards, id);
+
+  switch (move.type) {
+    case MOVE_TYPES.CAPTURE:
+      return describeCapture(gameState, move);
+    case MOVE_TYPES.TRAIL:
+      return `Trail your ${handCard.rank}`;
+    case MOVE_TYPES.BUILD:
+      return `Build ${move.buildValue} with your ${handCard.rank} on the ${item(move.targetCardId).rank}, to capture next turn`;
+    case MOVE_TYPES.BASE_BUILD: {
+      const baseCards = [move.baseCardId, ...move.otherCardIds].map(id => item(id).rank).join('+');
+      return `Build ${rankValue(handCard.rank)} from ${baseCards} and your ${handCard.rank}, to capture next turn`;
+    }
+    case MOVE_TYPES.ADD_TO_OWN_BUILD:
+    case MOVE_TYPES.ADD_TO_OPPONENT_BUILD: {
+      const build = item(move.buildId);
+      const newValue = findBuildValueAfter(gameState, move, move.cardId);
+      return newValue !== null && newValue !== build.value
+        ? `Raise ${describeTableItem(gameState, build)} to ${newValue} with your ${handCard.rank}`
+        : `Add your ${handCard.rank} to ${describeTableItem(gameState, build)}`;
+    }
+    case MOVE_TYPES.EXTEND_TO_MERGE:
+      return `Extend ${describeTableItem(gameState, item(move.opponentBuildId))} with your ${handCard.rank} ` +
+        `and merge it into ${describeTableItem(gameState, item(move.ownBuildId))}`;
+    case MOVE_TYPES.FINALIZE_TRAIL:
+      return `Finish trailing your ${item(move.stackId).cards[0].rank}`;
+    case MOVE_TYPES.CREATE_BUILD_FROM_STACK: {
+      const newValue = findBuildValueAfter(gameState, move, move.cardId);
+      return `Add your ${handCard.rank} to ${describeTableItem(gameState, item(move.stackId))} to build ${newValue}`;
+    }
+    case MOVE_TYPES.CREATE_BUILD_WITH_VALUE:
+      return `Turn ${describeTableItem(gameState, item(move.stackId))} into a build of ${move.buildValue}`;
+    case MOVE_TYPES.REINFORCE_BUILD_WITH_STACK:
+    case MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK:
+      return `Add ${describeTableItem(gameState, item(move.stackId))} to ${describeTableItem(gameState, item(move.buildId))}`;
+    case MOVE_TYPES.MERGE_INTO_OWN_BUILD:
+      return `Merge ${describeTableItem(gameState, item(move.stackId))} into ${describeTableItem(gameState, item(move.buildId))}`;
+    default:
+      return 'Play this move';
+  }
+};
+
+/**
+ * Explains a move in one line, in the words a player would use at the table.
+ * @param {object} gameState - The game state before the move.
+ * @param {object} move - A legal move for the current player.
+ * @returns {string} The explanation.
+ */
+export const describeMove = (gameState, move) => {
+  // Some explanations look at the position after the move; trying it shouldn't fill the game log
+  const previousLogging = setGameLogging(false);
+  try {
+    return explainMove(gameState, move);
+  } finally {
+    setGameLogging(previousLogging);
+  }
+};
+
+/**
+ * Lists the ids of the table items a move plays onto, for highlighting.
+ * @param {object} move - A serializable move.
+ * @returns {Array<string>} Card, build and stack ids.
+ */
+const getMoveTargetIds = (move) => [
+  ...(move.targetIds || []),
+  ...(move.targetCardId ? [move.targetCardId] : []),
+  ...(move.baseCardId ? [move.baseCardId, ...move.otherCardIds] : []),
+  ...(move.buildId ? [move.buildId] : []),
+  ...(move.opponentBuildId ? [move.opponentBuildId, move.ownBuildId] : []),
+  ...(move.stackId ? [move.stackId] : []),
+];
+
+/**
+ * Suggests the best move for the current player.
+ * @param {object} gameState - The current game state.
+ * @param {object} [options] - Hint options.
+ * @param {number} [options.timeBudgetMs=HINT_TIME_BUDGET_MS] - How long to spend weighing moves.
+ * @returns {object|null} The hint: the move, the hand card to play (if any), the table items it
+ * targets, and a one-line explanation; or null if there is nothing to play.
+ */
+export const getHint = (gameState, { timeBudgetMs = HINT_TIME_BUDGET_MS } = {}) => {
+  const move = chooseBotMove(gameState, { timeBudgetMs });
+  if (!move) return null;
+
+  const { playerHands, currentPlayer } = gameState;
+  const isFromHand = move.cardId && playerHands[currentPlayer].some(card => getCardId(card) === move.cardId);
+  return {
+    move,
+    handCardId: isFromHand ? move.cardId : null,
+    targetIds: getMoveTargetIds(move),
+    explanation: describeMove(gameState, move),
+  };
+};
@@ -0,0 +1,113 @@
+/**
+ * Test suite for move hints
+ * Verifies that hints suggest the best move, point at its cards and explain it in one line, and that
+ * they answer quickly on a crowded table
+ */
+
+import { getHint, describeMove } from './hints.js';
+import { MOVE_TYPES } from './moves.js';
+import { initializeGame } from './game-state.js';
+import { rankValue } from './card-operations.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// Mock game state where player 1 can capture 3+5 or 6+2 with an 8
+const createMockState = () => ({
+  ...initializeGame({ seed: 'hints-test' }),
+  deck: [],
+  playerHands: [
+    [card('8', '♥'), card('4', '♣')],
+    [card('9', '♦'), card('7', '♦')],
+  ],
+  tableCards: [card('3', '♥'), card('5', '♣'), card('6', '♥'), card('2', '♠'), card('9', '♠')],
+});
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test the one-line explanations
+export const testExplanations = () => {
+  console.log('\n=== Testing Explanations ===');
+
+  const state = createMockState();
+
+  testLog('Capture with a casino', {
+    explanation: describeMove(state, { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['6-♥', '2-♠'] }),
+    expected: 'Capture 6+2 with your 8 (takes Little Casino)',
+  });
+  testLog('Build', {
+    explanation: describeMove(state, { type: MOVE_TYPES.BUILD, cardId: '4-♣', targetCardId: '5-♣', buildValue: 9 }),
+    expected: 'Build 9 with your 4 on the 5, to capture next turn',
+  });
+  testLog('Trail', {
+    explanation: describeMove(state, { type: MOVE_TYPES.TRAIL, cardId: '4-♣' }),
+    expected: 'Trail your 4',
+  });
+};
+
+// Test that the hint is the best capture and highlights its cards
+export const testHint = () => {
+  console.log('\n=== Testing Hint ===');
+
+  const hint = getHint(createMockState());
+
+  testLog('Suggests the biggest capture', {
+    move: hint.move,
+    expected: { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['3-♥', '5-♣', '6-♥', '2-♠'] },
+  });
+  testLog('Highlights the hand card and targets', {
+    handCardId: hint.handCardId,
+    targetIds: hint.targetIds,
+    expected: { handCardId: '8-♥', targetIds: ['3-♥', '5-♣', '6-♥', '2-♠'] },
+  });
+  testLog('Explains the hint', {
+    explanation: hint.explanation,
+    expected: 'Capture 3+5+6+2 with your 8 (takes Little Casino)',
+  });
+  testLog('No hint once the game is over', {
+    hint: getHint({ ...createMockState(), gameOver: true }),
+    expected: null,
+  });
+};
+
+// Test that a hint on a crowded table answers quickly and still finds the best capture
+export const testCrowdedTable = () => {
+  console.log('\n=== Testing Crowded Table ===');
+
+  // Twelve low cards on the table make thousands of possible captures
+  const state = {
+    ...createMockState(),
+    playerHands: [
+      ['10', '9', '8', '7'].map(rank => card(rank, '♥')),
+      ['10', '9', '8', '7'].map(rank => card(rank, '♠')),
+    ],
+    tableCards: ['A', '2', '3'].flatMap(rank => ['♥', '♠', '♦', '♣'].map(suit => card(rank, suit))),
+  };
+
+  // With no time to weigh moves, only the one taking the most cards is tried
+  const hint = getHint(state, { timeBudgetMs: 0 });
+  testLog('Sweep found without weighing every move', {
+    explanation: hint.explanation,
+    expected: 'Capture A+A+A+A+2+2+2+2+3+3+3+3 with your 8 (takes Little Casino and 4 aces, sweeps the table)',
+  });
+};
+
+// Run all tests
+export const runHintTests = () => {
+  console.log('🧪 Starting Hint Tests...');
+
+  try {
+    testExplanations();
+    testHint();
+    testCrowdedTable();
+
+    console.log('\n✅ All hint tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runHintTests();
@@ -0,0 +1,122 @@
+/**
+ * History Module
+ * Replays the move history and provides turn-level undo/redo for practice games
+ */
+
+import { initializeGame, getGameOptions, updateGameState, setGameLogging } from './game-state.js';
+import { applyMove, keepsTurn } from './moves.js';
+
+/**
+ * Rebuilds a game by replaying moves from its initial deal.
+ * @param {object} options - The initializeGame options (including the seed) of the game.
+ * @param {Array<object>} moves - The moves to replay, in order.
+ * @param {object} [replayOptions] - How to replay.
+ * @param {object} [replayOptions.clock] - A clock to replay against instead of a new one, so timeouts
+ * are checked against the time the players have actually used.
+ * @returns {object} The game state after all moves.
+ */
+export const replayMoves = (options, moves, { clock } = {}) => {
+  const wasLogging = setGameLogging(false);
+  try {
+    const initialState = initializeGame(options);
+    const startState = clock ? { ...initialState, clock } : initialState;
+    return moves.reduce((state, move) => applyMove(state, move), startState);
+  } finally {
+    setGameLogging(wasLogging);
+  }
+};
+
+/**
+ * Finds where the most recent turn starts in the history.
+ * A turn is the run of moves by one player, including staging moves that keep the turn,
+ * plus any round transition or end-of-game moves that followed it.
+ * @param {Array<object>} history - The history entries ({ player, move, version }).
+ * @returns {number} Index of the first entry of the most recent turn.
+ */
+const findLastTurnStart = (history) => {
+  let index = history.length;
+
+  // Game-flow moves belong to the turn that triggered them
+  while (index > 0 && history[index - 1].player === null) index--;
+  if (index === 0) return 0;
+
+  const player = history[index - 1].player;
+  while (index > 0 && history[index - 1].player === player) index--;
+  return index;
+};
+
+/**
+ * Finds where the current player's turn starts in the history: right after the last move that
+ * passed a turn on. Staging moves, and taking them back, keep the turn, so the start stays put
+ * until the turn passes, even when the same player has the next turn too.
+ * @param {object} gameState - The current game state.
+ * @returns {number} Index of the first entry of the current turn.
+ */
+export const findCurrentTurnStart = (gameState) => {
+  const history = gameState.history || [];
+  let index = history.length;
+  while (index > 0 && history[index - 1].player === gameState.currentPlayer && keepsTurn(history[index - 1].move)) index--;
+  return index;
+};
+
+/**
+ * Checks whether there is a turn that can be undone.
+ * @param {object} gameState - The current game state.
+ * @returns {boolean} True if undo is allowed.
+ */
+export const canUndo = (gameState) =>
+  gameState.practiceMode && gameState.history.some(entry => entry.player !== null);
+
+/**
+ * Checks whether there is an undone turn that can be redone.
+ * @param {object} gameState - The current game state.
+ * @returns {boolean} True if redo is allowed.
+ */
+export const canRedo = (gameState) => gameState.practiceMode && gameState.redoStack.length > 0;
+
+/**
+ * Takes back the most recent turn, including any staging moves made during it.
+ * Only available in practice mode. The replayed state still gets a new version, so versions
+ * keep increasing even when the game goes back.
+ * @param {object} gameState - The current game state.
+ * @returns {object} The state at the start of that turn.
+ */
+export const undoTurn = (gameState) => {
+  if (!canUndo(gameState)) {
+    return gameState;
+  }
+
+  const { history, redoStack } = gameState;
+  const turnStart = findLastTurnStart(history);
+  const undoneEntries = history.slice(turnStart);
+
+  const previousState = replayMoves(
+    getGameOptions(gameState),
+    history.slice(0, turnStart).map(entry => entry.move),
+    { clock: gameState.clock }
+  );
+  // The clock keeps the time already used; taking back a turn does not give it back
+  return updateGameState(previousState, {
+    redoStack: [...redoStack, undoneEntries],
+    version: (gameState.version || 0) + 1,
+    clock: gameState.clock,
+  });
+};
+
+/**
+ * Re-applies the most recently undone turn.
+ * Only available in practice mode.
+ * @param {object} gameState - The current game state.
+ * @returns {object} The state after the redone turn.
+ */
+export const redoTurn = (gameState) => {
+  if (!canRedo(gameState)) {
+    return gameState;
+  }
+
+  const redoStack = gameState.redoStack.slice(0, -1);
+  const entries = gameState.redoStack[gameState.redoStack.length - 1];
+
+  const redoneState = entries.reduce((state, entry) => applyMove(state, entry.move), gameState);
+  return updateGameState(redoneState, { redoStack });
+};
@@ -10,18 +10,55 @@ export {
   shuffleDeck,
   updateGameState,
   nextPlayer,
-  logGameState
+  logGameState,
+  setGameLogging,
+  getGameOptions,
+  dealCards
 } from './game-state.js';
 
+// Seating, teams and opponents for 2-4 players
+export {
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  isValidPlayerSetup,
+  createTeams,
+  getHandSize,
+  getRoundCount,
+  getPlayerCount,
+  getDealer,
+  getTeamIndex,
+  getOpponents,
+  getOpponentPileIndex
+} from './players.js';
+
+// House-rule variants
+export {
+  RULESETS,
+  DEFAULT_RULESET,
+  validateRuleset,
+  resolveRuleset,
+  getRuleset,
+  canOwnAnotherBuild
+} from './rulesets.js';
+
+// Seeded randomness for reproducible deals
+export {
+  generateSeed,
+  normalizeSeed,
+  createSeededRandom
+} from './random.js';
+
 // Card operations and utilities
 export {
   rankValue,
+  isFaceCard,
   getCardId,
   calculateCardSum,
   removeCardFromHand,
   removeCardsFromTable,
   sortCardsByRank,
   generateBuildId,
+  generateStackId,
   isValidBuildType,
   findOpponentMatchingCards,
   countIdenticalCardsInHand,
@@ -44,6 +81,7 @@ export {
   validateMergeIntoOwnBuild,
   findPossibleBuildsFromStack,
   validateComplexCapture,
+  validateCapture,
   validateAddToOwnBuild,
   validateReinforceBuildWithStack,
   validateExtendToMerge,
@@ -61,6 +99,7 @@ export {
   handleAddToOwnBuild,
   handleCreateBuildFromStack,
   handleAddToOpponentBuild,
+  isRoundOver,
   startNextRound,
   handleSweep,
   calculateScores,
@@ -68,6 +107,9 @@ export {
   handleCreateStagingStack,
   handleReinforceBuildWithStack,
   handleAddToStagingStack,
+  handleStageCardOnLooseCard,
+  handleMergeStagingStacks,
+  handleAddLooseCardToStagingStack,
   handleDisbandStagingStack,
   handleCancelStagingStack,
   handleMergeIntoOwnBuild,
@@ -79,3 +121,110 @@ export {
   handleStageSingleCardFromHand,
   handleFinalizeTrail
 } from './game-actions.js';
+
+// Serializable move reducer
+export {
+  MOVE_TYPES,
+  performMove,
+  applyMove,
+  isSystemMove,
+  keepsTurn,
+  isWellFormedMove,
+  setInvariantChecks,
+  findBrokenInvariants
+} from './moves.js';
+
+// Outcomes of engine actions, with stable error codes
+export {
+  ERROR_CODES,
+  success,
+  failure
+} from './results.js';
+
+// Every legal move for the current player
+export { getLegalMoves, isLegalMove } from './legal-moves.js';
+
+// Computer opponent
+export {
+  BOT_DIFFICULTIES,
+  DEFAULT_TIME_BUDGET_MS,
+  evaluateState,
+  chooseBotMove
+} from './bot.js';
+
+// Suggested moves for players learning the game
+export {
+  HINT_TIME_BUDGET_MS,
+  describeMove,
+  getHint
+} from './hints.js';
+
+// Move history replay and practice-mode undo/redo
+export {
+  replayMoves,
+  findCurrentTurnStart,
+  canUndo,
+  canRedo,
+  undoTurn,
+  redoTurn
+} from './history.js';
+
+// Match play across several deals
+export {
+  MATCH_TARGETS,
+  createMatch,
+  getDealOptions,
+  getComputerPlayers,
+  recordDeal
+} from './match.js';
+
+// Text notation for moves and move lists
+export {
+  formatId,
+  parseId,
+  formatMove,
+  parseMove,
+  formatMoves,
+  parseMoves
+} from './notation.js';
+
+// Self-play statistics across many games
+export {
+  SIMULATION_POLICIES,
+  SCORE_CATEGORIES,
+  playSelfPlayGame,
+  summarizeGames,
+  simulateGames,
+  formatReportCsv
+} from './simulation.js';
+
+// What each player may see of a game
+export {
+  projectStateForPlayer,
+  projectStateForSpectator,
+  getHandCount,
+  getDeckCount
+} from './projection.js';
+
+// Versions, catching up and out-of-order updates for copies of a game
+export {
+  getStateVersion,
+  getMovesSince,
+  isCurrentUpdate
+} from './sync.js';
+
+// Game codes for continuing a game on another device
+export {
+  exportGameCode,
+  importGameCode
+} from './correspondence.js';
+
+// Optional time limits and what happens when they run out
+export {
+  CLOCK_MODES,
+  TIMEOUT_POLICIES,
+  createClock,
+  isValidClockOptions,
+  getRemainingTime,
+  chargeClock
+} from './clock.js';
@@ -0,0 +1,414 @@
+/**
+ * Legal Moves Module
+ * Lists everything the current player can do as serializable moves for applyMove.
+ * Hints, the computer player, tests and server-side validation all start from here.
+ */
+
+import { getCardId, rankValue } from './card-operations.js';
+import { findCombinationsDP } from './algorithms.js';
+import { getOpponents } from './players.js';
+import { getRuleset } from './rulesets.js';
+import { MOVE_TYPES, isSystemMove } from './moves.js';
+import {
+  validateBuild,
+  validateTrail,
+  validateCapture,
+  validateAddToOpponentBuild,
+  validateAddToOwnBuild,
+  validateTemporaryStackBuild,
+  validateExtendToMerge,
+  validateReinforceBuildWithStack,
+  validateMergeIntoOwnBuild,
+  validateReinforceOpponentBuildWithStack,
+  findPossibleBuildsFromStack
+} from './validation.js';
+
+// The id applyMove uses to find a table item.
+const getTableItemId = (item) => {
+  if (item.type === 'build') return item.buildId;
+  if (item.type === 'temporary_stack') return item.stackId;
+  return getCardId(item);
+};
+
+// Every subset of the items, the empty one included. Only used for the few builds and stacks
+// on the table, never for loose cards.
+const getSubsets = (items) =>
+  items.reduce((subsets, item) => [...subsets, ...subsets.map(subset => [...subset, item])], [[]]);
+
+// Every way of choosing size of the items, in a stable order.
+const getCombinations = (items, size) => {
+  if (size === 0) return [[]];
+  return items.slice(0, items.length - size + 1).flatMap((item, index) =>
+    getCombinations(items.slice(index + 1), size - 1).map(rest => [item, ...rest])
+  );
+};
+
+/**
+ * Checks whether cards split into groups that each add up to the value. Cards of the same value
+ * are interchangeable, so the cards are given as a count of each value, and answers are shared
+ * between calls through the memo.
+ * @param {Array<number>} counts - How many cards of each value there are, indexed by value.
+ * @param {number} value - The sum every group must make.
+ * @param {Map<string, boolean>} memo - Answers already worked out.
+ * @returns {boolean} True if the cards split into such groups.
+ */
+const canSplitIntoGroups = (counts, value, memo) => {
+  const key = counts.join(',');
+  if (memo.has(key)) return memo.get(key);
+
+  // The highest card left must be in some group; try every way of completing that group
+  const highest = counts.findLastIndex(count => count > 0);
+  const completeGroup = (remaining, below, left) => {
+    if (left === 0) return canSplitIntoGroups(remaining, value, memo);
+    for (let cardValue = Math.min(below, left); cardValue > 0; cardValue--) {
+      if (remaining[cardValue] === 0) continue;
+      const next = [...remaining];
+      next[cardValue]--;
+      if (completeGroup(next, cardValue, left - cardValue)) return true;
+    }
+    return false;
+  };
+
+  let result = highest === -1;
+  if (!result && highest <= value) {
+    const remaining = [...counts];
+    remaining[highest]--;
+    result = completeGroup(remaining, highest, value - highest);
+  }
+  memo.set(key, result);
+  return result;
+};
+
+/**
+ * Lists the sets of loose cards that can be captured together with some cards that must be:
+ * the sets whose cards, with the required ones, split into groups that each add up to the value.
+ * Whether a set adds up only depends on how many cards of each value it holds, so each choice
+ * of counts is checked once and then every set of cards with those counts is listed.
+ * @param {Array<object>} looseCards - The loose cards that may be captured.
+ * @param {Array<object>} requiredCards - Cards that are captured anyway, e.g. a staging stack's.
+ * @param {number} value - The capture value.
+ * @returns {Array<Array<object>>} The sets of loose cards, each in table order.
+ */
+const findCaptureSets = (looseCards, requiredCards, value) => {
+  const cardsByValue = new Map();
+  looseCards.forEach(card => {
+    const cardValue = rankValue(card.rank);
+    cardsByValue.set(cardValue, [...(cardsByValue.get(cardValue) || []), card]);
+  });
+  const cardValues = [...cardsByValue.keys()];
+  const counts = Array(Math.max(value, ...requiredCards.map(card => rankValue(card.rank))) + 1).fill(0);
+  requiredCards.forEach(card => counts[rankValue(card.rank)]++);
+  const requiredCount = (cardValue) => requiredCards.filter(card => rankValue(card.rank) === cardValue).length;
+  const memo = new Map();
+
+  const sets = [];
+  const chooseCounts = (valueIndex) => {
+    if (valueIndex === cardValues.length) {
+      if (!canSplitIntoGroups(counts, value, memo)) return;
+      // Every choice of cards with these counts adds up
+      cardValues
+        .reduce((partialSets, cardValue) => partialSets.flatMap(partial =>
+          getCombinations(cardsByValue.get(cardValue), counts[cardValue] - requiredCount(cardValue))
+            .map(chosen => [...partial, ...chosen])
+        ), [[]])
+        .forEach(chosen => sets.push(looseCards.filter(card => chosen.includes(card))));
+      return;
+    }
+    const cardValue = cardValues[valueIndex];
+    for (let count = 0; count <= cardsByValue.get(cardValue).length; count++) {
+      counts[cardValue] += count;
+      chooseCounts(valueIndex + 1);
+      counts[cardValue] -= count;
+    }
+  };
+
+  chooseCounts(0);
+  return sets;
+};
+
+// The top card of each opponent's capture pile, the only cards that can be used from them.
+const getOpponentTopCards = (gameState) =>
+  getOpponents(gameState).flatMap(opponent => {
+    const groups = gameState.playerCaptures[opponent] || [];
+    const lastGroup = groups[groups.length - 1] || [];
+    return lastGroup.length > 0 ? [lastGroup[lastGroup.length - 1]] : [];
+  });
+
+/**
+ * Lists the trails: any hand card the rules allow to be laid on the table.
+ * @param {object} gameState - The current game state.
+ * @returns {Array<object>} Trail moves.
+ */
+const findTrails = (gameState) => {
+  const { playerHands, tableCards, currentPlayer, round } = gameState;
+  const playerHand = playerHands[currentPlayer];
+  const ruleset = getRuleset(gameState);
+
+  return playerHand
+    .filter(card => validateTrail(tableCards, card, currentPlayer, round, ruleset, playerHand).valid)
+    .map(card => ({ type: MOVE_TYPES.TRAIL, cardId: getCardId(card) }));
+};
+
+/**
+ * Lists the captures: every combination of builds, loose cards, the player's own staging stacks
+ * and at most one opponent's top card that a card can take. A hand card already staged into a
+ * stack can only capture together with that stack.
+ * @param {object} gameState - The current game state.
+ * @returns {Array<object>} Capture moves.
+ */
+const findCaptures = (gameState) => {
+  const { playerHands, tableCards, currentPlayer } = gameState;
+  const ownStacks = tableCards.filter(item => item.type === 'temporary_stack' && item.owner === currentPlayer);
+
+  const captureCards = [
+    ...playerHands[currentPlayer].map(card => ({ card, stack: null })),
+    ...ownStacks.flatMap(stack => stack.cards
+      .filter(c => c.source === 'hand')
+      .map(({ source, ...card }) => ({ card, stack }))),
+  ];
+  const opponentTopCards = getOpponentTopCards(gameState);
+
+  const moves = [];
+  captureCards.forEach(({ card, stack }) => {
+    const captureValue = rankValue(card.rank);
+    const cardId = getCardId(card);
+
+    // Builds of the value and the player's own stacks are few, so every choice of them is tried;
+    // the loose cards that can go with each choice are found by findCaptureSets
+    const builds = tableCards.filter(item => item.type === 'build' && item.value === captureValue);
+    const stacks = ownStacks.filter(item => item !== stack);
+    const looseCards = tableCards.filter(item => !item.type && rankValue(item.rank) <= captureValue);
+    const opponentCards = [null, ...opponentTopCards.filter(c => rankValue(c.rank) <= captureValue)];
+
+    getSubsets(stacks).forEach(chosenStacks => {
+      const capturedStacks = stack ? [stack, ...chosenStacks] : chosenStacks;
+      const stackCards = capturedStacks
+        .flatMap(item => item.cards)
+        .filter(c => !(c.source === 'hand' && getCardId(c) === cardId));
+
+      opponentCards.forEach(opponentCard => {
+        const requiredCards = opponentCard ? [...stackCards, opponentCard] : stackCards;
+        findCaptureSets(looseCards, requiredCards, captureValue).forEach(capturedCards => {
+          getSubsets(builds).forEach(capturedBuilds => {
+            // Targets keep their order on the table
+            const chosen = [...capturedCards, ...capturedBuilds, ...capturedStacks];
+            const targets = tableCards.filter(item => chosen.includes(item));
+            if (targets.length === 0 && !opponentCard) return;
+            if (!validateCapture(card, opponentCard ? [...targets, opponentCard] : targets).valid) return;
+
+            moves.push({
+              type: MOVE_TYPES.CAPTURE,
+              cardId,
+              targetIds: targets.map(getTableItemId),
+              ...(opponentCard && { opponentCardId: getCardId(opponentCard) }),
+            });
+          });
+        });
+      });
+    });
+  });
+
+  return moves;
+};
+
+/**
+ * Lists the new builds: a hand card on one loose card (sum or same value), or a hand card
+ * on a combination of loose cards that adds up to it (a base build).
+ * @param {object} gameState - The current game state.
+ * @returns {Array<object>} Build and base build moves.
+ */
+const findBuilds = (gameState) => {
+  const { playerHands, tableCards, currentPlayer } = gameState;
+  const playerHand = playerHands[currentPlayer];
+  const ruleset = getRuleset(gameState);
+  const looseCards = tableCards.filter(item => !item.type);
+  const canBuild = (card, buildValue) =>
+    validateBuild(playerHand, card, buildValue, tableCards, currentPlayer, ruleset).valid;
+
+  const moves = [];
+  playerHand.forEach(card => {
+    const cardValue = rankValue(card.rank);
+
+    looseCards.forEach(targetCard => {
+      const targetValue = rankValue(targetCard.rank);
+      const buildValues = cardValue === targetValue ? [cardValue + targetValue, cardValue] : [cardValue + targetValue];
+      buildValues
+        .filter(buildValue => canBuild(card, buildValue))
+        .forEach(buildValue => moves.push({
+          type: MOVE_TYPES.BUILD,
+          cardId: getCardId(card),
+          targetCardId: getCardId(targetCard),
+          buildValue,
+        }));
+    });
+
+    // Single-card bases are the same-value builds above
+    if (!canBuild(card, cardValue)) return;
+    findCombinationsDP(looseCards, cardValue)
+      .filter(cards => cards.length > 1)
+      .forEach(([baseCard, ...otherCards]) => moves.push({
+        type: MOVE_TYPES.BASE_BUILD,
+        cardId: getCardId(card),
+        baseCardId: getCardId(baseCard),
+        otherCardIds: otherCards.map(getCardId),
+      }));
+  });
+
+  return moves;
+};
+
+/**
+ * Lists the moves that play a hand card onto a build already on the table: reinforcing your
+ * own build, extending an opponent's, or extending an opponent's build to merge it into yours.
+ * @param {object} gameState - The current game state.
+ * @returns {Array<object>} Add-to-build and extend-to-merge moves.
+ */
+const findBuildAdditions = (gameState) => {
+  const { playerHands, tableCards, currentPlayer } = gameState;
+  const playerHand = playerHands[currentPlayer];
+  const ruleset = getRuleset(gameState);
+  const builds = tableCards.filter(item => item.type === 'build');
+  const ownBuilds = builds.filter(build => build.owner === currentPlayer);
+  const otherBuilds = builds.filter(build => build.owner !== currentPlayer);
+
+  const moves = [];
+  playerHand.forEach(card => {
+    const cardId = getCardId(card);
+
+    ownBuilds
+      .filter(build => validateAddToOwnBuild(build, card, playerHand).valid)
+      .forEach(build => moves.push({ type: MOVE_TYPES.ADD_TO_OWN_BUILD, cardId, buildId: build.buildId }));
+
+    otherBuilds
+      .filter(build => validateAddToOpponentBuild(build, card, playerHand, tableCards, currentPlayer, ruleset).valid)
+      .forEach(build => moves.push({ type: MOVE_TYPES.ADD_TO_OPPONENT_BUILD, cardId, buildId: build.buildId }));
+
+    otherBuilds.forEach(opponentBuild => {
+      ownBuilds
+        .filter(ownBuild => validateExtendToMerge(ownBuild, opponentBuild, card).valid)
+        .forEach(ownBuild => moves.push({
+          type: MOVE_TYPES.EXTEND_TO_MERGE,
+          cardId,
+          opponentBuildId: opponentBuild.buildId,
+          ownBuildId: ownBuild.buildId,
+        }));
+    });
+  });
+
+  return moves;
+};
+
+/**
+ * Lists the ways to finish the player's own staging stacks: turning them into a build,
+ * reinforcing or merging them into a build, or completing a staged trail.
+ * @param {object} gameState - The current game state.
+ * @returns {Array<object>} Stack moves.
+ */
+const findStackMoves = (gameState) => {
+  const { playerHands, tableCards, currentPlayer } = gameState;
+  const playerHand = playerHands[currentPlayer];
+  const ruleset = getRuleset(gameState);
+  const builds = tableCards.filter(item => item.type === 'build');
+  const ownStacks = tableCards.filter(item => item.type === 'temporary_stack' && item.owner === currentPlayer);
+
+  const moves = [];
+  ownStacks.forEach(stack => {
+    const { stackId } = stack;
+
+    if (stack.cards.length === 1 && stack.cards[0].source === 'hand') {
+      moves.push({ type: MOVE_TYPES.FINALIZE_TRAIL, stackId });
+    }
+
+    playerHand.forEach(card => {
+      const validation = validateTemporaryStackBuild(stack, card, playerHand, tableCards, currentPlayer, ruleset);
+      if (!validation.valid) return;
+      // A loose card of the build's value left on the table must go into the build
+      const leavesEqualCard = tableCards.some(c =>
+        !c.type && rankValue(c.rank) === validation.newValue && !stack.cards.some(sc => getCardId(sc) === getCardId(c))
+      );
+      if (!leavesEqualCard) moves.push({ type: MOVE_TYPES.CREATE_BUILD_FROM_STACK, cardId: getCardId(card), stackId });
+    });
+
+    findPossibleBuildsFromStack(stack, playerHand, tableCards, currentPlayer, ruleset)
+      .forEach(buildValue => moves.push({ type: MOVE_TYPES.CREATE_BUILD_WITH_VALUE, stackId, buildValue }));
+
+    builds.forEach(build => {
+      const { buildId } = build;
+      if (validateReinforceBuildWithStack(stack, build).valid) {
+        moves.push({ type: MOVE_TYPES.REINFORCE_BUILD_WITH_STACK, stackId, buildId });
+      }
+      if (validateMergeIntoOwnBuild(stack, build, currentPlayer).valid) {
+        moves.push({ type: MOVE_TYPES.MERGE_INTO_OWN_BUILD, stackId, buildId });
+      }
+      if (validateReinforceOpponentBuildWithStack(stack, build, currentPlayer).valid) {
+        moves.push({ type: MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK, stackId, buildId });
+      }
+    });
+  });
+
+  return moves;
+};
+
+/**
+ * Lists every legal move for the current player: trails, captures (including multi-card,
+ * build and opponent-card captures), builds, reinforcements and merges.
+ * Staging gestures that only rearrange cards mid-turn are not listed; once a staging stack
+ * is on the table, the moves that complete it are.
+ * @param {object} gameState - The current game state.
+ * @returns {Array<object>} Serializable moves, each accepted by applyMove.
+ */
+export const getLegalMoves = (gameState) => {
+  if (gameState.gameOver) return [];
+
+  return [
+    ...findTrails(gameState),
+    ...findCaptures(gameState),
+    ...findBuilds(gameState),
+    ...findBuildAdditions(gameState),
+    ...findStackMoves(gameState),
+  ];
+};
+
+// The kinds of move getLegalMoves lists
+const LISTED_MOVE_TYPES = [
+  MOVE_TYPES.TRAIL,
+  MOVE_TYPES.CAPTURE,
+  MOVE_TYPES.BUILD,
+  MOVE_TYPES.BASE_BUILD,
+  MOVE_TYPES.ADD_TO_OWN_BUILD,
+  MOVE_TYPES.ADD_TO_OPPONENT_BUILD,
+  MOVE_TYPES.EXTEND_TO_MERGE,
+  MOVE_TYPES.FINALIZE_TRAIL,
+  MOVE_TYPES.CREATE_BUILD_FROM_STACK,
+  MOVE_TYPES.CREATE_BUILD_WITH_VALUE,
+  MOVE_TYPES.REINFORCE_BUILD_WITH_STACK,
+  MOVE_TYPES.MERGE_INTO_OWN_BUILD,
+  MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK,
+];
+
+// Two moves are the same if every field matches; lists of ids may be in any order
+const isSameMove = (a, b) => {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].every(field => {
+    const [valueA, valueB] = [a[field] ?? null, b[field] ?? null];
+    if (Array.isArray(valueA) && Array.isArray(valueB)) {
+      return JSON.stringify([...valueA].sort()) === JSON.stringify([...valueB].sort());
+    }
+    return valueA === valueB;
+  });
+};
+
+/**
+ * Checks a player's move against the legal moves, for moves from somewhere the engine doesn't
+ * trust, such as another device. Moves the game makes itself (dealing, sweeping, ending the game
+ * and timeouts) are never a player's to make. Staging moves, and the moves that finish or give up
+ * a staging stack without being listed, are left to the engine's own rules.
+ * @param {object} gameState - The current game state.
+ * @param {object} move - A serializable move.
+ * @returns {boolean} False if the move is certainly not the current player's to make.
+ */
+export const isLegalMove = (gameState, move) => {
+  if (gameState.gameOver || isSystemMove(move) || move.type === MOVE_TYPES.TIMEOUT) return false;
+  if (!LISTED_MOVE_TYPES.includes(move.type)) return true;
+  return getLegalMoves(gameState).some(legalMove => isSameMove(legalMove, move));
+};
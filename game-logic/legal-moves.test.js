@@ -0,0 +1,189 @@
+/**
+ * Test suite for legal move generation
+ * Verifies that getLegalMoves lists captures, builds and additions, and that applyMove accepts every move it lists
+ */
+
+import { getLegalMoves, isLegalMove } from './legal-moves.js';
+import { applyMove, MOVE_TYPES } from './moves.js';
+import { initializeGame, setGameLogging } from './game-state.js';
+import { rankValue } from './card-operations.js';
+import { resolveRuleset } from './rulesets.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// Mock game state with a build of 8 owned by player 2
+const createMockState = () => ({
+  ...initializeGame({ seed: 'legal-moves-test' }),
+  deck: [],
+  playerHands: [
+    [card('8', '♥'), card('5', '♠'), card('2', '♠')],
+    [card('8', '♣'), card('6', '♦')],
+  ],
+  tableCards: [
+    card('3', '♥'),
+    card('5', '♣'),
+    card('A', '♦'),
+    { buildId: 'build-6-♥', type: 'build', cards: [card('6', '♥'), card('2', '♦')], value: 8, owner: 1, isExtendable: true },
+  ],
+});
+
+const hasMove = (moves, expected) =>
+  moves.some(move => JSON.stringify(move) === JSON.stringify(expected));
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that the expected kinds of move are listed
+export const testListedMoves = () => {
+  console.log('\n=== Testing Listed Moves ===');
+
+  const moves = getLegalMoves(createMockState());
+
+  testLog('Multi-card capture', {
+    found: hasMove(moves, { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['3-♥', '5-♣'] }),
+    expected: true,
+  });
+  testLog('Build and cards captured together', {
+    found: hasMove(moves, { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['3-♥', '5-♣', 'build-6-♥'] }),
+    expected: true,
+  });
+  testLog('Sum build', {
+    found: hasMove(moves, { type: MOVE_TYPES.BUILD, cardId: '2-♠', targetCardId: '3-♥', buildValue: 5 }),
+    expected: true,
+  });
+  testLog('No base build without a second 8', {
+    found: hasMove(moves, { type: MOVE_TYPES.BASE_BUILD, cardId: '8-♥', baseCardId: '3-♥', otherCardIds: ['5-♣'] }),
+    expected: false,
+  });
+  testLog('No capture that does not add up', {
+    found: hasMove(moves, { type: MOVE_TYPES.CAPTURE, cardId: '5-♠', targetIds: ['3-♥', 'A-♦'] }),
+    expected: false,
+  });
+};
+
+// Test that reinforcing and merging builds are listed
+export const testBuildAdditions = () => {
+  console.log('\n=== Testing Build Additions ===');
+
+  const state = {
+    ...createMockState(),
+    ruleset: resolveRuleset('classic'),
+    playerHands: [[card('3', '♠'), card('A', '♠'), card('9', '♥')], []],
+    tableCards: [
+      { buildId: 'build-5-♦', type: 'build', cards: [card('5', '♦'), card('4', '♦')], value: 9, owner: 0, isExtendable: true },
+      { buildId: 'build-6-♥', type: 'build', cards: [card('6', '♥'), card('2', '♦')], value: 8, owner: 1, isExtendable: true },
+    ],
+  };
+  const moves = getLegalMoves(state);
+
+  testLog('Extend to merge', {
+    found: hasMove(moves, { type: MOVE_TYPES.EXTEND_TO_MERGE, cardId: 'A-♠', opponentBuildId: 'build-6-♥', ownBuildId: 'build-5-♦' }),
+    expected: true,
+  });
+  testLog('Extend opponent build', {
+    found: hasMove(moves, { type: MOVE_TYPES.ADD_TO_OPPONENT_BUILD, cardId: 'A-♠', buildId: 'build-6-♥' }),
+    expected: true,
+  });
+  testLog('No trail while owning a build', {
+    trails: moves.filter(move => move.type === MOVE_TYPES.TRAIL).length,
+    expected: 0,
+  });
+};
+
+// Test checking a move from elsewhere against the legal moves
+export const testIsLegalMove = () => {
+  console.log('\n=== Testing Is Legal Move ===');
+
+  const state = createMockState();
+  testLog('Listed move, targets in any order', {
+    legal: isLegalMove(state, { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['5-♣', '3-♥'] }),
+    expected: true,
+  });
+  testLog('Capture that does not add up', {
+    legal: isLegalMove(state, { type: MOVE_TYPES.CAPTURE, cardId: '5-♠', targetIds: ['3-♥', 'A-♦'] }),
+    expected: false,
+  });
+  testLog('Staging left to the engine', {
+    legal: isLegalMove(state, { type: MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD, cardId: '5-♠', source: 'hand', targetCardId: '3-♥' }),
+    expected: true,
+  });
+  testLog('Game moves are not a player\'s', {
+    legal: [MOVE_TYPES.START_NEXT_ROUND, MOVE_TYPES.END_GAME, MOVE_TYPES.TIMEOUT].map(type => isLegalMove(state, { type })),
+    expected: [false, false, false],
+  });
+};
+
+// Test that large tables are handled without listing every subset of the table
+export const testLargeTable = () => {
+  console.log('\n=== Testing Large Table ===');
+
+  // 31 nines and an ace: each nine is only captured with the ace by a 10
+  const nines = Array.from({ length: 31 }, (_, index) => card('9', `s${index}`));
+  const state = {
+    ...createMockState(),
+    playerHands: [[card('10', '♠')], [card('2', '♦')]],
+    tableCards: [...nines, card('A', '♦')],
+  };
+  const captures = getLegalMoves(state).filter(move => move.type === MOVE_TYPES.CAPTURE);
+
+  testLog('Captures past 31 table cards', {
+    captures: captures.length,
+    withAce: captures.every(move => move.targetIds.length === 2 && move.targetIds[1] === 'A-♦'),
+    expected: { captures: 31, withAce: true },
+  });
+};
+
+// Test that applyMove accepts every listed move over whole seeded games
+export const testMovesAreAccepted = () => {
+  console.log('\n=== Testing Moves Are Accepted ===');
+
+  const previousLogging = setGameLogging(false);
+  try {
+    ['house', 'classic52'].forEach(ruleset => {
+      let state = initializeGame({ seed: `legal-${ruleset}`, ruleset });
+      let listed = 0;
+      let rejected = 0;
+
+      while (!state.gameOver) {
+        if (state.playerHands.every(hand => hand.length === 0)) {
+          state = applyMove(state, { type: state.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME });
+          continue;
+        }
+
+        const moves = getLegalMoves(state);
+        if (moves.length === 0) break;
+        listed += moves.length;
+        rejected += moves.filter(move => applyMove(state, move) === state).length;
+
+        // Play the last listed move, which varies the kinds of move over the game
+        state = applyMove(state, moves[moves.length - 1]);
+      }
+
+      testLog(`Every ${ruleset} move accepted`, { listed, rejected, expected: 0, gameOver: state.gameOver });
+    });
+  } finally {
+    setGameLogging(previousLogging);
+  }
+};
+
+// Run all tests
+export const runLegalMoveTests = () => {
+  console.log('🧪 Starting Legal Move Tests...');
+
+  try {
+    testListedMoves();
+    testBuildAdditions();
+    testIsLegalMove();
+    testLargeTable();
+    testMovesAreAccepted();
+
+    console.log('\n✅ All legal move tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runLegalMoveTests();
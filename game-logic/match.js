@@ -0,0 +1,186 @@
+/**
+ * Match Module
+ * Plays a match of several deals to a target score, alternating the dealer between deals
+ */
+
+import { success, failure, ERROR_CODES } from './results.js';
+import { getTeamIndex } from './players.js';
+
+// Common match lengths
+export const MATCH_TARGETS = [11, 21];
+
+// Scoring categories in the order they are counted out when deciding a tied finish
+const COUNT_OUT_ORDER = ['mostCards', 'mostSpades', 'bigCasino', 'littleCasino', 'aces', 'sweeps'];
+
+/**
+ * Creates a new match.
+ * Scores are kept per side: per player, or per team in a partnership game.
+ * @param {object} [options] - Match options.
+ * @param {number} [options.targetScore=11] - Points needed to win the match.
+ * @param {number} [options.playerCount=2] - Number of players.
+ * @param {boolean} [options.partnerships=false] - Whether four players play 2v2.
+ * @param {string} [options.ruleset='house'] - The ruleset preset every deal is played with.
+ * @param {number} [options.dealer] - The dealer of the first deal. Defaults to the last seat, so player 1 leads.
+ * @param {boolean} [options.vsComputer=false] - Whether the computer plays every seat but player 1's.
+ * @param {string} [options.computerDifficulty='medium'] - How strongly the computer plays: 'easy', 'medium' or 'hard'.
+ * @returns {object} The initial match state.
+ */
+export const createMatch = ({
+  targetScore = MATCH_TARGETS[0],
+  playerCount = 2,
+  partnerships = false,
+  ruleset = 'house',
+  dealer = playerCount - 1,
+  vsComputer = false,
+  computerDifficulty = 'medium'
+} = {}) => ({
+  targetScore,
+  playerCount,
+  partnerships,
+  ruleset,
+  dealer,
+  vsComputer,
+  computerDifficulty,
+  deals: [],
+  scores: Array.from({ length: partnerships ? 2 : playerCount }, () => 0),
+  winner: null,
+  matchOver: false,
+});
+
+/**
+ * Returns the initializeGame options for the next deal of a match.
+ * The match's dealer deals; the player to the dealer's left is dealt to first and leads.
+ * @param {object} match - The current match state.
+ * @param {object} [options] - Extra initializeGame options, such as practiceMode.
+ * @returns {object} The initializeGame options.
+ */
+export const getDealOptions = (match, options = {}) => ({
+  ...options,
+  playerCount: match.playerCount,
+  partnerships: match.partnerships,
+  ruleset: match.ruleset,
+  dealer: match.dealer,
+  firstPlayer: (match.dealer + 1) % match.playerCount,
+});
+
+/**
+ * Lists the seats the computer plays in a match.
+ * @param {object} match - The current match state.
+ * @returns {Array<number>} The computer's player indices; empty when everyone is human.
+ */
+export const getComputerPlayers = (match) =>
+  match.vsComputer ? Array.from({ length: match.playerCount - 1 }, (_, index) => index + 1) : [];
+
+/**
+ * Picks the side with the highest score.
+ * @param {Array<number>} scores - The score of each side.
+ * @param {Array<number>} candidates - The sides that can win.
+ * @returns {number|null} The leading side, or null if the lead is shared.
+ */
+const findLeader = (scores, candidates) => {
+  const best = Math.max(...candidates.map(side => scores[side]));
+  const leaders = candidates.filter(side => scores[side] === best);
+  return leaders.length === 1 ? leaders[0] : null;
+};
+
+/**
+ * Decides a finish where several sides reached the target in the same deal.
+ * Points are counted out in the standard order (cards, spades, Big Casino, Little Casino, aces, sweeps)
+ * and the first side to reach the target wins. If several cross on the same item, the highest
+ * total among them wins; a dead heat returns null and the match continues with another deal.
+ * @param {Array<number>} scoresBeforeDeal - Match scores before the deal.
+ * @param {Array<object>} details - The deal's score details from calculateScores.
+ * @param {number} targetScore - Points needed to win.
+ * @returns {number|null} The winning side, or null if still tied.
+ */
+const resolveCountOut = (scoresBeforeDeal, details, targetScore) => {
+  const running = [...scoresBeforeDeal];
+
+  for (const category of COUNT_OUT_ORDER) {
+    details.forEach((sideDetails, side) => {
+      running[side] += sideDetails[category] ?? 0;
+    });
+
+    const reached = running.flatMap((score, side) => (score >= targetScore ? [side] : []));
+    if (reached.length === 1) return reached[0];
+    if (reached.length > 1) {
+      const finalScores = scoresBeforeDeal.map((score, side) => score + details[side].total);
+      return findLeader(finalScores, reached);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Takes a forfeiting side's points out of a deal: a side that ran out of time scores nothing,
+ * though its card and spade counts are kept for the record.
+ * @param {object} gameState - The finished game state.
+ * @returns {{ scores: Array<number>, details: Array<object> }} The scores and details the match counts.
+ */
+const getCountedScores = (gameState) => {
+  if (gameState.forfeitedBy === undefined || gameState.forfeitedBy === null) {
+    return { scores: gameState.scores, details: gameState.scoreDetails };
+  }
+
+  const losingSide = getTeamIndex(gameState, gameState.forfeitedBy);
+  const details = gameState.scoreDetails.map((sideDetails, side) => (side === losingSide
+    ? { ...sideDetails, ...Object.fromEntries(COUNT_OUT_ORDER.map(category => [category, 0])), total: 0 }
+    : sideDetails));
+  return { scores: details.map(sideDetails => sideDetails.total), details };
+};
+
+/**
+ * Records a finished deal, adds its scores to the match and passes the deal to the other player.
+ * Recording the same deal again (for example after an undo in practice mode) replaces it.
+ * A deal lost on time scores nothing for the side that ran out of time.
+ * @param {object} match - The current match state.
+ * @param {object} gameState - The finished game state (gameOver with scoreDetails).
+ * @returns {object} The result, with the updated match state, or DEAL_NOT_FINISHED or MATCH_OVER
+ *   with the match unchanged.
+ */
+export const recordDeal = (match, gameState) => {
+  if (!gameState.gameOver || !gameState.scoreDetails) {
+    return failure(match, ERROR_CODES.DEAL_NOT_FINISHED);
+  }
+
+  const lastDeal = match.deals[match.deals.length - 1];
+  const isReplacingLastDeal = lastDeal && lastDeal.seed === gameState.seed;
+  if (!isReplacingLastDeal && match.matchOver) {
+    return failure(match, ERROR_CODES.MATCH_OVER);
+  }
+
+  const previousDeals = isReplacingLastDeal ? match.deals.slice(0, -1) : match.deals;
+  const dealer = isReplacingLastDeal ? lastDeal.dealer : match.dealer;
+  const sides = match.scores.map((score, side) => side);
+  const { scores: dealScores, details: dealDetails } = getCountedScores(gameState);
+  const deal = {
+    seed: gameState.seed,
+    dealer,
+    scores: dealScores,
+    details: dealDetails,
+  };
+
+  const scoresBeforeDeal = previousDeals.reduce(
+    (totals, { scores }) => totals.map((total, side) => total + scores[side]),
+    sides.map(() => 0)
+  );
+  const scores = scoresBeforeDeal.map((score, side) => score + deal.scores[side]);
+
+  const reachedTarget = sides.filter(side => scores[side] >= match.targetScore);
+  let winner = null;
+  if (reachedTarget.length > 1) {
+    winner = resolveCountOut(scoresBeforeDeal, deal.details, match.targetScore);
+  } else if (reachedTarget.length === 1) {
+    winner = reachedTarget[0];
+  }
+
+  return success({
+    ...match,
+    dealer: (dealer + 1) % match.playerCount,
+    deals: [...previousDeals, deal],
+    scores,
+    winner,
+    matchOver: winner !== null,
+  });
+};
@@ -0,0 +1,107 @@
+/**
+ * Test suite for match play
+ * Verifies score accumulation, dealer rotation, the count-out tie-break and deals lost on time
+ */
+
+import { createMatch, getDealOptions, recordDeal } from './match.js';
+import { initializeGame } from './game-state.js';
+import { ERROR_CODES } from './results.js';
+
+const details = (mostCards, mostSpades, bigCasino, littleCasino, aces) => ({
+  mostCards, mostSpades, bigCasino, littleCasino, aces,
+  total: mostCards + mostSpades + bigCasino + littleCasino + aces,
+});
+
+// Mock finished deal with the given score details
+const finishedDeal = (seed, playerDetails) => ({
+  seed,
+  gameOver: true,
+  scores: playerDetails.map(d => d.total),
+  scoreDetails: playerDetails,
+});
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that deals add up and the dealer alternates
+export const testScoreAccumulation = () => {
+  console.log('\n=== Testing Score Accumulation ===');
+
+  const match = createMatch({ targetScore: 11 });
+  const firstDeal = initializeGame({ seed: 'match-test', ...getDealOptions(match) });
+  testLog('Non-dealer leads', { currentPlayer: firstDeal.currentPlayer, expected: 0 });
+
+  const afterOne = recordDeal(match, finishedDeal('a', [details(2, 2, 2, 0, 1), details(0, 0, 0, 1, 3)])).state;
+  testLog('First deal', { scores: afterOne.scores, expected: [7, 4], nextLeader: getDealOptions(afterOne).firstPlayer, expectedLeader: 1 });
+
+  const replaced = recordDeal(afterOne, finishedDeal('a', [details(2, 2, 0, 0, 1), details(0, 0, 2, 1, 3)])).state;
+  testLog('Re-recording a deal replaces it', { deals: replaced.deals.length, expected: 1, scores: replaced.scores });
+
+  const afterTwo = recordDeal(afterOne, finishedDeal('b', [details(2, 2, 0, 1, 0), details(0, 0, 2, 0, 4)])).state;
+  testLog('Match won', { winner: afterTwo.winner, expected: 0, matchOver: afterTwo.matchOver });
+
+  const afterEnd = recordDeal(afterTwo, finishedDeal('c', [details(2, 2, 0, 1, 0), details(0, 0, 2, 0, 4)]));
+  const unfinished = recordDeal(match, { ...finishedDeal('c', [details(0, 0, 0, 0, 0), details(0, 0, 0, 0, 0)]), gameOver: false });
+  testLog('Deals refused', {
+    codes: [afterEnd.error.code, unfinished.error.code],
+    unchanged: afterEnd.state === afterTwo && unfinished.state === match,
+    expected: { codes: [ERROR_CODES.MATCH_OVER, ERROR_CODES.DEAL_NOT_FINISHED], unchanged: true },
+  });
+};
+
+// Test the count-out when both players pass the target in the same deal
+export const testCountOut = () => {
+  console.log('\n=== Testing Count-Out Tie-Break ===');
+
+  const match = { ...createMatch({ targetScore: 11 }), deals: [{ seed: 'a', dealer: 1, scores: [9, 9] }], scores: [9, 9] };
+
+  // Player 2 has more points overall, but Player 1 reaches 11 first on cards
+  const countedOut = recordDeal(match, finishedDeal('b', [details(2, 0, 0, 0, 0), details(0, 2, 2, 1, 2)])).state;
+  testLog('First to reach the target wins', { scores: countedOut.scores, winner: countedOut.winner, expected: 0 });
+
+  const deadHeat = recordDeal(match, finishedDeal('b', [details(1, 1, 0, 0, 1), details(1, 1, 0, 0, 1)])).state;
+  testLog('Dead heat plays on', { winner: deadHeat.winner, expected: null, matchOver: deadHeat.matchOver });
+};
+
+// Test that a side that runs out of time scores nothing for the deal
+export const testForfeitedDeal = () => {
+  console.log('\n=== Testing Forfeited Deals ===');
+
+  const match = createMatch({ targetScore: 11 });
+  const lostOnTime = { ...finishedDeal('a', [details(2, 2, 2, 0, 1), details(0, 0, 0, 1, 3)]), teams: [[0], [1]], forfeitedBy: 0 };
+  const afterForfeit = recordDeal(match, lostOnTime).state;
+  testLog('Forfeiting player scores nothing', {
+    scores: afterForfeit.scores,
+    bigCasino: afterForfeit.deals[0].details[0].bigCasino,
+    expected: { scores: [0, 4], bigCasino: 0 },
+  });
+
+  const teamMatch = createMatch({ targetScore: 11, playerCount: 4, partnerships: true });
+  const teamDeal = {
+    ...finishedDeal('b', [details(2, 2, 0, 0, 2), details(0, 0, 2, 1, 2)]),
+    teams: [[0, 2], [1, 3]],
+    forfeitedBy: 3,
+  };
+  const afterTeamForfeit = recordDeal(teamMatch, teamDeal).state;
+  testLog('Forfeiting partnership scores nothing', { scores: afterTeamForfeit.scores, expected: [6, 0] });
+};
+
+// Run all tests
+export const runMatchTests = () => {
+  console.log('🧪 Starting Match Tests...');
+
+  try {
+    testScoreAccumulation();
+    testCountOut();
+    testForfeitedDeal();
+
+    console.log('\n✅ All match tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runMatchTests();
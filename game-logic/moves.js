@@ -0,0 +1,553 @@
+/**
+ * Moves Module
+ * A single pure reducer that applies serializable moves to the game state.
+ * Moves are plain JSON objects: a type plus card, build and stack ids, never object references.
+ * Replays, networking and AI all go through performMove, or applyMove when only the state matters.
+ */
+
+import { getCardId, rankValue } from './card-operations.js';
+import { updateGameState, nextPlayer } from './game-state.js';
+import { getOpponents } from './players.js';
+import { getRuleset } from './rulesets.js';
+import { ERROR_CODES, success, failure } from './results.js';
+import {
+  validateTrail,
+  validateCapture,
+  validateAddToOpponentBuild,
+  validateAddToOwnBuild,
+  validateTemporaryStackBuild,
+  validateExtendToMerge,
+  validateReinforceBuildWithStack,
+  validateMergeIntoOwnBuild,
+  validateReinforceOpponentBuildWithStack,
+  validateGameState
+} from './validation.js';
+import {
+  handleTrail,
+  handleCapture,
+  handleBuild,
+  handleBaseBuild,
+  handleAddToOpponentBuild,
+  handleAddToOwnBuild,
+  handleCreateBuildFromStack,
+  handleExtendToMerge,
+  handleCreateBuildWithValue,
+  handleReinforceBuildWithStack,
+  handleMergeIntoOwnBuild,
+  handleReinforceOpponentBuildWithStack,
+  handleCreateStagingStack,
+  handleStageCardOnLooseCard,
+  handleAddToStagingStack,
+  handleMergeStagingStacks,
+  handleAddLooseCardToStagingStack,
+  handleStageOpponentCard,
+  handleStageSingleCardFromHand,
+  handleFinalizeTrail,
+  handleFinalizeStagingStack,
+  handleDisbandStagingStack,
+  handleCancelStagingStack,
+  startNextRound,
+  handleSweep,
+  endGame,
+  forfeitGame,
+  isRoundOver
+} from './game-actions.js';
+import { TIMEOUT_POLICIES, getRemainingTime } from './clock.js';
+
+export const MOVE_TYPES = {
+  TRAIL: 'trail',
+  CAPTURE: 'capture',
+  BUILD: 'build',
+  BASE_BUILD: 'baseBuild',
+  ADD_TO_OPPONENT_BUILD: 'addToOpponentBuild',
+  ADD_TO_OWN_BUILD: 'addToOwnBuild',
+  CREATE_BUILD_FROM_STACK: 'createBuildFromStack',
+  EXTEND_TO_MERGE: 'extendToMerge',
+  CREATE_BUILD_WITH_VALUE: 'createBuildWithValue',
+  REINFORCE_BUILD_WITH_STACK: 'reinforceBuildWithStack',
+  MERGE_INTO_OWN_BUILD: 'mergeIntoOwnBuild',
+  REINFORCE_OPPONENT_BUILD_WITH_STACK: 'reinforceOpponentBuildWithStack',
+  CREATE_STAGING_STACK: 'createStagingStack',
+  STAGE_CARD_ON_LOOSE_CARD: 'stageCardOnLooseCard',
+  ADD_TO_STAGING_STACK: 'addToStagingStack',
+  MERGE_STAGING_STACKS: 'mergeStagingStacks',
+  ADD_LOOSE_CARD_TO_STAGING_STACK: 'addLooseCardToStagingStack',
+  STAGE_OPPONENT_CARD: 'stageOpponentCard',
+  STAGE_SINGLE_CARD: 'stageSingleCard',
+  FINALIZE_TRAIL: 'finalizeTrail',
+  FINALIZE_STAGING_STACK: 'finalizeStagingStack',
+  DISBAND_STAGING_STACK: 'disbandStagingStack',
+  CANCEL_STAGING_STACK: 'cancelStagingStack',
+  START_NEXT_ROUND: 'startNextRound',
+  SWEEP: 'sweep',
+  END_GAME: 'endGame',
+  // The current player ran out of time after elapsedMs of their turn; the game's clock says what happens
+  TIMEOUT: 'timeout',
+};
+
+// Finds a card in the current player's hand by id.
+const findHandCard = (gameState, cardId) =>
+  gameState.playerHands[gameState.currentPlayer].find(c => getCardId(c) === cardId);
+
+// Finds a loose card on the table by id.
+const findLooseCard = (gameState, cardId) =>
+  gameState.tableCards.find(c => !c.type && getCardId(c) === cardId);
+
+const findBuild = (gameState, buildId) =>
+  gameState.tableCards.find(c => c.type === 'build' && c.buildId === buildId);
+
+const findStack = (gameState, stackId) =>
+  gameState.tableCards.find(c => c.type === 'temporary_stack' && c.stackId === stackId);
+
+// Finds any table item (loose card, build or temporary stack) by its id.
+const findTableItem = (gameState, id) =>
+  findLooseCard(gameState, id) || findBuild(gameState, id) || findStack(gameState, id);
+
+// Finds a hand card that was staged into one of the given temporary stacks.
+const findStagedHandCard = (items, cardId) => {
+  for (const item of items) {
+    if (item.type !== 'temporary_stack') continue;
+    const card = item.cards.find(c => c.source === 'hand' && getCardId(c) === cardId);
+    if (card) {
+      const { source, ...cardData } = card;
+      return cardData;
+    }
+  }
+  return undefined;
+};
+
+// The top card of an opponent's capture pile, the only one that can be staged or used.
+const findOpponentTopCard = (gameState, cardId) => {
+  for (const opponent of getOpponents(gameState)) {
+    const opponentCaps = gameState.playerCaptures[opponent] || [];
+    const lastGroup = opponentCaps[opponentCaps.length - 1] || [];
+    const topCard = lastGroup[lastGroup.length - 1];
+    if (topCard && getCardId(topCard) === cardId) return topCard;
+  }
+  return undefined;
+};
+
+// Finds a card that is about to be staged from the given source.
+const findSourceCard = (gameState, cardId, source) => {
+  if (source === 'table') return findLooseCard(gameState, cardId);
+  if (source === 'opponentCapture' || source === 'captured') return findOpponentTopCard(gameState, cardId);
+  return findHandCard(gameState, cardId);
+};
+
+// Development builds check the whole game state after every move (React Native sets __DEV__).
+let invariantChecksEnabled = typeof __DEV__ !== 'undefined' && Boolean(__DEV__);
+
+/**
+ * Enables or disables the game state checks run after every move.
+ * @param {boolean} enabled - Whether applyMove should check the state it produces.
+ * @returns {boolean} The previous setting, so callers can restore it.
+ */
+export const setInvariantChecks = (enabled) => {
+  const previous = invariantChecksEnabled;
+  invariantChecksEnabled = enabled;
+  return previous;
+};
+
+/**
+ * Checks whether a move broke the game state: the state after it fails validateGameState
+ * while the state before it passed. Problems that were already there are not blamed on the move.
+ * @param {object} previousState - The state before the move.
+ * @param {object} move - The move that was applied.
+ * @param {object} nextState - The state after the move.
+ * @returns {Array<string>|null} The problems the move introduced, or null if it kept the state valid.
+ */
+export const findBrokenInvariants = (previousState, move, nextState) => {
+  const { valid, issues } = validateGameState(nextState);
+  if (valid || !validateGameState(previousState).valid) return null;
+  return issues;
+};
+
+// Moves that belong to the game flow rather than to a player's turn.
+const SYSTEM_MOVES = [MOVE_TYPES.START_NEXT_ROUND, MOVE_TYPES.SWEEP, MOVE_TYPES.END_GAME];
+
+/**
+ * Checks whether a move is made by the game itself rather than by a player.
+ * @param {object} move - The move to check.
+ * @returns {boolean} True for round transitions, sweeps and end of game.
+ */
+export const isSystemMove = (move) => SYSTEM_MOVES.includes(move.type);
+
+// Moves after which the same player still has the turn
+const TURN_KEEPING_MOVES = [
+  MOVE_TYPES.CREATE_STAGING_STACK,
+  MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD,
+  MOVE_TYPES.ADD_TO_STAGING_STACK,
+  MOVE_TYPES.MERGE_STAGING_STACKS,
+  MOVE_TYPES.ADD_LOOSE_CARD_TO_STAGING_STACK,
+  MOVE_TYPES.STAGE_OPPONENT_CARD,
+  MOVE_TYPES.STAGE_SINGLE_CARD,
+  MOVE_TYPES.CANCEL_STAGING_STACK,
+  MOVE_TYPES.MERGE_INTO_OWN_BUILD,
+  MOVE_TYPES.EXTEND_TO_MERGE,
+  MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK,
+];
+
+/**
+ * Checks whether a move leaves the turn with the player who made it, as staging moves do.
+ * @param {object} move - The move to check.
+ * @returns {boolean} True if the player's turn goes on after the move.
+ */
+export const keepsTurn = (move) => TURN_KEEPING_MOVES.includes(move.type);
+
+// Move fields that hold lists of ids
+const LIST_FIELDS = ['targetIds', 'otherCardIds'];
+
+/**
+ * Checks that a move has the shape the reducer reads: an object with a string type, lists
+ * where lists are expected and a number of milliseconds for a timeout. Moves from the network
+ * or a game code can be anything, so they are checked before anything reads them.
+ * @param {*} move - The move to check.
+ * @returns {boolean} True if the move is well formed; it may still be refused.
+ */
+export const isWellFormedMove = (move) =>
+  typeof move === 'object' && move !== null && !Array.isArray(move) &&
+  typeof move.type === 'string' &&
+  LIST_FIELDS.every(field => move[field] === undefined || Array.isArray(move[field])) &&
+  (move.elapsedMs === undefined || Number.isFinite(move.elapsedMs));
+
+/**
+ * Performs a serializable move and reports the outcome.
+ * The move always acts for the current player. Refused moves leave the state unchanged
+ * and say why with one of ERROR_CODES; committed moves are appended to the state's history
+ * and raise its version by one, so the version counts every state the game has committed.
+ * @param {object} gameState - The current game state.
+ * @param {object} move - The move to apply, e.g. { type: 'trail', cardId: '7-♠' }.
+ * @returns {object} The result: { ok, state, error: { code, params } }.
+ */
+export const performMove = (gameState, move) => {
+  if (!isWellFormedMove(move)) {
+    return failure(gameState, ERROR_CODES.INVALID_MOVE);
+  }
+  if (gameState.gameOver) {
+    return failure(gameState, ERROR_CODES.GAME_OVER);
+  }
+
+  const result = reduceMove(gameState, move);
+  if (!result.ok) {
+    return result;
+  }
+
+  const newState = result.state;
+
+  if (invariantChecksEnabled) {
+    const issues = findBrokenInvariants(gameState, move, newState);
+    if (issues) {
+      const mover = isSystemMove(move) ? 'the game' : `P${gameState.currentPlayer + 1}`;
+      console.error(`Move ${JSON.stringify(move)} by ${mover} broke the game state:`, issues);
+    }
+  }
+
+  // Append to the history; a new move also discards anything that was undone.
+  // Games saved before states were versioned start counting from 0.
+  const version = (gameState.version || 0) + 1;
+  const entry = { player: isSystemMove(move) ? null : gameState.currentPlayer, move, version };
+  return success(updateGameState(newState, {
+    history: [...(gameState.history || []), entry],
+    redoStack: [],
+    version,
+  }));
+};
+
+/**
+ * Applies a serializable move to the game state, for callers that only need the state.
+ * @param {object} gameState - The current game state.
+ * @param {object} move - The move to apply.
+ * @returns {object} The new game state, or the same state if the move was refused.
+ */
+export const applyMove = (gameState, move) => performMove(gameState, move).state;
+
+/**
+ * Applies the clock's timeout policy for the current player. Any staging stacks they were
+ * still building are taken back first, so their cards return to where they came from.
+ * @param {object} gameState - The current game state, with a clock.
+ * @returns {object} The result: the lowest card trailed, the turn passed, or the game lost.
+ */
+const reduceTimeout = (gameState) => {
+  const { currentPlayer } = gameState;
+  const ownStacks = gameState.tableCards.filter(item => item.type === 'temporary_stack' && item.owner === currentPlayer);
+  const unstaged = ownStacks.reduce(
+    (state, stack) => handleCancelStagingStack(state, findStack(state, stack.stackId)).state,
+    gameState
+  );
+
+  const { policy } = gameState.clock;
+  if (policy === TIMEOUT_POLICIES.LOSE_GAME) {
+    return forfeitGame(unstaged, currentPlayer);
+  }
+  if (policy === TIMEOUT_POLICIES.AUTO_TRAIL) {
+    const lowestFirst = [...unstaged.playerHands[currentPlayer]].sort((a, b) => rankValue(a.rank) - rankValue(b.rank));
+    for (const card of lowestFirst) {
+      const trailed = reduceMove(unstaged, { type: MOVE_TYPES.TRAIL, cardId: getCardId(card) });
+      if (trailed.ok) return trailed;
+    }
+  }
+  // Forfeit the turn, which is also what happens when no card may be trailed
+  return success(nextPlayer(unstaged));
+};
+
+/**
+ * Checks that the last round has been played out, so the table may be swept and the game scored.
+ * @param {object} gameState - The current game state.
+ * @returns {object|null} The failure explaining why the game cannot end yet, or null if it can.
+ */
+const checkLastRoundOver = (gameState) => {
+  if (!isRoundOver(gameState)) return failure(gameState, ERROR_CODES.ROUND_NOT_OVER);
+  if (gameState.deck.length > 0) return failure(gameState, ERROR_CODES.CARDS_LEFT_TO_DEAL, { left: gameState.deck.length });
+  return null;
+};
+
+/**
+ * Computes the state after a move without recording it.
+ * @param {object} gameState - The current game state.
+ * @param {object} move - The move to apply.
+ * @returns {object} The result of the move's handler, or the reason the move was refused.
+ */
+const reduceMove = (gameState, move) => {
+  const { playerHands, tableCards, currentPlayer, round } = gameState;
+  const playerHand = playerHands[currentPlayer];
+  const ruleset = getRuleset(gameState);
+
+  switch (move.type) {
+    case MOVE_TYPES.TRAIL: {
+      const card = findHandCard(gameState, move.cardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      const validation = validateTrail(tableCards, card, currentPlayer, round, ruleset, playerHand);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleTrail(gameState, card);
+    }
+
+    case MOVE_TYPES.CAPTURE: {
+      const targets = (move.targetIds || []).map(id => findTableItem(gameState, id));
+      if (targets.some(item => !item)) return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND);
+      // The capturing card is either in the hand or was staged into one of the captured stacks.
+      const card = findHandCard(gameState, move.cardId) || findStagedHandCard(targets, move.cardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      const opponentCard = move.opponentCardId ? findOpponentTopCard(gameState, move.opponentCardId) : null;
+      if (move.opponentCardId && !opponentCard) {
+        return failure(gameState, ERROR_CODES.CARD_NOT_ON_OPPONENT_PILE, { cardId: move.opponentCardId });
+      }
+      const validation = validateCapture(card, opponentCard ? [...targets, opponentCard] : targets);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleCapture(gameState, { card, source: 'hand' }, targets, opponentCard);
+    }
+
+    case MOVE_TYPES.BUILD: {
+      const card = findHandCard(gameState, move.cardId);
+      const targetCard = findLooseCard(gameState, move.targetCardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!targetCard) return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND, { id: move.targetCardId });
+      const cardValue = rankValue(card.rank);
+      const targetValue = rankValue(targetCard.rank);
+      const isSumBuild = move.buildValue === cardValue + targetValue && move.buildValue !== cardValue;
+      if (!isSumBuild && !(cardValue === targetValue && move.buildValue === cardValue)) {
+        return failure(gameState, ERROR_CODES.CARDS_DO_NOT_MAKE_BUILD, { value: move.buildValue });
+      }
+      const biggerCard = isSumBuild ? (cardValue > targetValue ? card : targetCard) : undefined;
+      const smallerCard = isSumBuild ? (cardValue > targetValue ? targetCard : card) : undefined;
+      return handleBuild(gameState, { card, source: 'hand' }, [targetCard], move.buildValue, biggerCard, smallerCard);
+    }
+
+    case MOVE_TYPES.BASE_BUILD: {
+      const card = findHandCard(gameState, move.cardId);
+      const baseCard = findLooseCard(gameState, move.baseCardId);
+      const otherCards = (move.otherCardIds || []).map(id => findLooseCard(gameState, id));
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!baseCard || otherCards.some(c => !c)) return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND);
+      const value = rankValue(card.rank);
+      if (value > ruleset.maxBuildValue) {
+        return failure(gameState, ERROR_CODES.BUILD_VALUE_TOO_HIGH, { value, max: ruleset.maxBuildValue });
+      }
+      const total = [baseCard, ...otherCards].reduce((sum, c) => sum + rankValue(c.rank), 0);
+      if (total !== value) return failure(gameState, ERROR_CODES.CARDS_DO_NOT_MAKE_BUILD, { value });
+      return handleBaseBuild(gameState, { card, source: 'hand' }, baseCard, otherCards);
+    }
+
+    case MOVE_TYPES.ADD_TO_OPPONENT_BUILD: {
+      const card = findHandCard(gameState, move.cardId);
+      const build = findBuild(gameState, move.buildId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!build) return failure(gameState, ERROR_CODES.BUILD_NOT_FOUND, { buildId: move.buildId });
+      const validation = validateAddToOpponentBuild(build, card, playerHand, tableCards, currentPlayer, ruleset);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleAddToOpponentBuild(gameState, { card, source: 'hand' }, build);
+    }
+
+    case MOVE_TYPES.ADD_TO_OWN_BUILD: {
+      const card = findHandCard(gameState, move.cardId);
+      const build = findBuild(gameState, move.buildId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!build) return failure(gameState, ERROR_CODES.BUILD_NOT_FOUND, { buildId: move.buildId });
+      if (build.owner !== currentPlayer) return failure(gameState, ERROR_CODES.NOT_YOUR_BUILD);
+      const validation = validateAddToOwnBuild(build, card, playerHand);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleAddToOwnBuild(gameState, { card, source: 'hand' }, build);
+    }
+
+    case MOVE_TYPES.CREATE_BUILD_FROM_STACK: {
+      const card = findHandCard(gameState, move.cardId);
+      const stack = findStack(gameState, move.stackId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      const validation = validateTemporaryStackBuild(stack, card, playerHand, tableCards, currentPlayer, ruleset);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleCreateBuildFromStack(gameState, { card, source: 'hand' }, stack);
+    }
+
+    case MOVE_TYPES.EXTEND_TO_MERGE: {
+      const card = findHandCard(gameState, move.cardId);
+      const opponentBuild = findBuild(gameState, move.opponentBuildId);
+      const ownBuild = findBuild(gameState, move.ownBuildId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!opponentBuild || !ownBuild) return failure(gameState, ERROR_CODES.BUILD_NOT_FOUND);
+      if (ownBuild.owner !== currentPlayer || opponentBuild.owner === currentPlayer) {
+        return failure(gameState, ERROR_CODES.WRONG_BUILD_OWNERS);
+      }
+      const validation = validateExtendToMerge(ownBuild, opponentBuild, card);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleExtendToMerge(gameState, card, opponentBuild, ownBuild);
+    }
+
+    case MOVE_TYPES.CREATE_BUILD_WITH_VALUE: {
+      const stack = findStack(gameState, move.stackId);
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      return handleCreateBuildWithValue(gameState, stack, move.buildValue);
+    }
+
+    case MOVE_TYPES.REINFORCE_BUILD_WITH_STACK: {
+      const stack = findStack(gameState, move.stackId);
+      const build = findBuild(gameState, move.buildId);
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      if (!build) return failure(gameState, ERROR_CODES.BUILD_NOT_FOUND, { buildId: move.buildId });
+      const validation = validateReinforceBuildWithStack(stack, build);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleReinforceBuildWithStack(gameState, stack, build);
+    }
+
+    case MOVE_TYPES.MERGE_INTO_OWN_BUILD: {
+      const stack = findStack(gameState, move.stackId);
+      const build = findBuild(gameState, move.buildId);
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      if (!build) return failure(gameState, ERROR_CODES.BUILD_NOT_FOUND, { buildId: move.buildId });
+      const validation = validateMergeIntoOwnBuild(stack, build, currentPlayer);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleMergeIntoOwnBuild(gameState, stack, build);
+    }
+
+    case MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK: {
+      const stack = findStack(gameState, move.stackId);
+      const build = findBuild(gameState, move.buildId);
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      if (!build) return failure(gameState, ERROR_CODES.BUILD_NOT_FOUND, { buildId: move.buildId });
+      const validation = validateReinforceOpponentBuildWithStack(stack, build, currentPlayer);
+      if (!validation.valid) return failure(gameState, validation.code, validation.params);
+      return handleReinforceOpponentBuildWithStack(gameState, stack, build);
+    }
+
+    case MOVE_TYPES.CREATE_STAGING_STACK: {
+      const card = findHandCard(gameState, move.cardId);
+      const targetCard = findLooseCard(gameState, move.targetCardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!targetCard) return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND, { id: move.targetCardId });
+      return handleCreateStagingStack(gameState, card, targetCard);
+    }
+
+    case MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD: {
+      const card = findSourceCard(gameState, move.cardId, move.source);
+      const targetCard = findLooseCard(gameState, move.targetCardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      if (!targetCard) return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND, { id: move.targetCardId });
+      return handleStageCardOnLooseCard(gameState, card, move.source, targetCard);
+    }
+
+    case MOVE_TYPES.ADD_TO_STAGING_STACK: {
+      const source = move.source || 'hand';
+      const card = findSourceCard(gameState, move.cardId, source);
+      const stack = findStack(gameState, move.stackId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_FOUND, { cardId: move.cardId });
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      return handleAddToStagingStack(gameState, card, stack, source);
+    }
+
+    case MOVE_TYPES.MERGE_STAGING_STACKS: {
+      const stack = findStack(gameState, move.stackId);
+      const targetStack = findStack(gameState, move.targetStackId);
+      if (!stack || !targetStack || stack === targetStack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND);
+      return handleMergeStagingStacks(gameState, stack, targetStack);
+    }
+
+    case MOVE_TYPES.ADD_LOOSE_CARD_TO_STAGING_STACK: {
+      const stack = findStack(gameState, move.stackId);
+      const looseCard = findLooseCard(gameState, move.targetCardId);
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      if (!looseCard) return failure(gameState, ERROR_CODES.TARGET_NOT_FOUND, { id: move.targetCardId });
+      if (stack.owner !== currentPlayer) return failure(gameState, ERROR_CODES.NOT_YOUR_STACK);
+      return handleAddLooseCardToStagingStack(gameState, stack, looseCard);
+    }
+
+    case MOVE_TYPES.STAGE_OPPONENT_CARD: {
+      const card = findOpponentTopCard(gameState, move.cardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_ON_OPPONENT_PILE, { cardId: move.cardId });
+      return handleStageOpponentCard(gameState, card);
+    }
+
+    case MOVE_TYPES.STAGE_SINGLE_CARD: {
+      const card = findHandCard(gameState, move.cardId);
+      if (!card) return failure(gameState, ERROR_CODES.CARD_NOT_IN_HAND, { cardId: move.cardId });
+      return handleStageSingleCardFromHand(gameState, card);
+    }
+
+    case MOVE_TYPES.FINALIZE_TRAIL:
+    case MOVE_TYPES.FINALIZE_STAGING_STACK:
+    case MOVE_TYPES.DISBAND_STAGING_STACK:
+    case MOVE_TYPES.CANCEL_STAGING_STACK: {
+      const stack = findStack(gameState, move.stackId);
+      if (!stack) return failure(gameState, ERROR_CODES.STACK_NOT_FOUND, { stackId: move.stackId });
+      if (stack.owner !== currentPlayer) return failure(gameState, ERROR_CODES.NOT_YOUR_STACK);
+
+      if (move.type === MOVE_TYPES.FINALIZE_TRAIL) {
+        if (stack.cards.length !== 1 || stack.cards[0].source !== 'hand') {
+          return failure(gameState, ERROR_CODES.SINGLE_HAND_CARD_TRAIL);
+        }
+        return handleFinalizeTrail(gameState, stack);
+      }
+      if (move.type === MOVE_TYPES.FINALIZE_STAGING_STACK) {
+        // Several possible build values need an explicit createBuildWithValue move.
+        return handleFinalizeStagingStack(gameState, stack);
+      }
+      if (move.type === MOVE_TYPES.DISBAND_STAGING_STACK) {
+        return handleDisbandStagingStack(gameState, stack);
+      }
+      return handleCancelStagingStack(gameState, stack);
+    }
+
+    case MOVE_TYPES.START_NEXT_ROUND:
+      return startNextRound(gameState);
+
+    case MOVE_TYPES.SWEEP:
+      return checkLastRoundOver(gameState) || handleSweep(gameState);
+
+    case MOVE_TYPES.TIMEOUT: {
+      if (!gameState.clock) return failure(gameState, ERROR_CODES.NO_CLOCK);
+      // The move says how long the turn has taken so far; the clock must have run out with it
+      const left = getRemainingTime(gameState, gameState.currentPlayer, move.elapsedMs || 0);
+      if (left > 0) return failure(gameState, ERROR_CODES.TIME_NOT_UP, { left: Math.ceil(left / 1000) });
+      return reduceTimeout(gameState);
+    }
+
+    case MOVE_TYPES.END_GAME: {
+      const notOver = checkLastRoundOver(gameState);
+      if (notOver) return notOver;
+      // Sweep any remaining table cards to the last capturer (or the dealer) before scoring
+      const finalState = gameState.tableCards.length > 0 ? handleSweep(gameState).state : gameState;
+      return endGame(finalState);
+    }
+
+    default:
+      return failure(gameState, ERROR_CODES.UNKNOWN_MOVE, { type: move.type });
+  }
+};
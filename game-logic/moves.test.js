@@ -0,0 +1,260 @@
+/**
+ * Test suite for the serializable move reducer
+ * Verifies that applyMove resolves ids, validates moves and keeps turns correct,
+ * and that performMove reports why a move was refused
+ */
+
+import { applyMove, performMove, MOVE_TYPES } from './moves.js';
+import { ERROR_CODES } from './results.js';
+import { initializeGame } from './game-state.js';
+import { resolveRuleset } from './rulesets.js';
+import { rankValue } from './card-operations.js';
+import { startNextRound, endGame } from './game-actions.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// Mock game state with a known table and hands
+const createMockState = () => ({
+  ...initializeGame({ seed: 'moves-test' }),
+  deck: [],
+  playerHands: [
+    [card('3', '♠'), card('8', '♥'), card('9', '♣')],
+    [card('2', '♠'), card('7', '♥')],
+  ],
+  tableCards: [card('5', '♣'), card('3', '♥'), card('6', '♦')],
+});
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test turn-ending moves
+export const testTurnEndingMoves = () => {
+  console.log('\n=== Testing Turn-Ending Moves ===');
+
+  const built = applyMove(createMockState(), { type: MOVE_TYPES.BUILD, cardId: '3-♠', targetCardId: '5-♣', buildValue: 8 });
+  const build = built.tableCards.find(item => item.type === 'build');
+  testLog('Sum build', { buildId: build.buildId, expected: 'build-5-♣', value: build.value, nextPlayer: built.currentPlayer });
+
+  const trailed = applyMove(built, { type: MOVE_TYPES.TRAIL, cardId: '2-♠' });
+  testLog('Trail', { tableSize: trailed.tableCards.length, expected: 4, nextPlayer: trailed.currentPlayer });
+
+  const captured = applyMove(trailed, { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['build-5-♣'] });
+  testLog('Capture build', { captured: captured.playerCaptures[0][0].length, expected: 3, lastCapturer: captured.lastCapturer });
+};
+
+// Test staging moves that keep the turn
+export const testStagingMoves = () => {
+  console.log('\n=== Testing Staging Moves ===');
+
+  const state = { ...createMockState(), currentPlayer: 1 };
+  const staged = applyMove(state, { type: MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD, cardId: '6-♦', source: 'table', targetCardId: '3-♥' });
+  testLog('Stage table card', { stackId: staged.tableCards[1].stackId, expected: 'temp-3-♥', currentPlayer: staged.currentPlayer });
+
+  const added = applyMove(staged, { type: MOVE_TYPES.ADD_TO_STAGING_STACK, cardId: '7-♥', source: 'hand', stackId: 'temp-3-♥' });
+  testLog('Add hand card to stack', { stackSize: added.tableCards[1].cards.length, expected: 3, handSize: added.playerHands[1].length });
+
+  const cancelled = applyMove(added, { type: MOVE_TYPES.CANCEL_STAGING_STACK, stackId: 'temp-3-♥' });
+  testLog('Cancel stack', { tableSize: cancelled.tableCards.length, expected: 3, handSize: cancelled.playerHands[1].length, currentPlayer: cancelled.currentPlayer });
+
+  const builds = {
+    ...createMockState(),
+    ruleset: resolveRuleset('classic'),
+    playerHands: [[card('A', '♠'), card('9', '♥')], [card('2', '♠')]],
+    tableCards: [
+      { buildId: 'build-5-♦', type: 'build', cards: [card('5', '♦'), card('4', '♦')], value: 9, owner: 0, isExtendable: true },
+      { buildId: 'build-6-♥', type: 'build', cards: [card('6', '♥'), card('2', '♦')], value: 8, owner: 1, isExtendable: true },
+    ],
+  };
+  const merged = applyMove(builds, { type: MOVE_TYPES.EXTEND_TO_MERGE, cardId: 'A-♠', opponentBuildId: 'build-6-♥', ownBuildId: 'build-5-♦' });
+  testLog('Extend to merge', { buildCards: merged.tableCards[0].cards.length, currentPlayer: merged.currentPlayer, expected: { buildCards: 5, currentPlayer: 0 } });
+};
+
+// Test that invalid moves leave the state unchanged
+export const testInvalidMoves = () => {
+  console.log('\n=== Testing Invalid Moves ===');
+
+  const state = createMockState();
+  const wrongSum = applyMove(state, { type: MOVE_TYPES.CAPTURE, cardId: '9-♣', targetIds: ['5-♣', '3-♥'] });
+  testLog('Capture with wrong total', { unchanged: wrongSum === state, expected: true });
+
+  const notInHand = applyMove(state, { type: MOVE_TYPES.TRAIL, cardId: '7-♥' });
+  testLog('Trail a card from the other hand', { unchanged: notInHand === state, expected: true });
+
+  const matchingRank = applyMove({ ...state, playerHands: [[card('5', '♠')], []] }, { type: MOVE_TYPES.TRAIL, cardId: '5-♠' });
+  testLog('Trail a rank already on the table', { tableSize: matchingRank.tableCards.length, expected: 3 });
+
+  const malformed = [null, { type: MOVE_TYPES.CAPTURE, cardId: '9-♣', targetIds: '5-♣' }, { type: MOVE_TYPES.BASE_BUILD, otherCardIds: {} }]
+    .map(move => performMove(state, move).error.code);
+  testLog('Malformed moves', { codes: malformed, expected: Array(3).fill(ERROR_CODES.INVALID_MOVE) });
+};
+
+// Test that refused moves report a stable error code
+export const testErrorCodes = () => {
+  console.log('\n=== Testing Error Codes ===');
+
+  const state = createMockState();
+  const played = performMove(state, { type: MOVE_TYPES.TRAIL, cardId: '9-♣' });
+  testLog('Accepted move', { ok: played.ok, error: played.error, expected: { ok: true, error: null } });
+
+  const wrongSum = performMove(state, { type: MOVE_TYPES.CAPTURE, cardId: '9-♣', targetIds: ['5-♣', '3-♥'] });
+  testLog('Capture with wrong total', {
+    ok: wrongSum.ok,
+    unchanged: wrongSum.state === state,
+    error: wrongSum.error,
+    expected: { ok: false, unchanged: true, error: { code: ERROR_CODES.CAPTURE_TOTAL_MISMATCH, params: { captureValue: 9, total: 8 } } },
+  });
+
+  testLog('Card from the other hand', {
+    error: performMove(state, { type: MOVE_TYPES.TRAIL, cardId: '7-♥' }).error,
+    expected: { code: ERROR_CODES.CARD_NOT_IN_HAND, params: { cardId: '7-♥' } },
+  });
+
+  const tooHigh = performMove(
+    { ...state, playerHands: [[card('6', '♠'), card('10', '♥')], []] },
+    { type: MOVE_TYPES.BUILD, cardId: '6-♠', targetCardId: '5-♣', buildValue: 11 }
+  );
+  testLog('Build over the limit', {
+    error: tooHigh.error,
+    expected: { code: ERROR_CODES.BUILD_VALUE_TOO_HIGH, params: { value: 11, max: 10 } },
+  });
+
+  testLog('Unknown move', {
+    code: performMove(state, { type: 'shuffle' }).error.code,
+    expected: ERROR_CODES.UNKNOWN_MOVE,
+  });
+  testLog('Move after the game is over', {
+    code: performMove({ ...state, gameOver: true }, { type: MOVE_TYPES.TRAIL, cardId: '9-♣' }).error.code,
+    expected: ERROR_CODES.GAME_OVER,
+  });
+};
+
+// Test that rounds are only dealt, and the game only ended, once the hands are played out
+export const testGameFlowMoves = () => {
+  console.log('\n=== Testing Game Flow Moves ===');
+
+  const midDeal = initializeGame({ seed: 'moves-test' });
+  const earlyRound = performMove(midDeal, { type: MOVE_TYPES.START_NEXT_ROUND });
+  testLog('Next round mid-deal', {
+    code: earlyRound.error.code,
+    hands: earlyRound.state.playerHands.map(hand => hand.length),
+    expected: { code: ERROR_CODES.ROUND_NOT_OVER, hands: [10, 10] },
+  });
+  testLog('End mid-round', {
+    endGame: performMove(createMockState(), { type: MOVE_TYPES.END_GAME }).error.code,
+    sweep: performMove(createMockState(), { type: MOVE_TYPES.SWEEP }).error.code,
+    expected: { endGame: ERROR_CODES.ROUND_NOT_OVER, sweep: ERROR_CODES.ROUND_NOT_OVER },
+  });
+
+  const roundOver = { ...midDeal, playerHands: [[], []] };
+  testLog('End with cards left to deal', {
+    error: performMove(roundOver, { type: MOVE_TYPES.END_GAME }).error,
+    expected: { code: ERROR_CODES.CARDS_LEFT_TO_DEAL, params: { left: 20 } },
+  });
+  testLog('Next round once played out', { round: applyMove(roundOver, { type: MOVE_TYPES.START_NEXT_ROUND }).round, expected: 2 });
+  testLog('End after the last round', {
+    gameOver: applyMove({ ...createMockState(), playerHands: [[], []] }, { type: MOVE_TYPES.END_GAME }).gameOver,
+    expected: true,
+  });
+
+  // Nobody captured all game, so the dealer takes what is left on the table
+  const noCaptures = applyMove({ ...createMockState(), playerHands: [[], []], dealer: 0 }, { type: MOVE_TYPES.END_GAME });
+  testLog('Dealer takes the table without captures', {
+    table: noCaptures.tableCards.length,
+    captured: noCaptures.playerCaptures.map(captures => captures.flat().length),
+    expected: { table: 0, captured: [3, 0] },
+  });
+};
+
+// Test that validators follow the ruleset on the game state
+export const testRulesets = () => {
+  console.log('\n=== Testing Rulesets ===');
+
+  const classic = { ...createMockState(), ruleset: resolveRuleset('classic'), playerHands: [[card('5', '♠'), card('3', '♠'), card('6', '♠'), card('8', '♥'), card('9', '♣')], []] };
+  const trailed = applyMove(classic, { type: MOVE_TYPES.TRAIL, cardId: '5-♠' });
+  testLog('Classic allows trailing a rank on the table', { tableSize: trailed.tableCards.length, expected: 4 });
+
+  const firstBuild = { ...applyMove(classic, { type: MOVE_TYPES.BUILD, cardId: '3-♠', targetCardId: '5-♣', buildValue: 8 }), currentPlayer: 0 };
+  const secondBuild = applyMove(firstBuild, { type: MOVE_TYPES.BUILD, cardId: '6-♠', targetCardId: '3-♥', buildValue: 9 });
+  testLog('Classic allows a second build', { builds: secondBuild.tableCards.filter(item => item.type === 'build').length, expected: 2 });
+
+  const ownerTrail = applyMove(firstBuild, { type: MOVE_TYPES.TRAIL, cardId: '5-♠' });
+  testLog('Classic forbids trailing while owning a build', { unchanged: ownerTrail === firstBuild, expected: true });
+};
+
+// Test that cards taken from capture piles go back to the right opponent in a 3-player game
+export const testOpponentPiles = () => {
+  console.log('\n=== Testing Opponent Capture Piles ===');
+
+  const state = {
+    ...initializeGame({ seed: 'moves-test', playerCount: 3 }),
+    deck: [],
+    playerHands: [[card('4', '♠')], [card('7', '♥')], [card('8', '♣')]],
+    tableCards: [card('5', '♣')],
+    playerCaptures: [[], [[card('9', '♦'), card('2', '♦')]], [[card('6', '♥'), card('3', '♥')]]],
+  };
+
+  const staged = applyMove(state, { type: MOVE_TYPES.STAGE_OPPONENT_CARD, cardId: '3-♥' });
+  testLog('Stage from the third player', { pileSize: staged.playerCaptures[2][0].length, expected: 1, untouched: staged.playerCaptures[1][0].length });
+
+  const cancelled = applyMove(staged, { type: MOVE_TYPES.CANCEL_STAGING_STACK, stackId: 'temp-3-♥' });
+  testLog('Cancel returns the card to its pile', { pileSize: cancelled.playerCaptures[2][0].length, expected: 2, untouched: cancelled.playerCaptures[1][0].length });
+
+  const trailed = applyMove(state, { type: MOVE_TYPES.TRAIL, cardId: '4-♠' });
+  testLog('Turn passes to the next seat', { currentPlayer: trailed.currentPlayer, expected: 1 });
+};
+
+// Test the 52-card classic variant: face cards pair-capture, six deals and sweep points
+export const testClassic52 = () => {
+  console.log('\n=== Testing 52-Card Classic ===');
+
+  const dealt = initializeGame({ seed: 'moves-test', ruleset: 'classic52' });
+  testLog('Initial deal', { table: dealt.tableCards.length, expected: 4, hands: dealt.playerHands.map(hand => hand.length), deck: dealt.deck.length });
+
+  let round = dealt;
+  while (round.deck.length > 0) {
+    round = startNextRound({ ...round, playerHands: [[], []] }).state;
+  }
+  testLog('Six deals of four', { rounds: round.round, expected: 6 });
+
+  const state = {
+    ...initializeGame({ seed: 'moves-test', ruleset: 'classic52' }),
+    deck: [],
+    playerHands: [[card('J', '♠'), card('K', '♥')], [card('2', '♠')]],
+    tableCards: [card('5', '♣'), card('6', '♦'), card('J', '♥')],
+  };
+
+  const sumCapture = applyMove(state, { type: MOVE_TYPES.CAPTURE, cardId: 'J-♠', targetIds: ['5-♣', '6-♦'] });
+  testLog('Jack cannot capture 5+6', { unchanged: sumCapture === state, expected: true });
+
+  const pairCapture = applyMove(state, { type: MOVE_TYPES.CAPTURE, cardId: 'J-♠', targetIds: ['J-♥'] });
+  testLog('Jack pairs a jack', { captured: pairCapture.playerCaptures[0][0].length, expected: 2 });
+
+  const swept = applyMove({ ...state, tableCards: [card('J', '♥')] }, { type: MOVE_TYPES.CAPTURE, cardId: 'J-♠', targetIds: ['J-♥'] });
+  const scored = endGame(swept).state;
+  testLog('Sweep scores a point', { sweeps: swept.sweeps, sweepPoints: scored.scoreDetails[0].sweeps, expected: 1 });
+};
+
+// Run all tests
+export const runMoveReducerTests = () => {
+  console.log('🧪 Starting Move Reducer Tests...');
+
+  try {
+    testTurnEndingMoves();
+    testStagingMoves();
+    testInvalidMoves();
+    testErrorCodes();
+    testGameFlowMoves();
+    testRulesets();
+    testOpponentPiles();
+    testClassic52();
+
+    console.log('\n✅ All move reducer tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runMoveReducerTests();
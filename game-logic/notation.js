@@ -0,0 +1,166 @@
+/**
+ * Notation Module
+ * A compact text form of serializable moves, for typing moves at a terminal and for
+ * writing move lists down, e.g. "C 8h 5c+3h" captures the 5♣ and 3♥ with the 8♥.
+ * - Cards are rank and suit letter: 7s, 10d, Ah (s ♠, h ♥, d ♦, c ♣)
+ * - Builds and temporary stacks are b: or t: and the card their id comes from: b:5c, t:3h
+ * - Lists are joined with +, and an empty list is written -
+ * - Values are plain numbers, and card sources are h(and), t(able), o(pponent) or c(aptured)
+ * Every move formats to one line and parses back to the same move.
+ */
+
+import { MOVE_TYPES } from './moves.js';
+
+const SUIT_LETTERS = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+const SOURCE_LETTERS = { hand: 'h', table: 't', opponentCapture: 'o', captured: 'c' };
+const ID_PREFIXES = { 'build-': 'b:', 'temp-': 't:' };
+
+// The code and the fields, in order, of each move type. Optional fields come last.
+const MOVE_NOTATION = {
+  [MOVE_TYPES.TRAIL]: ['T', ['cardId']],
+  [MOVE_TYPES.CAPTURE]: ['C', ['cardId', 'targetIds:list', 'opponentCardId?']],
+  [MOVE_TYPES.BUILD]: ['B', ['cardId', 'targetCardId', 'buildValue:number']],
+  [MOVE_TYPES.BASE_BUILD]: ['BB', ['cardId', 'baseCardId', 'otherCardIds:list']],
+  [MOVE_TYPES.ADD_TO_OPPONENT_BUILD]: ['XO', ['cardId', 'buildId']],
+  [MOVE_TYPES.ADD_TO_OWN_BUILD]: ['XW', ['cardId', 'buildId']],
+  [MOVE_TYPES.CREATE_BUILD_FROM_STACK]: ['BS', ['cardId', 'stackId']],
+  [MOVE_TYPES.EXTEND_TO_MERGE]: ['XM', ['cardId', 'opponentBuildId', 'ownBuildId']],
+  [MOVE_TYPES.CREATE_BUILD_WITH_VALUE]: ['BV', ['stackId', 'buildValue:number']],
+  [MOVE_TYPES.REINFORCE_BUILD_WITH_STACK]: ['RW', ['stackId', 'buildId']],
+  [MOVE_TYPES.MERGE_INTO_OWN_BUILD]: ['MW', ['stackId', 'buildId']],
+  [MOVE_TYPES.REINFORCE_OPPONENT_BUILD_WITH_STACK]: ['RO', ['stackId', 'buildId']],
+  [MOVE_TYPES.CREATE_STAGING_STACK]: ['S', ['cardId', 'targetCardId']],
+  [MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD]: ['SL', ['cardId', 'targetCardId', 'source:source?']],
+  [MOVE_TYPES.ADD_TO_STAGING_STACK]: ['SA', ['cardId', 'stackId', 'source:source?']],
+  [MOVE_TYPES.MERGE_STAGING_STACKS]: ['SM', ['stackId', 'targetStackId']],
+  [MOVE_TYPES.ADD_LOOSE_CARD_TO_STAGING_STACK]: ['SX', ['stackId', 'targetCardId']],
+  [MOVE_TYPES.STAGE_OPPONENT_CARD]: ['SO', ['cardId']],
+  [MOVE_TYPES.STAGE_SINGLE_CARD]: ['S1', ['cardId']],
+  [MOVE_TYPES.FINALIZE_TRAIL]: ['FT', ['stackId']],
+  [MOVE_TYPES.FINALIZE_STAGING_STACK]: ['FS', ['stackId']],
+  [MOVE_TYPES.DISBAND_STAGING_STACK]: ['D', ['stackId']],
+  [MOVE_TYPES.CANCEL_STAGING_STACK]: ['X', ['stackId']],
+  [MOVE_TYPES.START_NEXT_ROUND]: ['NR', []],
+  [MOVE_TYPES.SWEEP]: ['SW', []],
+  [MOVE_TYPES.END_GAME]: ['END', []],
+  [MOVE_TYPES.TIMEOUT]: ['TO', ['elapsedMs:number?']],
+};
+
+const MOVE_TYPES_BY_CODE = Object.fromEntries(
+  Object.entries(MOVE_NOTATION).map(([type, [code]]) => [code, type])
+);
+
+// Splits a field spec such as 'targetIds:list' or 'opponentCardId?' into its parts
+const parseFieldSpec = (spec) => {
+  const optional = spec.endsWith('?');
+  const [name, kind = 'id'] = spec.replace('?', '').split(':');
+  return { name, kind, optional };
+};
+
+/**
+ * Writes a card, build or stack id in notation: '7-♠' is 7s, 'build-5-♣' is b:5c.
+ * @param {string} id - A card, build or stack id.
+ * @returns {string} The short form.
+ */
+export const formatId = (id) => {
+  const prefix = Object.keys(ID_PREFIXES).find(p => id.startsWith(p));
+  const cardId = prefix ? id.slice(prefix.length) : id;
+  const separator = cardId.lastIndexOf('-');
+  const shortCard = `${cardId.slice(0, separator)}${SUIT_LETTERS[cardId.slice(separator + 1)] || '?'}`;
+  return prefix ? `${ID_PREFIXES[prefix]}${shortCard}` : shortCard;
+};
+
+/**
+ * Reads an id written in notation. Letters may be in either case.
+ * @param {string} text - A short id such as 7s, ah, b:5c or t:3h.
+ * @returns {string|null} The full id, or null if the text is not an id.
+ */
+export const parseId = (text) => {
+  const match = /^(?:([bt]):)?(a|[2-9]|10|j|q|k)([shdc])$/i.exec(text);
+  if (!match) return null;
+
+  const [, prefixLetter, rank, suitLetter] = match;
+  const suit = Object.keys(SUIT_LETTERS).find(s => SUIT_LETTERS[s] === suitLetter.toLowerCase());
+  const cardId = `${rank.toUpperCase()}-${suit}`;
+  if (!prefixLetter) return cardId;
+  const prefix = Object.keys(ID_PREFIXES).find(p => ID_PREFIXES[p] === `${prefixLetter.toLowerCase()}:`);
+  return `${prefix}${cardId}`;
+};
+
+const formatValue = (kind, value) => {
+  if (kind === 'list') return value.length > 0 ? value.map(formatId).join('+') : '-';
+  if (kind === 'number') return String(value);
+  if (kind === 'source') return SOURCE_LETTERS[value] || value;
+  return formatId(value);
+};
+
+const parseValue = (kind, text) => {
+  if (kind === 'list') {
+    if (text === '-') return [];
+    const ids = text.split('+').map(parseId);
+    return ids.every(Boolean) ? ids : null;
+  }
+  if (kind === 'number') return /^\d+$/.test(text) ? Number(text) : null;
+  if (kind === 'source') {
+    return Object.keys(SOURCE_LETTERS).find(source => SOURCE_LETTERS[source] === text.toLowerCase()) || null;
+  }
+  return parseId(text);
+};
+
+/**
+ * Writes a move in notation, e.g. { type: 'trail', cardId: '7-♠' } is "T 7s".
+ * @param {object} move - A serializable move.
+ * @returns {string} The move as one line of text.
+ */
+export const formatMove = (move) => {
+  const notation = MOVE_NOTATION[move.type];
+  if (!notation) throw new Error(`Unknown move type: ${move.type}`);
+
+  const [code, fields] = notation;
+  const args = fields
+    .map(parseFieldSpec)
+    .filter(({ name }) => move[name] !== undefined)
+    .map(({ name, kind }) => formatValue(kind, move[name]));
+  return [code, ...args].join(' ');
+};
+
+/**
+ * Reads a move written in notation. The code and ids may be in either case.
+ * @param {string} text - A move such as "C 8h 5c+3h".
+ * @returns {object|null} The serializable move, or null if the text is not a move.
+ */
+export const parseMove = (text) => {
+  const [code, ...args] = String(text).trim().split(/\s+/);
+  const type = MOVE_TYPES_BY_CODE[(code || '').toUpperCase()];
+  if (!type) return null;
+
+  const fields = MOVE_NOTATION[type][1].map(parseFieldSpec);
+  const required = fields.filter(field => !field.optional).length;
+  if (args.length < required || args.length > fields.length) return null;
+
+  const move = { type };
+  for (let i = 0; i < args.length; i++) {
+    const value = parseValue(fields[i].kind, args[i]);
+    if (value === null) return null;
+    move[fields[i].name] = value;
+  }
+  return move;
+};
+
+/**
+ * Writes a list of moves, one per line or joined with a separator.
+ * @param {Array<object>} moves - Serializable moves.
+ * @param {string} [separator='; '] - What goes between moves.
+ * @returns {string} The move list.
+ */
+export const formatMoves = (moves, separator = '; ') => moves.map(formatMove).join(separator);
+
+/**
+ * Reads a move list written with formatMoves, separated by semicolons or new lines.
+ * @param {string} text - The move list.
+ * @returns {Array<object>|null} The moves, or null if any of them cannot be read.
+ */
+export const parseMoves = (text) => {
+  const moves = String(text).split(/[;\n]/).map(part => part.trim()).filter(Boolean).map(parseMove);
+  return moves.every(Boolean) ? moves : null;
+};
@@ -0,0 +1,131 @@
+/**
+ * Test suite for move notation
+ * Verifies that ids and moves format to text and parse back to the same move, and that
+ * text which is not a move is rejected
+ */
+
+import { formatId, parseId, formatMove, parseMove, formatMoves, parseMoves } from './notation.js';
+import { getLegalMoves } from './legal-moves.js';
+import { applyMove, MOVE_TYPES } from './moves.js';
+import { initializeGame, setGameLogging } from './game-state.js';
+
+// Compares moves field by field, whatever order their keys were written in
+const sameMove = (a, b) => {
+  if (!a || !b) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+};
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test reading and writing ids
+export const testIds = () => {
+  console.log('\n=== Testing Ids ===');
+
+  testLog('Card', { text: formatId('7-♠'), expected: '7s' });
+  testLog('Ten', { text: formatId('10-♦'), expected: '10d' });
+  testLog('Build', { text: formatId('build-5-♣'), expected: 'b:5c' });
+  testLog('Stack', { text: formatId('temp-3-♥'), expected: 't:3h' });
+  testLog('Either case', { id: parseId('aH'), expected: 'A-♥' });
+  testLog('Build read back', { id: parseId('B:Kc'), expected: 'build-K-♣' });
+  testLog('Not an id', {
+    ids: ['1s', '11h', '7x', 'x:7s', ''].map(parseId),
+    expected: [null, null, null, null, null],
+  });
+};
+
+// Test that every kind of move survives a round trip
+export const testMoveRoundTrip = () => {
+  console.log('\n=== Testing Move Round Trip ===');
+
+  const moves = [
+    { type: MOVE_TYPES.TRAIL, cardId: '7-♠' },
+    { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: ['5-♣', '3-♥'] },
+    { type: MOVE_TYPES.CAPTURE, cardId: '8-♥', targetIds: [], opponentCardId: '8-♦' },
+    { type: MOVE_TYPES.BUILD, cardId: '2-♠', targetCardId: '3-♥', buildValue: 5 },
+    { type: MOVE_TYPES.BASE_BUILD, cardId: '8-♥', baseCardId: '8-♣', otherCardIds: ['5-♣', '3-♥'] },
+    { type: MOVE_TYPES.ADD_TO_OPPONENT_BUILD, cardId: '2-♠', buildId: 'build-6-♥' },
+    { type: MOVE_TYPES.EXTEND_TO_MERGE, cardId: 'A-♦', opponentBuildId: 'build-6-♥', ownBuildId: 'build-9-♠' },
+    { type: MOVE_TYPES.CREATE_BUILD_WITH_VALUE, stackId: 'temp-4-♣', buildValue: 8 },
+    { type: MOVE_TYPES.STAGE_CARD_ON_LOOSE_CARD, cardId: '10-♦', targetCardId: 'Q-♠', source: 'opponentCapture' },
+    { type: MOVE_TYPES.ADD_TO_STAGING_STACK, cardId: 'J-♣', stackId: 'temp-2-♥' },
+    { type: MOVE_TYPES.START_NEXT_ROUND },
+  ];
+  const texts = moves.map(formatMove);
+
+  testLog('Written forms', {
+    texts,
+    expected: ['T 7s', 'C 8h 5c+3h', 'C 8h - 8d', 'B 2s 3h 5', 'BB 8h 8c 5c+3h', 'XO 2s b:6h',
+      'XM Ad b:6h b:9s', 'BV t:4c 8', 'SL 10d Qs o', 'SA Jc t:2h', 'NR'],
+  });
+  testLog('Read back', { same: texts.every((text, i) => sameMove(parseMove(text), moves[i])), expected: true });
+  testLog('Lower case', { same: sameMove(parseMove('c 8h 5c+3h'), moves[1]), expected: true });
+  testLog('Move list', {
+    same: parseMoves(formatMoves(moves, '\n')).every((move, i) => sameMove(move, moves[i])),
+    expected: true,
+  });
+};
+
+// Test that every legal move of whole games survives a round trip
+export const testLegalMovesRoundTrip = () => {
+  console.log('\n=== Testing Legal Moves Round Trip ===');
+
+  const wasLogging = setGameLogging(false);
+  const failures = [];
+  let checked = 0;
+
+  ['notation-a', 'notation-b', 'notation-c'].forEach(seed => {
+    let state = initializeGame({ seed });
+    while (!state.gameOver) {
+      if (state.playerHands.every(hand => hand.length === 0)) {
+        state = applyMove(state, { type: state.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME });
+        continue;
+      }
+      const moves = getLegalMoves(state);
+      moves.forEach(move => {
+        checked++;
+        if (!sameMove(parseMove(formatMove(move)), move)) failures.push(formatMove(move));
+      });
+      // Play the last listed move, which is usually a trail
+      state = applyMove(state, moves[moves.length - 1]);
+    }
+  });
+  setGameLogging(wasLogging);
+
+  testLog('Legal moves read back', { checked: checked > 0, failures, expected: { checked: true, failures: [] } });
+};
+
+// Test that text which is not a move is rejected
+export const testInvalidNotation = () => {
+  console.log('\n=== Testing Invalid Notation ===');
+
+  testLog('Rejected moves', {
+    moves: ['', 'Z 7s', 'T', 'T 7s 8h', 'C 8h', 'B 2s 3h five', 'SL 10d Qs z', 'C 8h 5c+9x'].map(parseMove),
+    expected: [null, null, null, null, null, null, null, null],
+  });
+  testLog('List with a bad move', { moves: parseMoves('T 7s; T 7q'), expected: null });
+  testLog('Empty list', { moves: parseMoves(''), expected: [] });
+};
+
+// Run all tests
+export const runNotationTests = () => {
+  console.log('🧪 Starting Notation Tests...');
+
+  try {
+    testIds();
+    testMoveRoundTrip();
+    testLegalMovesRoundTrip();
+    testInvalidNotation();
+
+    console.log('\n✅ All notation tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runNotationTests();
@@ -0,0 +1,140 @@
+/**
+ * Players Module
+ * Seating, teams and opponents for games of two to four players
+ */
+
+import { getCardId } from './card-operations.js';
+import { DEFAULT_RULESET } from './rulesets.js';
+import { getHandCount } from './projection.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+// In a partnership game, players sitting opposite each other are partners
+const PARTNERSHIP_TEAMS = [[0, 2], [1, 3]];
+
+/**
+ * Checks whether a table setup is supported.
+ * @param {number} playerCount - Number of players.
+ * @param {boolean} partnerships - Whether players play in teams of two.
+ * @returns {boolean} True if the setup can be played.
+ */
+export const isValidPlayerSetup = (playerCount, partnerships) =>
+  Number.isInteger(playerCount) &&
+  playerCount >= MIN_PLAYERS &&
+  playerCount <= MAX_PLAYERS &&
+  (!partnerships || playerCount === 4);
+
+/**
+ * Creates the teams for a game. Without partnerships every player is their own team.
+ * @param {number} playerCount - Number of players.
+ * @param {boolean} partnerships - Whether the four players play 2v2.
+ * @returns {Array<Array<number>>} The player indices on each team.
+ */
+export const createTeams = (playerCount, partnerships) =>
+  partnerships
+    ? PARTNERSHIP_TEAMS.map(team => [...team])
+    : Array.from({ length: playerCount }, (_, player) => [player]);
+
+/**
+ * Number of cards each player gets per round. Unless the ruleset fixes the deal size,
+ * the deck is dealt over two rounds; cards that can't be shared out evenly are dealt
+ * face up to the table at the start.
+ * @param {number} playerCount - Number of players.
+ * @param {object} [ruleset=DEFAULT_RULESET] - The rules in play.
+ * @returns {number} The hand size.
+ */
+export const getHandSize = (playerCount, ruleset = DEFAULT_RULESET) =>
+  ruleset.cardsPerDeal ?? Math.floor(ruleset.deckSize / (playerCount * 2));
+
+/**
+ * Number of rounds (deals of a full hand to every player) in a game.
+ * @param {number} playerCount - Number of players.
+ * @param {object} [ruleset=DEFAULT_RULESET] - The rules in play.
+ * @returns {number} The number of rounds.
+ */
+export const getRoundCount = (playerCount, ruleset = DEFAULT_RULESET) =>
+  Math.floor((ruleset.deckSize - ruleset.tableCardsAtStart) / (getHandSize(playerCount, ruleset) * playerCount));
+
+/**
+ * @param {object} gameState - The current game state.
+ * @returns {number} Number of players in the game.
+ */
+export const getPlayerCount = (gameState) => gameState.playerHands.length;
+
+/**
+ * The player who dealt the game. Games saved before the dealer was recorded only know who led,
+ * which is the player after the dealer.
+ * @param {object} gameState - The current game state.
+ * @returns {number} The dealer's player index.
+ */
+export const getDealer = (gameState) => {
+  const playerCount = getPlayerCount(gameState);
+  return gameState.dealer ?? ((gameState.firstPlayer ?? 0) + playerCount - 1) % playerCount;
+};
+
+/**
+ * The player who sits after the given player and plays next: the first one after them who
+ * still has cards, or simply the next seat once every hand is empty.
+ * @param {object} gameState - The current game state.
+ * @param {number} player - The player index.
+ * @returns {number} The next player's index.
+ */
+export const getNextPlayerIndex = (gameState, player) => {
+  const playerCount = getPlayerCount(gameState);
+  // Hands only differ in size after a forfeited turn: whoever has played out waits for the rest
+  for (let offset = 1; offset <= playerCount; offset++) {
+    const next = (player + offset) % playerCount;
+    if (getHandCount(gameState, next) > 0) return next;
+  }
+  return (player + 1) % playerCount;
+};
+
+/**
+ * Finds the team a player belongs to.
+ * @param {object} gameState - The current game state.
+ * @param {number} player - The player index.
+ * @returns {number} The team index.
+ */
+export const getTeamIndex = (gameState, player) => {
+  const teams = gameState.teams || createTeams(getPlayerCount(gameState), false);
+  return teams.findIndex(team => team.includes(player));
+};
+
+/**
+ * Lists a player's opponents in turn order, starting with the player after them.
+ * Partners are not opponents.
+ * @param {object} gameState - The current game state.
+ * @param {number} [player=gameState.currentPlayer] - The player index.
+ * @returns {Array<number>} The opponents' player indices.
+ */
+export const getOpponents = (gameState, player = gameState.currentPlayer) => {
+  const playerCount = getPlayerCount(gameState);
+  const team = getTeamIndex(gameState, player);
+  const opponents = [];
+  for (let offset = 1; offset < playerCount; offset++) {
+    const other = (player + offset) % playerCount;
+    if (getTeamIndex(gameState, other) !== team) opponents.push(other);
+  }
+  return opponents;
+};
+
+/**
+ * Picks the opponent whose capture pile a card is being taken from.
+ * Only the top card of a pile can be taken and every card is unique, so the card
+ * identifies the pile. Without a card, the next opponent in turn order is used.
+ * @param {object} gameState - The current game state.
+ * @param {object} [card] - The card taken from an opponent's capture pile.
+ * @returns {number} The opponent's player index, or -1 if no opponent has that card on top.
+ */
+export const getOpponentPileIndex = (gameState, card = null) => {
+  const opponents = getOpponents(gameState);
+  if (!card) return opponents[0];
+
+  return opponents.find(opponent => {
+    const groups = gameState.playerCaptures[opponent] || [];
+    const lastGroup = groups[groups.length - 1] || [];
+    const topCard = lastGroup[lastGroup.length - 1];
+    return topCard && getCardId(topCard) === getCardId(card);
+  }) ?? -1;
+};
@@ -0,0 +1,67 @@
+/**
+ * Projection Module
+ * What one player is allowed to know about a game. The full game state holds the deck order
+ * and every hand; a projection replaces the cards a player cannot see with counts, so it can
+ * be rendered or sent over the network without giving anything away.
+ */
+
+// Replaces the hands nobody may see, the deck and the seed with counts
+const redact = (gameState, canSeeHand, viewer) => ({
+  ...gameState,
+  seed: null,
+  deck: [],
+  deckCount: gameState.deck.length,
+  playerHands: gameState.playerHands.map((hand, player) => (canSeeHand(player) ? hand : [])),
+  handCounts: gameState.playerHands.map(hand => hand.length),
+  redoStack: [],
+  viewer,
+});
+
+/**
+ * Projects the game state for one player.
+ * - Other players' hands are emptied; handCounts keeps every hand's size
+ * - The deck is emptied; deckCount keeps its size. The seed goes too, since it would reveal the deck
+ * - The redo stack of practice games is dropped, since it holds moves that have not been played
+ * Capture piles are kept as they are: every capture was made face up on the table, and the
+ * top card of an opponent's pile is needed to stage it (handleStageOpponentCard).
+ * @param {object} gameState - The full game state.
+ * @param {number} playerIndex - The player the projection is for.
+ * @returns {object} The game state as that player sees it, with viewer set to playerIndex.
+ */
+export const projectStateForPlayer = (gameState, playerIndex) => {
+  // Already projected for this player: the counts were taken from the full state
+  if (gameState.viewer === playerIndex) return gameState;
+  return redact(gameState, player => player === playerIndex, playerIndex);
+};
+
+/**
+ * Projects the game state for someone watching the table. The deck and seed are hidden as
+ * for a player; hands are hidden too, unless they are being revealed to spectators (usually
+ * after a delay, so a spectator cannot tell a player what their opponent holds).
+ * @param {object} gameState - The full game state.
+ * @param {object} [options] - Projection options.
+ * @param {boolean} [options.revealHands=false] - Whether spectators may see every hand.
+ * @returns {object} The game state as a spectator sees it, with viewer set to null.
+ */
+export const projectStateForSpectator = (gameState, { revealHands = false } = {}) => {
+  // Already a spectator's view: whoever projected it decided whether hands are shown
+  if (gameState.viewer === null) return gameState;
+  return redact(gameState, () => revealHands, null);
+};
+
+/**
+ * Counts the cards in a player's hand, in a full or projected game state.
+ * @param {object} gameState - A full or projected game state.
+ * @param {number} player - The player.
+ * @returns {number} The number of cards in the player's hand.
+ */
+export const getHandCount = (gameState, player) =>
+  (gameState.handCounts ? gameState.handCounts[player] : gameState.playerHands[player].length);
+
+/**
+ * Counts the cards left in the deck, in a full or projected game state.
+ * @param {object} gameState - A full or projected game state.
+ * @returns {number} The number of cards still to be dealt.
+ */
+export const getDeckCount = (gameState) =>
+  (gameState.deckCount !== undefined ? gameState.deckCount : gameState.deck.length);
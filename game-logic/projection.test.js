@@ -0,0 +1,102 @@
+/**
+ * Test suite for per-player projections
+ * Verifies that a projection hides other hands and the deck, keeps their sizes, and still
+ * lets the player make every move they could make from the full state
+ */
+
+import { projectStateForPlayer, projectStateForSpectator, getHandCount, getDeckCount } from './projection.js';
+import { initializeGame } from './game-state.js';
+import { performMove, MOVE_TYPES } from './moves.js';
+import { getLegalMoves } from './legal-moves.js';
+import { rankValue } from './card-operations.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// Player 2 has captured, with the 5♦ on top of their pile
+const createMockState = () => ({
+  ...initializeGame({ seed: 'projection-test' }),
+  playerHands: [[card('8', '♥'), card('3', '♠')], [card('9', '♣'), card('6', '♦')]],
+  tableCards: [card('4', '♣')],
+  playerCaptures: [[], [[card('7', '♠'), card('7', '♦')], [card('2', '♥'), card('5', '♦')]]],
+});
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test what a projection hides and keeps
+export const testRedaction = () => {
+  console.log('\n=== Testing Redaction ===');
+
+  const state = createMockState();
+  const view = projectStateForPlayer(state, 0);
+
+  testLog('Own hand kept', { hand: view.playerHands[0].length, expected: 2 });
+  testLog('Other hand hidden', { hand: view.playerHands[1].length, count: getHandCount(view, 1), expected: { hand: 0, count: 2 } });
+  testLog('Deck hidden', {
+    deck: view.deck.length,
+    count: getDeckCount(view),
+    seed: view.seed,
+    expected: { deck: 0, count: state.deck.length, seed: null },
+  });
+  testLog('Table and captures kept', {
+    same: JSON.stringify([view.tableCards, view.playerCaptures]) === JSON.stringify([state.tableCards, state.playerCaptures]),
+    expected: true,
+  });
+  testLog('Full state unchanged', { hand: state.playerHands[1].length, deck: state.deck.length > 0, expected: { hand: 2, deck: true } });
+  testLog('Projecting twice', { same: projectStateForPlayer(view, 0) === view, expected: true });
+  testLog('Counts of a full state', { hand: getHandCount(state, 1), deck: getDeckCount(state) === state.deck.length, expected: { hand: 2, deck: true } });
+};
+
+// Test what spectators see
+export const testSpectatorView = () => {
+  console.log('\n=== Testing Spectator View ===');
+
+  const state = createMockState();
+  const hidden = projectStateForSpectator(state);
+  const revealed = projectStateForSpectator(state, { revealHands: true });
+
+  testLog('Hands hidden', { hands: hidden.playerHands.map(hand => hand.length), counts: hidden.handCounts, expected: { hands: [0, 0], counts: [2, 2] } });
+  testLog('Hands revealed', { hands: revealed.playerHands.map(hand => hand.length), deck: revealed.deck.length, expected: { hands: [2, 2], deck: 0 } });
+  testLog('No seat', { viewer: hidden.viewer, expected: null });
+  testLog('Projecting twice', { same: projectStateForSpectator(revealed) === revealed, expected: true });
+};
+
+// Test that the player's own moves work the same on the projection
+export const testMovesOnProjection = () => {
+  console.log('\n=== Testing Moves on a Projection ===');
+
+  const state = createMockState();
+  const view = projectStateForPlayer(state, 0);
+
+  testLog('Same legal moves', {
+    same: JSON.stringify(getLegalMoves(view)) === JSON.stringify(getLegalMoves(state)),
+    expected: true,
+  });
+
+  const staged = performMove(view, { type: MOVE_TYPES.STAGE_OPPONENT_CARD, cardId: '5-♦' });
+  testLog('Stage the opponent\'s top card', {
+    ok: staged.ok,
+    stack: staged.ok ? staged.state.tableCards.find(item => item.type === 'temporary_stack').cards.length : 0,
+    expected: { ok: true, stack: 1 },
+  });
+};
+
+// Run all tests
+export const runProjectionTests = () => {
+  console.log('🧪 Starting Projection Tests...');
+
+  try {
+    testRedaction();
+    testSpectatorView();
+    testMovesOnProjection();
+
+    console.log('\n✅ All projection tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runProjectionTests();
@@ -0,0 +1,54 @@
+/**
+ * Random Module
+ * Seeded pseudo-random number generation so that every deal can be reproduced
+ */
+
+/**
+ * Generates a fresh 32-bit seed for a new game.
+ * @returns {number} A random unsigned 32-bit integer.
+ */
+export const generateSeed = () => Math.floor(Math.random() * 0x100000000);
+
+/**
+ * Hashes text to an unsigned 32-bit integer with FNV-1a.
+ * @param {string} text - The text to hash.
+ * @returns {number} The hash.
+ */
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Converts a seed (number or string) into an unsigned 32-bit integer.
+ * Strings are hashed so seeds like "bug-142" can be shared in reports.
+ * @param {number|string} seed - The seed to normalize.
+ * @returns {number} The normalized seed.
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  return hashString(String(seed));
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence of numbers.
+ * @param {number|string} seed - The seed for the generator.
+ * @returns {function(): number} A function returning floats in [0, 1), like Math.random.
+ */
+export const createSeededRandom = (seed) => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+};
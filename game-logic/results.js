@@ -0,0 +1,112 @@
+/**
+ * Results Module
+ * Every engine action reports its outcome as { ok, state, error }.
+ * A failed action leaves the state unchanged and says why with a stable error code and the
+ * values needed to explain it (e.g. { code: 'BUILD_VALUE_TOO_HIGH', params: { value: 12, max: 10 } }).
+ * Codes never change meaning, so the UI and remote clients can word them however they like.
+ */
+
+export const ERROR_CODES = {
+  // Moves that cannot be made at all
+  INVALID_MOVE: 'INVALID_MOVE',
+  UNKNOWN_MOVE: 'UNKNOWN_MOVE',
+  GAME_OVER: 'GAME_OVER',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  NOT_A_PLAYER_MOVE: 'NOT_A_PLAYER_MOVE',
+  MOVE_NOT_ALLOWED: 'MOVE_NOT_ALLOWED',
+
+  // Cards, builds and stacks that are not where the move says
+  CARD_NOT_IN_HAND: 'CARD_NOT_IN_HAND',
+  CARD_NOT_FOUND: 'CARD_NOT_FOUND',
+  TARGET_NOT_FOUND: 'TARGET_NOT_FOUND',
+  BUILD_NOT_FOUND: 'BUILD_NOT_FOUND',
+  STACK_NOT_FOUND: 'STACK_NOT_FOUND',
+  CARD_NOT_ON_OPPONENT_PILE: 'CARD_NOT_ON_OPPONENT_PILE',
+  NOT_YOUR_BUILD: 'NOT_YOUR_BUILD',
+  NOT_YOUR_STACK: 'NOT_YOUR_STACK',
+  WRONG_BUILD_OWNERS: 'WRONG_BUILD_OWNERS',
+
+  // Face cards
+  FACE_CARD_PAIRING: 'FACE_CARD_PAIRING',
+
+  // Trailing
+  TRAIL_WHILE_OWNING_BUILD: 'TRAIL_WHILE_OWNING_BUILD',
+  TRAIL_WHILE_OWNING_BUILD_FIRST_ROUND: 'TRAIL_WHILE_OWNING_BUILD_FIRST_ROUND',
+  TRAIL_RANK_ON_TABLE: 'TRAIL_RANK_ON_TABLE',
+  TRAIL_BUILD_ACTIVE: 'TRAIL_BUILD_ACTIVE',
+  SINGLE_HAND_CARD_TRAIL: 'SINGLE_HAND_CARD_TRAIL',
+
+  // Capturing
+  NOTHING_TO_CAPTURE: 'NOTHING_TO_CAPTURE',
+  CAPTURE_FROM_TABLE_ONLY: 'CAPTURE_FROM_TABLE_ONLY',
+  CAPTURE_TOTAL_MISMATCH: 'CAPTURE_TOTAL_MISMATCH',
+  CAPTURE_BUILD_MISMATCH: 'CAPTURE_BUILD_MISMATCH',
+
+  // Building
+  BUILD_LIMIT_REACHED: 'BUILD_LIMIT_REACHED',
+  BUILD_VALUE_TOO_HIGH: 'BUILD_VALUE_TOO_HIGH',
+  NO_CARD_TO_CAPTURE_BUILD: 'NO_CARD_TO_CAPTURE_BUILD',
+  OPPONENT_HAS_BUILD: 'OPPONENT_HAS_BUILD',
+  CARDS_DO_NOT_MAKE_BUILD: 'CARDS_DO_NOT_MAKE_BUILD',
+  NEED_CARD_FOR_BUILD: 'NEED_CARD_FOR_BUILD',
+  NEED_ANOTHER_CARD_FOR_BUILD: 'NEED_ANOTHER_CARD_FOR_BUILD',
+  MUST_INCLUDE_EQUAL_CARD: 'MUST_INCLUDE_EQUAL_CARD',
+  OWN_BUILD_NOT_ALLOWED: 'OWN_BUILD_NOT_ALLOWED',
+  OPPONENT_BUILD_REQUIRED: 'OPPONENT_BUILD_REQUIRED',
+  EXTEND_WHILE_OWNING_BUILD: 'EXTEND_WHILE_OWNING_BUILD',
+  BUILD_NOT_EXTENDABLE: 'BUILD_NOT_EXTENDABLE',
+  CANNOT_EXTEND_OWN_BUILD: 'CANNOT_EXTEND_OWN_BUILD',
+  MERGE_VALUE_MISMATCH: 'MERGE_VALUE_MISMATCH',
+
+  // Staging stacks
+  ONE_STAGING_STACK: 'ONE_STAGING_STACK',
+  CANNOT_STAGE_ON_ITSELF: 'CANNOT_STAGE_ON_ITSELF',
+  ONE_HAND_CARD_REQUIRED: 'ONE_HAND_CARD_REQUIRED',
+  HAND_CARD_NOT_ALLOWED: 'HAND_CARD_NOT_ALLOWED',
+  TABLE_CARDS_ONLY: 'TABLE_CARDS_ONLY',
+  STACK_DOES_NOT_MATCH_BUILD: 'STACK_DOES_NOT_MATCH_BUILD',
+  NO_BUILD_FROM_STACK: 'NO_BUILD_FROM_STACK',
+  BUILD_VALUE_AMBIGUOUS: 'BUILD_VALUE_AMBIGUOUS',
+  COMBO_NOT_SORTED: 'COMBO_NOT_SORTED',
+  NO_COMBO_ARRANGEMENT: 'NO_COMBO_ARRANGEMENT',
+  NOT_A_CAPTURE_OR_BUILD: 'NOT_A_CAPTURE_OR_BUILD',
+  INVALID_STACK_TARGET: 'INVALID_STACK_TARGET',
+  INVALID_BUILD_MOVE: 'INVALID_BUILD_MOVE',
+
+  // Game flow
+  ROUND_NOT_OVER: 'ROUND_NOT_OVER',
+  CARDS_LEFT_TO_DEAL: 'CARDS_LEFT_TO_DEAL',
+  NOT_ENOUGH_CARDS_TO_DEAL: 'NOT_ENOUGH_CARDS_TO_DEAL',
+  NOTHING_TO_SWEEP: 'NOTHING_TO_SWEEP',
+  NO_CLOCK: 'NO_CLOCK',
+  TIME_NOT_UP: 'TIME_NOT_UP',
+
+  // Networked games
+  TABLE_FULL: 'TABLE_FULL',
+  SPECTATORS_CANNOT_PLAY: 'SPECTATORS_CANNOT_PLAY',
+
+  // Matches
+  DEAL_NOT_FINISHED: 'DEAL_NOT_FINISHED',
+  MATCH_OVER: 'MATCH_OVER',
+
+  // Game codes for correspondence play
+  UNREADABLE_GAME_CODE: 'UNREADABLE_GAME_CODE',
+  GAME_CODE_CHECKSUM_MISMATCH: 'GAME_CODE_CHECKSUM_MISMATCH',
+  GAME_CODE_ILLEGAL_MOVE: 'GAME_CODE_ILLEGAL_MOVE',
+};
+
+/**
+ * Reports an action that went through.
+ * @param {object} state - The new game state.
+ * @returns {object} The result: { ok: true, state, error: null }.
+ */
+export const success = (state) => ({ ok: true, state, error: null });
+
+/**
+ * Reports an action that was refused.
+ * @param {object} state - The unchanged game state.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {object} [params={}] - Values for explaining the error, e.g. { value: 12, max: 10 }.
+ * @returns {object} The result: { ok: false, state, error: { code, params } }.
+ */
+export const failure = (state, code, params = {}) => ({ ok: false, state, error: { code, params } });
@@ -0,0 +1,147 @@
+/**
+ * Rulesets Module
+ * House-rule variants as plain config objects stored on the game state.
+ * Validators and handlers read the rules from here instead of hardcoding them.
+ */
+
+/**
+ * The rules our group plays today.
+ * - trailWhileOwningBuild: 'always' | 'laterRounds' (not in round 1) | 'never'
+ * - maxBuildsPerPlayer: a number, or null for no limit
+ * - deckSize: 40 (A–10) or 52 (with J, Q and K, which can only pair-capture)
+ * - cardsPerDeal: cards per player per deal, or null to deal the deck over two rounds
+ * - tableCardsAtStart: cards dealt face up to the table along with the first round
+ * - dealPacketSize: cards dealt to each player (and the table) at a time; 1 in every preset, since
+ *   a larger packet changes the deal of every existing seed and game code
+ * - sweepPoints: whether each capture that clears the table scores a point
+ */
+const HOUSE_RULES = {
+  id: 'house',
+  name: 'Current House Rules',
+  maxBuildsPerPlayer: 1,
+  maxBuildValue: 10,
+  trailWhileOwningBuild: 'laterRounds',
+  trailMatchingTableRank: false,
+  trailMatchingBuildValue: false,
+  deckSize: 40,
+  cardsPerDeal: null,
+  tableCardsAtStart: 0,
+  dealPacketSize: 1,
+  sweepPoints: false,
+};
+
+// Traditional Casino: any number of builds, never trail while you own one, trail anything else
+const CLASSIC_RULES = {
+  id: 'classic',
+  name: 'Classic Casino',
+  maxBuildsPerPlayer: null,
+  maxBuildValue: 10,
+  trailWhileOwningBuild: 'never',
+  trailMatchingTableRank: true,
+  trailMatchingBuildValue: true,
+  deckSize: 40,
+  cardsPerDeal: null,
+  tableCardsAtStart: 0,
+  dealPacketSize: 1,
+  sweepPoints: false,
+};
+
+// Classic Casino with the full deck: four cards on the table, six deals of four, a point per sweep
+const CLASSIC_52_RULES = {
+  ...CLASSIC_RULES,
+  id: 'classic52',
+  name: 'Classic Casino (52 cards)',
+  deckSize: 52,
+  cardsPerDeal: 4,
+  tableCardsAtStart: 4,
+  sweepPoints: true,
+};
+
+export const RULESETS = {
+  [HOUSE_RULES.id]: HOUSE_RULES,
+  [CLASSIC_RULES.id]: CLASSIC_RULES,
+  [CLASSIC_52_RULES.id]: CLASSIC_52_RULES,
+};
+
+export const DEFAULT_RULESET = HOUSE_RULES;
+
+// The most players a table seats (MAX_PLAYERS in players.js, which imports this module)
+const LARGEST_TABLE = 4;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isPositiveCount = (value) => Number.isInteger(value) && value > 0;
+
+// What each rule may be set to
+const RULE_CHECKS = {
+  maxBuildsPerPlayer: (value) => value === null || isCount(value),
+  maxBuildValue: isPositiveCount,
+  trailWhileOwningBuild: (value) => ['always', 'laterRounds', 'never'].includes(value),
+  trailMatchingTableRank: (value) => typeof value === 'boolean',
+  trailMatchingBuildValue: (value) => typeof value === 'boolean',
+  deckSize: (value) => value === 40 || value === 52,
+  cardsPerDeal: (value) => value === null || isPositiveCount(value),
+  tableCardsAtStart: isCount,
+  dealPacketSize: isPositiveCount,
+  sweepPoints: (value) => typeof value === 'boolean',
+};
+
+/**
+ * Checks that every rule of a full ruleset has a value the game can be played with, and that
+ * the deck holds the table cards and a hand for every seat of the largest table.
+ * @param {object} ruleset - A full ruleset, as resolveRuleset returns.
+ * @returns {{ valid: boolean, issues: Array<string> }} Whether the ruleset is valid, and the rules that are not.
+ */
+export const validateRuleset = (ruleset) => {
+  const issues = Object.keys(RULE_CHECKS).filter(rule => !RULE_CHECKS[rule](ruleset[rule]));
+  const { deckSize, cardsPerDeal, tableCardsAtStart } = ruleset;
+  // The deck's size and how it is shared out only make sense together, so they fail together
+  const sizing = ['deckSize', 'cardsPerDeal', 'tableCardsAtStart'];
+  const dealFits = cardsPerDeal === null
+    ? tableCardsAtStart <= deckSize / 2
+    : tableCardsAtStart + cardsPerDeal * LARGEST_TABLE <= deckSize;
+  const sizingIssues = sizing.some(rule => issues.includes(rule)) || !dealFits ? sizing : [];
+  const allIssues = [...new Set([...issues, ...sizingIssues])];
+  return { valid: allIssues.length === 0, issues: allIssues };
+};
+
+/**
+ * Resolves a ruleset from a preset id or a (possibly partial) ruleset object.
+ * Missing rules fall back to the house rules, so older saved games keep working, and so do
+ * rules that cannot be played with (see validateRuleset), such as a deal packet of 0 cards.
+ * @param {string|object} [ruleset=DEFAULT_RULESET] - A preset id such as 'classic', or a ruleset object.
+ * @returns {object} The full ruleset.
+ */
+export const resolveRuleset = (ruleset = DEFAULT_RULESET) => {
+  if (typeof ruleset === 'string') {
+    if (!RULESETS[ruleset]) {
+      console.error(`Unknown ruleset "${ruleset}". Using ${DEFAULT_RULESET.name}.`);
+      return DEFAULT_RULESET;
+    }
+    return RULESETS[ruleset];
+  }
+  const resolved = { ...DEFAULT_RULESET, ...ruleset };
+  const { valid, issues } = validateRuleset(resolved);
+  if (valid) return resolved;
+  console.error(`Unplayable rules ${issues.join(', ')}. Using ${DEFAULT_RULESET.name} for them.`);
+  return { ...resolved, ...Object.fromEntries(issues.map(rule => [rule, DEFAULT_RULESET[rule]])) };
+};
+
+/**
+ * Returns the ruleset a game is played with.
+ * @param {object} gameState - The current game state.
+ * @returns {object} The game's ruleset.
+ */
+export const getRuleset = (gameState) => (gameState.ruleset ? resolveRuleset(gameState.ruleset) : DEFAULT_RULESET);
+
+/**
+ * Checks whether a player may start another build under the ruleset.
+ * @param {Array} tableCards - The cards on the table.
+ * @param {number} player - The player index.
+ * @param {object} [ruleset=DEFAULT_RULESET] - The rules in play.
+ * @returns {boolean} True if the player is below the build limit.
+ */
+export const canOwnAnotherBuild = (tableCards, player, ruleset = DEFAULT_RULESET) => {
+  if (ruleset.maxBuildsPerPlayer === null) return true;
+  const ownedBuilds = tableCards.filter(item => item.type === 'build' && item.owner === player).length;
+  return ownedBuilds < ruleset.maxBuildsPerPlayer;
+};
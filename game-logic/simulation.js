@@ -0,0 +1,203 @@
+/**
+ * Simulation Module
+ * Plays many seeded games between computer policies through the engine and totals the
+ * results, so questions about the rules (does the first player win more often? how much
+ * do sweeps matter?) can be answered with numbers. Games are reproducible from the
+ * simulation seed, except with the hard bot, which searches for as long as its time budget.
+ */
+
+import { initializeGame, setGameLogging } from './game-state.js';
+import { applyMove, setInvariantChecks, MOVE_TYPES } from './moves.js';
+import { getLegalMoves } from './legal-moves.js';
+import { chooseBotMove, BOT_DIFFICULTIES } from './bot.js';
+import { createSeededRandom } from './random.js';
+
+// 'random' plays any legal move; the rest are the bot's difficulties
+export const SIMULATION_POLICIES = ['random', ...BOT_DIFFICULTIES];
+
+// The point categories of calculateScores, in the order they are counted
+export const SCORE_CATEGORIES = ['mostCards', 'mostSpades', 'bigCasino', 'littleCasino', 'aces', 'sweeps', 'total'];
+
+// Search time per move for the hard bot; short, since thousands of games are played
+const SIMULATION_TIME_BUDGET_MS = 50;
+
+/**
+ * Picks the current player's move under a policy.
+ * @param {object} gameState - The current game state.
+ * @param {string} policy - One of SIMULATION_POLICIES.
+ * @param {function(): number} random - Random number source.
+ * @param {number} timeBudgetMs - How long a hard bot may think.
+ * @returns {object|null} A serializable move, or null if there is nothing to play.
+ */
+const choosePolicyMove = (gameState, policy, random, timeBudgetMs) => {
+  if (policy === 'random') {
+    const moves = getLegalMoves(gameState);
+    return moves.length > 0 ? moves[Math.floor(random() * moves.length)] : null;
+  }
+  return chooseBotMove(gameState, { difficulty: policy, random, timeBudgetMs });
+};
+
+/**
+ * Plays one game to the end with a policy in every seat.
+ * @param {object} gameOptions - Options for initializeGame, including the seed.
+ * @param {Array<string>} policies - The policy of each seat.
+ * @param {object} [options] - Play options.
+ * @param {function(): number} [options.random] - Random number source for the policies.
+ * @param {number} [options.timeBudgetMs=SIMULATION_TIME_BUDGET_MS] - How long a hard bot may think.
+ * @returns {object} The finished game state.
+ */
+export const playSelfPlayGame = (gameOptions, policies, {
+  random = createSeededRandom(`${gameOptions.seed}-policies`),
+  timeBudgetMs = SIMULATION_TIME_BUDGET_MS
+} = {}) => {
+  let state = initializeGame(gameOptions);
+  while (!state.gameOver) {
+    if (state.playerHands.every(hand => hand.length === 0)) {
+      state = applyMove(state, { type: state.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME });
+      continue;
+    }
+    const move = choosePolicyMove(state, policies[state.currentPlayer], random, timeBudgetMs);
+    if (!move) {
+      throw new Error(`P${state.currentPlayer + 1} has no legal move in game ${state.seed}.`);
+    }
+    state = applyMove(state, move);
+  }
+  return state;
+};
+
+// Rounds to 4 decimal places, so reports stay readable
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// A share of the games, or 0 before any are played
+const rate = (count, games) => (games > 0 ? round4(count / games) : 0);
+
+/**
+ * Totals finished games into a report.
+ * @param {Array<object>} finishedGames - Finished game states, all with the same seats and sides.
+ * @param {Array<string>} policies - The policy of each seat.
+ * @returns {object} Win rates per side, first-player results, average points per category and sweep frequency.
+ */
+export const summarizeGames = (finishedGames, policies) => {
+  const games = finishedGames.length;
+  const teams = games > 0 ? finishedGames[0].teams : policies.map((_, player) => [player]);
+  const sides = teams.map(team => ({
+    players: team.map(player => player + 1),
+    policies: team.map(player => policies[player]),
+    wins: 0,
+    points: Object.fromEntries(SCORE_CATEGORIES.map(category => [category, 0])),
+  }));
+  let ties = 0;
+  let firstPlayerWins = 0;
+  let sweepCount = 0;
+  let gamesWithSweep = 0;
+
+  finishedGames.forEach(state => {
+    if (state.winner === null) {
+      ties++;
+    } else {
+      sides[state.winner].wins++;
+      if (teams[state.winner].includes(state.firstPlayer)) firstPlayerWins++;
+    }
+    state.scoreDetails.forEach((details, side) => {
+      SCORE_CATEGORIES.forEach(category => { sides[side].points[category] += details[category]; });
+    });
+    const sweeps = state.sweeps.reduce((sum, count) => sum + count, 0);
+    sweepCount += sweeps;
+    if (sweeps > 0) gamesWithSweep++;
+  });
+
+  return {
+    games,
+    ties,
+    tieRate: rate(ties, games),
+    sides: sides.map(({ points, ...side }) => ({
+      ...side,
+      winRate: rate(side.wins, games),
+      averagePoints: Object.fromEntries(SCORE_CATEGORIES.map(category => [category, rate(points[category], games)])),
+    })),
+    firstPlayer: {
+      wins: firstPlayerWins,
+      winRate: rate(firstPlayerWins, games),
+      // The win rate every side would have if leading made no difference
+      evenWinRate: round4((1 - rate(ties, games)) / teams.length),
+    },
+    sweeps: {
+      total: sweepCount,
+      perGame: rate(sweepCount, games),
+      gamesWithSweep,
+      gameRate: rate(gamesWithSweep, games),
+    },
+  };
+};
+
+/**
+ * Plays many seeded games between computer policies and reports the statistics.
+ * Game i is dealt from the seed `${seed}-${i}`, and the lead passes round the table from
+ * game to game, so every seat leads equally often.
+ * @param {object} [options] - Simulation options.
+ * @param {number} [options.games=1000] - Number of games to play.
+ * @param {number|string} [options.seed='simulation'] - Seed the game seeds are made from.
+ * @param {Array<string>} [options.policies=['medium', 'medium']] - The policy of each seat; its length is the player count.
+ * @param {boolean} [options.partnerships=false] - Whether four players play 2v2.
+ * @param {string|object} [options.ruleset='house'] - A ruleset preset id or ruleset object, e.g. { trailWhileOwningBuild: 'always' }.
+ * @param {number} [options.timeBudgetMs=SIMULATION_TIME_BUDGET_MS] - How long a hard bot may think per move.
+ * @param {function(number, number): void} [options.onProgress] - Called after each game with the number played and the total.
+ * @returns {object} The options played with, and the statistics from summarizeGames.
+ */
+export const simulateGames = ({
+  games = 1000,
+  seed = 'simulation',
+  policies = ['medium', 'medium'],
+  partnerships = false,
+  ruleset = 'house',
+  timeBudgetMs = SIMULATION_TIME_BUDGET_MS,
+  onProgress = null
+} = {}) => {
+  const unknown = policies.filter(policy => !SIMULATION_POLICIES.includes(policy));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown policies: ${unknown.join(', ')}. Choose from ${SIMULATION_POLICIES.join(', ')}.`);
+  }
+
+  const playerCount = policies.length;
+  const previousLogging = setGameLogging(false);
+  const previousChecks = setInvariantChecks(false);
+  const finishedGames = [];
+  try {
+    for (let i = 0; i < games; i++) {
+      const gameOptions = { seed: `${seed}-${i}`, firstPlayer: i % playerCount, playerCount, partnerships, ruleset };
+      finishedGames.push(playSelfPlayGame(gameOptions, policies, { timeBudgetMs }));
+      if (onProgress) onProgress(i + 1, games);
+    }
+  } finally {
+    setGameLogging(previousLogging);
+    setInvariantChecks(previousChecks);
+  }
+
+  const rules = finishedGames.length > 0 ? finishedGames[0].ruleset : ruleset;
+  return {
+    options: { games, seed, policies, partnerships, ruleset: rules },
+    ...summarizeGames(finishedGames, policies),
+  };
+};
+
+// Writes a value for a CSV cell, quoting it if it holds a comma, quote or line break
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Lists every value of a nested object under its dotted path, e.g. ['sides.0.winRate', 0.52]
+const flattenReport = (value, path = '') => {
+  if (value !== null && typeof value === 'object' && !(Array.isArray(value) && value.every(item => typeof item !== 'object'))) {
+    return Object.entries(value).flatMap(([key, inner]) => flattenReport(inner, path ? `${path}.${key}` : key));
+  }
+  return [[path, value]];
+};
+
+/**
+ * Writes a simulation report as CSV, one "metric,value" row per statistic.
+ * @param {object} report - A report from simulateGames.
+ * @returns {string} The CSV text.
+ */
+export const formatReportCsv = (report) =>
+  ['metric,value', ...flattenReport(report).map(([metric, value]) => `${csvCell(metric)},${csvCell(value)}`)].join('\n');
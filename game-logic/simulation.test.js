@@ -0,0 +1,119 @@
+/**
+ * Test suite for self-play simulation
+ * Verifies that simulated games are reproducible and finish by the rules, and that
+ * the report totals wins, first-player results, points and sweeps correctly
+ */
+
+import { simulateGames, summarizeGames, playSelfPlayGame, formatReportCsv, SCORE_CATEGORIES } from './simulation.js';
+import { setGameLogging } from './game-state.js';
+
+// A finished two-player game with the given outcome
+const finishedGame = ({ winner, firstPlayer = 0, totals = [6, 5], sweeps = [0, 0] }) => ({
+  teams: [[0], [1]],
+  winner,
+  firstPlayer,
+  sweeps,
+  scoreDetails: totals.map(total => ({ mostCards: 2, mostSpades: 0, bigCasino: 0, littleCasino: 0, aces: 0, sweeps: 0, total })),
+});
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that a self-play game is played to the end with every card accounted for
+export const testSelfPlayGame = () => {
+  console.log('\n=== Testing Self-Play Game ===');
+
+  const wasLogging = setGameLogging(false);
+  const state = playSelfPlayGame({ seed: 'simulation-test' }, ['medium', 'random']);
+  setGameLogging(wasLogging);
+
+  const captured = state.playerCaptures.flat(2).length;
+  testLog('Game finished', { gameOver: state.gameOver, expected: true });
+  testLog('Every card captured', { captured, tableCards: state.tableCards.length, expected: { captured: 40, tableCards: 0 } });
+};
+
+// Test totalling finished games
+export const testSummary = () => {
+  console.log('\n=== Testing Summary ===');
+
+  const summary = summarizeGames([
+    finishedGame({ winner: 0, firstPlayer: 0, sweeps: [2, 0] }),
+    finishedGame({ winner: 0, firstPlayer: 1, totals: [7, 4] }),
+    finishedGame({ winner: 1, firstPlayer: 1, totals: [4, 7], sweeps: [0, 1] }),
+    finishedGame({ winner: null, firstPlayer: 0, totals: [5, 5] }),
+  ], ['medium', 'easy']);
+
+  testLog('Win rates', {
+    winRates: summary.sides.map(side => side.winRate),
+    tieRate: summary.tieRate,
+    expected: { winRates: [0.5, 0.25], tieRate: 0.25 },
+  });
+  testLog('First player', {
+    firstPlayer: summary.firstPlayer,
+    expected: { wins: 2, winRate: 0.5, evenWinRate: 0.375 },
+  });
+  testLog('Average points', {
+    totals: summary.sides.map(side => side.averagePoints.total),
+    categories: Object.keys(summary.sides[0].averagePoints),
+    expected: { totals: [5.5, 5.25], categories: SCORE_CATEGORIES },
+  });
+  testLog('Sweeps', {
+    sweeps: summary.sweeps,
+    expected: { total: 3, perGame: 0.75, gamesWithSweep: 2, gameRate: 0.5 },
+  });
+};
+
+// Test that simulations are reproducible from their seed
+export const testSimulation = () => {
+  console.log('\n=== Testing Simulation ===');
+
+  const options = { games: 6, seed: 'simulation-test', policies: ['easy', 'random'] };
+  const first = simulateGames(options);
+  const second = simulateGames(options);
+
+  testLog('Same seed, same report', { same: JSON.stringify(first) === JSON.stringify(second), expected: true });
+  testLog('Every game decided or tied', {
+    games: first.sides.reduce((sum, side) => sum + side.wins, first.ties),
+    expected: 6,
+  });
+  testLog('Changed rule recorded', {
+    rule: simulateGames({ ...options, games: 1, ruleset: { trailWhileOwningBuild: 'always' } }).options.ruleset.trailWhileOwningBuild,
+    expected: 'always',
+  });
+
+  let error = null;
+  try {
+    simulateGames({ games: 1, policies: ['medium', 'perfect'] });
+  } catch (e) {
+    error = e.message;
+  }
+  testLog('Unknown policy', { rejected: Boolean(error && error.includes('perfect')), expected: true });
+
+  const csv = formatReportCsv(first).split('\n');
+  testLog('CSV rows', {
+    header: csv[0],
+    hasWinRate: csv.includes(`sides.0.winRate,${first.sides[0].winRate}`),
+    policies: csv.find(row => row.startsWith('options.policies,')),
+    expected: { header: 'metric,value', hasWinRate: true, policies: 'options.policies,easy random' },
+  });
+};
+
+// Run all tests
+export const runSimulationTests = () => {
+  console.log('🧪 Starting Simulation Tests...');
+
+  try {
+    testSelfPlayGame();
+    testSummary();
+    testSimulation();
+
+    console.log('\n✅ All simulation tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runSimulationTests();
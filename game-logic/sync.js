@@ -0,0 +1,44 @@
+/**
+ * Sync Module
+ * Keeps a copy of a game in step with the game it follows. Every committed state has a version
+ * (performMove raises it by one), so a copy that fell behind can ask for the moves since its
+ * version, and updates that arrive out of order can be recognised and dropped.
+ */
+
+/**
+ * Reads a state's version; states saved before versions were added count as version 0.
+ * @param {object} gameState - A full or projected game state.
+ * @returns {number} The state's version.
+ */
+export const getStateVersion = (gameState) => gameState.version || 0;
+
+/**
+ * Lists the moves committed after a version, from the game's history.
+ * The list is only returned if it leads from that version to the current state without a gap;
+ * after an undo, or for a version the game never had, the caller needs a full snapshot instead.
+ * Works on projected states too, since projections keep the history.
+ * @param {object} gameState - The current game state.
+ * @param {number} version - The version the caller has.
+ * @returns {Array<object>|null} The history entries ({ player, move, version }) after that version,
+ *   or null if they cannot bring that version up to date.
+ */
+export const getMovesSince = (gameState, version) => {
+  const current = getStateVersion(gameState);
+  if (!Number.isInteger(version) || version < 0 || version > current) return null;
+
+  const entries = gameState.history.filter(entry => entry.version > version);
+  const unbroken = entries.length === current - version &&
+    entries.every((entry, index) => entry.version === version + index + 1);
+  return unbroken ? entries : null;
+};
+
+/**
+ * Checks whether an update may replace the state a copy already has. Updates for an older
+ * version arrived out of order and are dropped; the same version is accepted again, so a
+ * resent state can undo a move the copy made ahead of its host.
+ * @param {object|null} currentState - The state the copy has, or null before the first update.
+ * @param {object} nextState - The state that arrived.
+ * @returns {boolean} True if nextState should replace currentState.
+ */
+export const isCurrentUpdate = (currentState, nextState) =>
+  !currentState || getStateVersion(nextState) >= getStateVersion(currentState);
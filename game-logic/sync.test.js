@@ -0,0 +1,117 @@
+/**
+ * Test suite for versioned states
+ * Verifies that versions only go up, that the moves since a version bring a copy up to date,
+ * and that out-of-order updates are recognised
+ */
+
+import { getStateVersion, getMovesSince, isCurrentUpdate } from './sync.js';
+import { initializeGame, setGameLogging } from './game-state.js';
+import { applyMove } from './moves.js';
+import { undoTurn, redoTurn } from './history.js';
+import { getLegalMoves } from './legal-moves.js';
+import { projectStateForPlayer } from './projection.js';
+
+// Plays the first legal move a number of times
+const playMoves = (gameState, count) => {
+  let state = gameState;
+  for (let i = 0; i < count; i++) state = applyMove(state, getLegalMoves(state)[0]);
+  return state;
+};
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that every committed state has a higher version than the one before
+export const testVersions = () => {
+  console.log('\n=== Testing Versions ===');
+
+  const wasLogging = setGameLogging(false);
+  try {
+    const start = initializeGame({ seed: 'sync-test', practiceMode: true });
+    const played = playMoves(start, 3);
+    testLog('New game', { version: getStateVersion(start), expected: 0 });
+    testLog('After three moves', {
+      version: getStateVersion(played),
+      entries: played.history.map(entry => entry.version),
+      expected: { version: 3, entries: [1, 2, 3] },
+    });
+
+    const undone = undoTurn(played);
+    const redone = redoTurn(undone);
+    testLog('Undo and redo keep counting', {
+      undone: getStateVersion(undone) > getStateVersion(played),
+      redone: getStateVersion(redone) > getStateVersion(undone),
+      expected: { undone: true, redone: true },
+    });
+    testLog('Saved before versions', { version: getStateVersion({ ...start, version: undefined }), expected: 0 });
+  } finally {
+    setGameLogging(wasLogging);
+  }
+};
+
+// Test catching up from an earlier version
+export const testMovesSince = () => {
+  console.log('\n=== Testing Moves Since a Version ===');
+
+  const wasLogging = setGameLogging(false);
+  try {
+    const start = initializeGame({ seed: 'sync-test', practiceMode: true });
+    const behind = playMoves(start, 2);
+    const current = playMoves(behind, 3);
+
+    const moves = getMovesSince(current, getStateVersion(behind));
+    const caughtUp = moves.reduce((state, entry) => applyMove(state, entry.move), behind);
+    testLog('Moves since version 2', {
+      versions: moves.map(entry => entry.version),
+      caughtUp: JSON.stringify(caughtUp) === JSON.stringify(current),
+      expected: { versions: [3, 4, 5], caughtUp: true },
+    });
+    testLog('Already up to date', { moves: getMovesSince(current, 5), expected: [] });
+    testLog('Version from the future', { moves: getMovesSince(current, 6), expected: null });
+    testLog('Projected state', {
+      moves: getMovesSince(projectStateForPlayer(current, 0), 2).length,
+      expected: 3,
+    });
+
+    // The moves after an undo do not lead on from the versions that were taken back
+    const afterUndo = playMoves(undoTurn(current), 1);
+    testLog('Across an undo', {
+      fromBefore: getMovesSince(afterUndo, 4),
+      fromUndo: getMovesSince(afterUndo, getStateVersion(afterUndo) - 1).length,
+      expected: { fromBefore: null, fromUndo: 1 },
+    });
+  } finally {
+    setGameLogging(wasLogging);
+  }
+};
+
+// Test which updates may replace a copy's state
+export const testOutOfOrderUpdates = () => {
+  console.log('\n=== Testing Out-of-Order Updates ===');
+
+  const at = (version) => ({ version });
+  testLog('First update', { accepted: isCurrentUpdate(null, at(4)), expected: true });
+  testLog('Newer update', { accepted: isCurrentUpdate(at(4), at(5)), expected: true });
+  testLog('Same version again', { accepted: isCurrentUpdate(at(4), at(4)), expected: true });
+  testLog('Older update', { accepted: isCurrentUpdate(at(5), at(4)), expected: false });
+};
+
+// Run all tests
+export const runSyncTests = () => {
+  console.log('🧪 Starting Sync Tests...');
+
+  try {
+    testVersions();
+    testMovesSince();
+    testOutOfOrderUpdates();
+
+    console.log('\n✅ All sync tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runSyncTests();
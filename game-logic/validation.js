@@ -3,8 +3,29 @@
  * Contains all validation logic for game moves and state
  */
 
-import { rankValue, calculateCardSum, isValidBuildType } from './card-operations.js';
+import { rankValue, calculateCardSum, isValidBuildType, isFaceCard, getCardId } from './card-operations.js';
 import { canPartitionIntoSums } from './algorithms.js';
+import { isValidPlayerSetup, getRoundCount } from './players.js';
+import { DEFAULT_RULESET, canOwnAnotherBuild, getRuleset } from './rulesets.js';
+import { ERROR_CODES } from './results.js';
+
+/**
+ * Checks the pairing rule for jacks, queens and kings: they only capture cards of
+ * the same rank, and can only be captured by a card of the same rank.
+ * @param {object} captureCard - The card used to capture.
+ * @param {Array} capturedCards - The individual cards being captured.
+ * @returns {object|null} A failed validation result, or null if the rule is satisfied.
+ */
+const validateFaceCardPairing = (captureCard, capturedCards) => {
+  const involvesFaceCard = isFaceCard(captureCard) || capturedCards.some(isFaceCard);
+  if (involvesFaceCard && capturedCards.some(c => c.rank !== captureCard.rank)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.FACE_CARD_PAIRING
+    };
+  }
+  return null;
+};
 
 /**
  * Validates if a build can be created with the given parameters.
@@ -13,18 +34,24 @@ import { canPartitionIntoSums } from './algorithms.js';
  * @param {number} buildValue - The target value of the build.
  * @param {Array} tableCards - The cards on the table.
  * @param {number} currentPlayer - The index of the current player.
+ * @param {object} [ruleset=DEFAULT_RULESET] - The rules in play.
  * @returns {boolean} True if the build is valid.
  */
-export const validateBuild = (playerHand, playerCard, buildValue, tableCards, currentPlayer) => {
-  // Check if player already owns a build
-  const playerAlreadyHasBuild = tableCards.some(
-    item => item.type === 'build' && item.owner === currentPlayer
-  );
+export const validateBuild = (playerHand, playerCard, buildValue, tableCards, currentPlayer, ruleset = DEFAULT_RULESET) => {
+  // Check if player may own another build
+  if (!canOwnAnotherBuild(tableCards, currentPlayer, ruleset)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.BUILD_LIMIT_REACHED,
+      params: { max: ruleset.maxBuildsPerPlayer }
+    };
+  }
 
-  if (playerAlreadyHasBuild) {
+  if (buildValue > ruleset.maxBuildValue) {
     return {
       valid: false,
-      message: "You can only have one build at a time."
+      code: ERROR_CODES.BUILD_VALUE_TOO_HIGH,
+      params: { value: buildValue, max: ruleset.maxBuildValue }
     };
   }
 
@@ -37,7 +64,8 @@ export const validateBuild = (playerHand, playerCard, buildValue, tableCards, cu
   if (!canCaptureBuild) {
     return {
       valid: false,
-      message: `Cannot build ${buildValue}. You do not have a card of this value to capture it later.`
+      code: ERROR_CODES.NO_CARD_TO_CAPTURE_BUILD,
+      params: { value: buildValue }
     };
   }
 
@@ -51,7 +79,8 @@ export const validateBuild = (playerHand, playerCard, buildValue, tableCards, cu
   if (opponentHasSameBuild) {
     return {
       valid: false,
-      message: `You cannot create a build of ${buildValue} because your opponent already has one.`
+      code: ERROR_CODES.OPPONENT_HAS_BUILD,
+      params: { value: buildValue }
     };
   }
 
@@ -63,7 +92,7 @@ export const validateBuild = (playerHand, playerCard, buildValue, tableCards, cu
  * @param {Array} stagedCards - The cards staged for the build.
  * @param {Array} playerHand - The current player's hand.
  * @param {number} currentPlayer - The index of the current player.
- * @returns {object} Validation result with valid flag and message.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
  */
 
 
@@ -71,7 +100,7 @@ export const validateBuild = (playerHand, playerCard, buildValue, tableCards, cu
  * Validates if a complex capture is valid.
  * @param {Array} stagedCards - The cards staged for capture.
  * @param {object} captureCard - The card used to capture.
- * @returns {object} Validation result with valid flag and message.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
  */
 export const validateComplexCapture = (stagedCards, captureCard) => {
   // All cards must be from the table
@@ -79,17 +108,66 @@ export const validateComplexCapture = (stagedCards, captureCard) => {
   if (!allFromTable) {
     return {
       valid: false,
-      message: "All cards in a capture must be from the table."
+      code: ERROR_CODES.CAPTURE_FROM_TABLE_ONLY
     };
   }
 
+  const faceCardError = validateFaceCardPairing(captureCard, stagedCards);
+  if (faceCardError) return faceCardError;
+
   const totalValue = calculateCardSum(stagedCards);
   const captureValue = rankValue(captureCard.rank);
 
   if (totalValue !== captureValue) {
     return {
       valid: false,
-      message: `Capture value (${captureValue}) does not match staged cards total (${totalValue}).`
+      code: ERROR_CODES.CAPTURE_TOTAL_MISMATCH,
+      params: { captureValue, total: totalValue }
+    };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Validates that a set of table items can be captured with a card.
+ * Builds must match the capture value; loose cards and temporary stacks must be
+ * partitionable into groups that each sum to the capture value.
+ * @param {object} captureCard - The card used to capture.
+ * @param {Array} targets - The table items (loose cards, builds, temporary stacks) being captured.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
+ */
+export const validateCapture = (captureCard, targets) => {
+  const captureValue = rankValue(captureCard.rank);
+
+  if (targets.length === 0) {
+    return { valid: false, code: ERROR_CODES.NOTHING_TO_CAPTURE };
+  }
+
+  const mismatchedBuild = targets.find(item => item.type === 'build' && item.value !== captureValue);
+  if (mismatchedBuild) {
+    return {
+      valid: false,
+      code: ERROR_CODES.CAPTURE_BUILD_MISMATCH,
+      params: { captureValue, buildValue: mismatchedBuild.value }
+    };
+  }
+
+  // The capturing card may already sit in a staged stack; it is not part of the captured total.
+  const capturedCards = targets
+    .filter(item => item.type !== 'build')
+    .flatMap(item => item.type === 'temporary_stack' ? item.cards : [item])
+    .filter(c => !(c.source === 'hand' && c.rank === captureCard.rank && c.suit === captureCard.suit))
+    .map(({ source, ...card }) => card);
+
+  const faceCardError = validateFaceCardPairing(captureCard, capturedCards);
+  if (faceCardError) return faceCardError;
+
+  if (!canPartitionIntoSums(capturedCards, captureValue)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.CAPTURE_TOTAL_MISMATCH,
+      params: { captureValue, total: calculateCardSum(capturedCards) }
     };
   }
 
@@ -102,62 +180,76 @@ export const validateComplexCapture = (stagedCards, captureCard) => {
  * @param {object} card - The card to trail.
  * @param {number} currentPlayer - The index of the current player.
  * @param {number} round - The current round number.
- * @returns {object} Validation result with valid flag and message.
+ * @param {object} [ruleset=DEFAULT_RULESET] - The rules in play.
+ * @param {Array} [playerHand] - The player's hand. When given, builds the player has no card left to capture don't restrict trailing.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
  */
-export const validateTrail = (tableCards, card, currentPlayer, round) => {
-  // Round 1 restriction: cannot trail if you own a build
-  if (round === 1 && tableCards.some(c => c.type === 'build' && c.owner === currentPlayer)) {
+export const validateTrail = (tableCards, card, currentPlayer, round, ruleset = DEFAULT_RULESET, playerHand = null) => {
+  // Owning a build may restrict trailing, in the first round or for the whole game.
+  // A build the player can no longer capture doesn't count, or they could be left without a legal move.
+  const ownsBuild = tableCards.some(c =>
+    c.type === 'build' &&
+    c.owner === currentPlayer &&
+    (!playerHand || playerHand.some(handCard => rankValue(handCard.rank) === c.value))
+  );
+  if (ownsBuild && ruleset.trailWhileOwningBuild === 'never') {
     return {
       valid: false,
-      message: "You cannot trail a card while you own a build in the first round. You must capture or build."
+      code: ERROR_CODES.TRAIL_WHILE_OWNING_BUILD
+    };
+  }
+  if (ownsBuild && ruleset.trailWhileOwningBuild === 'laterRounds' && round === 1) {
+    return {
+      valid: false,
+      code: ERROR_CODES.TRAIL_WHILE_OWNING_BUILD_FIRST_ROUND
     };
   }
 
   // Cannot trail a card if one of the same rank is already on the table
-  if (tableCards.some(c => !c.type && c.rank === card.rank)) {
+  if (!ruleset.trailMatchingTableRank && tableCards.some(c => !c.type && c.rank === card.rank)) {
     return {
       valid: false,
-      message: `You cannot trail a ${card.rank} because one is on the table. Try dragging to capture.`
+      code: ERROR_CODES.TRAIL_RANK_ON_TABLE,
+      params: { rank: card.rank }
     };
   }
 
   // Casino Rule: Cannot trail a card whose value equals any active build's value
   const value = rankValue(card.rank);
   const matchingBuild = tableCards.find(c => c.type === 'build' && c.value === value);
-  if (matchingBuild) {
+  if (matchingBuild && !ruleset.trailMatchingBuildValue) {
     return {
       valid: false,
-      message: `You cannot trail a ${card.rank}. A build of ${value} is active; you must capture or build.`
+      code: ERROR_CODES.TRAIL_BUILD_ACTIVE,
+      params: { rank: card.rank, value }
     };
   }
 
   return { valid: true };
 };
 
-export const validateAddToOpponentBuild = (build, playerCard, playerHand, tableCards, currentPlayer) => {
+export const validateAddToOpponentBuild = (build, playerCard, playerHand, tableCards, currentPlayer, ruleset = DEFAULT_RULESET) => {
   // Rule 1: Cannot add to your own build with this action
   if (build.owner === currentPlayer) {
     // This case is handled separately for "add to own build"
-    return { valid: false, message: "You cannot use this action on your own build." };
+    return { valid: false, code: ERROR_CODES.OWN_BUILD_NOT_ALLOWED };
   }
 
-  // Rule 2: Player cannot already have a build of their own
-  const playerAlreadyHasBuild = tableCards.some(
-    item => item.type === 'build' && item.owner === currentPlayer
-  );
-  if (playerAlreadyHasBuild) {
-    return { valid: false, message: "You cannot extend an opponent's build while you have your own." };
+  // Rule 2: Taking over the build must not put the player over the build limit
+  if (!canOwnAnotherBuild(tableCards, currentPlayer, ruleset)) {
+    return { valid: false, code: ERROR_CODES.EXTEND_WHILE_OWNING_BUILD };
   }
 
-  // Rule 3: Build must be simple and extendable
-  if (!build.isExtendable || build.cards.length >= 5) {
-    return { valid: false, message: "This build cannot be extended." };
+  // Rule 3: Build must be simple and extendable. A build made of several groups
+  // (such as 3+3 building 3) can't be raised: its cards don't add up to one new value.
+  if (!build.isExtendable || build.cards.length >= 5 || calculateCardSum(build.cards) !== build.value) {
+    return { valid: false, code: ERROR_CODES.BUILD_NOT_EXTENDABLE };
   }
 
-  // Rule 4: New value must be <= 10
+  // Rule 4: New value must not exceed the maximum build value
   const newValue = build.value + rankValue(playerCard.rank);
-  if (newValue > 10) {
-    return { valid: false, message: `Cannot extend build. New value (${newValue}) would be over 10.` };
+  if (newValue > ruleset.maxBuildValue) {
+    return { valid: false, code: ERROR_CODES.BUILD_VALUE_TOO_HIGH, params: { value: newValue, max: ruleset.maxBuildValue } };
   }
 
   // Rule 5: Player must have the capture card in hand
@@ -166,7 +258,7 @@ export const validateAddToOpponentBuild = (build, playerCard, playerHand, tableC
     (c.rank !== playerCard.rank || c.suit !== playerCard.suit)
   );
   if (!canCapture) {
-    return { valid: false, message: `You must have a ${newValue} in your hand to make this build.` };
+    return { valid: false, code: ERROR_CODES.NEED_CARD_FOR_BUILD, params: { value: newValue } };
   }
 
   return { valid: true, newValue };
@@ -181,7 +273,7 @@ export const validateAddToOwnBuild = (build, playerCard, playerHand) => {
     // Player must have another card of the same value to capture later
     const canCapture = remainingHand.some(c => rankValue(c.rank) === build.value);
     if (!canCapture) {
-      return { valid: false, message: `You must have another ${build.value} in your hand to reinforce this build.` };
+      return { valid: false, code: ERROR_CODES.NEED_ANOTHER_CARD_FOR_BUILD, params: { value: build.value } };
     }
     return { valid: true, newValue: build.value }; // The value doesn't change
   }
@@ -190,11 +282,11 @@ export const validateAddToOwnBuild = (build, playerCard, playerHand) => {
   // Only opponents can extend builds and gain ownership
   return { 
     valid: false, 
-    message: `You cannot extend your own build. Only your opponent can extend it and gain ownership.` 
+    code: ERROR_CODES.CANNOT_EXTEND_OWN_BUILD
   };
 };
 
-export const validateTemporaryStackBuild = (stack, handCard, playerHand, tableCards, currentPlayer) => {
+export const validateTemporaryStackBuild = (stack, handCard, playerHand, tableCards, currentPlayer, ruleset = DEFAULT_RULESET) => {
   // Note: Removed "player cannot already have a build" restriction here
   // The single-build restriction is enforced when finalizing temp stacks to permanent builds
   // This allows creating temporary stacks for merging into existing builds
@@ -214,22 +306,25 @@ export const validateTemporaryStackBuild = (stack, handCard, playerHand, tableCa
   // Case 1: Reinforcing a temporary stack to create a permanent build (e.g., dropping a 10 on a stack of 10)
   if (stackValue === handCardValue) {
     const buildValue = stackValue;
+    if (buildValue > ruleset.maxBuildValue) {
+      return { valid: false, code: ERROR_CODES.BUILD_VALUE_TOO_HIGH, params: { value: buildValue, max: ruleset.maxBuildValue } };
+    }
     const canCapture = remainingHand.some(c => rankValue(c.rank) === buildValue);
     if (!canCapture) {
-      return { valid: false, message: `You must have another ${buildValue} in your hand to create this build.` };
+      return { valid: false, code: ERROR_CODES.NEED_ANOTHER_CARD_FOR_BUILD, params: { value: buildValue } };
     }
     return { valid: true, newValue: buildValue };
   }
 
   // Case 2: Increasing a temporary stack's value to create a permanent build (e.g., dropping a 2 on a stack of 8)
   const newBuildValue = stackValue + handCardValue;
-  if (newBuildValue > 10) {
-    return { valid: false, message: `Cannot build. The total value (${newBuildValue}) would be over 10.` };
+  if (newBuildValue > ruleset.maxBuildValue) {
+    return { valid: false, code: ERROR_CODES.BUILD_VALUE_TOO_HIGH, params: { value: newBuildValue, max: ruleset.maxBuildValue } };
   }
 
   const canCaptureNewValue = remainingHand.some(c => rankValue(c.rank) === newBuildValue);
   if (!canCaptureNewValue) {
-    return { valid: false, message: `You must have a ${newBuildValue} in your hand to make this build.` };
+    return { valid: false, code: ERROR_CODES.NEED_CARD_FOR_BUILD, params: { value: newBuildValue } };
   }
 
   return { valid: true, newValue: newBuildValue };
@@ -241,7 +336,7 @@ export const validateReinforceBuildWithStack = (stack, targetBuild) => {
   if (handCardsInStack.length !== 1) {
     return {
       valid: false,
-      message: "You must use exactly one card from your hand to add to a build."
+      code: ERROR_CODES.ONE_HAND_CARD_REQUIRED
     };
   }
 
@@ -250,7 +345,8 @@ export const validateReinforceBuildWithStack = (stack, targetBuild) => {
   if (!canPartitionIntoSums(cardsForPartition, targetBuild.value)) {
     return {
       valid: false,
-      message: `The cards in your stack cannot be grouped to match the build value of ${targetBuild.value}.`
+      code: ERROR_CODES.STACK_DOES_NOT_MATCH_BUILD,
+      params: { value: targetBuild.value }
     };
   }
 
@@ -263,26 +359,26 @@ export const validateReinforceBuildWithStack = (stack, targetBuild) => {
  * @param {object} stack - The temporary stack to merge.
  * @param {object} targetBuild - The player's own build to merge into.
  * @param {number} currentPlayer - The index of the current player.
- * @returns {object} Validation result with valid flag and message.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
  */
 export const validateMergeIntoOwnBuild = (stack, targetBuild, currentPlayer) => {
   // Rule 1: Target build must be owned by the current player.
   if (targetBuild.owner !== currentPlayer) {
     return {
       valid: false,
-      message: "You can only merge table cards into your own build."
+      code: ERROR_CODES.NOT_YOUR_BUILD
     };
   }
 
   // Rule 2: The stack must contain zero cards from the player's hand.
   if (stack.cards.some(c => c.source === 'hand')) {
-    return { valid: false, message: "This action is for merging table cards only." };
+    return { valid: false, code: ERROR_CODES.TABLE_CARDS_ONLY };
   }
 
   // Rule 3: The cards in the stack must be partitionable into groups that sum to the target build's value.
   const cardsForPartition = stack.cards.map(({ source, ...card }) => card);
   if (!canPartitionIntoSums(cardsForPartition, targetBuild.value)) {
-    return { valid: false, message: `The cards in your stack cannot be grouped to match the build value of ${targetBuild.value}.` };
+    return { valid: false, code: ERROR_CODES.STACK_DOES_NOT_MATCH_BUILD, params: { value: targetBuild.value } };
   }
 
   return { valid: true };
@@ -293,14 +389,14 @@ export const validateMergeIntoOwnBuild = (stack, targetBuild, currentPlayer) =>
  * @param {object} ownBuild - The player's own active build.
  * @param {object} opponentBuild - The opponent's build to be extended.
  * @param {object} handCard - The card from the player's hand used to extend.
- * @returns {object} Validation result with valid flag and message.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
  */
 export const validateExtendToMerge = (ownBuild, opponentBuild, handCard) => {
   // Rule 1: Opponent's build must be extendable (not a base build or reinforced).
-  if (!opponentBuild.isExtendable) {
+  if (!opponentBuild.isExtendable || calculateCardSum(opponentBuild.cards) !== opponentBuild.value) {
     return {
       valid: false,
-      message: "This build cannot be extended."
+      code: ERROR_CODES.BUILD_NOT_EXTENDABLE
     };
   }
 
@@ -309,7 +405,7 @@ export const validateExtendToMerge = (ownBuild, opponentBuild, handCard) => {
 
   // Rule 3: The new value must match the player's own build value.
   if (newValue !== ownBuild.value) {
-    return { valid: false, message: `Cannot merge. The combined value (${newValue}) does not match your build of ${ownBuild.value}.` };
+    return { valid: false, code: ERROR_CODES.MERGE_VALUE_MISMATCH, params: { value: newValue, buildValue: ownBuild.value } };
   }
 
   return { valid: true };
@@ -321,15 +417,13 @@ export const validateExtendToMerge = (ownBuild, opponentBuild, handCard) => {
  * @param {Array} playerHand - The hand of the current player.
  * @param {Array} tableCards - The cards on the table.
  * @param {number} currentPlayer - The index of the current player.
+ * @param {object} [ruleset=DEFAULT_RULESET] - The rules in play.
  * @returns {Array<number>} An array of numbers representing the valid build values.
  */
-export const findPossibleBuildsFromStack = (stack, playerHand, tableCards, currentPlayer) => {
-  // Rule 1: Player cannot already have a build.
-  const playerAlreadyHasBuild = tableCards.some(
-    item => item.type === 'build' && item.owner === currentPlayer
-  );
-  if (playerAlreadyHasBuild) {
-    return []; // Cannot create a new build if one is already owned.
+export const findPossibleBuildsFromStack = (stack, playerHand, tableCards, currentPlayer, ruleset = DEFAULT_RULESET) => {
+  // Rule 1: Player must be allowed another build.
+  if (!canOwnAnotherBuild(tableCards, currentPlayer, ruleset)) {
+    return []; // Cannot create a new build over the limit.
   }
 
   // Rule 2: The stack must contain exactly one card from the player's hand.
@@ -346,7 +440,8 @@ export const findPossibleBuildsFromStack = (stack, playerHand, tableCards, curre
   }
 
   // Get the unique values from the remaining hand cards. These are our potential build values.
-  const potentialBuildValues = [...new Set(remainingHand.map(c => rankValue(c.rank)))];
+  const potentialBuildValues = [...new Set(remainingHand.map(c => rankValue(c.rank)))]
+    .filter(value => value <= ruleset.maxBuildValue);
 
   const cardsToBuildWith = stack.cards.map(({ source, ...card }) => card);
 
@@ -360,43 +455,113 @@ export const findPossibleBuildsFromStack = (stack, playerHand, tableCards, curre
  * @param {object} stack - The temporary stack to merge.
  * @param {object} opponentBuild - The opponent's build to reinforce.
  * @param {number} currentPlayer - The index of the current player.
- * @returns {object} Validation result with valid flag and message.
+ * @returns {object} Validation result with valid flag, and an error code and params when invalid.
  */
 export const validateReinforceOpponentBuildWithStack = (stack, opponentBuild, currentPlayer) => {
   // Rule 1: Target build must NOT be owned by the current player.
   if (opponentBuild.owner === currentPlayer) {
-    return { valid: false, message: "This action is for reinforcing an opponent's build." };
+    return { valid: false, code: ERROR_CODES.OPPONENT_BUILD_REQUIRED };
   }
 
   // Rule 2: The stack must contain zero cards from the player's hand.
   if (stack.cards.some(c => c.source === 'hand')) {
-    return { valid: false, message: "You cannot use a hand card for this type of reinforcement." };
+    return { valid: false, code: ERROR_CODES.HAND_CARD_NOT_ALLOWED };
   }
 
   // Rule 3: Opponent's build must be extendable.
   if (!opponentBuild.isExtendable) {
-    return { valid: false, message: "This build cannot be extended." };
+    return { valid: false, code: ERROR_CODES.BUILD_NOT_EXTENDABLE };
   }
 
   // Rule 4: The cards in the stack must be partitionable into groups that sum to the target build's value.
   const cardsForPartition = stack.cards.map(({ source, ...card }) => card);
   if (!canPartitionIntoSums(cardsForPartition, opponentBuild.value)) {
-    return { valid: false, message: `The cards in your stack cannot be grouped to match the build value of ${opponentBuild.value}.` };
+    return { valid: false, code: ERROR_CODES.STACK_DOES_NOT_MATCH_BUILD, params: { value: opponentBuild.value } };
   }
 
   return { valid: true };
 };
 
 /**
- * Validates game state integrity.
+ * Checks that every card of the deck is somewhere in the game exactly once: in the deck,
+ * a hand, loose on the table, in a build or staging stack, or in a capture pile.
+ * @param {object} gameState - The current game state.
+ * @returns {Array<string>} The problems found; empty if every card is accounted for.
+ */
+const findCardConservationIssues = (gameState) => {
+  const { deck = [], playerHands = [], tableCards = [], playerCaptures = [] } = gameState;
+  const { deckSize } = getRuleset(gameState);
+  const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', ...(deckSize === 52 ? ['J', 'Q', 'K'] : [])];
+  const suits = ['♠', '♥', '♦', '♣'];
+
+  const locatedCards = [
+    ...deck.map(card => [card, 'deck']),
+    ...playerHands.flatMap((hand, player) => hand.map(card => [card, `P${player + 1}'s hand`])),
+    ...tableCards.flatMap(item => (item.cards || [item]).map(card => [card, item.buildId || item.stackId || 'table'])),
+    ...playerCaptures.flatMap((groups, player) => groups.flat().map(card => [card, `P${player + 1}'s captures`])),
+  ];
+
+  const issues = [];
+  const seen = new Map();
+  locatedCards.forEach(([card, location]) => {
+    const cardId = getCardId(card);
+    if (!ranks.includes(card.rank) || !suits.includes(card.suit)) {
+      issues.push(`Unknown card ${cardId} in ${location}`);
+    } else if (seen.has(cardId)) {
+      issues.push(`Card ${cardId} is in both ${seen.get(cardId)} and ${location}`);
+    } else {
+      seen.set(cardId, location);
+    }
+  });
+
+  if (locatedCards.length !== deckSize) {
+    issues.push(`Expected ${deckSize} cards in play but found ${locatedCards.length}`);
+  }
+  return issues;
+};
+
+/**
+ * Checks that builds and staging stacks belong to a player at the table, and that each
+ * build's cards can be split into groups of its value.
+ * @param {object} gameState - The current game state.
+ * @param {number} playerCount - The number of players.
+ * @returns {Array<string>} The problems found.
+ */
+const findTableItemIssues = (gameState, playerCount) => {
+  const { maxBuildValue } = getRuleset(gameState);
+  const isPlayer = (owner) => Number.isInteger(owner) && owner >= 0 && owner < playerCount;
+
+  return (gameState.tableCards || []).flatMap(item => {
+    if (item.type === 'build') {
+      const issues = [];
+      if (!isPlayer(item.owner)) issues.push(`Build ${item.buildId} has no valid owner (${item.owner})`);
+      if (!(item.value >= 1 && item.value <= maxBuildValue)) {
+        issues.push(`Build ${item.buildId} has an invalid value (${item.value})`);
+      } else if (!canPartitionIntoSums(item.cards, item.value)) {
+        issues.push(`Build ${item.buildId} cards do not make groups of ${item.value}`);
+      }
+      return issues;
+    }
+    if (item.type === 'temporary_stack' && !isPlayer(item.owner)) {
+      return [`Staging stack ${item.stackId} has no valid owner (${item.owner})`];
+    }
+    return [];
+  });
+};
+
+/**
+ * Validates game state integrity: the shape of the state, that no card has been lost or
+ * duplicated, and that builds and staging stacks are consistent.
  * @param {object} gameState - The current game state.
  * @returns {object} Validation result with valid flag and issues array.
  */
 export const validateGameState = (gameState) => {
   const issues = [];
 
+  const playerCount = Array.isArray(gameState.playerHands) ? gameState.playerHands.length : 0;
+
   // Check player hands
-  if (!Array.isArray(gameState.playerHands) || gameState.playerHands.length !== 2) {
+  if (!Array.isArray(gameState.playerHands) || !isValidPlayerSetup(playerCount, gameState.partnerships)) {
     issues.push("Invalid player hands structure");
   }
 
@@ -406,20 +571,26 @@ export const validateGameState = (gameState) => {
   }
 
   // Check captured cards
-  if (!Array.isArray(gameState.playerCaptures) || gameState.playerCaptures.length !== 2) {
+  if (!Array.isArray(gameState.playerCaptures) || gameState.playerCaptures.length !== playerCount) {
     issues.push("Invalid player captures structure");
   }
 
   // Check current player
-  if (typeof gameState.currentPlayer !== 'number' || gameState.currentPlayer < 0 || gameState.currentPlayer > 1) {
+  if (typeof gameState.currentPlayer !== 'number' || gameState.currentPlayer < 0 || gameState.currentPlayer >= playerCount) {
     issues.push("Invalid current player index");
   }
 
   // Check round
-  if (typeof gameState.round !== 'number' || gameState.round < 1 || gameState.round > 2) {
+  const roundCount = getRoundCount(playerCount, getRuleset(gameState));
+  if (typeof gameState.round !== 'number' || gameState.round < 1 || gameState.round > roundCount) {
     issues.push("Invalid round number");
   }
 
+  // Check that cards are conserved and the table is consistent
+  if (issues.length === 0) {
+    issues.push(...findCardConservationIssues(gameState), ...findTableItemIssues(gameState, playerCount));
+  }
+
   return {
     valid: issues.length === 0,
     issues
@@ -0,0 +1,150 @@
+/**
+ * Test suite for game state invariants
+ * Verifies that validateGameState catches lost, duplicated and unknown cards and inconsistent builds,
+ * and that the move that broke the state is the one reported
+ */
+
+import { validateGameState } from './validation.js';
+import { applyMove, findBrokenInvariants, MOVE_TYPES } from './moves.js';
+import { initializeGame, setGameLogging } from './game-state.js';
+import { getLegalMoves } from './legal-moves.js';
+import { rankValue } from './card-operations.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that every card must be in play exactly once
+export const testCardConservation = () => {
+  console.log('\n=== Testing Card Conservation ===');
+
+  const state = initializeGame({ seed: 'validation-test' });
+  testLog('New game is valid', { valid: validateGameState(state).valid, expected: true });
+
+  const classic52 = initializeGame({ seed: 'validation-test', ruleset: 'classic52' });
+  testLog('52-card game is valid', { valid: validateGameState(classic52).valid, expected: true });
+
+  const [lostCard, ...restOfDeck] = state.deck;
+  testLog('Lost card', {
+    issues: validateGameState({ ...state, deck: restOfDeck }).issues,
+    expected: ['Expected 40 cards in play but found 39'],
+  });
+
+  const duplicated = { ...state, tableCards: [...state.tableCards, lostCard] };
+  testLog('Duplicated card', {
+    issues: validateGameState(duplicated).issues.length,
+    expected: 2,
+    reportsBothPlaces: validateGameState(duplicated).issues[0].includes('deck and table'),
+  });
+
+  testLog('Face card in a 40-card game', {
+    issue: validateGameState({ ...state, deck: [...restOfDeck, card('J', '♠')] }).issues[0],
+    expected: 'Unknown card J-♠ in deck',
+  });
+};
+
+// Test that builds must belong to a player and add up to their value
+export const testBuildConsistency = () => {
+  console.log('\n=== Testing Build Consistency ===');
+
+  const state = initializeGame({ seed: 'validation-test' });
+  const [first, second, ...restOfDeck] = state.deck;
+  const build = { buildId: 'build-test', type: 'build', cards: [first, second], owner: 0, isExtendable: true };
+  const withBuild = (overrides) => ({ ...state, deck: restOfDeck, tableCards: [...state.tableCards, { ...build, ...overrides }] });
+
+  const value = first.value + second.value;
+  if (value <= 10) {
+    testLog('Consistent build', { valid: validateGameState(withBuild({ value })).valid, expected: true });
+  }
+  testLog('Build with no owner', {
+    issue: validateGameState(withBuild({ value: 10, owner: 5 })).issues[0],
+    expected: 'Build build-test has no valid owner (5)',
+  });
+  testLog('Build value that does not add up', {
+    valid: validateGameState(withBuild({ value: first.value + second.value + 1 })).valid,
+    expected: false,
+  });
+};
+
+// Test that the move that breaks the state is the one blamed
+export const testBrokenMoveReport = () => {
+  console.log('\n=== Testing Broken Move Report ===');
+
+  const state = initializeGame({ seed: 'validation-test' });
+  const move = { type: MOVE_TYPES.TRAIL, cardId: 'test' };
+  const broken = { ...state, deck: state.deck.slice(1) };
+
+  testLog('Valid move', { issues: findBrokenInvariants(state, move, state), expected: null });
+  testLog('Move that loses a card', { issues: findBrokenInvariants(state, move, broken) });
+  testLog('Already broken before the move', { issues: findBrokenInvariants(broken, move, broken), expected: null });
+};
+
+// Test that whole games keep every card, including staging and cancelling opponent cards
+// and raising builds (a doubled build such as 3+3 used to be raised into a "6" of three 3s)
+export const testWholeGames = () => {
+  console.log('\n=== Testing Whole Games ===');
+
+  const previousLogging = setGameLogging(false);
+  try {
+    ['house', 'classic52'].forEach(ruleset => {
+      let state = initializeGame({ seed: `invariants-${ruleset}`, ruleset, playerCount: 3 });
+      let brokenMoves = 0;
+
+      while (!state.gameOver) {
+        if (state.playerHands.every(hand => hand.length === 0)) {
+          state = applyMove(state, { type: state.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME });
+          continue;
+        }
+
+        // Stage and cancel the next opponent's top card first, the path that used to reuse their capture group
+        const opponentPile = state.playerCaptures[(state.currentPlayer + 1) % 3];
+        const topGroup = opponentPile[opponentPile.length - 1];
+        if (topGroup && topGroup.length > 0) {
+          const topCard = topGroup[topGroup.length - 1];
+          const staged = applyMove(state, { type: MOVE_TYPES.STAGE_OPPONENT_CARD, cardId: `${topCard.rank}-${topCard.suit}` });
+          const stack = staged.tableCards.find(item => item.type === 'temporary_stack');
+          if (stack) {
+            const cancelled = applyMove(staged, { type: MOVE_TYPES.CANCEL_STAGING_STACK, stackId: stack.stackId });
+            if (findBrokenInvariants(state, null, staged)) brokenMoves++;
+            if (findBrokenInvariants(staged, null, cancelled)) brokenMoves++;
+            // Cancelling must not change the staged state it started from
+            if (!validateGameState(staged).valid) brokenMoves++;
+          }
+        }
+
+        const moves = getLegalMoves(state);
+        if (moves.length === 0) break;
+        const move = moves[moves.length - 1];
+        const nextState = applyMove(state, move);
+        if (findBrokenInvariants(state, move, nextState)) brokenMoves++;
+        state = nextState;
+      }
+
+      testLog(`Every ${ruleset} move keeps the cards`, { brokenMoves, expected: 0, valid: validateGameState(state).valid });
+    });
+  } finally {
+    setGameLogging(previousLogging);
+  }
+};
+
+// Run all tests
+export const runValidationTests = () => {
+  console.log('🧪 Starting Validation Tests...');
+
+  try {
+    testCardConservation();
+    testBuildConsistency();
+    testBrokenMoveReport();
+    testWholeGames();
+
+    console.log('\n✅ All validation tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runValidationTests();
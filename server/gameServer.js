@@ -0,0 +1,267 @@
+/**
+ * Game server for local-network play
+ * One device (or a laptop) hosts the game over WebSocket and owns the only real game state.
+ * Each client joins to take a seat, sends its moves, and is sent back only what its player
+ * may see (projectStateForPlayer): never the deck or other players' hands.
+ *
+ * Spectators join to watch instead (projectStateForSpectator). They are sent every committed
+ * state with the hands hidden or, if the server reveals hands, every state with the hands
+ * shown once a delay has passed. They cannot play.
+ *
+ * Messages are JSON:
+ * - client to host: { type: 'join', role, player }, with role 'player' or 'spectator' and, when
+ *   rejoining, the seat the player had; { type: 'move', move, version }; { type: 'sync', since }
+ * - host to client: { type: 'welcome', player, role }, { type: 'state', state },
+ *   { type: 'moves', since, moves, state } and { type: 'error', error: { code, params } }
+ * A move's version is the version of the state it was made from; moves made from an older
+ * state are dropped and the sender is sent the current state instead.
+ *
+ * A client that lost its connection joins again and asks for the moves since the version it
+ * has. It is sent those moves with the state they lead to, or just the state (a snapshot) if
+ * the history cannot bridge the gap; a sync without since always gets a snapshot.
+ */
+
+import { WebSocketServer } from 'ws';
+import {
+  initializeGame,
+  performMove,
+  success,
+  failure,
+  ERROR_CODES,
+  MOVE_TYPES,
+  isSystemMove,
+  isWellFormedMove,
+  isLegalMove,
+  projectStateForPlayer,
+  projectStateForSpectator,
+  getStateVersion,
+  getMovesSince
+} from '../game-logic/index.js';
+import { DEFAULT_PORT } from '../utils/gameClient.js';
+
+export { DEFAULT_PORT };
+
+/**
+ * Deals the next round or scores the game once every hand is empty.
+ * @param {object} gameState - The game state after a move.
+ * @returns {object} The game state with a player to move, or the finished game.
+ */
+const advanceDeal = (gameState) => {
+  if (gameState.gameOver || gameState.playerHands.some(hand => hand.length > 0)) return gameState;
+  const type = gameState.deck.length > 0 ? MOVE_TYPES.START_NEXT_ROUND : MOVE_TYPES.END_GAME;
+  return performMove(gameState, { type }).state;
+};
+
+/**
+ * Creates the host's side of a game, apart from any network: seats, moves and views.
+ * @param {object} [options] - Host options.
+ * @param {object} [options.gameOptions={}] - Options for initializeGame.
+ * @param {object} [options.initialState=null] - A game to continue instead of dealing a new one.
+ * @returns {object} The host: getState, join, leave, play and viewFor.
+ */
+export const createGameHost = ({ gameOptions = {}, initialState = null } = {}) => {
+  let gameState = initialState || initializeGame(gameOptions);
+  const takenSeats = gameState.playerHands.map(() => false);
+
+  return {
+    getState: () => gameState,
+
+    // Seats a player at the seat they ask for if it is free, or else at the first free seat;
+    // the result's value is the seat
+    join: (preferredSeat = null) => {
+      const player = takenSeats[preferredSeat] === false ? preferredSeat : takenSeats.indexOf(false);
+      if (player === -1) return failure(gameState, ERROR_CODES.TABLE_FULL);
+      takenSeats[player] = true;
+      return { ...success(gameState), player };
+    },
+
+    // Frees a seat, so a player who lost their connection can join again
+    leave: (player) => {
+      takenSeats[player] = false;
+    },
+
+    /**
+     * Plays a move for a seated player, if it is their turn, the engine accepts it and it is one
+     * of the legal moves (isLegalMove). Rounds are dealt, the table swept and the game scored by
+     * the host as soon as every hand is empty, so clients may not send those moves; nor
+     * timeouts, since only the host could know how long a turn really took. A move that is not
+     * well formed (isWellFormedMove) is refused before anything reads it.
+     * @param {number} player - The seat the move came from.
+     * @param {object} move - The serializable move.
+     * @returns {object} The result, with the new game state.
+     */
+    play: (player, move) => {
+      if (!isWellFormedMove(move)) {
+        return failure(gameState, ERROR_CODES.INVALID_MOVE);
+      }
+      if (player !== gameState.currentPlayer) {
+        return failure(gameState, ERROR_CODES.NOT_YOUR_TURN);
+      }
+      if (isSystemMove(move) || move.type === MOVE_TYPES.TIMEOUT) {
+        return failure(gameState, ERROR_CODES.NOT_A_PLAYER_MOVE);
+      }
+      // The engine's own error explains a refused move best; a move it accepts must still be legal
+      const result = performMove(gameState, move);
+      if (!result.ok) return result;
+      if (!isLegalMove(gameState, move)) return failure(gameState, ERROR_CODES.MOVE_NOT_ALLOWED);
+      gameState = advanceDeal(result.state);
+      return { ...result, state: gameState };
+    },
+
+    viewFor: (player) => projectStateForPlayer(gameState, player),
+  };
+};
+
+// Reads a client message, or null if it is not JSON
+const parseMessage = (data) => {
+  try {
+    return JSON.parse(String(data));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Starts hosting a game over WebSocket.
+ * @param {object} [options] - Server options.
+ * @param {number} [options.port=DEFAULT_PORT] - The port to listen on; 0 picks a free one.
+ * @param {object} [options.gameOptions={}] - Options for initializeGame.
+ * @param {object} [options.initialState=null] - A game to continue instead of dealing a new one.
+ * @param {number|null} [options.spectatorRevealDelayMs=null] - Show spectators every hand this long after each
+ *   move; null never shows them a hand.
+ * @returns {Promise<object>} The running server: its port, its host and close().
+ */
+export const startGameServer = async ({
+  port = DEFAULT_PORT,
+  gameOptions = {},
+  initialState = null,
+  spectatorRevealDelayMs = null
+} = {}) => {
+  const host = createGameHost({ gameOptions, initialState });
+  const seats = new Map();
+  const spectators = new Set();
+  const revealTimers = new Set();
+  const wss = new WebSocketServer({ port });
+  const revealsHands = spectatorRevealDelayMs !== null;
+
+  // What spectators are shown now; until the first reveal, the deal with hands hidden
+  let spectatorState = projectStateForSpectator(host.getState());
+
+  const send = (socket, message) => socket.send(JSON.stringify(message));
+  const sendError = (socket, { code, params }) => send(socket, { type: 'error', error: { code, params } });
+
+  const showSpectators = (state) => {
+    spectatorState = state;
+    spectators.forEach(socket => send(socket, { type: 'state', state }));
+  };
+
+  // Spectators see each state at once with hands hidden, or after the delay with hands shown
+  const updateSpectators = () => {
+    const state = projectStateForSpectator(host.getState(), { revealHands: revealsHands });
+    if (!revealsHands) {
+      showSpectators(state);
+      return;
+    }
+    const timer = setTimeout(() => {
+      revealTimers.delete(timer);
+      showSpectators(state);
+    }, spectatorRevealDelayMs);
+    revealTimers.add(timer);
+  };
+
+  // Every seated player gets their own view of the new state
+  const broadcastState = () => {
+    seats.forEach((player, socket) => send(socket, { type: 'state', state: host.viewFor(player) }));
+    updateSpectators();
+  };
+
+  // Answers one client message: a join, a sync or a move
+  const handleMessage = (socket, message) => {
+    const player = seats.get(socket);
+
+    if (message && message.type === 'join') {
+      if (player !== undefined || spectators.has(socket)) return;
+      if (message.role === 'spectator') {
+        spectators.add(socket);
+        send(socket, { type: 'welcome', player: null, role: 'spectator' });
+        send(socket, { type: 'state', state: spectatorState });
+        return;
+      }
+      const joined = host.join(Number.isInteger(message.player) ? message.player : null);
+      if (!joined.ok) {
+        sendError(socket, joined.error);
+        socket.close();
+        return;
+      }
+      seats.set(socket, joined.player);
+      send(socket, { type: 'welcome', player: joined.player, role: 'player' });
+      send(socket, { type: 'state', state: host.viewFor(joined.player) });
+      return;
+    }
+
+    // A snapshot, or the moves since the client's version if they bring it up to date
+    if (message && message.type === 'sync' && (player !== undefined || spectators.has(socket))) {
+      const state = player !== undefined ? host.viewFor(player) : spectatorState;
+      const moves = message.since === undefined ? null : getMovesSince(state, message.since);
+      send(socket, moves ? { type: 'moves', since: message.since, moves, state } : { type: 'state', state });
+      return;
+    }
+
+    if (message && message.type === 'move' && spectators.has(socket)) {
+      sendError(socket, failure(host.getState(), ERROR_CODES.SPECTATORS_CANNOT_PLAY).error);
+      return;
+    }
+
+    if (message && message.type === 'move' && player !== undefined) {
+      if (message.version !== getStateVersion(host.getState())) {
+        send(socket, { type: 'state', state: host.viewFor(player) });
+        return;
+      }
+      const result = host.play(player, message.move);
+      if (result.ok) {
+        broadcastState();
+      } else {
+        sendError(socket, result.error);
+      }
+      return;
+    }
+
+    sendError(socket, failure(host.getState(), ERROR_CODES.INVALID_MOVE).error);
+  };
+
+  wss.on('connection', (socket) => {
+    socket.on('message', (data) => {
+      // A message the host did not expect must not take the game down for everyone
+      try {
+        handleMessage(socket, parseMessage(data));
+      } catch (error) {
+        console.error('Could not handle a client message:', error);
+        sendError(socket, failure(host.getState(), ERROR_CODES.INVALID_MOVE).error);
+      }
+    });
+
+    socket.on('close', () => {
+      spectators.delete(socket);
+      const player = seats.get(socket);
+      if (player === undefined) return;
+      seats.delete(socket);
+      host.leave(player);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    wss.once('listening', resolve);
+    wss.once('error', reject);
+  });
+  updateSpectators();
+
+  return {
+    port: wss.address().port,
+    host,
+    close: () => new Promise((resolve) => {
+      revealTimers.forEach(timer => clearTimeout(timer));
+      wss.clients.forEach(socket => socket.terminate());
+      wss.close(() => resolve());
+    }),
+  };
+};
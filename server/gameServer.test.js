@@ -0,0 +1,349 @@
+/**
+ * Test suite for local-network play
+ * Starts a real server on a free port and plays a whole game between two scripted clients,
+ * checking that each client sees only its own hand and that the host enforces turns and legal moves
+ * and survives malformed messages
+ */
+
+import { WebSocket } from 'ws';
+import { startGameServer, createGameHost } from './gameServer.js';
+import { connectToGame, toHostUrl } from '../utils/gameClient.js';
+import { getLegalMoves, setGameLogging, ERROR_CODES, MOVE_TYPES, getCardId } from '../game-logic/index.js';
+
+// Resolves with the next message from the host that passes the check
+const nextMessage = (client, check = () => true) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('No message from the host')), 5000);
+  const stop = client.subscribe(message => {
+    if (!check(message)) return;
+    clearTimeout(timer);
+    stop();
+    resolve(message);
+  });
+});
+
+// Connects a scripted client and waits for its seat and first state
+const joinGame = async (port, role = 'player') => {
+  const client = connectToGame(`ws://127.0.0.1:${port}`, { role, WebSocket });
+  await nextMessage(client, message => message.type === 'state');
+  return client;
+};
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test the host without a network
+export const testHost = () => {
+  console.log('\n=== Testing Host ===');
+
+  const host = createGameHost({ gameOptions: { seed: 'server-test' } });
+  const seats = [host.join().player, host.join().player];
+  testLog('Seats', { seats, full: host.join().error.code, expected: { seats: [0, 1], full: ERROR_CODES.TABLE_FULL } });
+
+  const view = host.viewFor(0);
+  testLog('Own view', {
+    ownHand: view.playerHands[0].length,
+    otherHand: view.playerHands[1].length,
+    handCounts: view.handCounts,
+    deck: view.deck.length,
+    seed: view.seed,
+    expected: { ownHand: 10, otherHand: 0, handCounts: [10, 10], deck: 0, seed: null },
+  });
+
+  const cardId = getCardId(host.getState().playerHands[1][0]);
+  const result = host.play(1, { type: MOVE_TYPES.TRAIL, cardId });
+  testLog('Out of turn', { code: result.error.code, expected: ERROR_CODES.NOT_YOUR_TURN });
+
+  // Dealing, sweeping and scoring are the host's to do
+  const systemMoves = [MOVE_TYPES.START_NEXT_ROUND, MOVE_TYPES.SWEEP, MOVE_TYPES.END_GAME]
+    .map(type => host.play(0, { type }).error.code);
+  testLog('Game moves refused', {
+    codes: systemMoves,
+    gameOver: host.getState().gameOver,
+    expected: { codes: Array(3).fill(ERROR_CODES.NOT_A_PLAYER_MOVE), gameOver: false },
+  });
+
+  // Moves straight off the network can be anything
+  const malformed = [
+    null,
+    'trail',
+    { type: 7 },
+    { type: MOVE_TYPES.CAPTURE, cardId: getCardId(host.getState().playerHands[0][0]), targetIds: 'all' },
+    { type: MOVE_TYPES.BASE_BUILD, otherCardIds: 5 },
+  ].map(move => host.play(0, move).error.code);
+  testLog('Malformed moves refused', { codes: malformed, expected: Array(5).fill(ERROR_CODES.INVALID_MOVE) });
+
+  const legalMove = getLegalMoves(host.getState())[0];
+  testLog('Legal move played', { ok: host.play(0, legalMove).ok, currentPlayer: host.getState().currentPlayer, expected: { ok: true, currentPlayer: 1 } });
+
+  // Even a game with a clock does not let a client say its turn ran out
+  const clocked = createGameHost({ gameOptions: { seed: 'server-test', clock: { limitMs: 1000 } } });
+  const timeout = clocked.play(0, { type: MOVE_TYPES.TIMEOUT, elapsedMs: 5000 });
+  testLog('Client timeout refused', {
+    code: timeout.error.code,
+    player: clocked.getState().currentPlayer,
+    expected: { code: ERROR_CODES.NOT_A_PLAYER_MOVE, player: 0 },
+  });
+};
+
+// Test a whole game between two clients over a real connection
+export const testNetworkGame = async () => {
+  console.log('\n=== Testing Network Game ===');
+
+  const wasLogging = setGameLogging(false);
+  const server = await startGameServer({ port: 0, gameOptions: { seed: 'server-test' } });
+  try {
+    const clients = [await joinGame(server.port), await joinGame(server.port)];
+    testLog('Players seated', { players: clients.map(client => client.player), expected: [0, 1] });
+
+    const third = connectToGame(`ws://127.0.0.1:${server.port}`, { WebSocket });
+    const refused = await nextMessage(third, message => message.type === 'error');
+    testLog('Third player refused', { code: refused.error.code, expected: ERROR_CODES.TABLE_FULL });
+
+    const [first, second] = clients;
+    const otherHand = first.getState().playerHands[1];
+    testLog('Other hand hidden', {
+      cards: otherHand.length,
+      count: first.getState().handCounts[1],
+      expected: { cards: 0, count: 10 },
+    });
+
+    // Player 2 tries to play first
+    const ownCard = getCardId(second.getState().playerHands[1][0]);
+    second.sendMove({ type: MOVE_TYPES.TRAIL, cardId: ownCard }, second.getState().version);
+    const outOfTurn = await nextMessage(second, message => message.type === 'error');
+    testLog('Out of turn', { code: outOfTurn.error.code, expected: ERROR_CODES.NOT_YOUR_TURN });
+
+    // Each client plays a legal move from its own view until the game is over
+    let moves = 0;
+    while (!first.getState().gameOver) {
+      const view = clients[first.getState().currentPlayer].getState();
+      const mover = clients[view.currentPlayer];
+      const updates = clients.map(client => nextMessage(client, message => message.type === 'state'));
+      mover.sendMove(getLegalMoves(view)[0], view.version);
+      await Promise.all(updates);
+      moves++;
+    }
+
+    const finalStates = clients.map(client => client.getState());
+    testLog('Game played to the end', {
+      gameOver: finalStates.every(state => state.gameOver),
+      sameScores: JSON.stringify(finalStates[0].scores) === JSON.stringify(server.host.getState().scores),
+      allCardsCaptured: server.host.getState().playerCaptures.flat(2).length,
+      expected: { gameOver: true, sameScores: true, allCardsCaptured: 40 },
+    });
+    testLog('Moves played', { moves: moves >= 20, expected: true });
+
+    clients.forEach(client => client.close());
+  } finally {
+    await server.close();
+    setGameLogging(wasLogging);
+  }
+};
+
+// Test watching a game, with hands hidden and with hands revealed after a delay
+export const testSpectators = async () => {
+  console.log('\n=== Testing Spectators ===');
+
+  const wasLogging = setGameLogging(false);
+  const server = await startGameServer({ port: 0, gameOptions: { seed: 'server-test' } });
+  const delayedServer = await startGameServer({ port: 0, gameOptions: { seed: 'server-test' }, spectatorRevealDelayMs: 100 });
+  try {
+    const [first] = [await joinGame(server.port), await joinGame(server.port)];
+    const spectator = await joinGame(server.port, 'spectator');
+    testLog('Spectator has no seat', {
+      role: spectator.role,
+      player: spectator.player,
+      hands: spectator.getState().playerHands.map(hand => hand.length),
+      handCounts: spectator.getState().handCounts,
+      expected: { role: 'spectator', player: null, hands: [0, 0], handCounts: [10, 10] },
+    });
+
+    const view = first.getState();
+    const update = nextMessage(spectator, message => message.type === 'state');
+    first.sendMove(getLegalMoves(view)[0], view.version);
+    const watched = (await update).state;
+    testLog('Spectator follows moves', {
+      history: watched.history.length,
+      hands: watched.playerHands.map(hand => hand.length),
+      expected: { history: 1, hands: [0, 0] },
+    });
+
+    // A spectator's transport sends nothing, so write to the socket directly
+    const socket = new WebSocket(`ws://127.0.0.1:${server.port}`);
+    await new Promise(resolve => socket.once('open', resolve));
+    socket.send(JSON.stringify({ type: 'join', role: 'spectator' }));
+    const refused = new Promise(resolve => socket.on('message', data => {
+      const message = JSON.parse(String(data));
+      if (message.type === 'error') resolve(message);
+    }));
+    socket.send(JSON.stringify({ type: 'move', move: getLegalMoves(server.host.getState())[0], version: 1 }));
+    testLog('Spectator move refused', {
+      code: (await refused).error.code,
+      history: server.host.getState().history.length,
+      expected: { code: ERROR_CODES.SPECTATORS_CANNOT_PLAY, history: 1 },
+    });
+    socket.close();
+
+    const delayedPlayers = [await joinGame(delayedServer.port), await joinGame(delayedServer.port)];
+    const delayedSpectator = await joinGame(delayedServer.port, 'spectator');
+    testLog('Hands hidden at first', {
+      hands: delayedSpectator.getState().playerHands.map(hand => hand.length),
+      expected: [0, 0],
+    });
+    const revealed = (await nextMessage(delayedSpectator, message => message.type === 'state')).state;
+    testLog('Hands revealed after the delay', {
+      hands: revealed.playerHands.map(hand => hand.length),
+      deck: revealed.deck.length,
+      expected: { hands: [10, 10], deck: 0 },
+    });
+
+    [first, spectator, ...delayedPlayers, delayedSpectator].forEach(client => client.close());
+  } finally {
+    await server.close();
+    await delayedServer.close();
+    setGameLogging(wasLogging);
+  }
+};
+
+// Test that a client sending malformed moves gets an error and the host plays on
+export const testMalformedMessages = async () => {
+  console.log('\n=== Testing Malformed Messages ===');
+
+  const wasLogging = setGameLogging(false);
+  const server = await startGameServer({ port: 0, gameOptions: { seed: 'server-test' } });
+  try {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.port}`);
+    const messages = [];
+    socket.on('message', data => messages.push(JSON.parse(String(data))));
+    await new Promise(resolve => socket.once('open', resolve));
+    socket.send(JSON.stringify({ type: 'join', role: 'player' }));
+    socket.send(JSON.stringify({ type: 'move', move: null, version: 0 }));
+    socket.send(JSON.stringify({ type: 'move', move: { type: MOVE_TYPES.CAPTURE, targetIds: 3 }, version: 0 }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    testLog('Malformed moves answered', {
+      codes: messages.filter(message => message.type === 'error').map(message => message.error.code),
+      expected: [ERROR_CODES.INVALID_MOVE, ERROR_CODES.INVALID_MOVE],
+    });
+
+    const second = await joinGame(server.port);
+    testLog('Host still up', { player: second.player, expected: 1 });
+
+    second.close();
+    socket.close();
+  } finally {
+    await server.close();
+    setGameLogging(wasLogging);
+  }
+};
+
+// Test a player who loses their connection, rejoins their seat and catches up
+export const testReconnect = async () => {
+  console.log('\n=== Testing Reconnect ===');
+
+  const wasLogging = setGameLogging(false);
+  const server = await startGameServer({ port: 0, gameOptions: { seed: 'server-test', playerCount: 3 } });
+  try {
+    const clients = [await joinGame(server.port), await joinGame(server.port), await joinGame(server.port)];
+    const [first, second, third] = clients;
+
+    // Player 3 drops out while player 1 moves
+    const dropped = nextMessage(third, message => message.type === 'closed');
+    third.close();
+    await dropped;
+    const view = first.getState();
+    const moved = nextMessage(first, message => message.type === 'state');
+    first.sendMove(getLegalMoves(view)[0], view.version);
+    await moved;
+
+    // Player 1 leaves too, so the first free seat is no longer player 3's
+    const left = nextMessage(first, message => message.type === 'closed');
+    first.close();
+    await left;
+    // Give the host a moment to free the seat
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const rejoined = nextMessage(third, message => message.type === 'welcome');
+    const caughtUp = nextMessage(third, message => message.type === 'moves');
+    third.reconnect();
+    const missed = await caughtUp;
+    testLog('Seat taken back', { player: (await rejoined).player, expected: 2 });
+    testLog('Missed moves', {
+      since: missed.since,
+      moves: missed.moves.map(entry => entry.version),
+      version: third.version,
+      sameAsHost: third.version === server.host.getState().version,
+      expected: { since: 0, moves: [1], version: 1, sameAsHost: true },
+    });
+
+    const snapshot = nextMessage(third, message => message.type === 'state');
+    third.requestSnapshot();
+    testLog('Snapshot', { version: (await snapshot).state.version, expected: 1 });
+
+    [second, third].forEach(client => client.close());
+  } finally {
+    await server.close();
+    setGameLogging(wasLogging);
+  }
+};
+
+// A socket that delivers whatever the test hands it
+class ScriptedSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  constructor() {
+    this.readyState = ScriptedSocket.OPEN;
+    ScriptedSocket.last = this;
+  }
+  send() {}
+  close() {}
+  deliver(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+// Test that the client drops states older than the one it has
+export const testOutOfOrderStates = () => {
+  console.log('\n=== Testing Out-of-Order States ===');
+
+  const client = connectToGame('ws://scripted', { WebSocket: ScriptedSocket });
+  const received = [];
+  client.subscribe(message => received.push(message.state.version));
+  ScriptedSocket.last.deliver({ type: 'state', state: { version: 2 } });
+  ScriptedSocket.last.deliver({ type: 'state', state: { version: 1 } });
+  ScriptedSocket.last.deliver({ type: 'moves', since: 2, moves: [], state: { version: 3 } });
+  testLog('Older state dropped', { received, version: client.version, expected: { received: [2, 3], version: 3 } });
+};
+
+// Test the addresses players type to reach a host
+export const testHostAddresses = () => {
+  console.log('\n=== Testing Host Addresses ===');
+
+  const urls = ['192.168.1.20', ' 192.168.1.20:9000 ', 'ws://casino.local/', 'wss://casino.example:443'].map(toHostUrl);
+  testLog('Addresses', {
+    urls,
+    expected: ['ws://192.168.1.20:8787', 'ws://192.168.1.20:9000', 'ws://casino.local:8787', 'wss://casino.example:443'],
+  });
+};
+
+// Run all tests
+export const runGameServerTests = async () => {
+  console.log('🧪 Starting Game Server Tests...');
+
+  try {
+    testHost();
+    await testNetworkGame();
+    await testSpectators();
+    await testMalformedMessages();
+    await testReconnect();
+    testOutOfOrderStates();
+    testHostAddresses();
+
+    console.log('\n✅ All game server tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runGameServerTests();
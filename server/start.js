@@ -0,0 +1,47 @@
+/**
+ * Starts a game server on this machine for phones on the same network to join.
+ *
+ * Usage: node server/start.js [--port 8787] [--seed S] [--players N] [--partnerships] [--ruleset house|classic|classic52]
+ *        [--reveal-after MS]
+ */
+
+import os from 'node:os';
+import { parseArgs } from 'node:util';
+import { startGameServer, DEFAULT_PORT } from './gameServer.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: String(DEFAULT_PORT) },
+    seed: { type: 'string' },
+    players: { type: 'string', default: '2' },
+    partnerships: { type: 'boolean', default: false },
+    ruleset: { type: 'string', default: 'house' },
+    'reveal-after': { type: 'string' },
+  },
+});
+
+const gameOptions = {
+  ...(values.seed !== undefined && { seed: values.seed }),
+  playerCount: Number(values.players),
+  partnerships: values.partnerships,
+  ruleset: values.ruleset,
+};
+
+// The addresses other devices on the network can reach this one at
+const localAddresses = Object.values(os.networkInterfaces())
+  .flat()
+  .filter(address => address.family === 'IPv4' && !address.internal)
+  .map(address => address.address);
+
+// Spectators see no hands unless a reveal delay is given
+const spectatorRevealDelayMs = values['reveal-after'] !== undefined ? Number(values['reveal-after']) : null;
+
+startGameServer({ port: Number(values.port), gameOptions, spectatorRevealDelayMs })
+  .then(({ port }) => {
+    console.log(`Hosting a ${gameOptions.playerCount}-player game on port ${port}.`);
+    localAddresses.forEach(address => console.log(`  ws://${address}:${port}`));
+  })
+  .catch(error => {
+    console.error('Failed to start the game server:', error.message);
+    process.exitCode = 1;
+  });
@@ -1,110 +1,104 @@
 /**
- * Maps technical error messages to user-friendly titles and shortened messages
+ * Maps error codes to user-friendly titles and messages
+ * Every code reported by the game engine (and by the board's own checks) has a title
+ * category and a message template in each locale's catalog. Templates are filled from
+ * the error's params, so rewording a message never changes which error it belongs to.
  */
 
-export const getErrorInfo = (message) => {
-  const lowerMessage = message.toLowerCase();
+import { ERROR_CODES } from '../game-logic/index.js';
+import { en } from './locales/en.js';
+import { es } from './locales/es.js';
 
-  // Trail-related errors
-  if (lowerMessage.includes('trail') && lowerMessage.includes('build')) {
-    return {
-      title: 'Invalid Trail',
-      message: 'Cannot trail this card. A matching build exists - capture it instead!'
-    };
-  }
-  
-  if (lowerMessage.includes('trail') && lowerMessage.includes('table')) {
-    return {
-      title: 'Invalid Trail',
-      message: 'Card already on table. Drag to capture instead of trailing.'
-    };
-  }
-  
-  if (lowerMessage.includes('trail') && lowerMessage.includes('own')) {
-    return {
-      title: 'Invalid Trail',
-      message: 'Cannot trail while you own a build. Capture or build instead.'
-    };
-  }
-
-  // Build-related errors
-  if (lowerMessage.includes('build') && lowerMessage.includes('one')) {
-    return {
-      title: 'Invalid Build',
-      message: 'Only one build allowed at a time.'
-    };
-  }
-  
-  if (lowerMessage.includes('build') && lowerMessage.includes('capture')) {
-    return {
-      title: 'Invalid Build',
-      message: 'Need matching card in hand to capture this build later.'
-    };
-  }
-  
-  if (lowerMessage.includes('build') && lowerMessage.includes('opponent')) {
-    return {
-      title: 'Invalid Build',
-      message: 'Opponent already has a build of this value.'
-    };
-  }
-
-  if (lowerMessage.includes('extend') && lowerMessage.includes('build')) {
-    return {
-      title: 'Invalid Build',
-      message: 'Cannot extend this build - check value limits.'
-    };
-  }
-
-  // Capture-related errors
-  if (lowerMessage.includes('capture') && (lowerMessage.includes('match') || lowerMessage.includes('total'))) {
-    return {
-      title: 'Invalid Capture',
-      message: 'Card value does not match selected cards total.'
-    };
-  }
+export const MESSAGE_CATALOGS = { en, es };
+export const DEFAULT_LOCALE = 'en';
 
-  if (lowerMessage.includes('capture') && lowerMessage.includes('table')) {
-    return {
-      title: 'Invalid Capture',
-      message: 'All captured cards must be from the table.'
-    };
-  }
+// The title each error is shown under; anything not listed is an 'Invalid Move'
+const ERROR_CATEGORIES = {
+  trail: [
+    ERROR_CODES.TRAIL_WHILE_OWNING_BUILD,
+    ERROR_CODES.TRAIL_WHILE_OWNING_BUILD_FIRST_ROUND,
+    ERROR_CODES.TRAIL_RANK_ON_TABLE,
+    ERROR_CODES.TRAIL_BUILD_ACTIVE,
+    ERROR_CODES.SINGLE_HAND_CARD_TRAIL,
+  ],
+  build: [
+    ERROR_CODES.BUILD_NOT_FOUND,
+    ERROR_CODES.NOT_YOUR_BUILD,
+    ERROR_CODES.WRONG_BUILD_OWNERS,
+    ERROR_CODES.BUILD_LIMIT_REACHED,
+    ERROR_CODES.BUILD_VALUE_TOO_HIGH,
+    ERROR_CODES.NO_CARD_TO_CAPTURE_BUILD,
+    ERROR_CODES.OPPONENT_HAS_BUILD,
+    ERROR_CODES.CARDS_DO_NOT_MAKE_BUILD,
+    ERROR_CODES.NEED_CARD_FOR_BUILD,
+    ERROR_CODES.NEED_ANOTHER_CARD_FOR_BUILD,
+    ERROR_CODES.MUST_INCLUDE_EQUAL_CARD,
+    ERROR_CODES.OWN_BUILD_NOT_ALLOWED,
+    ERROR_CODES.OPPONENT_BUILD_REQUIRED,
+    ERROR_CODES.EXTEND_WHILE_OWNING_BUILD,
+    ERROR_CODES.BUILD_NOT_EXTENDABLE,
+    ERROR_CODES.CANNOT_EXTEND_OWN_BUILD,
+    ERROR_CODES.MERGE_VALUE_MISMATCH,
+    ERROR_CODES.INVALID_BUILD_MOVE,
+    ERROR_CODES.STACK_DOES_NOT_MATCH_BUILD,
+    ERROR_CODES.NO_BUILD_FROM_STACK,
+    ERROR_CODES.BUILD_VALUE_AMBIGUOUS,
+  ],
+  capture: [
+    ERROR_CODES.FACE_CARD_PAIRING,
+    ERROR_CODES.NOTHING_TO_CAPTURE,
+    ERROR_CODES.CAPTURE_FROM_TABLE_ONLY,
+    ERROR_CODES.CAPTURE_TOTAL_MISMATCH,
+    ERROR_CODES.CAPTURE_BUILD_MISMATCH,
+  ],
+  turn: [ERROR_CODES.NOT_YOUR_TURN],
+  gameOver: [ERROR_CODES.GAME_OVER, ERROR_CODES.MATCH_OVER],
+  gameCode: [
+    ERROR_CODES.UNREADABLE_GAME_CODE,
+    ERROR_CODES.GAME_CODE_CHECKSUM_MISMATCH,
+    ERROR_CODES.GAME_CODE_ILLEGAL_MOVE,
+  ],
+};
 
-  // Turn-related errors
-  if (lowerMessage.includes('turn') || lowerMessage.includes('not your')) {
-    return {
-      title: 'Wrong Turn',
-      message: 'Wait for your turn to play.'
-    };
-  }
+const getCategory = (code) =>
+  Object.keys(ERROR_CATEGORIES).find(category => ERROR_CATEGORIES[category].includes(code)) || 'move';
 
-  // Stack-related errors
-  if (lowerMessage.includes('staging') && lowerMessage.includes('one')) {
-    return {
-      title: 'Invalid Move',
-      message: 'Only one staging stack allowed. Add to existing stack.'
-    };
-  }
+/**
+ * Picks the catalog for a locale tag such as 'es' or 'es-MX', falling back to the default.
+ * @param {string} [locale] - A locale tag.
+ * @returns {string} A key of MESSAGE_CATALOGS.
+ */
+export const resolveLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return MESSAGE_CATALOGS[language] ? language : DEFAULT_LOCALE;
+};
 
-  if (lowerMessage.includes('stack') && lowerMessage.includes('invalid')) {
-    return {
-      title: 'Invalid Move',
-      message: 'Stack combination is not valid for this action.'
-    };
-  }
+/**
+ * Fills a message template, e.g. 'Builds cannot be worth more than {max}.' with { max: 10 }.
+ * Lists are joined with commas; placeholders without a value are left as they are.
+ * @param {string} template - The template.
+ * @param {object} [params={}] - The values to fill in.
+ * @returns {string} The message.
+ */
+export const formatMessage = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
 
-  // Source/state errors
-  if (lowerMessage.includes('find') || lowerMessage.includes('not found')) {
-    return {
-      title: 'Invalid Move',
-      message: 'Card or target not found. Try again.'
-    };
+/**
+ * Maps an error to its title and message in the given locale.
+ * @param {object} error - The error of a failed result or validation: { code, params }.
+ * @param {string} [locale=DEFAULT_LOCALE] - The locale to show it in.
+ * @returns {object} The title and message for the ErrorModal.
+ */
+export const getErrorInfo = ({ code, params = {} }, locale = DEFAULT_LOCALE) => {
+  const catalog = MESSAGE_CATALOGS[resolveLocale(locale)];
+  // A message missing from a translation is shown in the default locale rather than not at all
+  const template = catalog.errors[code] || MESSAGE_CATALOGS[DEFAULT_LOCALE].errors[code];
+  if (!template) {
+    return { title: catalog.titles.move, message: catalog.fallback };
   }
-
-  // Generic/fallback
-  return {
-    title: 'Invalid Move',
-    message: message.length > 60 ? message.substring(0, 57) + '...' : message
-  };
-};
\ No newline at end of file
+  return { title: catalog.titles[getCategory(code)], message: formatMessage(template, params) };
+};
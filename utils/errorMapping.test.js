@@ -0,0 +1,106 @@
+/**
+ * Test suite for the rule message catalog
+ * Verifies that every error code has a message in every locale, and that messages
+ * are filled from the error's params and shown in the requested locale
+ */
+
+import { getErrorInfo, formatMessage, resolveLocale, MESSAGE_CATALOGS, DEFAULT_LOCALE } from './errorMapping.js';
+import { ERROR_CODES, performMove, MOVE_TYPES, initializeGame, validateTrail, rankValue } from '../game-logic/index.js';
+
+const card = (rank, suit) => ({ rank, suit, value: rankValue(rank) });
+
+// The placeholders a template uses, e.g. ['max'] for 'Builds cannot be worth more than {max}.'
+const getPlaceholders = (template) => (template.match(/\{\w+\}/g) || []).sort();
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that the catalogs cover every code, with the same placeholders as the default locale
+export const testCatalogCoverage = () => {
+  console.log('\n=== Testing Catalog Coverage ===');
+
+  const codes = Object.values(ERROR_CODES);
+  const defaultErrors = MESSAGE_CATALOGS[DEFAULT_LOCALE].errors;
+
+  Object.entries(MESSAGE_CATALOGS).forEach(([locale, catalog]) => {
+    const missing = codes.filter(code => !catalog.errors[code]);
+    const unknown = Object.keys(catalog.errors).filter(code => !codes.includes(code));
+    const mismatched = codes.filter(code => catalog.errors[code] &&
+      getPlaceholders(catalog.errors[code]).join() !== getPlaceholders(defaultErrors[code]).join());
+    testLog(`${locale} covers every code`, { missing, unknown, mismatched, expected: { missing: [], unknown: [], mismatched: [] } });
+  });
+
+  testLog('At least two locales', { locales: Object.keys(MESSAGE_CATALOGS).length >= 2, expected: true });
+};
+
+// Test filling templates and picking locales
+export const testFormatting = () => {
+  console.log('\n=== Testing Formatting ===');
+
+  testLog('Fills params', {
+    message: formatMessage('Builds cannot be worth more than {max}.', { max: 10 }),
+    expected: 'Builds cannot be worth more than 10.',
+  });
+  testLog('Joins lists', {
+    message: formatMessage('This stack can build {options}.', { options: [8, 9] }),
+    expected: 'This stack can build 8, 9.',
+  });
+  testLog('Keeps missing placeholders', {
+    message: formatMessage('Need a {value}.', {}),
+    expected: 'Need a {value}.',
+  });
+  testLog('Regional locale', { locale: resolveLocale('es-MX'), expected: 'es' });
+  testLog('Unsupported locale', { locale: resolveLocale('xx'), expected: DEFAULT_LOCALE });
+  testLog('Unknown code', {
+    info: getErrorInfo({ code: 'SOMETHING_NEW' }),
+    expected: { title: 'Invalid Move', message: 'This move is not allowed.' },
+  });
+};
+
+// Test that real engine and validator failures read well
+export const testEngineErrors = () => {
+  console.log('\n=== Testing Engine Errors ===');
+
+  const state = {
+    ...initializeGame({ seed: 'error-messages-test' }),
+    deck: [],
+    playerHands: [[card('6', '♠'), card('5', '♥')], [card('2', '♠')]],
+    tableCards: [card('5', '♣'), card('3', '♥')],
+  };
+
+  const tooHigh = performMove(state, { type: MOVE_TYPES.BUILD, cardId: '6-♠', targetCardId: '5-♣', buildValue: 11 });
+  testLog('Build over the limit', {
+    info: getErrorInfo(tooHigh.error),
+    expected: { title: 'Invalid Build', message: 'Builds cannot be worth more than 10.' },
+  });
+  testLog('Build over the limit in Spanish', {
+    info: getErrorInfo(tooHigh.error, 'es'),
+    expected: { title: 'Construcción no válida', message: 'Las construcciones no pueden valer más de 10.' },
+  });
+
+  const trail = validateTrail(state.tableCards, card('5', '♥'), 0, 1);
+  testLog('Trail a rank on the table', {
+    info: getErrorInfo(trail),
+    expected: { title: 'Invalid Trail', message: 'A 5 is already on the table. Drag to capture instead.' },
+  });
+};
+
+// Run all tests
+export const runErrorMappingTests = () => {
+  console.log('🧪 Starting Error Message Tests...');
+
+  try {
+    testCatalogCoverage();
+    testFormatting();
+    testEngineErrors();
+
+    console.log('\n✅ All error message tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runErrorMappingTests();
@@ -0,0 +1,122 @@
+/**
+ * Client transport for games hosted by server/gameServer.js
+ * Connects to the host, takes a seat or watches, and passes on the states and errors the host
+ * sends. useGameActions sends moves through it instead of applying them to its own state.
+ * States older than the one the client has arrived out of order and are dropped; after losing
+ * its connection the client rejoins its seat and asks for the moves it missed.
+ */
+
+import { getStateVersion, isCurrentUpdate } from '../game-logic/index.js';
+
+// The port a host listens on unless it is started with another
+export const DEFAULT_PORT = 8787;
+
+/**
+ * Turns an address typed by a player into the host's URL. The ws:// prefix and the default
+ * port may be left out, so '192.168.1.20' and 'ws://192.168.1.20:8787' reach the same host.
+ * @param {string} address - The address the host shows, e.g. '192.168.1.20:8787'.
+ * @returns {string} The WebSocket URL.
+ */
+export const toHostUrl = (address) => {
+  const trimmed = String(address).trim().replace(/\/+$/, '');
+  const url = /^wss?:\/\//i.test(trimmed) ? trimmed : `ws://${trimmed}`;
+  return /^wss?:\/\/[^/:]+$/i.test(url) ? `${url}:${DEFAULT_PORT}` : url;
+};
+
+/**
+ * Connects to a hosted game and asks for a seat, or to watch.
+ * @param {string} url - The host's address, e.g. 'ws://192.168.1.20:8787'.
+ * @param {object} [options] - Connection options.
+ * @param {string} [options.role='player'] - 'player' to take a seat, or 'spectator' to watch.
+ * @param {function} [options.WebSocket=globalThis.WebSocket] - The WebSocket class; Node tests pass the one from 'ws'.
+ * @returns {object} The transport: role, player, version, getState, sendMove, requestSync,
+ *   requestSnapshot, reconnect, subscribe and close.
+ */
+export const connectToGame = (url, { role = 'player', WebSocket: Socket = globalThis.WebSocket } = {}) => {
+  const listeners = new Set();
+  let socket = null;
+  let player = null;
+  let gameState = null;
+
+  const send = (message) => socket.send(JSON.stringify(message));
+  const notify = (message) => listeners.forEach(listener => listener(message));
+
+  // Takes back the same seat when rejoining, then catches up from the last state received
+  const open = () => {
+    socket = new Socket(url);
+    socket.onopen = () => {
+      send({ type: 'join', role, player });
+      if (gameState) send({ type: 'sync', since: getStateVersion(gameState) });
+    };
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(String(event.data));
+      } catch (error) {
+        console.warn('Ignoring unreadable message from the host:', error);
+        return;
+      }
+      if (message.type === 'welcome') player = message.player;
+      if (message.state) {
+        if (!isCurrentUpdate(gameState, message.state)) return;
+        gameState = message.state;
+      }
+      notify(message);
+    };
+    socket.onclose = () => notify({ type: 'closed' });
+  };
+
+  open();
+
+  return {
+    role,
+
+    // The seat the host gave this client, or null until it has joined
+    get player() {
+      return player;
+    },
+
+    // The version of the last state the host sent, or null before the first one
+    get version() {
+      return gameState && getStateVersion(gameState);
+    },
+
+    // The last state the host sent, as this player sees it
+    getState: () => gameState,
+
+    /**
+     * Sends a move to the host.
+     * @param {object} move - The serializable move.
+     * @param {number} version - The version of the state the move was made from.
+     */
+    sendMove: (move, version) => {
+      // Spectators have nothing to send; the host would refuse the move anyway
+      if (role === 'spectator') return;
+      send({ type: 'move', move, version });
+    },
+
+    // Asks for the moves since the last state received, or a snapshot if they cannot be sent
+    requestSync: () => send({ type: 'sync', since: gameState ? getStateVersion(gameState) : undefined }),
+
+    // Asks for the current state
+    requestSnapshot: () => send({ type: 'sync' }),
+
+    // Opens a new connection if the last one closed, e.g. after the phone was locked
+    reconnect: () => {
+      if (socket.readyState === Socket.CONNECTING || socket.readyState === Socket.OPEN) return;
+      open();
+    },
+
+    /**
+     * Listens for messages from the host: welcome, state, moves, error and closed.
+     * @param {function(object): void} listener - Called with each message.
+     * @returns {function(): void} Stops listening.
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close: () => socket.close(),
+  };
+};
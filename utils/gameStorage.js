@@ -0,0 +1,118 @@
+/**
+ * Game persistence through a pluggable storage adapter
+ * An adapter is any object with async getItem/setItem/removeItem (the AsyncStorage API),
+ * so the app can use AsyncStorage while tests use the in-memory adapter.
+ */
+
+export const SAVED_GAME_KEY = 'casino:savedGame';
+export const SAVED_MATCH_KEY = 'casino:savedMatch';
+
+// Bump when the saved game format changes so old saves are discarded instead of misread
+const SAVE_FORMAT_VERSION = 1;
+
+/**
+ * Creates an in-memory storage adapter. Nothing survives an app restart,
+ * which makes it suitable for headless tests.
+ * @returns {object} Storage adapter with getItem, setItem and removeItem.
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: async (key) => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+  };
+};
+
+/**
+ * Saves an in-progress game, including deck order, hands, table, captures and staging stacks.
+ * @param {object} storage - Storage adapter.
+ * @param {object} gameState - The game state to save.
+ * @returns {Promise<void>}
+ */
+export const saveGame = async (storage, gameState) => {
+  const payload = JSON.stringify({
+    version: SAVE_FORMAT_VERSION,
+    savedAt: Date.now(),
+    gameState,
+  });
+  await storage.setItem(SAVED_GAME_KEY, payload);
+};
+
+/**
+ * Loads the saved game, if there is one.
+ * Corrupt saves, saves from another format version and finished games are ignored.
+ * @param {object} storage - Storage adapter.
+ * @returns {Promise<object|null>} The saved game state, or null.
+ */
+export const loadGame = async (storage) => {
+  const payload = await storage.getItem(SAVED_GAME_KEY);
+  if (!payload) return null;
+
+  try {
+    const { version, gameState } = JSON.parse(payload);
+    if (version !== SAVE_FORMAT_VERSION || !gameState || gameState.gameOver) {
+      return null;
+    }
+    if (!Array.isArray(gameState.deck) || !Array.isArray(gameState.playerHands) || !Array.isArray(gameState.tableCards)) {
+      return null;
+    }
+    return gameState;
+  } catch (error) {
+    console.warn('Ignoring unreadable saved game:', error);
+    return null;
+  }
+};
+
+/**
+ * Removes the saved game.
+ * @param {object} storage - Storage adapter.
+ * @returns {Promise<void>}
+ */
+export const clearSavedGame = async (storage) => {
+  await storage.removeItem(SAVED_GAME_KEY);
+};
+
+/**
+ * Saves the match scoreboard. Kept apart from the deal so it survives between deals.
+ * @param {object} storage - Storage adapter.
+ * @param {object} match - The match state.
+ * @returns {Promise<void>}
+ */
+export const saveMatch = async (storage, match) => {
+  await storage.setItem(SAVED_MATCH_KEY, JSON.stringify({ version: SAVE_FORMAT_VERSION, match }));
+};
+
+/**
+ * Loads the saved match, if there is one that is still being played.
+ * @param {object} storage - Storage adapter.
+ * @returns {Promise<object|null>} The saved match state, or null.
+ */
+export const loadMatch = async (storage) => {
+  const payload = await storage.getItem(SAVED_MATCH_KEY);
+  if (!payload) return null;
+
+  try {
+    const { version, match } = JSON.parse(payload);
+    if (version !== SAVE_FORMAT_VERSION || !match || match.matchOver || !Array.isArray(match.deals) || !Number.isInteger(match.playerCount)) {
+      return null;
+    }
+    return match;
+  } catch (error) {
+    console.warn('Ignoring unreadable saved match:', error);
+    return null;
+  }
+};
+
+/**
+ * Removes the saved match.
+ * @param {object} storage - Storage adapter.
+ * @returns {Promise<void>}
+ */
+export const clearSavedMatch = async (storage) => {
+  await storage.removeItem(SAVED_MATCH_KEY);
+};
@@ -0,0 +1,57 @@
+/**
+ * Test suite for game persistence
+ * Uses the in-memory storage adapter to verify save/resume round-trips
+ */
+
+import { createMemoryStorage, saveGame, loadGame, clearSavedGame, SAVED_GAME_KEY } from './gameStorage.js';
+import { initializeGame, applyMove, getCardId } from '../game-logic/index.js';
+
+// Test helper to simulate console output
+const testLog = (testName, result) => {
+  console.log(`✓ ${testName}: ${JSON.stringify(result)}`);
+};
+
+// Test that a saved game resumes with the same deck, hands, table and history
+export const testSaveAndResume = async () => {
+  console.log('\n=== Testing Save and Resume ===');
+
+  const storage = createMemoryStorage();
+  const initial = initializeGame({ seed: 'storage-test' });
+  const state = applyMove(initial, { type: 'trail', cardId: getCardId(initial.playerHands[0][0]) });
+
+  await saveGame(storage, state);
+  const resumed = await loadGame(storage);
+  testLog('Round-trip', { identical: JSON.stringify(resumed) === JSON.stringify(state), expected: true });
+
+  await clearSavedGame(storage);
+  testLog('Cleared save', { resumed: await loadGame(storage), expected: null });
+};
+
+// Test that unusable saves are ignored
+export const testIgnoredSaves = async () => {
+  console.log('\n=== Testing Ignored Saves ===');
+
+  const storage = createMemoryStorage();
+  await storage.setItem(SAVED_GAME_KEY, '{not json');
+  testLog('Corrupt save', { resumed: await loadGame(storage), expected: null });
+
+  await saveGame(storage, { ...initializeGame({ seed: 'storage-test' }), gameOver: true });
+  testLog('Finished game', { resumed: await loadGame(storage), expected: null });
+};
+
+// Run all tests
+export const runGameStorageTests = async () => {
+  console.log('🧪 Starting Game Storage Tests...');
+
+  try {
+    await testSaveAndResume();
+    await testIgnoredSaves();
+
+    console.log('\n✅ All game storage tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+};
+
+// Auto-run tests when this file is imported
+runGameStorageTests();
@@ -0,0 +1,97 @@
+/**
+ * English rule messages
+ * One template per error code; {name} is replaced with the error's params.name.
+ */
+
+export const en = {
+  titles: {
+    trail: 'Invalid Trail',
+    build: 'Invalid Build',
+    capture: 'Invalid Capture',
+    turn: 'Wrong Turn',
+    move: 'Invalid Move',
+    gameOver: 'Game Over',
+    gameCode: 'Invalid Game Code',
+  },
+
+  // Shown for a code the catalog does not know yet
+  fallback: 'This move is not allowed.',
+
+  errors: {
+    INVALID_MOVE: 'That move could not be read.',
+    UNKNOWN_MOVE: 'Unknown move: {type}.',
+    GAME_OVER: 'The game is over. Start a new game to keep playing.',
+    NOT_YOUR_TURN: 'Wait for your turn to play.',
+    NOT_A_PLAYER_MOVE: 'The game makes this move itself; it cannot be played.',
+    MOVE_NOT_ALLOWED: 'The rules do not allow that move.',
+
+    CARD_NOT_IN_HAND: 'That card is not in your hand.',
+    CARD_NOT_FOUND: 'Card not found. Try again.',
+    TARGET_NOT_FOUND: 'Card or target not found. Try again.',
+    BUILD_NOT_FOUND: 'That build is no longer on the table.',
+    STACK_NOT_FOUND: 'That stack is no longer on the table.',
+    CARD_NOT_ON_OPPONENT_PILE: "Only the top card of an opponent's pile can be used.",
+    NOT_YOUR_BUILD: 'That build is not yours.',
+    NOT_YOUR_STACK: "You cannot use another player's temporary stack.",
+    WRONG_BUILD_OWNERS: "Extend an opponent's build to merge it into yours.",
+
+    FACE_CARD_PAIRING: 'Jacks, queens and kings only pair with the same rank.',
+
+    TRAIL_WHILE_OWNING_BUILD: 'Cannot trail while you own a build. Capture or build instead.',
+    TRAIL_WHILE_OWNING_BUILD_FIRST_ROUND: 'Cannot trail while you own a build in the first round.',
+    TRAIL_RANK_ON_TABLE: 'A {rank} is already on the table. Drag to capture instead.',
+    TRAIL_BUILD_ACTIVE: 'A build of {value} exists - capture it instead!',
+    SINGLE_HAND_CARD_TRAIL: 'Only a single card from your hand can be trailed.',
+
+    NOTHING_TO_CAPTURE: 'Select at least one card to capture.',
+    CAPTURE_FROM_TABLE_ONLY: 'All captured cards must be from the table.',
+    CAPTURE_TOTAL_MISMATCH: 'Your {captureValue} does not match the cards total ({total}).',
+    CAPTURE_BUILD_MISMATCH: 'Your {captureValue} cannot capture a build of {buildValue}.',
+
+    BUILD_LIMIT_REACHED: 'You already own as many builds as allowed ({max}).',
+    BUILD_VALUE_TOO_HIGH: 'Builds cannot be worth more than {max}.',
+    NO_CARD_TO_CAPTURE_BUILD: 'Need a {value} in hand to capture this build later.',
+    OPPONENT_HAS_BUILD: 'Opponent already has a build of {value}.',
+    CARDS_DO_NOT_MAKE_BUILD: 'These cards do not make a build of {value}.',
+    NEED_CARD_FOR_BUILD: 'Need a {value} in hand to make this build.',
+    NEED_ANOTHER_CARD_FOR_BUILD: 'Need another {value} in hand for this build.',
+    MUST_INCLUDE_EQUAL_CARD: 'The loose {value} on the table must go into this build.',
+    OWN_BUILD_NOT_ALLOWED: "This move is for an opponent's build, not yours.",
+    OPPONENT_BUILD_REQUIRED: "This move is for reinforcing an opponent's build.",
+    EXTEND_WHILE_OWNING_BUILD: "Cannot extend an opponent's build while you own one.",
+    BUILD_NOT_EXTENDABLE: 'This build cannot be extended.',
+    CANNOT_EXTEND_OWN_BUILD: 'Only an opponent can extend your build.',
+    MERGE_VALUE_MISMATCH: 'That makes {value}, not your build of {buildValue}.',
+    INVALID_BUILD_MOVE: 'That card cannot be played on the build of {value}.',
+
+    ONE_STAGING_STACK: 'Only one staging stack allowed. Add to existing stack.',
+    CANNOT_STAGE_ON_ITSELF: 'A card cannot be stacked on itself.',
+    ONE_HAND_CARD_REQUIRED: 'Use exactly one card from your hand.',
+    HAND_CARD_NOT_ALLOWED: 'Use table cards only for this move.',
+    TABLE_CARDS_ONLY: 'Only table cards can be merged into your build.',
+    STACK_DOES_NOT_MATCH_BUILD: 'These cards cannot be grouped into the build of {value}.',
+    NO_BUILD_FROM_STACK: 'This stack does not make a build with any card in your hand.',
+    BUILD_VALUE_AMBIGUOUS: 'This stack can build {options}. Choose one.',
+    COMBO_NOT_SORTED: 'Put big cards first: {sortedCombo}, not {combo}.',
+    NO_COMBO_ARRANGEMENT: 'These cards cannot be arranged into combos.',
+    NOT_A_CAPTURE_OR_BUILD: 'This combination is not a valid capture or build.',
+    INVALID_STACK_TARGET: 'Cards can only be stacked on loose cards or temporary stacks.',
+
+    ROUND_NOT_OVER: 'Every hand must be played out first.',
+    CARDS_LEFT_TO_DEAL: 'There are still {left} cards to deal.',
+    NOT_ENOUGH_CARDS_TO_DEAL: 'Not enough cards left to deal another round.',
+    NOTHING_TO_SWEEP: 'There is nothing to sweep.',
+    NO_CLOCK: 'This game is not played against the clock.',
+    TIME_NOT_UP: 'There are still {left} seconds left on the clock.',
+
+    TABLE_FULL: 'Every seat at this table is taken.',
+    SPECTATORS_CANNOT_PLAY: 'You are watching this table, so you cannot play.',
+
+    DEAL_NOT_FINISHED: 'Only a finished deal can be added to the match.',
+    MATCH_OVER: 'The match is already over. Start a new match to keep playing.',
+
+    UNREADABLE_GAME_CODE: 'This is not a game code. Paste the whole code you were sent.',
+    GAME_CODE_CHECKSUM_MISMATCH: 'This game code has been changed or cut short.',
+    GAME_CODE_ILLEGAL_MOVE: 'Move {number} in this game code is not allowed.',
+  },
+};
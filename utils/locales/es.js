@@ -0,0 +1,97 @@
+/**
+ * Spanish rule messages
+ * One template per error code; {name} is replaced with the error's params.name.
+ */
+
+export const es = {
+  titles: {
+    trail: 'Descarte no válido',
+    build: 'Construcción no válida',
+    capture: 'Captura no válida',
+    turn: 'No es tu turno',
+    move: 'Jugada no válida',
+    gameOver: 'Fin de la partida',
+    gameCode: 'Código de partida no válido',
+  },
+
+  // Shown for a code the catalog does not know yet
+  fallback: 'Esta jugada no está permitida.',
+
+  errors: {
+    INVALID_MOVE: 'No se pudo leer esa jugada.',
+    UNKNOWN_MOVE: 'Jugada desconocida: {type}.',
+    GAME_OVER: 'La partida ha terminado. Empieza una nueva para seguir jugando.',
+    NOT_YOUR_TURN: 'Espera tu turno para jugar.',
+    NOT_A_PLAYER_MOVE: 'Esta jugada la hace el propio juego; no se puede jugar.',
+    MOVE_NOT_ALLOWED: 'Las reglas no permiten esa jugada.',
+
+    CARD_NOT_IN_HAND: 'Esa carta no está en tu mano.',
+    CARD_NOT_FOUND: 'No se encontró la carta. Inténtalo de nuevo.',
+    TARGET_NOT_FOUND: 'No se encontró la carta o el destino. Inténtalo de nuevo.',
+    BUILD_NOT_FOUND: 'Esa construcción ya no está en la mesa.',
+    STACK_NOT_FOUND: 'Ese montón ya no está en la mesa.',
+    CARD_NOT_ON_OPPONENT_PILE: 'Solo se puede usar la carta de arriba del montón de un rival.',
+    NOT_YOUR_BUILD: 'Esa construcción no es tuya.',
+    NOT_YOUR_STACK: 'No puedes usar el montón temporal de otro jugador.',
+    WRONG_BUILD_OWNERS: 'Amplía una construcción rival para unirla a la tuya.',
+
+    FACE_CARD_PAIRING: 'Las jotas, reinas y reyes solo se emparejan con el mismo rango.',
+
+    TRAIL_WHILE_OWNING_BUILD: 'No puedes descartar mientras tengas una construcción. Captura o construye.',
+    TRAIL_WHILE_OWNING_BUILD_FIRST_ROUND: 'No puedes descartar con una construcción propia en la primera ronda.',
+    TRAIL_RANK_ON_TABLE: 'Ya hay un {rank} en la mesa. Arrástralo para capturar.',
+    TRAIL_BUILD_ACTIVE: 'Hay una construcción de {value}: ¡captúrala!',
+    SINGLE_HAND_CARD_TRAIL: 'Solo se puede descartar una carta de tu mano.',
+
+    NOTHING_TO_CAPTURE: 'Elige al menos una carta para capturar.',
+    CAPTURE_FROM_TABLE_ONLY: 'Todas las cartas capturadas deben estar en la mesa.',
+    CAPTURE_TOTAL_MISMATCH: 'Tu {captureValue} no coincide con la suma de las cartas ({total}).',
+    CAPTURE_BUILD_MISMATCH: 'Tu {captureValue} no puede capturar una construcción de {buildValue}.',
+
+    BUILD_LIMIT_REACHED: 'Ya tienes todas las construcciones permitidas ({max}).',
+    BUILD_VALUE_TOO_HIGH: 'Las construcciones no pueden valer más de {max}.',
+    NO_CARD_TO_CAPTURE_BUILD: 'Necesitas un {value} en la mano para capturarla después.',
+    OPPONENT_HAS_BUILD: 'Un rival ya tiene una construcción de {value}.',
+    CARDS_DO_NOT_MAKE_BUILD: 'Estas cartas no forman una construcción de {value}.',
+    NEED_CARD_FOR_BUILD: 'Necesitas un {value} en la mano para esta construcción.',
+    NEED_ANOTHER_CARD_FOR_BUILD: 'Necesitas otro {value} en la mano para esta construcción.',
+    MUST_INCLUDE_EQUAL_CARD: 'El {value} suelto de la mesa debe entrar en esta construcción.',
+    OWN_BUILD_NOT_ALLOWED: 'Esta jugada es para una construcción rival, no la tuya.',
+    OPPONENT_BUILD_REQUIRED: 'Esta jugada es para reforzar una construcción rival.',
+    EXTEND_WHILE_OWNING_BUILD: 'No puedes ampliar una construcción rival si ya tienes una.',
+    BUILD_NOT_EXTENDABLE: 'Esta construcción no se puede ampliar.',
+    CANNOT_EXTEND_OWN_BUILD: 'Solo un rival puede ampliar tu construcción.',
+    MERGE_VALUE_MISMATCH: 'Eso suma {value}, no tu construcción de {buildValue}.',
+    INVALID_BUILD_MOVE: 'Esa carta no se puede jugar en la construcción de {value}.',
+
+    ONE_STAGING_STACK: 'Solo se permite un montón temporal. Añade al que ya tienes.',
+    CANNOT_STAGE_ON_ITSELF: 'Una carta no se puede apilar sobre sí misma.',
+    ONE_HAND_CARD_REQUIRED: 'Usa exactamente una carta de tu mano.',
+    HAND_CARD_NOT_ALLOWED: 'Usa solo cartas de la mesa para esta jugada.',
+    TABLE_CARDS_ONLY: 'Solo se pueden unir cartas de la mesa a tu construcción.',
+    STACK_DOES_NOT_MATCH_BUILD: 'Estas cartas no se pueden agrupar en la construcción de {value}.',
+    NO_BUILD_FROM_STACK: 'Este montón no forma una construcción con ninguna carta de tu mano.',
+    BUILD_VALUE_AMBIGUOUS: 'Este montón puede construir {options}. Elige uno.',
+    COMBO_NOT_SORTED: 'Pon primero las cartas altas: {sortedCombo}, no {combo}.',
+    NO_COMBO_ARRANGEMENT: 'Estas cartas no se pueden ordenar en combinaciones.',
+    NOT_A_CAPTURE_OR_BUILD: 'Esta combinación no es una captura ni una construcción válida.',
+    INVALID_STACK_TARGET: 'Solo se pueden apilar cartas sobre cartas sueltas o montones temporales.',
+
+    ROUND_NOT_OVER: 'Primero hay que jugar todas las manos.',
+    CARDS_LEFT_TO_DEAL: 'Todavía quedan {left} cartas por repartir.',
+    NOT_ENOUGH_CARDS_TO_DEAL: 'No quedan cartas suficientes para otra ronda.',
+    NOTHING_TO_SWEEP: 'No hay nada que barrer.',
+    NO_CLOCK: 'Esta partida no se juega con reloj.',
+    TIME_NOT_UP: 'Todavía quedan {left} segundos en el reloj.',
+
+    TABLE_FULL: 'Todos los asientos de esta mesa están ocupados.',
+    SPECTATORS_CANNOT_PLAY: 'Estás mirando esta mesa, así que no puedes jugar.',
+
+    DEAL_NOT_FINISHED: 'Solo se puede sumar al encuentro una mano terminada.',
+    MATCH_OVER: 'El encuentro ya ha terminado. Empieza uno nuevo para seguir jugando.',
+
+    UNREADABLE_GAME_CODE: 'Esto no es un código de partida. Pega el código completo que te enviaron.',
+    GAME_CODE_CHECKSUM_MISMATCH: 'Este código de partida ha sido modificado o está incompleto.',
+    GAME_CODE_ILLEGAL_MOVE: 'La jugada {number} de este código de partida no está permitida.',
+  },
+};